@@ -12,13 +12,33 @@ function printHelp() {
   process.stdout.write('  localnest <command> [options]\n\n');
   process.stdout.write('Commands:\n');
   process.stdout.write('  start                     start MCP server (stdio)\n');
+  process.stdout.write('  start --http [--port N]   serve MCP over Streamable HTTP on localhost\n');
   process.stdout.write('  setup                     run setup wizard\n');
   process.stdout.write('  doctor                    run diagnostics\n');
   process.stdout.write('  upgrade                   upgrade package and migrate setup\n');
+  process.stdout.write('  audit [--tail N] [--follow] show the tool-call audit log\n');
+  process.stdout.write('  memory export|import      export or import memories (JSONL/Markdown)\n');
+  process.stdout.write('  memory verify             re-check memory code links and mark stale ones\n');
+  process.stdout.write('  memory sync --project P   merge project-shared memory files into the local store\n');
   process.stdout.write('  version                   print version\n');
   process.stdout.write('  help                      show this help\n');
 }
 
+function readFlagValue(argv, name) {
+  const direct = argv.indexOf(`--${name}`);
+  if (direct !== -1) return argv[direct + 1] || '';
+  const prefixed = argv.find((arg) => arg.startsWith(`--${name}=`));
+  return prefixed ? prefixed.slice(name.length + 3) : '';
+}
+
+function applyStartFlags(argv) {
+  if (argv.includes('--http')) process.env.MCP_MODE = 'http';
+  const port = readFlagValue(argv, 'port');
+  if (port) process.env.LOCALNEST_HTTP_PORT = port;
+  const host = readFlagValue(argv, 'host');
+  if (host) process.env.LOCALNEST_HTTP_HOST = host;
+}
+
 function forwardTo(modulePath) {
   process.argv = [process.argv[0], process.argv[1], ...rest];
   return import(modulePath);
@@ -36,6 +56,7 @@ async function main() {
   }
 
   if (command === 'start' || command === 'serve') {
+    applyStartFlags(rest);
     await import('../src/localnest-mcp.js');
     return;
   }
@@ -55,6 +76,16 @@ async function main() {
     return;
   }
 
+  if (command === 'audit') {
+    await forwardTo('../scripts/audit-localnest.mjs');
+    return;
+  }
+
+  if (command === 'memory') {
+    await forwardTo('../scripts/memory-localnest.mjs');
+    return;
+  }
+
   process.stderr.write(`Unknown command: ${command}\n\n`);
   printHelp();
   process.exit(1);
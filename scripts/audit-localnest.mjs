@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs';
+import process from 'node:process';
+import { buildRuntimeConfig } from '../src/config.js';
+import { AuditLogService } from '../src/services/audit/service.js';
+import { matchesAuditFilter } from '../src/services/audit/helpers.js';
+import { parseArg, parseNumberArg } from './memory-workflow-cli-utils.mjs';
+
+function printUsage() {
+  process.stdout.write('Usage: localnest audit [--tail N] [--tool NAME] [--since ISO] [--errors] [--json] [--follow]\n\n');
+  process.stdout.write('  --tail N       show the last N matching entries (default 50, 0 = all)\n');
+  process.stdout.write('  --tool NAME    only entries whose tool name contains NAME\n');
+  process.stdout.write('  --since ISO    only entries at or after this timestamp\n');
+  process.stdout.write('  --errors       only failed calls\n');
+  process.stdout.write('  --json         print raw JSON lines\n');
+  process.stdout.write('  --follow       keep printing new entries as they are written\n');
+}
+
+function formatEntry(entry, asJson) {
+  if (asJson) return JSON.stringify(entry);
+  const status = entry.error ? `ERROR ${entry.error}` : 'ok';
+  const paths = Array.isArray(entry.paths) && entry.paths.length > 0 ? `  paths=${entry.paths.join(',')}` : '';
+  return `${entry.ts}  ${entry.tool}  ${entry.duration_ms}ms  ${entry.result_bytes}B  ${status}` +
+    `  args=${JSON.stringify(entry.args || {})}${paths}`;
+}
+
+function followLog(logPath, filter, asJson) {
+  let offset = fs.existsSync(logPath) ? fs.statSync(logPath).size : 0;
+  let pending = '';
+  fs.watchFile(logPath, { interval: 1000 }, (current) => {
+    if (current.size < offset) {
+      offset = 0;
+      pending = '';
+    }
+    if (current.size === offset) return;
+    const fd = fs.openSync(logPath, 'r');
+    try {
+      const buffer = Buffer.alloc(current.size - offset);
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+      offset = current.size;
+      pending += buffer.toString('utf8');
+    } finally {
+      fs.closeSync(fd);
+    }
+    const lines = pending.split('\n');
+    pending = lines.pop() || '';
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (matchesAuditFilter(entry, filter)) process.stdout.write(`${formatEntry(entry, asJson)}\n`);
+      } catch {
+        // Skip torn or foreign lines.
+      }
+    }
+  });
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes('--help') || argv.includes('-h')) {
+    printUsage();
+    return;
+  }
+
+  const runtime = buildRuntimeConfig(process.env);
+  const audit = new AuditLogService({
+    enabled: runtime.auditEnabled,
+    logPath: runtime.auditLogPath,
+    maxBytes: runtime.auditMaxBytes,
+    maxFiles: runtime.auditMaxFiles,
+    redactQueries: runtime.auditRedactQueries
+  });
+  const filter = {
+    tool: parseArg(argv, 'tool'),
+    since: parseArg(argv, 'since'),
+    errorsOnly: argv.includes('--errors')
+  };
+  const asJson = argv.includes('--json');
+
+  if (!runtime.auditEnabled) {
+    process.stderr.write('[localnest-audit] audit logging is disabled (LOCALNEST_AUDIT_ENABLED=false)\n');
+  }
+
+  const entries = audit.readEntries({ ...filter, limit: parseNumberArg(argv, 'tail', 50) });
+  for (const entry of entries) {
+    process.stdout.write(`${formatEntry(entry, asJson)}\n`);
+  }
+  if (entries.length === 0 && !argv.includes('--follow')) {
+    process.stderr.write(`[localnest-audit] no matching entries in ${runtime.auditLogPath}\n`);
+  }
+
+  if (argv.includes('--follow')) {
+    followLog(runtime.auditLogPath, filter, asJson);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  process.stderr.write(`${error?.message || String(error)}\n`);
+  process.exit(1);
+}
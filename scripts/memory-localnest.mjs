@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { buildRuntimeConfig } from '../src/config.js';
+import { EmbeddingService } from '../src/services/embedding/service.js';
+import { GitService } from '../src/services/git/service.js';
+import { MemoryScopeResolver } from '../src/services/memory/scope-resolver.js';
+import { RedactionService } from '../src/services/redaction/service.js';
+import { createMemoryService, parseArg, printJson } from './memory-workflow-cli-utils.mjs';
+
+function printUsage() {
+  process.stdout.write('Usage:\n');
+  process.stdout.write('  localnest memory export [--format jsonl|markdown] [--project PATH] [--topic NAME] [--no-events] [--out FILE]\n');
+  process.stdout.write('  localnest memory import [FILE] [--dry-run] [--rewrite FROM=TO ...]\n');
+  process.stdout.write('  localnest memory verify [--project PATH] [--id ID] [--dry-run]\n');
+  process.stdout.write('  localnest memory sync --project PATH\n\n');
+  process.stdout.write('  --format       jsonl (default, re-importable) or markdown (read-only view)\n');
+  process.stdout.write('  --project      only memories scoped to this project path\n');
+  process.stdout.write('  --topic        only memories with this topic\n');
+  process.stdout.write('  --no-events    leave captured events out of a JSONL export\n');
+  process.stdout.write('  --out          write to FILE instead of stdout\n');
+  process.stdout.write('  FILE           JSONL export to import; reads stdin when omitted\n');
+  process.stdout.write('  --dry-run      report what would be imported or changed without writing\n');
+  process.stdout.write('  --rewrite      map an exported path prefix to a local one (repeatable)\n');
+  process.stdout.write('  --id           verify the links of one memory instead of sweeping\n');
+}
+
+function parseRepeatedArg(argv, name) {
+  const values = [];
+  argv.forEach((arg, idx) => {
+    if (arg === `--${name}` && argv[idx + 1]) values.push(argv[idx + 1]);
+    else if (arg.startsWith(`--${name}=`)) values.push(arg.slice(name.length + 3));
+  });
+  return values;
+}
+
+function positionalArgs(argv) {
+  const valued = new Set(['--format', '--project', '--topic', '--out', '--rewrite', '--id']);
+  return argv.filter((arg, idx) => !arg.startsWith('--') && !valued.has(argv[idx - 1]));
+}
+
+async function readInput(file) {
+  if (file) return fs.readFileSync(file, 'utf8');
+  if (process.stdin.isTTY) throw new Error('memory import needs a FILE argument or an export on stdin');
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function runExport(memory, argv) {
+  const result = await memory.exportMemories({
+    format: parseArg(argv, 'format') || 'jsonl',
+    projectPath: parseArg(argv, 'project') || undefined,
+    topic: parseArg(argv, 'topic') || undefined,
+    includeEvents: !argv.includes('--no-events')
+  });
+  const out = parseArg(argv, 'out');
+  if (!out) {
+    process.stdout.write(result.content);
+    return;
+  }
+  fs.writeFileSync(out, result.content, 'utf8');
+  const { counts } = result;
+  process.stderr.write(`[localnest-memory] exported ${counts.entries} memories, ${counts.revisions} revisions, ` +
+    `${counts.relations} relations and ${counts.events} events to ${out}\n`);
+}
+
+// Roots and deny-list bound which linked files memory anchors may read.
+function cliWorkspace(runtime) {
+  return {
+    roots: runtime.roots,
+    normalizeTarget: (target) => path.resolve(target),
+    redaction: new RedactionService({
+      enabled: runtime.redactSecrets,
+      denyGlobs: runtime.redactDenyGlobs,
+      minEntropy: runtime.redactMinEntropy
+    })
+  };
+}
+
+async function runImport(runtime, argv) {
+  const workspace = cliWorkspace(runtime);
+  const git = new GitService({ workspace, timeoutMs: runtime.gitTimeoutMs });
+  const memory = createMemoryService(runtime, {
+    embeddingService: new EmbeddingService({
+      provider: runtime.embeddingProvider,
+      model: runtime.embeddingModel,
+      cacheDir: runtime.embeddingCacheDir
+    }),
+    scopeResolver: new MemoryScopeResolver({ workspace, git })
+  });
+  const content = await readInput(positionalArgs(argv)[0]);
+  printJson(await memory.importMemories(content, {
+    dryRun: argv.includes('--dry-run'),
+    rewriteScope: parseRepeatedArg(argv, 'rewrite')
+  }));
+}
+
+// Re-checks memory links against the working tree; git finds moved files.
+async function runVerify(runtime, argv) {
+  const workspace = cliWorkspace(runtime);
+  const git = new GitService({ workspace, timeoutMs: runtime.gitTimeoutMs });
+  const memory = createMemoryService(runtime, {
+    scopeResolver: new MemoryScopeResolver({ workspace, git })
+  });
+  const project = parseArg(argv, 'project');
+  printJson(await memory.verifyLinks({
+    id: parseArg(argv, 'id') || undefined,
+    projectPath: project ? path.resolve(project) : undefined,
+    dryRun: argv.includes('--dry-run')
+  }));
+}
+
+// Merges the project's .localnest/memory files into the local store.
+async function runSync(runtime, argv) {
+  const project = parseArg(argv, 'project');
+  if (!project) throw new Error('memory sync needs --project PATH');
+  const workspace = cliWorkspace(runtime);
+  const git = new GitService({ workspace, timeoutMs: runtime.gitTimeoutMs });
+  const memory = createMemoryService(runtime, {
+    embeddingService: new EmbeddingService({
+      provider: runtime.embeddingProvider,
+      model: runtime.embeddingModel,
+      cacheDir: runtime.embeddingCacheDir
+    }),
+    scopeResolver: new MemoryScopeResolver({ workspace, git })
+  });
+  printJson(await memory.syncSharedMemories({ projectPath: path.resolve(project) }));
+}
+
+async function main() {
+  const [action, ...argv] = process.argv.slice(2);
+  if (!action || action === 'help' || argv.includes('--help') || argv.includes('-h')) {
+    printUsage();
+    return;
+  }
+
+  const runtime = buildRuntimeConfig(process.env);
+  if (action === 'export') {
+    await runExport(createMemoryService(runtime), argv);
+    return;
+  }
+  if (action === 'import') {
+    await runImport(runtime, argv);
+    return;
+  }
+  if (action === 'verify') {
+    await runVerify(runtime, argv);
+    return;
+  }
+  if (action === 'sync') {
+    await runSync(runtime, argv);
+    return;
+  }
+  process.stderr.write(`Unknown memory command: ${action}\n\n`);
+  printUsage();
+  process.exit(1);
+}
+
+main().catch((error) => {
+  process.stderr.write(`${error?.message || String(error)}\n`);
+  process.exit(1);
+});
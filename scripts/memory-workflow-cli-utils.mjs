@@ -72,16 +72,23 @@ function buildRuntimeSummary(runtime) {
   };
 }
 
-export function createMemoryWorkflow() {
-  const runtime = buildRuntimeConfig(process.env);
-  const memory = new MemoryService({
+export function createMemoryService(runtime, { embeddingService = null, scopeResolver = null } = {}) {
+  return new MemoryService({
     localnestHome: runtime.localnestHome,
     enabled: runtime.memoryEnabled,
     backend: runtime.memoryBackend,
     dbPath: runtime.memoryDbPath,
     autoCapture: runtime.memoryAutoCapture,
-    consentDone: runtime.memoryConsentDone
+    consentDone: runtime.memoryConsentDone,
+    shared: runtime.memoryShared,
+    embeddingService,
+    scopeResolver
   });
+}
+
+export function createMemoryWorkflow() {
+  const runtime = buildRuntimeConfig(process.env);
+  const memory = createMemoryService(runtime);
   const workflow = new MemoryWorkflowService({
     memory,
     getRuntimeSummary: async () => buildRuntimeSummary(runtime)
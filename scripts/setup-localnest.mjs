@@ -9,6 +9,7 @@ import { stdin as input, stdout as output } from 'node:process';
 import { migrateLocalnestHomeLayout, resolveLocalnestHome, resolveWritableModelCacheDir } from '../src/home-layout.js';
 import { EmbeddingService } from '../src/services/embedding/service.js';
 import { RerankerService } from '../src/services/reranker/service.js';
+import { TOOL_PROFILES } from '../src/server/common/tool-policy.js';
 
 if (!process.env.DART_SUPPRESS_ANALYTICS) {
   process.env.DART_SUPPRESS_ANALYTICS = 'true';
@@ -123,7 +124,8 @@ function buildClientSnippet(packageRef, indexConfig) {
           LOCALNEST_RERANKER_CACHE_DIR: indexConfig.reranker.cacheDir,
           LOCALNEST_MEMORY_ENABLED: String(indexConfig.memory.enabled),
           LOCALNEST_MEMORY_BACKEND: indexConfig.memory.backend,
-          LOCALNEST_MEMORY_DB_PATH: indexConfig.memory.dbPath
+          LOCALNEST_MEMORY_DB_PATH: indexConfig.memory.dbPath,
+          LOCALNEST_TOOL_PROFILE: indexConfig.toolProfile
         }
       }
     }
@@ -151,7 +153,8 @@ function buildGlobalClientSnippet(indexConfig) {
           LOCALNEST_RERANKER_CACHE_DIR: indexConfig.reranker.cacheDir,
           LOCALNEST_MEMORY_ENABLED: String(indexConfig.memory.enabled),
           LOCALNEST_MEMORY_BACKEND: indexConfig.memory.backend,
-          LOCALNEST_MEMORY_DB_PATH: indexConfig.memory.dbPath
+          LOCALNEST_MEMORY_DB_PATH: indexConfig.memory.dbPath,
+          LOCALNEST_TOOL_PROFILE: indexConfig.toolProfile
         }
       }
     }
@@ -184,6 +187,14 @@ function parseIntegerArg(name, fallback) {
   return parsed;
 }
 
+function parseToolProfile(raw) {
+  const profile = (raw || 'full').trim();
+  if (!Object.hasOwn(TOOL_PROFILES, profile)) {
+    throw new Error(`Invalid tool profile: ${profile} (expected ${Object.keys(TOOL_PROFILES).join(', ')})`);
+  }
+  return profile;
+}
+
 function parseRootsFromPathsArg(pathsArg) {
   if (!pathsArg) return [];
 
@@ -283,6 +294,12 @@ function saveOutputs(roots, packageRef, indexConfig) {
       dbPath: indexConfig.memory.dbPath,
       autoCapture: indexConfig.memory.autoCapture,
       askForConsentDone: indexConfig.memory.askForConsentDone
+    },
+    policy: {
+      profile: indexConfig.toolProfile,
+      allow: [],
+      deny: [],
+      denyAnnotations: []
     }
   };
 
@@ -383,6 +400,7 @@ async function main() {
     const memoryDbPath = path.resolve(expandHome(parseArg('memory-db-path') || defaultMemoryDbPath));
     const memoryAutoCapture = parseBooleanArg('memory-auto-capture') ?? memoryEnabled;
     const memoryConsentDone = parseBooleanArg('memory-consent-done') ?? false;
+    const toolProfile = parseToolProfile(parseArg('tool-profile'));
 
     saveOutputs(roots, packageRef, {
       backend,
@@ -403,6 +421,7 @@ async function main() {
         model: rerankerModel,
         cacheDir: rerankerCacheDir
       },
+      toolProfile,
       memory: {
         enabled: memoryEnabled,
         backend: memoryBackend,
@@ -426,6 +445,7 @@ async function main() {
         model: rerankerModel,
         cacheDir: rerankerCacheDir
       },
+      toolProfile,
       memory: {
         enabled: memoryEnabled,
         backend: memoryBackend,
@@ -459,6 +479,7 @@ async function main() {
     console.log('  npm run setup -- --roots-json=\'[{"label":"repo","path":"/abs/repo"}]\'');
     console.log('  npm run setup -- --package="localnest-mcp"');
     console.log('  npm run setup -- --skip-model-download=true');
+    console.log('  npm run setup -- --tool-profile=readonly   # full | readonly | no-network');
     return;
   }
 
@@ -566,6 +587,14 @@ async function main() {
     const memoryDbPathInput = (await rl.question(`Memory SQLite DB path [${suggestedMemoryDbPath}]: `)).trim();
     const memoryDbPath = path.resolve(expandHome(memoryDbPathInput || suggestedMemoryDbPath));
 
+    console.log('');
+    console.log('Tool profile for the generated client snippet:');
+    console.log('1) full: every tool (default)');
+    console.log('2) readonly: only tools annotated read-only (no memory writes, indexing or self-update)');
+    console.log('3) no-network: everything except tools that reach the network (update checks)');
+    const profileAnswer = (await rl.question('Choose profile [1/2/3] (default 1): ')).trim();
+    const toolProfile = { 2: 'readonly', 3: 'no-network' }[profileAnswer] || 'full';
+
     saveOutputs(roots, packageRef, {
       backend,
       dbPath,
@@ -585,6 +614,7 @@ async function main() {
         model: rerankerModel,
         cacheDir: rerankerCacheDir
       },
+      toolProfile,
       memory: {
         enabled: memoryEnabled,
         backend: 'auto',
@@ -608,6 +638,7 @@ async function main() {
         model: rerankerModel,
         cacheDir: rerankerCacheDir
       },
+      toolProfile,
       memory: {
         enabled: memoryEnabled,
         backend: 'auto',
@@ -8,6 +8,7 @@ import {
   resolveLocalnestHome,
   resolveWritableModelCacheDir
 } from './home-layout.js';
+import { DEFAULT_DENY_GLOBS } from './services/redaction/helpers.js';
 
 function parseBoolean(value, fallback) {
   if (value === undefined || value === null || value === '') return fallback;
@@ -29,6 +30,13 @@ function parseStringEnv(value, fallback) {
   return String(value).trim();
 }
 
+function parseListEnv(value) {
+  return String(value || '')
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
 export const SERVER_NAME = 'localnest';
 export const SERVER_VERSION = '0.0.4-beta.5';
 
@@ -36,6 +44,9 @@ export const DEFAULT_MAX_READ_LINES = 400;
 export const DEFAULT_MAX_RESULTS = 100;
 export const DEFAULT_MAX_FILE_BYTES = 512 * 1024;
 export const DEFAULT_MAX_INDEX_FILES = 20000;
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 7878;
+export const DEFAULT_AUDIT_MAX_BYTES = 10 * 1024 * 1024;
 
 export const IGNORE_DIRS = new Set([
   '.git',
@@ -190,6 +201,10 @@ function parseConfigFileSettings(configPath) {
 
   const index = parsed.index && typeof parsed.index === 'object' ? parsed.index : {};
   const memory = parsed.memory && typeof parsed.memory === 'object' ? parsed.memory : {};
+  const http = parsed.http && typeof parsed.http === 'object' ? parsed.http : {};
+  const audit = parsed.audit && typeof parsed.audit === 'object' ? parsed.audit : {};
+  const policy = parsed.policy && typeof parsed.policy === 'object' ? parsed.policy : {};
+  const redaction = parsed.redaction && typeof parsed.redaction === 'object' ? parsed.redaction : {};
 
   return {
     backend: typeof index.backend === 'string' ? index.backend : undefined,
@@ -199,6 +214,8 @@ function parseConfigFileSettings(configPath) {
     chunkOverlap: Number.isFinite(index.chunkOverlap) ? index.chunkOverlap : undefined,
     maxTermsPerChunk: Number.isFinite(index.maxTermsPerChunk) ? index.maxTermsPerChunk : undefined,
     maxIndexedFiles: Number.isFinite(index.maxIndexedFiles) ? index.maxIndexedFiles : undefined,
+    useGitignore: typeof index.useGitignore === 'boolean' ? index.useGitignore : undefined,
+    indexWatch: typeof index.watch === 'boolean' ? index.watch : undefined,
     sqliteVecExtensionPath: typeof index.sqliteVecExtensionPath === 'string'
       ? index.sqliteVecExtensionPath
       : undefined,
@@ -213,7 +230,24 @@ function parseConfigFileSettings(configPath) {
     memoryBackend: typeof memory.backend === 'string' ? memory.backend : undefined,
     memoryDbPath: typeof memory.dbPath === 'string' ? memory.dbPath : undefined,
     memoryAutoCapture: typeof memory.autoCapture === 'boolean' ? memory.autoCapture : undefined,
-    memoryConsentDone: typeof memory.askForConsentDone === 'boolean' ? memory.askForConsentDone : undefined
+    memoryConsentDone: typeof memory.askForConsentDone === 'boolean' ? memory.askForConsentDone : undefined,
+    memoryShared: typeof memory.shared === 'boolean' ? memory.shared : undefined,
+    httpHost: typeof http.host === 'string' ? http.host : undefined,
+    httpPort: Number.isFinite(http.port) ? http.port : undefined,
+    httpAuthToken: typeof http.authToken === 'string' ? http.authToken : undefined,
+    auditEnabled: typeof audit.enabled === 'boolean' ? audit.enabled : undefined,
+    auditPath: typeof audit.path === 'string' ? audit.path : undefined,
+    auditMaxBytes: Number.isFinite(audit.maxBytes) ? audit.maxBytes : undefined,
+    auditMaxFiles: Number.isFinite(audit.maxFiles) ? audit.maxFiles : undefined,
+    auditRedactQueries: typeof audit.redactQueries === 'boolean' ? audit.redactQueries : undefined,
+    toolProfile: typeof policy.profile === 'string' ? policy.profile : undefined,
+    toolAllow: Array.isArray(policy.allow) ? policy.allow : undefined,
+    toolDeny: Array.isArray(policy.deny) ? policy.deny : undefined,
+    toolDenyAnnotations: Array.isArray(policy.denyAnnotations) ? policy.denyAnnotations : undefined,
+    toolProfiles: policy.profiles && typeof policy.profiles === 'object' ? policy.profiles : undefined,
+    redactSecrets: typeof redaction.enabled === 'boolean' ? redaction.enabled : undefined,
+    redactDenyGlobs: Array.isArray(redaction.denyGlobs) ? redaction.denyGlobs : undefined,
+    redactMinEntropy: Number.isFinite(redaction.minEntropy) ? redaction.minEntropy : undefined
   };
 }
 
@@ -283,7 +317,13 @@ export function buildRuntimeConfig(env = process.env) {
     localnestHome,
     mcpMode: (env.MCP_MODE || 'stdio').toLowerCase(),
     disableConsoleOutput: parseBoolean(env.DISABLE_CONSOLE_OUTPUT, false),
+    httpHost: parseStringEnv(env.LOCALNEST_HTTP_HOST, fileSettings.httpHost || DEFAULT_HTTP_HOST),
+    httpPort: parseIntEnvClamped(env.LOCALNEST_HTTP_PORT, fileSettings.httpPort || DEFAULT_HTTP_PORT, 1, 65535),
+    httpAuthToken: parseStringEnv(env.LOCALNEST_HTTP_TOKEN, fileSettings.httpAuthToken || ''),
     rgTimeoutMs: parseIntEnv(env.LOCALNEST_RG_TIMEOUT_MS, 15000),
+    gitTimeoutMs: parseIntEnvClamped(env.LOCALNEST_GIT_TIMEOUT_MS, 15000, 1000, 5 * 60 * 1000),
+    indexTimeoutMs: parseIntEnvClamped(env.LOCALNEST_INDEX_TIMEOUT_MS, 0, 0, 24 * 60 * 60 * 1000),
+    searchTimeoutMs: parseIntEnvClamped(env.LOCALNEST_SEARCH_TIMEOUT_MS, 0, 0, 60 * 60 * 1000),
     autoProjectSplit: parseBoolean(env.LOCALNEST_AUTO_PROJECT_SPLIT, true),
     maxAutoProjects: parseIntEnv(env.LOCALNEST_MAX_AUTO_PROJECTS, 120),
     forceSplitChildren: parseBoolean(env.LOCALNEST_FORCE_SPLIT_CHILDREN, false),
@@ -355,6 +395,10 @@ export function buildRuntimeConfig(env = process.env) {
       0,
       1440
     ),
+    indexWatch: parseBoolean(env.LOCALNEST_INDEX_WATCH, fileSettings.indexWatch ?? false),
+    indexWatchDebounceMs: parseIntEnvClamped(env.LOCALNEST_INDEX_WATCH_DEBOUNCE_MS, 750, 50, 60000),
+    indexWatchPollMs: parseIntEnvClamped(env.LOCALNEST_INDEX_WATCH_POLL_MS, 30000, 1000, 60 * 60 * 1000),
+    indexWatchPolling: parseBoolean(env.LOCALNEST_INDEX_WATCH_POLLING, false),
     extraProjectMarkers: new Set(
       (env.LOCALNEST_EXTRA_PROJECT_MARKERS || '')
         .split(',')
@@ -368,6 +412,31 @@ export function buildRuntimeConfig(env = process.env) {
     ),
     memoryAutoCapture: parseBoolean(env.LOCALNEST_MEMORY_AUTO_CAPTURE, fileSettings.memoryAutoCapture || false),
     memoryConsentDone: parseBoolean(env.LOCALNEST_MEMORY_CONSENT_DONE, fileSettings.memoryConsentDone || false),
+    memoryShared: parseBoolean(env.LOCALNEST_MEMORY_SHARED, fileSettings.memoryShared || false),
+    auditEnabled: parseBoolean(env.LOCALNEST_AUDIT_ENABLED, fileSettings.auditEnabled ?? true),
+    auditLogPath: path.resolve(
+      expandHome(env.LOCALNEST_AUDIT_PATH || fileSettings.auditPath || layout.auditLogPath)
+    ),
+    auditMaxBytes: parseIntEnvClamped(
+      env.LOCALNEST_AUDIT_MAX_BYTES,
+      fileSettings.auditMaxBytes || DEFAULT_AUDIT_MAX_BYTES,
+      64 * 1024,
+      1024 * 1024 * 1024
+    ),
+    auditMaxFiles: parseIntEnvClamped(env.LOCALNEST_AUDIT_MAX_FILES, fileSettings.auditMaxFiles || 5, 1, 50),
+    auditRedactQueries: parseBoolean(env.LOCALNEST_AUDIT_REDACT_QUERIES, fileSettings.auditRedactQueries || false),
+    toolProfile: parseStringEnv(env.LOCALNEST_TOOL_PROFILE, fileSettings.toolProfile || 'full'),
+    toolAllow: [...(fileSettings.toolAllow || []), ...parseListEnv(env.LOCALNEST_TOOLS_ALLOW)],
+    toolDeny: [...(fileSettings.toolDeny || []), ...parseListEnv(env.LOCALNEST_TOOLS_DENY)],
+    toolDenyAnnotations: fileSettings.toolDenyAnnotations || [],
+    toolProfiles: fileSettings.toolProfiles || {},
+    useGitignore: parseBoolean(env.LOCALNEST_USE_GITIGNORE, fileSettings.useGitignore ?? true),
+    redactSecrets: parseBoolean(env.LOCALNEST_REDACT_SECRETS, fileSettings.redactSecrets ?? true),
+    redactDenyGlobs: [
+      ...(fileSettings.redactDenyGlobs || DEFAULT_DENY_GLOBS),
+      ...parseListEnv(env.LOCALNEST_DENY_GLOBS)
+    ],
+    redactMinEntropy: fileSettings.redactMinEntropy ?? 4.2,
     roots: resolveRoots({
       projectRoots: env.PROJECT_ROOTS,
       localnestConfigPath: configPath
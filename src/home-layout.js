@@ -31,6 +31,7 @@ export function buildLocalnestPaths(localnestHome) {
     jsonIndexPath: path.join(dataDir, 'localnest.index.json'),
     legacyJsonIndexPath: path.join(home, 'localnest.index.json'),
     memoryDbPath: path.join(dataDir, 'localnest.memory.db'),
+    auditLogPath: path.join(dataDir, 'localnest.audit.jsonl'),
     legacyMemoryDbPath: path.join(home, 'localnest.memory.db'),
     updateStatusPath: path.join(cacheDir, 'update-status.json'),
     legacyUpdateStatusPath: path.join(home, 'update-status.json')
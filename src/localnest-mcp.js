@@ -24,6 +24,12 @@ import { RerankerService } from './services/reranker/service.js';
 import { UpdateService } from './services/update/service.js';
 import { MemoryService } from './services/memory/service.js';
 import { MemoryWorkflowService } from './services/memory/workflow.js';
+import { MemoryScopeResolver } from './services/memory/scope-resolver.js';
+import { AuditLogService } from './services/audit/service.js';
+import { RedactionService } from './services/redaction/service.js';
+import { IndexWatcherService } from './services/index-watcher/service.js';
+import { GitService } from './services/git/service.js';
+import { CodeIntelService } from './services/code-intel/service.js';
 import {
   RESPONSE_FORMAT_SCHEMA,
   MEMORY_KIND_SCHEMA,
@@ -39,16 +45,28 @@ import {
   paginateItems
 } from './server/common/tool-utils.js';
 import { createServerStatusBuilder, buildUsageGuide } from './server/common/status.js';
+import { createScopeCompleters } from './server/common/completion.js';
+import { resolveToolPolicy } from './server/common/tool-policy.js';
 import { registerCoreTools } from './server/tools/core.js';
 import { registerMemoryWorkflowTools } from './server/tools/memory-workflow.js';
 import { registerMemoryStoreTools } from './server/tools/memory-store.js';
 import { registerRetrievalTools } from './server/tools/retrieval.js';
+import { registerGitTools } from './server/tools/git.js';
+import { registerCodeIntelTools } from './server/tools/code-intel.js';
+import { registerResources } from './server/resources/catalog.js';
+import { registerWorkflowPrompts } from './server/prompts/workflows.js';
+import { startHttpTransport } from './server/transports/http.js';
 
 if (!process.env.DART_SUPPRESS_ANALYTICS) {
   process.env.DART_SUPPRESS_ANALYTICS = 'true';
 }
 
 function createWorkspace(runtime) {
+  const redaction = new RedactionService({
+    enabled: runtime.redactSecrets,
+    denyGlobs: runtime.redactDenyGlobs,
+    minEntropy: runtime.redactMinEntropy
+  });
   return new WorkspaceService({
     roots: runtime.roots,
     ignoreDirs: IGNORE_DIRS,
@@ -59,13 +77,13 @@ function createWorkspace(runtime) {
     maxFileBytes: DEFAULT_MAX_FILE_BYTES,
     autoProjectSplit: runtime.autoProjectSplit,
     maxAutoProjects: runtime.maxAutoProjects,
-    forceSplitChildren: runtime.forceSplitChildren
+    forceSplitChildren: runtime.forceSplitChildren,
+    redaction,
+    useGitignore: runtime.useGitignore
   });
 }
 
-async function createVectorIndex(runtime, workspace, embeddingService, setActiveBackend) {
-  const astChunker = new AstChunker();
-
+async function createVectorIndex(runtime, workspace, embeddingService, astChunker, setActiveBackend) {
   if (runtime.indexBackend === 'sqlite-vec') {
     try {
       const { SqliteVecIndexService } = await import('./services/sqlite-vec/service.js');
@@ -103,14 +121,29 @@ async function createVectorIndex(runtime, workspace, embeddingService, setActive
 }
 
 async function createServices(runtime) {
+  const toolPolicy = resolveToolPolicy({
+    profile: runtime.toolProfile,
+    allow: runtime.toolAllow,
+    deny: runtime.toolDeny,
+    denyAnnotations: runtime.toolDenyAnnotations,
+    profiles: runtime.toolProfiles
+  });
   const workspace = createWorkspace(runtime);
+  const git = new GitService({ workspace, timeoutMs: runtime.gitTimeoutMs });
+  const scopeResolver = new MemoryScopeResolver({ workspace, git });
   const embeddingService = new EmbeddingService({
     provider: runtime.embeddingProvider,
     model: runtime.embeddingModel,
     cacheDir: runtime.embeddingCacheDir
   });
+  const astChunker = new AstChunker();
+  const reranker = new RerankerService({
+    provider: runtime.rerankerProvider,
+    model: runtime.rerankerModel,
+    cacheDir: runtime.rerankerCacheDir
+  });
   let activeIndexBackend = runtime.indexBackend;
-  const vectorIndex = await createVectorIndex(runtime, workspace, embeddingService, (nextBackend) => {
+  const vectorIndex = await createVectorIndex(runtime, workspace, embeddingService, astChunker, (nextBackend) => {
     activeIndexBackend = nextBackend;
   });
   const search = new SearchService({
@@ -120,12 +153,10 @@ async function createServices(runtime) {
     rgTimeoutMs: runtime.rgTimeoutMs,
     maxFileBytes: DEFAULT_MAX_FILE_BYTES,
     vectorIndex,
-    reranker: new RerankerService({
-      provider: runtime.rerankerProvider,
-      model: runtime.rerankerModel,
-      cacheDir: runtime.rerankerCacheDir
-    })
+    astChunker,
+    reranker
   });
+  const codeIntel = new CodeIntelService({ workspace, astChunker, vectorIndex });
   const updates = new UpdateService({
     localnestHome: runtime.localnestHome,
     packageName: runtime.updatePackageName,
@@ -140,21 +171,52 @@ async function createServices(runtime) {
     dbPath: runtime.memoryDbPath,
     autoCapture: runtime.memoryAutoCapture,
     consentDone: runtime.memoryConsentDone,
-    embeddingService
+    shared: runtime.memoryShared,
+    embeddingService,
+    reranker,
+    scopeResolver
+  });
+
+  const audit = new AuditLogService({
+    enabled: runtime.auditEnabled,
+    logPath: runtime.auditLogPath,
+    maxBytes: runtime.auditMaxBytes,
+    maxFiles: runtime.auditMaxFiles,
+    redactQueries: runtime.auditRedactQueries
   });
 
+  const watcher = runtime.indexWatch
+    ? new IndexWatcherService({
+      workspace,
+      vectorIndex,
+      debounceMs: runtime.indexWatchDebounceMs,
+      pollIntervalMs: runtime.indexWatchPollMs,
+      usePolling: runtime.indexWatchPolling
+    })
+    : null;
+
   return {
     workspace,
     vectorIndex,
+    watcher,
     search,
+    codeIntel,
+    git,
     updates,
     memory,
+    scopeResolver,
+    audit,
+    toolPolicy,
     getActiveIndexBackend: () => activeIndexBackend
   };
 }
 
 function registerTools(server, runtime, services) {
-  const registerJsonTool = createJsonToolRegistrar(server, RESPONSE_FORMAT_SCHEMA);
+  const policy = services.toolPolicy;
+  const registerJsonTool = createJsonToolRegistrar(server, RESPONSE_FORMAT_SCHEMA, {
+    audit: services.audit,
+    policy
+  });
   const buildServerStatus = createServerStatusBuilder({
     serverName: SERVER_NAME,
     serverVersion: SERVER_VERSION,
@@ -163,11 +225,13 @@ function registerTools(server, runtime, services) {
     memory: services.memory,
     updates: services.updates,
     getActiveIndexBackend: services.getActiveIndexBackend,
-    vectorIndex: services.vectorIndex
+    vectorIndex: services.vectorIndex,
+    toolPolicy: { profile: policy.profile, disabledTools: registerJsonTool.disabledTools }
   });
   const memoryWorkflow = new MemoryWorkflowService({
     memory: services.memory,
-    getRuntimeSummary: async () => buildServerStatus()
+    getRuntimeSummary: async () => buildServerStatus(),
+    scopeResolver: services.scopeResolver
   });
   const sharedSchemas = {
     MEMORY_KIND_SCHEMA,
@@ -203,10 +267,26 @@ function registerTools(server, runtime, services) {
     paginateItems,
     workspace: services.workspace,
     vectorIndex: services.vectorIndex,
+    watcher: services.watcher,
     search: services.search,
     defaultMaxReadLines: DEFAULT_MAX_READ_LINES,
-    defaultMaxResults: DEFAULT_MAX_RESULTS
+    defaultMaxResults: DEFAULT_MAX_RESULTS,
+    indexTimeoutMs: runtime.indexTimeoutMs,
+    searchTimeoutMs: runtime.searchTimeoutMs
+  });
+
+  registerGitTools({
+    registerJsonTool,
+    git: services.git
+  });
+
+  registerCodeIntelTools({
+    registerJsonTool,
+    codeIntel: services.codeIntel,
+    searchTimeoutMs: runtime.searchTimeoutMs
   });
+
+  return { memoryWorkflow, disabledTools: registerJsonTool.disabledTools };
 }
 
 function startStalenessMonitor(vectorIndex, intervalMinutes) {
@@ -227,21 +307,61 @@ function startStalenessMonitor(vectorIndex, intervalMinutes) {
   timer.unref();
 }
 
+function createMcpServer(runtime, services) {
+  const server = new McpServer({
+    name: SERVER_NAME,
+    version: SERVER_VERSION
+  });
+  const { memoryWorkflow, disabledTools } = registerTools(server, runtime, services);
+  // Resources and prompts stand in for tools, so they follow the same policy.
+  const toolEnabled = (name) => !disabledTools.includes(name);
+  const completers = createScopeCompleters({
+    workspace: services.workspace,
+    memory: services.memory
+  });
+  registerResources({
+    server,
+    workspace: services.workspace,
+    memory: services.memory,
+    maxReadLines: 800,
+    completers,
+    toolEnabled
+  });
+  registerWorkflowPrompts({
+    server,
+    workspace: services.workspace,
+    memoryWorkflow,
+    completers,
+    toolEnabled
+  });
+  return server;
+}
+
+async function serveHttp(runtime, services) {
+  const handle = await startHttpTransport({
+    host: runtime.httpHost,
+    port: runtime.httpPort,
+    authToken: runtime.httpAuthToken,
+    createServer: () => createMcpServer(runtime, services)
+  });
+  process.stderr.write(`[localnest-mcp] streamable HTTP transport listening on ${handle.url}\n`);
+
+  const shutdown = () => {
+    handle.close().finally(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
 async function main() {
   const runtime = buildRuntimeConfig(process.env);
   applyConsolePolicy(runtime.disableConsoleOutput);
 
-  if (runtime.mcpMode !== 'stdio') {
-    throw new Error('Unsupported MCP_MODE. Use MCP_MODE=stdio for MCP clients.');
+  if (runtime.mcpMode !== 'stdio' && runtime.mcpMode !== 'http') {
+    throw new Error('Unsupported MCP_MODE. Use MCP_MODE=stdio or MCP_MODE=http.');
   }
 
   const services = await createServices(runtime);
-  const server = new McpServer({
-    name: SERVER_NAME,
-    version: SERVER_VERSION
-  });
-
-  registerTools(server, runtime, services);
 
   if (!runtime.hasRipgrep) {
     process.stderr.write(
@@ -255,7 +375,14 @@ async function main() {
   });
 
   startStalenessMonitor(services.vectorIndex, runtime.indexSweepIntervalMinutes);
+  services.watcher?.start();
+
+  if (runtime.mcpMode === 'http') {
+    await serveHttp(runtime, services);
+    return;
+  }
 
+  const server = createMcpServer(runtime, services);
   const transport = new StdioServerTransport();
   await server.connect(transport);
 }
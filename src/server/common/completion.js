@@ -0,0 +1,60 @@
+import path from 'node:path';
+
+const MAX_PROJECT_ENTRIES = 200;
+const MAX_SCOPE_VALUES = 50;
+
+function rankByPrefix(candidates, value) {
+  const needle = String(value || '').toLowerCase();
+  if (!needle) return candidates;
+  const prefixed = [];
+  const contained = [];
+  for (const candidate of candidates) {
+    const lower = candidate.toLowerCase();
+    if (lower.startsWith(needle) || path.basename(lower).startsWith(needle)) {
+      prefixed.push(candidate);
+    } else if (lower.includes(needle)) {
+      contained.push(candidate);
+    }
+  }
+  return [...prefixed, ...contained];
+}
+
+function collectProjectPaths(workspace) {
+  const seen = new Set();
+  for (const root of workspace.listRoots()) {
+    seen.add(root.path);
+    for (const projectPath of workspace.splitRootIntoProjects(root.path)) {
+      seen.add(projectPath);
+    }
+    try {
+      for (const project of workspace.listProjects(root.path, MAX_PROJECT_ENTRIES)) {
+        seen.add(project.path);
+      }
+    } catch {
+      // Roots that vanished since startup simply contribute no children.
+    }
+  }
+  return Array.from(seen);
+}
+
+export function createScopeCompleters({ workspace, memory }) {
+  const fromMemory = (field) => async (value, context) => {
+    if (!memory?.enabled) return [];
+    try {
+      return await memory.listScopeValues(field, {
+        prefix: value,
+        projectPath: context?.arguments?.project_path,
+        limit: MAX_SCOPE_VALUES
+      });
+    } catch {
+      return [];
+    }
+  };
+
+  return {
+    projectPath: async (value) => rankByPrefix(collectProjectPaths(workspace), value),
+    topic: fromMemory('topic'),
+    feature: fromMemory('feature'),
+    branch: fromMemory('branch_name')
+  };
+}
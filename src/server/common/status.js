@@ -20,7 +20,8 @@ export function createServerStatusBuilder({
   memory,
   updates,
   getActiveIndexBackend,
-  vectorIndex
+  vectorIndex,
+  toolPolicy = null
 }) {
   async function buildMemorySummary() {
     const status = await memory.getStatus();
@@ -43,14 +44,23 @@ export function createServerStatusBuilder({
       name: serverName,
       version: serverVersion,
       mode: runtime.mcpMode,
+      http: runtime.mcpMode === 'http'
+        ? { host: runtime.httpHost, port: runtime.httpPort, auth: 'bearer' }
+        : null,
       roots: workspace.listRoots(),
       has_ripgrep: runtime.hasRipgrep,
+      tool_policy: toolPolicy
+        ? { profile: toolPolicy.profile, disabled_tools: [...toolPolicy.disabledTools] }
+        : null,
       memory: await buildMemorySummary(),
       search: {
         auto_project_split: runtime.autoProjectSplit,
         max_auto_projects: runtime.maxAutoProjects,
         force_split_children: runtime.forceSplitChildren,
-        rg_timeout_ms: runtime.rgTimeoutMs
+        rg_timeout_ms: runtime.rgTimeoutMs,
+        use_gitignore: runtime.useGitignore,
+        redact_secrets: runtime.redactSecrets,
+        deny_globs: runtime.redactDenyGlobs
       },
       vector_index: {
         backend: getActiveIndexBackend(),
@@ -61,6 +71,7 @@ export function createServerStatusBuilder({
         chunk_overlap: runtime.vectorChunkOverlap,
         max_terms_per_chunk: runtime.vectorMaxTermsPerChunk,
         max_indexed_files: runtime.vectorMaxIndexedFiles,
+        watch: runtime.indexWatch,
         embedding_provider: runtime.embeddingProvider,
         embedding_model: runtime.embeddingModel,
         embedding_dimensions: runtime.embeddingDimensions,
@@ -103,6 +114,8 @@ export function buildUsageGuide() {
       'Bad capture events include: browsing files, exploratory reading, dead-end investigation, or trivial one-shot lookups.',
       'Use all_roots only when cross-project lookup is required.',
       'After retrieval, call localnest_read_file with narrow line ranges.',
+      'To find where a function lives in a large file, call localnest_file_outline and read only its start_line-end_line.',
+      'To read one function or method by name, call localnest_read_symbol instead of guessing line ranges for localnest_read_file.',
       'If updates.is_outdated=true in server status, ask user for approval and then call localnest_update_self with approved_by_user=true.'
     ],
     quality_playbook: [
@@ -120,6 +133,7 @@ export function buildUsageGuide() {
       'localnest_index_status',
       'localnest_index_project',
       'localnest_search_hybrid → for concept/content retrieval',
+      'localnest_file_outline → to target declarations before reading large files',
       'localnest_read_file',
       'localnest_task_context → preferred one-call runtime + memory context for substantive tasks',
       'localnest_capture_outcome → preferred one-call outcome capture after meaningful work',
@@ -0,0 +1,62 @@
+// Tool policy decides which tools are registered at all. Disabled tools never
+// reach tools/list, so an agent cannot talk its way past them the way it can
+// with an `approved_by_user` flag.
+
+export const TOOL_PROFILES = {
+  full: {},
+  readonly: { readOnly: true },
+  'no-network': { denyAnnotations: ['openWorldHint'] }
+};
+
+const KNOWN_ANNOTATIONS = new Set(['readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint']);
+
+function toList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function matchesName(patterns, name) {
+  return patterns.some((pattern) => (
+    pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : pattern === name
+  ));
+}
+
+export function resolveToolPolicy({
+  profile = 'full',
+  allow = [],
+  deny = [],
+  denyAnnotations = [],
+  profiles = {}
+} = {}) {
+  const profileName = profile || 'full';
+  const base = profiles?.[profileName] || TOOL_PROFILES[profileName];
+  if (!base) {
+    const known = [...new Set([...Object.keys(TOOL_PROFILES), ...Object.keys(profiles || {})])];
+    throw new Error(`unknown tool profile: ${profileName} (expected one of: ${known.join(', ')})`);
+  }
+
+  const hints = [...new Set([...toList(base.denyAnnotations), ...toList(denyAnnotations)])];
+  for (const hint of hints) {
+    if (!KNOWN_ANNOTATIONS.has(hint)) {
+      throw new Error(`unknown tool annotation in policy: ${hint}`);
+    }
+  }
+
+  return {
+    profile: profileName,
+    readOnly: base.readOnly === true,
+    allow: [...new Set([...toList(base.allow), ...toList(allow)])],
+    deny: [...new Set([...toList(base.deny), ...toList(deny)])],
+    denyAnnotations: hints
+  };
+}
+
+// Explicit name rules beat annotation rules; deny beats allow.
+export function isToolAllowed(policy, name, annotations = {}) {
+  if (!policy) return true;
+  if (matchesName(policy.deny, name)) return false;
+  if (matchesName(policy.allow, name)) return true;
+  if (policy.readOnly && annotations.readOnlyHint !== true) return false;
+  return !policy.denyAnnotations.some((hint) => annotations[hint] === true);
+}
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { isToolAllowed } from './tool-policy.js';
 
 function renderMarkdown(value, heading = 'Result') {
   if (value === null || value === undefined) {
@@ -65,9 +66,14 @@ export function buildRipgrepHelpMessage() {
   ].join(' ');
 }
 
-export function createJsonToolRegistrar(server, responseFormatSchema) {
-  return function registerJsonTool(names, { title, description, inputSchema, annotations, markdownTitle }, handler) {
+export function createJsonToolRegistrar(server, responseFormatSchema, { audit = null, policy = null } = {}) {
+  const disabledTools = [];
+  function registerJsonTool(names, { title, description, inputSchema, annotations, markdownTitle }, handler) {
     const canonical = Array.isArray(names) ? names[0] : names;
+    if (!isToolAllowed(policy, canonical, annotations)) {
+      disabledTools.push(canonical);
+      return;
+    }
     const schema = {
       ...inputSchema,
       response_format: responseFormatSchema
@@ -89,9 +95,36 @@ export function createJsonToolRegistrar(server, responseFormatSchema) {
         const responseFormat = incoming.response_format || 'json';
         const toolArgs = { ...incoming };
         delete toolArgs.response_format;
-        const data = await handler(toolArgs, extra);
-        return toolResult(data, responseFormat, markdownTitle || title);
+        if (!audit) {
+          const data = await handler(toolArgs, extra);
+          return toolResult(data, responseFormat, markdownTitle || title);
+        }
+
+        const startedAt = Date.now();
+        let data;
+        let result;
+        let failure = null;
+        try {
+          data = await handler(toolArgs, extra);
+          result = toolResult(data, responseFormat, markdownTitle || title);
+          return result;
+        } catch (error) {
+          failure = error;
+          throw error;
+        } finally {
+          audit.record({
+            tool: canonical,
+            args: toolArgs,
+            data,
+            error: failure,
+            durationMs: Date.now() - startedAt,
+            resultBytes: result ? Buffer.byteLength(result.content[0].text, 'utf8') : 0,
+            sessionId: extra?.sessionId
+          });
+        }
       }
     );
-  };
+  }
+  registerJsonTool.disabledTools = disabledTools;
+  return registerJsonTool;
 }
@@ -0,0 +1,163 @@
+import { z } from 'zod';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+
+const SUMMARY_MAX_FILES = 3000;
+// Every prompt embeds task context and a project summary.
+const CONTEXT_TOOLS = ['localnest_task_context', 'localnest_summarize_project'];
+
+const WORKFLOW_PROMPTS = [
+  {
+    name: 'investigate-bug',
+    title: 'Investigate Bug',
+    description: 'Debug a problem in a local project using recalled memory, retrieval tools and outcome capture.',
+    queryDescription: 'Bug symptom, error message or failing behavior',
+    queryRequired: true,
+    requires: [],
+    steps: [
+      { text: 'Check the recalled memories below for prior fixes or known constraints around this symptom.' },
+      {
+        text: 'Locate the failure with localnest_search_code (exact error strings, identifiers) and localnest_search_files.',
+        tools: ['localnest_search_code', 'localnest_search_files']
+      },
+      { text: 'Use localnest_search_hybrid only if lexical search misses.', tools: ['localnest_search_hybrid'] },
+      { text: 'Open the top 1-3 hits with localnest_read_file.', tools: ['localnest_read_file'] },
+      { text: 'Confirm the root cause against the current code before proposing a fix.' },
+      {
+        text: 'After the fix is confirmed, call localnest_capture_outcome with event_type "bugfix" and the changed files.',
+        tools: ['localnest_capture_outcome']
+      }
+    ],
+    intro: (query) => `Investigate this bug: ${query}`
+  },
+  {
+    name: 'onboard-to-project',
+    title: 'Onboard To Project',
+    description: 'Build a working mental model of a local project from its layout, summary and stored memory.',
+    queryDescription: 'Optional area or question to focus the onboarding on',
+    queryRequired: false,
+    requires: [],
+    steps: [
+      { text: 'Read the project summary below to learn the language mix and size.' },
+      {
+        text: 'Walk the layout with localnest_project_tree, then open entry points and manifests with localnest_read_file.',
+        tools: ['localnest_project_tree', 'localnest_read_file']
+      },
+      { text: 'Review the recalled memories for decisions, preferences and known pitfalls.' },
+      { text: 'Summarize the architecture, key modules and conventions, citing file paths.' },
+      {
+        text: 'Capture any durable conventions you discover with localnest_capture_outcome.',
+        tools: ['localnest_capture_outcome']
+      }
+    ],
+    intro: (query) => (query
+      ? `Get oriented in this project, focusing on: ${query}`
+      : 'Get oriented in this project.')
+  },
+  {
+    name: 'record-decision',
+    title: 'Record Decision',
+    description: 'Record a design or implementation decision in LocalNest memory and link it to prior decisions.',
+    queryDescription: 'The decision and its rationale',
+    queryRequired: true,
+    requires: ['localnest_capture_outcome'],
+    steps: [
+      { text: 'Check the recalled memories below for earlier decisions this one extends, supersedes or contradicts.' },
+      {
+        text: 'Call localnest_capture_outcome with event_type "decision", a short title, the rationale and any affected files.',
+        tools: ['localnest_capture_outcome']
+      },
+      {
+        text: 'Run localnest_memory_suggest_relations on the new memory id and confirm links with localnest_memory_add_relation.',
+        tools: ['localnest_memory_suggest_relations', 'localnest_memory_add_relation']
+      }
+    ],
+    intro: (query) => `Record this decision: ${query}`
+  }
+];
+
+function withCompleter(schema, complete) {
+  return complete ? completable(schema, complete) : schema;
+}
+
+function buildArgsSchema(definition, completers) {
+  const query = z.string().describe(definition.queryDescription);
+  return {
+    project_path: withCompleter(
+      z.string().describe('Absolute project path under a configured root'),
+      completers?.projectPath
+    ),
+    query: definition.queryRequired ? query : query.optional(),
+    branch: withCompleter(z.string().describe('Git branch the work happens on').optional(), completers?.branch),
+    topic: withCompleter(z.string().describe('Memory topic to scope recall').optional(), completers?.topic),
+    feature: withCompleter(z.string().describe('Memory feature to scope recall').optional(), completers?.feature)
+  };
+}
+
+function jsonBlock(label, value) {
+  return `${label}:\n\`\`\`json\n${JSON.stringify(value, null, 2)}\n\`\`\``;
+}
+
+function userText(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+async function buildWorkflowPrompt(definition, { workspace, memoryWorkflow, steps }, args) {
+  const projectPath = args.project_path;
+  const query = args.query || '';
+  const branch = args.branch || '';
+
+  const summary = workspace.summarizeProject(projectPath, SUMMARY_MAX_FILES);
+  const taskContext = await memoryWorkflow.getTaskContext({
+    task: query || `${definition.name} ${projectPath}`,
+    project_path: projectPath,
+    branch_name: branch,
+    topic: args.topic || '',
+    feature: args.feature || ''
+  });
+
+  const header = [
+    definition.intro(query),
+    '',
+    `Project: ${projectPath}`,
+    ...(branch ? [`Branch: ${branch}`] : []),
+    '',
+    'Workflow:',
+    ...steps.map((step, idx) => `${idx + 1}. ${step.text}`)
+  ].join('\n');
+
+  return {
+    description: definition.description,
+    messages: [
+      userText(header),
+      userText(jsonBlock('localnest_task_context', taskContext)),
+      userText(jsonBlock('localnest_summarize_project', summary))
+    ]
+  };
+}
+
+/**
+ * Prompts follow the tool policy: a prompt is left out when a tool it needs
+ * is disabled, and steps that name a disabled tool are dropped, so no
+ * workflow steers the agent toward tools it does not have.
+ */
+export function registerWorkflowPrompts({
+  server,
+  workspace,
+  memoryWorkflow,
+  completers,
+  toolEnabled = () => true
+}) {
+  for (const definition of WORKFLOW_PROMPTS) {
+    if (![...CONTEXT_TOOLS, ...definition.requires].every((name) => toolEnabled(name))) continue;
+    const steps = definition.steps.filter((step) => (step.tools || []).every((name) => toolEnabled(name)));
+    server.registerPrompt(
+      definition.name,
+      {
+        title: definition.title,
+        description: definition.description,
+        argsSchema: buildArgsSchema(definition, completers)
+      },
+      async (args) => buildWorkflowPrompt(definition, { workspace, memoryWorkflow, steps }, args)
+    );
+  }
+}
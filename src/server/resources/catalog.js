@@ -0,0 +1,186 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { ListResourcesRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+export const RESOURCE_PAGE_SIZE = 50;
+
+const FILE_TEMPLATE = 'localnest://file/{+path}';
+const MEMORY_TEMPLATE = 'localnest://memory/{id}';
+const PROJECT_SUMMARY_TEMPLATE = 'localnest://project/{+path}/summary';
+
+export function buildFileUri(filePath) {
+  return `localnest://file/${encodeURIComponent(filePath)}`;
+}
+
+export function buildMemoryUri(id) {
+  return `localnest://memory/${encodeURIComponent(id)}`;
+}
+
+export function buildProjectSummaryUri(projectPath) {
+  return `localnest://project/${encodeURIComponent(projectPath)}/summary`;
+}
+
+export function encodeCursor(offset) {
+  return Buffer.from(String(offset), 'utf8').toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  const offset = Number.parseInt(Buffer.from(String(cursor), 'base64url').toString('utf8'), 10);
+  if (!Number.isFinite(offset) || offset < 0) {
+    throw new Error('Invalid resources/list cursor');
+  }
+  return offset;
+}
+
+function decodeVariable(value) {
+  const raw = Array.isArray(value) ? value.join(',') : String(value || '');
+  return decodeURIComponent(raw);
+}
+
+function jsonContents(uri, data) {
+  return {
+    contents: [{
+      uri: uri.href,
+      mimeType: 'application/json',
+      text: JSON.stringify(data, null, 2)
+    }]
+  };
+}
+
+async function listResourcePage({ workspace, memory, listRoots }, offset) {
+  const roots = listRoots ? workspace.listRoots() : [];
+  const resources = roots.slice(offset, offset + RESOURCE_PAGE_SIZE).map((root) => ({
+    uri: buildProjectSummaryUri(root.path),
+    name: `${root.label} summary`,
+    description: `Project summary for root ${root.path}`,
+    mimeType: 'application/json'
+  }));
+
+  let hasMore = offset + resources.length < roots.length;
+  const remaining = RESOURCE_PAGE_SIZE - resources.length;
+  if (!hasMore && memory?.enabled) {
+    try {
+      // A page filled by roots alone still needs a cursor when memories
+      // follow, so probe for one entry in that case.
+      const page = await memory.listEntries({
+        limit: Math.max(remaining, 1),
+        offset: Math.max(0, offset - roots.length)
+      });
+      if (remaining > 0) {
+        for (const item of page.items) {
+          resources.push({
+            uri: buildMemoryUri(item.id),
+            name: item.title,
+            description: item.summary || `${item.kind} memory`,
+            mimeType: 'application/json'
+          });
+        }
+        hasMore = page.has_more;
+      } else {
+        hasMore = page.items.length > 0;
+      }
+    } catch (error) {
+      process.stderr.write(`[localnest-resources] memory listing skipped: ${error?.message || error}\n`);
+    }
+  }
+
+  return {
+    resources,
+    ...(hasMore ? { nextCursor: encodeCursor(offset + resources.length) } : {})
+  };
+}
+
+/**
+ * Each template serves what one tool would return, so it is registered only
+ * when the tool policy left that tool enabled: `localnest_read_file` for
+ * files, `localnest_memory_get` for memories and
+ * `localnest_summarize_project` for project summaries.
+ */
+export function registerResources({
+  server,
+  workspace,
+  memory,
+  maxReadLines,
+  completers,
+  toolEnabled = () => true
+}) {
+  const files = toolEnabled('localnest_read_file');
+  const memories = toolEnabled('localnest_memory_get');
+  const summaries = toolEnabled('localnest_summarize_project');
+  // Without a template the server has no resources capability to list.
+  if (!files && !memories && !summaries) return;
+
+  if (files) {
+    server.registerResource(
+      'localnest_file',
+      new ResourceTemplate(FILE_TEMPLATE, { list: undefined }),
+      {
+        title: 'Workspace File',
+        description: 'A text file under a configured root, with line numbers.',
+        mimeType: 'text/plain'
+      },
+      async (uri, { path: filePath }) => {
+        const chunk = await workspace.readFileChunk(decodeVariable(filePath), 1, maxReadLines, maxReadLines);
+        const truncated = chunk.end_line < chunk.total_lines;
+        const footer = truncated
+          ? `\n... truncated at line ${chunk.end_line} of ${chunk.total_lines}; use localnest_read_file for more`
+          : '';
+        return {
+          contents: [{
+            uri: uri.href,
+            mimeType: 'text/plain',
+            text: `${chunk.content}${footer}`
+          }]
+        };
+      }
+    );
+  }
+
+  if (memories) {
+    server.registerResource(
+      'localnest_memory',
+      new ResourceTemplate(MEMORY_TEMPLATE, { list: undefined }),
+      {
+        title: 'Memory Entry',
+        description: 'One stored memory with its revision history.',
+        mimeType: 'application/json'
+      },
+      async (uri, { id }) => {
+        const memoryId = decodeVariable(id);
+        const item = await memory.getEntry(memoryId);
+        if (!item) {
+          throw new Error(`memory not found: ${memoryId}`);
+        }
+        return jsonContents(uri, item);
+      }
+    );
+  }
+
+  if (summaries) {
+    server.registerResource(
+      'localnest_project_summary',
+      new ResourceTemplate(PROJECT_SUMMARY_TEMPLATE, {
+        list: undefined,
+        complete: completers ? { path: completers.projectPath } : undefined
+      }),
+      {
+        title: 'Project Summary',
+        description: 'High-level summary of a project directory.',
+        mimeType: 'application/json'
+      },
+      async (uri, { path: projectPath }) => jsonContents(
+        uri,
+        workspace.summarizeProject(decodeVariable(projectPath), 3000)
+      )
+    );
+  }
+
+  // The SDK's default resources/list handler ignores cursors; replace it so
+  // large memory stores page instead of returning every entry at once.
+  server.server.setRequestHandler(ListResourcesRequestSchema, async (request) => (
+    listResourcePage(
+      { workspace, memory: memories ? memory : null, listRoots: summaries },
+      decodeCursor(request.params?.cursor)
+    )
+  ));
+}
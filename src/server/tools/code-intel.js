@@ -0,0 +1,140 @@
+import { z } from 'zod';
+import { createBudget } from '../../services/core/cancellation.js';
+
+export function registerCodeIntelTools({ registerJsonTool, codeIntel, searchTimeoutMs = 0 }) {
+  registerJsonTool(
+    'localnest_goto_definition',
+    {
+      title: 'Go To Definition',
+      description: 'Resolve the identifier at a file position to its single defining location and signature. Follows imports (JS/TS relative paths and tsconfig paths, Python modules, Go packages) and re-exports. Pass column, or symbol to pick an identifier on the line.',
+      inputSchema: {
+        path: z.string(),
+        line: z.number().int().min(1),
+        column: z.number().int().min(1).optional(),
+        symbol: z.string().optional()
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ path, line, column, symbol }) => codeIntel.gotoDefinition({
+      path,
+      line,
+      column,
+      symbol
+    })
+  );
+
+  registerJsonTool(
+    'localnest_file_outline',
+    {
+      title: 'File Outline',
+      description: 'Nested outline of a file\'s declarations (classes, methods, functions, interfaces, enums) with start_line/end_line and one-line signatures, so a follow-up localnest_read_file can target exact ranges. Uses tree-sitter where a grammar exists and a keyword outline (source=regex) otherwise.',
+      inputSchema: {
+        path: z.string()
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ path }) => codeIntel.fileOutline({ path })
+  );
+
+  registerJsonTool(
+    'localnest_read_symbol',
+    {
+      title: 'Read Symbol',
+      description: 'Read the complete declaration of a symbol by name ("load" or "Store.load"), using tree-sitter ranges so bodies are never cut off. Includes the doc comment and decorators above it; include_class_header adds the enclosing class declaration line. Searches one file when path is given, otherwise the symbol index of the project; complete=false means part of the scope is not indexed yet, so run localnest_index_project for a full answer. Multiple matches are returned with their scope_path.',
+      inputSchema: {
+        symbol: z.string().min(1),
+        path: z.string().optional(),
+        project_path: z.string().optional(),
+        all_roots: z.boolean().default(false),
+        include_class_header: z.boolean().default(false),
+        max_matches: z.number().int().min(1).max(50).default(10),
+        max_lines: z.number().int().min(1).max(5000).default(500)
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ symbol, path, project_path, all_roots, include_class_header, max_matches, max_lines }) => codeIntel.readSymbol({
+      symbol,
+      path,
+      projectPath: project_path,
+      allRoots: all_roots,
+      includeClassHeader: include_class_header,
+      maxMatches: max_matches,
+      maxLines: max_lines
+    })
+  );
+
+  registerJsonTool(
+    'localnest_call_graph',
+    {
+      title: 'Call Graph',
+      description: 'Incoming callers and outgoing callees of a function from the persisted call graph, to a configurable depth, with file:line for every edge. Use "Class.method" to narrow the start to one class. Dynamic calls (computed targets, calls through parameters) are returned with dynamic=true. complete=false means part of the scope is not indexed yet, so run localnest_index_project for a full graph.',
+      inputSchema: {
+        symbol: z.string().min(1),
+        project_path: z.string().optional(),
+        all_roots: z.boolean().default(false),
+        direction: z.enum(['incoming', 'outgoing', 'both']).default('both'),
+        depth: z.number().int().min(1).max(5).default(2),
+        max_edges: z.number().int().min(1).max(2000).default(200)
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ symbol, project_path, all_roots, direction, depth, max_edges }) => codeIntel.callGraph({
+      symbol,
+      projectPath: project_path,
+      allRoots: all_roots,
+      direction,
+      depth,
+      maxEdges: max_edges
+    })
+  );
+
+  registerJsonTool(
+    'localnest_dependency_graph',
+    {
+      title: 'Dependency Graph',
+      description: 'Module dependency graph of a project: imports resolved to files in scope, with fan-in/fan-out per file, import cycles, orphan files, entry points and external packages. format=json returns the full graph; mermaid or dot return diagram text.',
+      inputSchema: {
+        project_path: z.string().optional(),
+        all_roots: z.boolean().default(false),
+        format: z.enum(['json', 'mermaid', 'dot']).default('json'),
+        include_external: z.boolean().default(false),
+        max_files: z.number().int().min(1).max(20000).default(2000),
+        timeout_ms: z.number().int().min(0).max(86400000).optional()
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ project_path, all_roots, format, include_external, max_files, timeout_ms }, extra) => codeIntel.dependencyGraph({
+      projectPath: project_path,
+      allRoots: all_roots,
+      format,
+      includeExternal: include_external,
+      maxFiles: max_files,
+      budget: createBudget({ signal: extra?.signal, timeoutMs: timeout_ms ?? searchTimeoutMs })
+    })
+  );
+}
@@ -0,0 +1,111 @@
+import { z } from 'zod';
+
+export function registerGitTools({ registerJsonTool, git }) {
+  registerJsonTool(
+    'localnest_git_status',
+    {
+      title: 'Git Status',
+      description: 'List changed, staged and untracked files under a project path, with branch and upstream ahead/behind counts.',
+      inputSchema: {
+        project_path: z.string(),
+        include_untracked: z.boolean().default(true),
+        max_files: z.number().int().min(1).max(5000).default(500)
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ project_path, include_untracked, max_files }) => git.status({
+      projectPath: project_path,
+      includeUntracked: include_untracked,
+      maxFiles: max_files
+    })
+  );
+
+  registerJsonTool(
+    'localnest_git_log',
+    {
+      title: 'Git Log',
+      description: 'List commits touching a file or directory, newest first. Use follow=true to track a single file across renames.',
+      inputSchema: {
+        path: z.string(),
+        ref: z.string().optional(),
+        max_count: z.number().int().min(1).max(500).default(20),
+        since: z.string().optional(),
+        follow: z.boolean().default(false)
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ path, ref, max_count, since, follow }) => git.log({
+      path,
+      ref,
+      maxCount: max_count,
+      since,
+      follow
+    })
+  );
+
+  registerJsonTool(
+    'localnest_git_blame',
+    {
+      title: 'Git Blame',
+      description: 'Map a line range of a file to the commit, author and date that last changed each line. Use it to answer "why is this code like this" before reading the commit with localnest_git_diff.',
+      inputSchema: {
+        path: z.string(),
+        start_line: z.number().int().min(1).default(1),
+        end_line: z.number().int().min(1).optional(),
+        ref: z.string().optional()
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ path, start_line, end_line, ref }) => git.blame({
+      path,
+      startLine: start_line,
+      endLine: end_line,
+      ref
+    })
+  );
+
+  registerJsonTool(
+    'localnest_git_diff',
+    {
+      title: 'Git Diff',
+      description: 'Return a unified diff for a path: unstaged working-tree changes by default, staged=true for the index, or between from/to refs (e.g. from="abc123~1", to="abc123").',
+      inputSchema: {
+        path: z.string(),
+        from: z.string().optional(),
+        to: z.string().optional(),
+        staged: z.boolean().default(false),
+        context_lines: z.number().int().min(0).max(20).default(3),
+        max_bytes: z.number().int().min(1000).max(2000000).default(200000)
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ path, from, to, staged, context_lines, max_bytes }) => git.diff({
+      path,
+      from,
+      to,
+      staged,
+      contextLines: context_lines,
+      maxBytes: max_bytes
+    })
+  );
+}
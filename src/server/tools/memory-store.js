@@ -72,7 +72,7 @@ export function registerMemoryStoreTools({
     ['localnest_memory_store'],
     {
       title: 'Memory Store',
-      description: 'Store a durable local memory entry.',
+      description: 'Store a durable local memory entry. scope.root_path and scope.branch_name are inferred from scope.project_path when omitted. With shared=true (requires memory sharing to be enabled) the entry is also written to <project>/.localnest/memory/ so teammates get it through the repository.',
       inputSchema: {
         kind: MEMORY_KIND_SCHEMA,
         title: z.string().min(1).max(400),
@@ -86,7 +86,8 @@ export function registerMemoryStoreTools({
         scope: MEMORY_SCOPE_SCHEMA,
         source_type: z.string().max(60).default('manual'),
         source_ref: z.string().max(1000).default(''),
-        change_note: z.string().max(400).default('Initial memory creation')
+        change_note: z.string().max(400).default('Initial memory creation'),
+        shared: z.boolean().default(false)
       },
       annotations: {
         readOnlyHint: false,
@@ -102,7 +103,7 @@ export function registerMemoryStoreTools({
     ['localnest_memory_update'],
     {
       title: 'Memory Update',
-      description: 'Update a stored memory entry and append a revision.',
+      description: 'Update a stored memory entry and append a revision. Shared entries rewrite their file in the project; shared=true promotes a private entry to the project-shared tier.',
       inputSchema: {
         id: z.string().min(1),
         kind: MEMORY_KIND_SCHEMA.optional(),
@@ -117,7 +118,8 @@ export function registerMemoryStoreTools({
         scope: MEMORY_SCOPE_SCHEMA.optional(),
         source_type: z.string().max(60).optional(),
         source_ref: z.string().max(1000).optional(),
-        change_note: z.string().max(400).default('Memory updated')
+        change_note: z.string().max(400).default('Memory updated'),
+        shared: z.boolean().optional()
       },
       annotations: {
         readOnlyHint: false,
@@ -147,6 +149,168 @@ export function registerMemoryStoreTools({
     async ({ id }) => memory.deleteEntry(id)
   );
 
+  registerJsonTool(
+    ['localnest_memory_history'],
+    {
+      title: 'Memory History',
+      description: 'List the revisions of one memory, newest first, with change notes, authors and which fields each revision changed.',
+      inputSchema: {
+        id: z.string().min(1),
+        limit: z.number().int().min(1).max(200).default(20),
+        offset: z.number().int().min(0).default(0)
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ id, limit, offset }) => memory.listRevisions(id, { limit, offset })
+  );
+
+  registerJsonTool(
+    ['localnest_memory_diff'],
+    {
+      title: 'Memory Diff',
+      description: 'Show field-level differences between two revisions of a memory: line diffs for title, summary and content, added/removed tags and links. Defaults to the latest revision against the one before it.',
+      inputSchema: {
+        id: z.string().min(1),
+        from_revision: z.number().int().min(1).optional(),
+        to_revision: z.number().int().min(1).optional()
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ id, from_revision, to_revision }) => memory.diffRevisions(id, {
+      from: from_revision,
+      to: to_revision
+    })
+  );
+
+  registerJsonTool(
+    ['localnest_memory_revert'],
+    {
+      title: 'Memory Revert',
+      description: 'Restore the title, summary, content, tags and links of an earlier revision by appending it as a new revision. History is kept; nothing is deleted.',
+      inputSchema: {
+        id: z.string().min(1),
+        revision: z.number().int().min(1),
+        change_note: z.string().max(400).optional()
+      },
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+        openWorldHint: false
+      }
+    },
+    async ({ id, revision, change_note }) => memory.revertEntry(id, {
+      revision,
+      changeNote: change_note
+    })
+  );
+
+  registerJsonTool(
+    ['localnest_memory_verify_links'],
+    {
+      title: 'Memory Verify Links',
+      description: 'Re-check the code links of one memory (id) or sweep all linked memories, optionally for one project_path. Linked line ranges are compared with the hashes taken when the link was stored: moved code is re-anchored by content matching, deleted or heavily rewritten code marks the memory stale with a reason, and memories marked stale this way become active again once their links verify. dry_run reports without writing.',
+      inputSchema: {
+        id: z.string().min(1).optional(),
+        project_path: z.string().optional(),
+        dry_run: z.boolean().default(false),
+        limit: z.number().int().min(1).max(5000).default(500)
+      },
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ id, project_path, dry_run, limit }) => memory.verifyLinks({
+      id,
+      projectPath: project_path,
+      dryRun: dry_run,
+      limit
+    })
+  );
+
+  registerJsonTool(
+    ['localnest_memory_sync_shared'],
+    {
+      title: 'Memory Sync Shared',
+      description: 'Merge the project-shared memory files in <project_path>/.localnest/memory into the local store: new files are imported, newer histories replace the local copy, local edits and merged conflicts (including files with git conflict markers) are written back. Entries whose file is absent (for example on another branch) are kept with origin shared_missing and restored when the file returns; delete them with localnest_memory_delete. Reads such as recall and list do not sync, so run this after pulling or switching branches.',
+      inputSchema: {
+        project_path: z.string()
+      },
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ project_path }) => memory.syncSharedMemories({ projectPath: project_path })
+  );
+
+  registerJsonTool(
+    ['localnest_memory_export'],
+    {
+      title: 'Memory Export',
+      description: 'Export memories as versioned JSONL (entries, revisions, relations and events; re-importable with localnest_memory_import) or as Markdown grouped by project and topic. Optionally limited to one project_path or topic.',
+      inputSchema: {
+        format: z.enum(['jsonl', 'markdown']).default('jsonl'),
+        project_path: z.string().optional(),
+        topic: z.string().optional(),
+        include_events: z.boolean().default(true)
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ format, project_path, topic, include_events }) => memory.exportMemories({
+      format,
+      projectPath: project_path,
+      topic,
+      includeEvents: include_events
+    })
+  );
+
+  registerJsonTool(
+    ['localnest_memory_import'],
+    {
+      title: 'Memory Import',
+      description: 'Import a JSONL memory export. Entries already present (same fingerprint in the same project) are skipped as duplicates. rewrite_scope maps exported paths to local ones when the repository lives elsewhere on this machine. Use dry_run to get the report without writing.',
+      inputSchema: {
+        content: z.string().min(1),
+        dry_run: z.boolean().default(false),
+        rewrite_scope: z.array(z.object({
+          from: z.string().min(1),
+          to: z.string().min(1)
+        })).max(20).default([])
+      },
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ content, dry_run, rewrite_scope }) => memory.importMemories(content, {
+      dryRun: dry_run,
+      rewriteScope: rewrite_scope
+    })
+  );
+
   registerJsonTool(
     ['localnest_memory_capture_event'],
     {
@@ -59,7 +59,7 @@ export function registerMemoryWorkflowTools({
     ['localnest_memory_recall'],
     {
       title: 'Memory Recall',
-      description: 'Recall the most relevant local memories for a task or query.',
+      description: 'Recall the most relevant local memories for a task or query. Keyword relevance is fused with embedding similarity (reciprocal-rank fusion) and can be reranked with use_reranker; each item reports its lexical and semantic components. With project_path, root and git branch are inferred when omitted; same-branch memories rank higher and memories from merged or deleted branches rank lower. Links of recalled memories are checked without writing: memories whose linked code was deleted or rewritten are listed under stale_filtered instead of returned; localnest_memory_verify_links re-anchors moved code and records stale status.',
       inputSchema: {
         query: z.string().min(1),
         root_path: z.string().optional(),
@@ -68,7 +68,8 @@ export function registerMemoryWorkflowTools({
         topic: z.string().optional(),
         feature: z.string().optional(),
         kind: MEMORY_KIND_SCHEMA.optional(),
-        limit: z.number().int().min(1).max(50).default(10)
+        limit: z.number().int().min(1).max(50).default(10),
+        use_reranker: z.boolean().default(false)
       },
       annotations: {
         readOnlyHint: true,
@@ -77,7 +78,7 @@ export function registerMemoryWorkflowTools({
         openWorldHint: false
       }
     },
-    async ({ query, root_path, project_path, branch_name, topic, feature, kind, limit }) => memory.recall({
+    async ({ query, root_path, project_path, branch_name, topic, feature, kind, limit, use_reranker }) => memory.recall({
       query,
       rootPath: root_path,
       projectPath: project_path,
@@ -85,7 +86,8 @@ export function registerMemoryWorkflowTools({
       topic,
       feature,
       kind,
-      limit
+      limit,
+      useReranker: use_reranker
     })
   );
 
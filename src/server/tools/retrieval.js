@@ -1,13 +1,31 @@
 import { z } from 'zod';
+import { createBudget } from '../../services/core/cancellation.js';
+
+// `missing` when nothing under the project is indexed, `stale` when any
+// indexed file changed or disappeared since it was indexed.
+function describeIndexFreshness(scope) {
+  let status = 'fresh';
+  if (scope.indexed_files === 0) status = 'missing';
+  else if (scope.stale_files > 0) status = 'stale';
+  const ageMs = scope.last_indexed_at ? Date.now() - Date.parse(scope.last_indexed_at) : NaN;
+  return {
+    status,
+    ...scope,
+    ...(Number.isFinite(ageMs) ? { age_seconds: Math.max(0, Math.round(ageMs / 1000)) } : {})
+  };
+}
 
 export function registerRetrievalTools({
   registerJsonTool,
   paginateItems,
   workspace,
   vectorIndex,
+  watcher = null,
   search,
   defaultMaxReadLines,
-  defaultMaxResults
+  defaultMaxResults,
+  indexTimeoutMs = 0,
+  searchTimeoutMs = 0
 }) {
   async function emitProgress(extra, progress, total, message) {
     const token = extra?._meta?.progressToken;
@@ -95,7 +113,7 @@ export function registerRetrievalTools({
     'localnest_index_status',
     {
       title: 'Index Status',
-      description: 'Return local semantic index status and metadata.',
+      description: 'Return local semantic index status and metadata, including live watcher queue depth and lag when enabled.',
       inputSchema: {},
       annotations: {
         readOnlyHint: true,
@@ -104,7 +122,10 @@ export function registerRetrievalTools({
         openWorldHint: false
       }
     },
-    async () => vectorIndex.getStatus()
+    async () => ({
+      ...vectorIndex.getStatus(),
+      watcher: watcher ? watcher.getStatus() : { enabled: false }
+    })
   );
 
   registerJsonTool(
@@ -135,12 +156,13 @@ export function registerRetrievalTools({
     'localnest_index_project',
     {
       title: 'Index Project',
-      description: 'Build or refresh semantic index for a project or across all roots.',
+      description: 'Build or refresh semantic index for a project or across all roots. Honours MCP cancellation; files indexed before a cancel or timeout stay committed and the result carries cancelled/timed_out flags.',
       inputSchema: {
         project_path: z.string().optional(),
         all_roots: z.boolean().default(false),
         force: z.boolean().default(false),
-        max_files: z.number().int().min(1).max(200000).default(20000)
+        max_files: z.number().int().min(1).max(200000).default(20000),
+        timeout_ms: z.number().int().min(0).max(86400000).optional()
       },
       annotations: {
         readOnlyHint: false,
@@ -149,13 +171,14 @@ export function registerRetrievalTools({
         openWorldHint: false
       }
     },
-    async ({ project_path, all_roots, force, max_files }, extra) => {
+    async ({ project_path, all_roots, force, max_files, timeout_ms }, extra) => {
       await emitProgress(extra, 0, max_files, 'index_project started');
       const out = await vectorIndex.indexProject({
         projectPath: project_path,
         allRoots: all_roots,
         force,
         maxFiles: max_files,
+        budget: createBudget({ signal: extra?.signal, timeoutMs: timeout_ms ?? indexTimeoutMs }),
         onProgress: async ({ scanned = 0, total = max_files, phase = 'indexing' }) => {
           await emitProgress(extra, scanned, total, phase);
         }
@@ -232,11 +255,43 @@ export function registerRetrievalTools({
     })
   );
 
+  registerJsonTool(
+    'localnest_search_structural',
+    {
+      title: 'Search Structural',
+      description: 'Match syntax-tree structure instead of text. query is either a tree-sitter S-expression (e.g. "(call_expression function: (identifier) @fn (#eq? @fn \\"fetch\\")) @call") or a pattern: "call to <name> [with <n> args]", "[async] functions [named <name>] [without try|await]", "classes [named <name>] [extending <name>] [implementing <name>]". Returns node kind, 1-based ranges and captured nodes per match.',
+      inputSchema: {
+        query: z.string().min(1),
+        project_path: z.string().optional(),
+        all_roots: z.boolean().default(false),
+        glob: z.string().default('*'),
+        language: z.string().optional(),
+        max_results: z.number().int().min(1).max(1000).default(defaultMaxResults),
+        timeout_ms: z.number().int().min(0).max(3600000).optional()
+      },
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: false
+      }
+    },
+    async ({ query, project_path, all_roots, glob, language, max_results, timeout_ms }, extra) => search.searchStructural({
+      query,
+      projectPath: project_path,
+      allRoots: all_roots,
+      glob,
+      language,
+      maxResults: max_results,
+      budget: createBudget({ signal: extra?.signal, timeoutMs: timeout_ms ?? searchTimeoutMs })
+    })
+  );
+
   registerJsonTool(
     'localnest_search_hybrid',
     {
       title: 'Search Hybrid',
-      description: 'Run lexical + semantic retrieval and return RRF-ranked results.',
+      description: 'Run lexical + semantic retrieval and return RRF-ranked results. On cancel or timeout, returns the results gathered so far with cancelled/timed_out flags.',
       inputSchema: {
         query: z.string().min(1),
         project_path: z.string().optional(),
@@ -246,7 +301,8 @@ export function registerRetrievalTools({
         case_sensitive: z.boolean().default(false),
         min_semantic_score: z.number().min(0).max(1).default(0.05),
         auto_index: z.boolean().default(true),
-        use_reranker: z.boolean().default(false)
+        use_reranker: z.boolean().default(false),
+        timeout_ms: z.number().int().min(0).max(3600000).optional()
       },
       annotations: {
         readOnlyHint: false,
@@ -255,7 +311,7 @@ export function registerRetrievalTools({
         openWorldHint: false
       }
     },
-    async ({ query, project_path, all_roots, glob, max_results, case_sensitive, min_semantic_score, auto_index, use_reranker }) => search.searchHybrid({
+    async ({ query, project_path, all_roots, glob, max_results, case_sensitive, min_semantic_score, auto_index, use_reranker, timeout_ms }, extra) => search.searchHybrid({
       query,
       projectPath: project_path,
       allRoots: all_roots,
@@ -264,7 +320,8 @@ export function registerRetrievalTools({
       caseSensitive: case_sensitive,
       minSemanticScore: min_semantic_score,
       autoIndex: auto_index,
-      useReranker: use_reranker
+      useReranker: use_reranker,
+      budget: createBudget({ signal: extra?.signal, timeoutMs: timeout_ms ?? searchTimeoutMs })
     })
   );
 
@@ -272,7 +329,7 @@ export function registerRetrievalTools({
     'localnest_get_symbol',
     {
       title: 'Get Symbol',
-      description: 'Look up symbol definitions/exports by name using fast regex search.',
+      description: 'Look up symbol definitions/exports by name from the persistent symbol table, falling back to regex search for unindexed scopes.',
       inputSchema: {
         symbol: z.string().min(1),
         project_path: z.string().optional(),
@@ -354,7 +411,7 @@ export function registerRetrievalTools({
     'localnest_summarize_project',
     {
       title: 'Summarize Project',
-      description: 'Return a high-level summary of a project directory.',
+      description: 'Summarize a project directory: file and extension counts, lines of code per language, build systems and frameworks, declared dependencies per manifest (package.json, pyproject.toml, requirements.txt, go.mod, Cargo.toml, pubspec.yaml, composer.json, Gemfile), entry points, scripts, test directories, largest files, and whether the semantic index covers the project and how fresh it is.',
       inputSchema: {
         project_path: z.string(),
         max_files: z.number().int().min(100).max(20000).default(3000)
@@ -366,6 +423,10 @@ export function registerRetrievalTools({
         openWorldHint: false
       }
     },
-    async ({ project_path, max_files }) => workspace.summarizeProject(project_path, max_files)
+    async ({ project_path, max_files }) => {
+      const summary = workspace.summarizeProject(project_path, max_files);
+      if (!summary.path || typeof vectorIndex?.describeScope !== 'function') return summary;
+      return { ...summary, semantic_index: describeIndexFreshness(vectorIndex.describeScope([summary.path])) };
+    }
   );
 }
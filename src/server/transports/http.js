@@ -0,0 +1,171 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const MCP_HTTP_PATH = '/mcp';
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+export function isAuthorized(authorizationHeader, authToken) {
+  if (!authToken) return false;
+  const match = /^Bearer\s+(.+)$/i.exec(String(authorizationHeader || ''));
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim(), 'utf8');
+  const expected = Buffer.from(authToken, 'utf8');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export function buildAllowedHosts(host, port) {
+  if (!LOOPBACK_HOSTS.has(host)) return [];
+  return [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`];
+}
+
+function isInitializePayload(body) {
+  return Array.isArray(body) ? body.some((item) => isInitializeRequest(item)) : isInitializeRequest(body);
+}
+
+function sendJsonError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  }));
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { statusCode: 413 });
+    }
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8').trim();
+  if (!raw) return undefined;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw Object.assign(new Error('Request body is not valid JSON'), { statusCode: 400 });
+  }
+}
+
+export async function startHttpTransport({
+  host,
+  port,
+  authToken,
+  createServer,
+  endpoint = MCP_HTTP_PATH
+}) {
+  if (!authToken) {
+    throw new Error(
+      'HTTP mode requires a bearer token. Set http.authToken in localnest.config.json or LOCALNEST_HTTP_TOKEN.'
+    );
+  }
+
+  const sessions = new Map();
+  let allowedHosts = [];
+
+  async function openSession(req, res, body) {
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      enableDnsRebindingProtection: allowedHosts.length > 0,
+      allowedHosts,
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, { server, transport });
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== endpoint) {
+      sendJsonError(res, 404, `Not found. MCP endpoint is ${endpoint}`);
+      return;
+    }
+    if (!isAuthorized(req.headers.authorization, authToken)) {
+      sendJsonError(res, 401, 'Unauthorized', { 'www-authenticate': 'Bearer' });
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    const session = typeof sessionId === 'string' ? sessions.get(sessionId) : null;
+
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+      if (session) {
+        await session.transport.handleRequest(req, res, body);
+        return;
+      }
+      if (sessionId || !isInitializePayload(body)) {
+        sendJsonError(res, 400, 'Bad Request: no valid session ID provided');
+        return;
+      }
+      await openSession(req, res, body);
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!session) {
+        sendJsonError(res, 400, 'Bad Request: invalid or missing session ID');
+        return;
+      }
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    sendJsonError(res, 405, 'Method not allowed', { allow: 'GET, POST, DELETE' });
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      process.stderr.write(`[localnest-http] request failed: ${error?.message || error}\n`);
+      if (!res.headersSent) {
+        sendJsonError(res, error?.statusCode || 500, error?.statusCode ? error.message : 'Internal server error');
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const boundPort = typeof address === 'object' && address ? address.port : port;
+  allowedHosts = buildAllowedHosts(host, boundPort);
+  const displayHost = host.includes(':') ? `[${host}]` : host;
+
+  async function close() {
+    for (const { transport } of Array.from(sessions.values())) {
+      await transport.close().catch(() => {});
+    }
+    sessions.clear();
+    await new Promise((resolve) => {
+      httpServer.close(() => resolve());
+      httpServer.closeAllConnections?.();
+    });
+  }
+
+  return {
+    httpServer,
+    sessions,
+    url: `http://${displayHost}:${boundPort}${endpoint}`,
+    close
+  };
+}
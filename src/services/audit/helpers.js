@@ -0,0 +1,74 @@
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { expandHome } from '../../config.js';
+
+const QUERY_KEYS = new Set(['query', 'task', 'symbol', 'pattern']);
+const MAX_STRING_CHARS = 300;
+const MAX_ARRAY_ITEMS = 20;
+
+export function redactValue(value) {
+  const text = String(value);
+  const digest = crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+  return `[redacted len=${text.length} sha256=${digest}]`;
+}
+
+function normalizeValue(value, depth) {
+  if (value === undefined) return undefined;
+  if (value === null || typeof value === 'boolean' || typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_CHARS
+      ? `${value.slice(0, MAX_STRING_CHARS)}… [${value.length} chars]`
+      : value;
+  }
+  if (depth >= 3) return '[nested]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map((item) => normalizeValue(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`… [${value.length} items]`);
+    return items;
+  }
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [key, inner] of Object.entries(value)) {
+      const normalized = normalizeValue(inner, depth + 1);
+      if (normalized !== undefined) out[key] = normalized;
+    }
+    return out;
+  }
+  return String(value);
+}
+
+export function normalizeAuditArgs(args, { redactQueries = false } = {}) {
+  const out = {};
+  for (const key of Object.keys(args || {}).sort()) {
+    const value = args[key];
+    if (value === undefined) continue;
+    if (redactQueries && QUERY_KEYS.has(key) && typeof value === 'string') {
+      out[key] = redactValue(value);
+      continue;
+    }
+    out[key] = normalizeValue(value, 0);
+  }
+  return out;
+}
+
+export function collectResolvedPaths(args, data) {
+  const paths = new Set();
+  for (const [key, value] of Object.entries(args || {})) {
+    if (typeof value !== 'string' || !value) continue;
+    if (key === 'path' || key.endsWith('_path')) {
+      paths.add(path.resolve(expandHome(value)));
+    }
+  }
+  if (data && typeof data === 'object' && typeof data.path === 'string' && path.isAbsolute(data.path)) {
+    paths.add(data.path);
+  }
+  return Array.from(paths);
+}
+
+export function matchesAuditFilter(entry, { tool, since, errorsOnly } = {}) {
+  if (!entry || typeof entry !== 'object') return false;
+  if (tool && entry.tool !== tool && !String(entry.tool || '').includes(tool)) return false;
+  if (since && String(entry.ts || '') < since) return false;
+  if (errorsOnly && !entry.error) return false;
+  return true;
+}
@@ -0,0 +1,110 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  normalizeAuditArgs,
+  collectResolvedPaths,
+  matchesAuditFilter
+} from './helpers.js';
+
+export class AuditLogService {
+  constructor({
+    enabled,
+    logPath,
+    maxBytes,
+    maxFiles,
+    redactQueries
+  }) {
+    this.enabled = enabled;
+    this.logPath = logPath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.redactQueries = redactQueries;
+    this.writeFailed = false;
+  }
+
+  rotatedPath(index) {
+    return `${this.logPath}.${index}`;
+  }
+
+  listLogFiles() {
+    const files = [];
+    for (let i = this.maxFiles; i >= 1; i -= 1) {
+      if (fs.existsSync(this.rotatedPath(i))) files.push(this.rotatedPath(i));
+    }
+    if (fs.existsSync(this.logPath)) files.push(this.logPath);
+    return files;
+  }
+
+  rotateIfNeeded(incomingBytes) {
+    let size;
+    try {
+      size = fs.statSync(this.logPath).size;
+    } catch {
+      return;
+    }
+    if (size === 0 || size + incomingBytes <= this.maxBytes) return;
+
+    fs.rmSync(this.rotatedPath(this.maxFiles), { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i -= 1) {
+      if (fs.existsSync(this.rotatedPath(i))) {
+        fs.renameSync(this.rotatedPath(i), this.rotatedPath(i + 1));
+      }
+    }
+    fs.renameSync(this.logPath, this.rotatedPath(1));
+  }
+
+  buildEntry({ tool, args, data, error, durationMs, resultBytes, sessionId }) {
+    return {
+      ts: new Date().toISOString(),
+      tool,
+      args: normalizeAuditArgs(args, { redactQueries: this.redactQueries }),
+      paths: collectResolvedPaths(args, data),
+      result_bytes: resultBytes ?? 0,
+      duration_ms: Math.max(0, Math.round(durationMs || 0)),
+      error: error ? String(error?.message || error) : null,
+      ...(sessionId ? { session: sessionId } : {})
+    };
+  }
+
+  // Auditing must never break a tool call, so write failures are reported once and swallowed.
+  record(input) {
+    if (!this.enabled) return null;
+    try {
+      const entry = this.buildEntry(input);
+      const line = `${JSON.stringify(entry)}\n`;
+      fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+      this.rotateIfNeeded(Buffer.byteLength(line));
+      fs.appendFileSync(this.logPath, line, { encoding: 'utf8', mode: 0o600 });
+      return entry;
+    } catch (error) {
+      if (!this.writeFailed) {
+        this.writeFailed = true;
+        process.stderr.write(`[localnest-audit] write failed: ${error?.message || error}\n`);
+      }
+      return null;
+    }
+  }
+
+  readEntries({ limit = 50, tool, since, errorsOnly } = {}) {
+    const matches = [];
+    for (const filePath of this.listLogFiles()) {
+      let raw;
+      try {
+        raw = fs.readFileSync(filePath, 'utf8');
+      } catch {
+        continue;
+      }
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (matchesAuditFilter(entry, { tool, since, errorsOnly })) matches.push(entry);
+      }
+    }
+    return limit > 0 ? matches.slice(-limit) : matches;
+  }
+}
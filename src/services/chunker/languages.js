@@ -56,8 +56,8 @@ export const DECL_TYPES_BY_LANG = {
 
 export const LANGUAGE_LOADERS = {
   javascript: async () => { const mod = await import('tree-sitter-javascript'); return mod.default || mod; },
-  typescript: async () => { const mod = await import('tree-sitter-typescript'); return mod.typescript; },
-  tsx: async () => { const mod = await import('tree-sitter-typescript'); return mod.tsx; },
+  typescript: async () => { const mod = await import('tree-sitter-typescript'); return (mod.default || mod).typescript; },
+  tsx: async () => { const mod = await import('tree-sitter-typescript'); return (mod.default || mod).tsx; },
   python: async () => { const mod = await import('tree-sitter-python'); return mod.default || mod; },
   go: async () => { const mod = await import('tree-sitter-go'); return mod.default || mod; },
   rust: async () => { const mod = await import('tree-sitter-rust'); return mod.default || mod; },
@@ -1,11 +1,14 @@
 import { LANG_BY_EXT, DECL_TYPES_BY_LANG, LANGUAGE_LOADERS, getExt } from './languages.js';
 import { summarizeImports, buildScopePath, makeLineSlices } from './ast-utils.js';
+import { collectDefinitions, collectSymbols } from '../code-intel/definitions.js';
+import { collectCalls } from '../code-intel/calls.js';
 
 export class AstChunker {
   constructor() {
     this.parserModulePromise = null;
     this.languagePromises = new Map();
     this.parserByLanguage = new Map();
+    this.queryCache = new Map();
     this.treeSitterUnavailable = false;
     this.activeLanguages = new Set();
     this.fallbackLanguages = new Set();
@@ -65,6 +68,29 @@ export class AstChunker {
     return parser;
   }
 
+  // Returns the syntax tree, or null when the language has no usable grammar.
+  async parse(languageId, text) {
+    const parser = await this.getParser(languageId);
+    if (!parser) return null;
+    return parser.parse(String(text || ''));
+  }
+
+  // Compiled queries are cached per language; an invalid query throws the
+  // tree-sitter error so callers can report which grammar rejected it.
+  async getQuery(languageId, source) {
+    const key = `${languageId}\0${source}`;
+    if (this.queryCache.has(key)) return this.queryCache.get(key);
+
+    const parserModule = await this.getParserModule();
+    const language = parserModule ? await this.getLanguage(languageId) : null;
+    if (!language) return null;
+    const Parser = parserModule.default || parserModule;
+    const query = new Parser.Query(language, source);
+    if (this.queryCache.size >= 64) this.queryCache.delete(this.queryCache.keys().next().value);
+    this.queryCache.set(key, query);
+    return query;
+  }
+
   collectCandidateNodes(root, languageId) {
     const declTypes = DECL_TYPES_BY_LANG[languageId] || new Set();
     const nodes = [];
@@ -82,20 +108,21 @@ export class AstChunker {
     return nodes;
   }
 
-  toAstSlices({ filePath, text, chunkLines, chunkOverlap }) {
+  toAstSlices({ filePath, text, chunkLines, chunkOverlap, tree }) {
     const languageId = this.resolveLanguageId(filePath);
     if (!languageId) return null;
 
-    return this.buildAstSlices({ filePath, text, chunkLines, chunkOverlap, languageId });
+    return this.buildAstSlices({ filePath, text, chunkLines, chunkOverlap, languageId, tree });
   }
 
-  async buildAstSlices({ text, chunkLines, chunkOverlap, languageId }) {
+  // `tree` lets callers that already parsed the file skip a second parse.
+  async buildAstSlices({ text, chunkLines, chunkOverlap, languageId, tree: parsedTree = null }) {
     try {
       const parser = await this.getParser(languageId);
       if (!parser) return null;
 
       const lines = String(text || '').split(/\r?\n/);
-      const tree = parser.parse(String(text || ''));
+      const tree = parsedTree || parser.parse(String(text || ''));
       const root = tree?.rootNode;
       if (!root) return null;
 
@@ -182,9 +209,9 @@ export class AstChunker {
     }
   }
 
-  async chunk({ filePath, text, chunkLines, chunkOverlap }) {
+  async chunk({ filePath, text, chunkLines, chunkOverlap, tree }) {
     const lines = String(text || '').split(/\r?\n/);
-    const astSlices = await this.toAstSlices({ filePath, text, chunkLines, chunkOverlap });
+    const astSlices = await this.toAstSlices({ filePath, text, chunkLines, chunkOverlap, tree });
     if (Array.isArray(astSlices) && astSlices.length > 0) return astSlices;
     const languageId = this.resolveLanguageId(filePath);
     if (languageId) this.fallbackLanguages.add(languageId);
@@ -193,6 +220,33 @@ export class AstChunker {
     return fallback;
   }
 
+  // Chunks a file and extracts its declarations and call sites from a single
+  // parse. `symbols`/`calls` are [] for files outside every grammar (nothing
+  // to record) and null when the language is known but its grammar is
+  // unavailable.
+  async analyze({ filePath, text, chunkLines, chunkOverlap }) {
+    const languageId = this.resolveLanguageId(filePath);
+    let tree = null;
+    let symbols = languageId ? null : [];
+    let calls = symbols;
+    if (languageId) {
+      try {
+        tree = await this.parse(languageId, text);
+        if (tree) {
+          const definitions = collectDefinitions(tree.rootNode, languageId);
+          symbols = collectSymbols(tree.rootNode, languageId, String(text || ''), definitions);
+          calls = collectCalls(tree.rootNode, languageId, definitions);
+        }
+      } catch {
+        tree = null;
+        symbols = null;
+        calls = null;
+      }
+    }
+    const slices = await this.chunk({ filePath, text, chunkLines, chunkOverlap, tree });
+    return { slices, symbols, calls };
+  }
+
   getStatus() {
     return {
       enabled: !this.treeSitterUnavailable,
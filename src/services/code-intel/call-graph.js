@@ -0,0 +1,86 @@
+// Breadth-first walk over the call sites persisted by the code index. Edges
+// are matched by name, so same-named functions in different files share
+// callers; `definitions` on outgoing edges lists where a callee may live.
+
+const MAX_CALLEE_DEFINITIONS = 3;
+
+export function scopeMatches(scopePath, container) {
+  return scopePath === container || scopePath.endsWith(` > ${container}`);
+}
+
+function toDefinition(symbol) {
+  return {
+    file: symbol.file,
+    line: symbol.line,
+    kind: symbol.kind,
+    ...(symbol.scope_path ? { scope_path: symbol.scope_path } : {})
+  };
+}
+
+function walk({ index, bases, name, container, by, depth, maxEdges, resolveCallee }) {
+  const edges = [];
+  const seen = new Set([name]);
+  let frontier = [name];
+  let truncated = false;
+
+  for (let level = 1; level <= depth && frontier.length > 0 && !truncated; level += 1) {
+    const { calls } = index.findCalls({ names: frontier, by, bases });
+    const next = [];
+    for (const call of calls) {
+      // `Store.load` narrows the starting function to that class.
+      if (level === 1 && container && by === 'caller' && !scopeMatches(call.caller_scope, container)) continue;
+      if (edges.length >= maxEdges) {
+        truncated = true;
+        break;
+      }
+      const edge = {
+        depth: level,
+        caller: call.caller || '<module>',
+        ...(call.caller_scope ? { caller_scope: call.caller_scope } : {}),
+        callee: call.callee,
+        ...(call.qualifier ? { qualifier: call.qualifier } : {}),
+        file: call.file,
+        line: call.line,
+        column: call.column,
+        dynamic: call.dynamic
+      };
+      if (by === 'caller') {
+        const definitions = call.dynamic ? [] : resolveCallee(call.callee);
+        edge.resolved = definitions.length > 0;
+        if (definitions.length > 0) edge.definitions = definitions;
+      }
+      edges.push(edge);
+
+      const nextName = by === 'caller' ? (call.dynamic ? '' : call.callee) : call.caller;
+      if (nextName && !seen.has(nextName)) {
+        seen.add(nextName);
+        next.push(nextName);
+      }
+    }
+    frontier = next;
+  }
+  return { edges, truncated };
+}
+
+/**
+ * Incoming (who calls `name`) and outgoing (what `name` calls) edges up to
+ * `depth` hops. `index` is a code index exposing findSymbols/findCalls.
+ */
+export function buildCallGraph({ index, bases, name, container = null, direction = 'both', depth = 2, maxEdges = 200 }) {
+  const definitionCache = new Map();
+  const resolveCallee = (callee) => {
+    if (!definitionCache.has(callee)) {
+      const { symbols } = index.findSymbols({ name: callee, bases, caseSensitive: true });
+      definitionCache.set(callee, symbols.slice(0, MAX_CALLEE_DEFINITIONS).map(toDefinition));
+    }
+    return definitionCache.get(callee);
+  };
+  const options = { index, bases, name, container, depth, maxEdges, resolveCallee };
+  const incoming = direction === 'outgoing' ? null : walk({ ...options, by: 'callee' });
+  const outgoing = direction === 'incoming' ? null : walk({ ...options, by: 'caller' });
+  return {
+    ...(incoming ? { incoming: incoming.edges } : {}),
+    ...(outgoing ? { outgoing: outgoing.edges } : {}),
+    truncated: Boolean(incoming?.truncated || outgoing?.truncated)
+  };
+}
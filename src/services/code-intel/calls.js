@@ -0,0 +1,115 @@
+// Call sites per file, attributed to the nearest named enclosing function.
+// Callees that are not a plain or qualified name (`handlers[type]()`,
+// `makeFn()()`, calls through a parameter) are kept and flagged `dynamic`.
+import { resolveLocal, scopePathOf, splitQualified } from './definitions.js';
+
+const IDENTIFIER = /identifier$/;
+const CALL_TYPES = new Set([
+  'call_expression', 'call', 'new_expression', 'method_invocation', 'invocation_expression',
+  'object_creation_expression', 'function_call_expression', 'member_call_expression'
+]);
+const METHOD_CALL_TYPES = new Set(['method_invocation', 'member_call_expression']);
+const FUNCTION_TYPES = new Set([
+  'function_declaration', 'generator_function_declaration', 'function_expression', 'function',
+  'generator_function', 'arrow_function', 'method_definition', 'function_definition', 'method_declaration',
+  'constructor_declaration', 'func_literal', 'function_item', 'method', 'singleton_method', 'lambda'
+]);
+// Parents that name an anonymous function: `const f = () => {}`, `{ f: function () {} }`.
+const NAMING_PARENTS = new Set([
+  'variable_declarator', 'assignment', 'pair', 'public_field_definition', 'field_definition'
+]);
+// Call-like nodes that are not calls to user code.
+const IGNORED_TARGETS = new Set(['super', 'import']);
+const MAX_CALLEE_LENGTH = 80;
+
+function compact(text) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > MAX_CALLEE_LENGTH ? `${flat.slice(0, MAX_CALLEE_LENGTH)}…` : flat;
+}
+
+function nodeKey(node) {
+  return `${node.startIndex}:${node.endIndex}:${node.type}`;
+}
+
+function callTarget(node) {
+  return node.childForFieldName('function')
+    || node.childForFieldName('constructor')
+    || node.childForFieldName('type')
+    || null;
+}
+
+function describeCallee(node, definitionsByName) {
+  // Java/PHP `obj.name(...)` and Ruby `receiver.method` carry the name on the call itself.
+  const method = METHOD_CALL_TYPES.has(node.type) ? node.childForFieldName('name') : node.childForFieldName('method');
+  if (method) {
+    const receiver = node.childForFieldName('object') || node.childForFieldName('receiver');
+    if (IDENTIFIER.test(method.type)) {
+      return { callee: method.text, qualifier: receiver ? compact(receiver.text) : null, dynamic: false };
+    }
+    return { callee: compact(method.text), qualifier: null, dynamic: true };
+  }
+
+  const target = callTarget(node);
+  if (!target) return { callee: compact(node.text), qualifier: null, dynamic: true };
+  if (IGNORED_TARGETS.has(target.type)) return null;
+  if (IDENTIFIER.test(target.type)) {
+    const local = resolveLocal(definitionsByName.get(target.text) || [], target, target.text);
+    return { callee: target.text, qualifier: null, dynamic: local?.kind === 'parameter' };
+  }
+  const parts = splitQualified(target);
+  if (parts?.member && IDENTIFIER.test(parts.member.type)) {
+    return { callee: parts.member.text, qualifier: parts.qualifier ? compact(parts.qualifier.text) : null, dynamic: false };
+  }
+  return { callee: compact(target.text), qualifier: null, dynamic: true };
+}
+
+function callerOf(node, definitionsByNode) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (!FUNCTION_TYPES.has(current.type)) continue;
+    const own = definitionsByNode.get(nodeKey(current));
+    if (own) return own;
+    if (current.parent && NAMING_PARENTS.has(current.parent.type)) {
+      const named = definitionsByNode.get(nodeKey(current.parent));
+      if (named) return named;
+    }
+  }
+  return null;
+}
+
+/**
+ * Every call site in the tree as `{ caller, caller_scope, callee, qualifier,
+ * line, column, dynamic }`. `caller` is empty for module-level calls; for a
+ * dynamic call `callee` holds the (shortened) call target expression.
+ */
+export function collectCalls(root, languageId, definitions) {
+  const definitionsByNode = new Map();
+  const definitionsByName = new Map();
+  for (const def of definitions) {
+    if (def.kind !== 'parameter') definitionsByNode.set(nodeKey(def.node), def);
+    if (def.member) continue;
+    if (!definitionsByName.has(def.name)) definitionsByName.set(def.name, []);
+    definitionsByName.get(def.name).push(def);
+  }
+
+  const out = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    for (let i = node.namedChildren.length - 1; i >= 0; i -= 1) stack.push(node.namedChildren[i]);
+    if (!CALL_TYPES.has(node.type)) continue;
+
+    const callee = describeCallee(node, definitionsByName);
+    if (!callee) continue;
+    const caller = callerOf(node, definitionsByNode);
+    out.push({
+      caller: caller ? caller.name : '',
+      caller_scope: caller ? scopePathOf(caller, languageId) : '',
+      callee: callee.callee,
+      qualifier: callee.qualifier || '',
+      line: node.startPosition.row + 1,
+      column: node.startPosition.column + 1,
+      dynamic: callee.dynamic
+    });
+  }
+  return out;
+}
@@ -0,0 +1,391 @@
+// Language-aware definition and reference helpers over tree-sitter trees.
+// Node type names follow the bundled grammars; anything not listed here falls
+// back to the chunker's declaration types with a `name` field.
+import { DECL_TYPES_BY_LANG } from '../chunker/languages.js';
+import { buildScopePath } from '../chunker/ast-utils.js';
+
+const IDENTIFIER = /identifier$/;
+const JS_LIKE = new Set(['javascript', 'typescript', 'tsx']);
+
+const KIND_BY_TYPE = {
+  function_declaration: 'function',
+  generator_function_declaration: 'function',
+  function_definition: 'function',
+  function_item: 'function',
+  method_definition: 'method',
+  method_declaration: 'method',
+  constructor_declaration: 'method',
+  class_declaration: 'class',
+  abstract_class_declaration: 'class',
+  class_definition: 'class',
+  class_specifier: 'class',
+  interface_declaration: 'interface',
+  type_alias_declaration: 'type',
+  type_spec: 'type',
+  enum_declaration: 'enum',
+  variable_declarator: 'variable',
+  public_field_definition: 'field',
+  assignment: 'variable',
+  var_spec: 'variable',
+  const_spec: 'constant',
+  short_var_declaration: 'variable'
+};
+
+const DEFINITION_TYPES = {
+  javascript: [
+    'function_declaration', 'generator_function_declaration', 'class_declaration', 'method_definition',
+    'variable_declarator', 'field_definition'
+  ],
+  typescript: [
+    'function_declaration', 'generator_function_declaration', 'class_declaration', 'abstract_class_declaration',
+    'method_definition', 'interface_declaration', 'type_alias_declaration', 'enum_declaration',
+    'variable_declarator', 'public_field_definition'
+  ],
+  python: ['function_definition', 'class_definition', 'assignment'],
+  go: ['function_declaration', 'method_declaration', 'type_spec', 'const_spec', 'var_spec', 'short_var_declaration']
+};
+DEFINITION_TYPES.tsx = DEFINITION_TYPES.typescript;
+
+// Nodes that open a new lexical scope for the definitions inside them.
+const SCOPE_TYPES = new Set([
+  'function_declaration', 'generator_function_declaration', 'function_expression', 'function', 'arrow_function',
+  'method_definition', 'function_definition', 'method_declaration', 'func_literal', 'function_item',
+  'class_declaration', 'abstract_class_declaration', 'class_definition', 'class', 'class_specifier',
+  'interface_declaration'
+]);
+const CLASS_TYPES = new Set([
+  'class_declaration', 'abstract_class_declaration', 'class_definition', 'class', 'class_specifier',
+  'interface_declaration'
+]);
+const PARAMETER_LIST_TYPES = new Set(['formal_parameters', 'parameters', 'parameter_list', 'lambda_parameters']);
+
+// `a.b` style parents: [qualifier field, member field].
+const QUALIFIED_FIELDS = {
+  member_expression: ['object', 'property'],
+  attribute: ['object', 'attribute'],
+  selector_expression: ['operand', 'field'],
+  qualified_type: ['package', 'name'],
+  nested_type_identifier: ['module', 'name'],
+  field_access: ['object', 'field'],
+  method_invocation: ['object', 'name'],
+  scoped_identifier: ['path', 'name']
+};
+
+const SELF_QUALIFIERS = new Set(['this', 'self', 'cls', 'super']);
+
+export function sameNode(a, b) {
+  return Boolean(a && b) && a.startIndex === b.startIndex && a.endIndex === b.endIndex && a.type === b.type;
+}
+
+export function contains(outer, inner) {
+  return outer.startIndex <= inner.startIndex && outer.endIndex >= inner.endIndex;
+}
+
+function namedFieldChildren(node, field) {
+  return node.childrenForFieldName(field).filter((child) => child.isNamed);
+}
+
+function enclosing(node, types) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (types.has(current.type)) return current;
+  }
+  return null;
+}
+
+function classNameOf(classNode) {
+  return classNode?.childForFieldName('name')?.text || null;
+}
+
+function nameNodesOf(node) {
+  switch (node.type) {
+    case 'variable_declarator': {
+      const name = node.childForFieldName('name');
+      return name && IDENTIFIER.test(name.type) ? [name] : [];
+    }
+    case 'assignment': {
+      const left = node.childForFieldName('left');
+      return left?.type === 'identifier' ? [left] : [];
+    }
+    case 'const_spec':
+    case 'var_spec':
+      return namedFieldChildren(node, 'name');
+    case 'short_var_declaration':
+      return (node.childForFieldName('left')?.namedChildren || []).filter((child) => child.type === 'identifier');
+    case 'field_definition':
+      return [node.childForFieldName('property')].filter(Boolean);
+    default: {
+      const name = node.childForFieldName('name');
+      return name ? [name] : [];
+    }
+  }
+}
+
+function parameterNameNodes(params) {
+  const out = [];
+  for (const child of params.namedChildren) {
+    if (IDENTIFIER.test(child.type)) {
+      out.push(child);
+      continue;
+    }
+    const names = [
+      ...namedFieldChildren(child, 'name'),
+      child.childForFieldName('pattern'),
+      child.childForFieldName('left')
+    ].filter(Boolean);
+    const direct = names.length > 0 ? names : child.namedChildren.slice(0, 1);
+    out.push(...direct.filter((item) => IDENTIFIER.test(item.type)));
+  }
+  return out;
+}
+
+function isExported(node, name, languageId) {
+  if (JS_LIKE.has(languageId)) {
+    for (let current = node.parent; current; current = current.parent) {
+      if (current.type === 'export_statement') return true;
+      if (SCOPE_TYPES.has(current.type)) return false;
+    }
+    return false;
+  }
+  if (languageId === 'go') return /^[A-Z]/.test(name);
+  if (languageId === 'python') return !name.startsWith('_');
+  return true;
+}
+
+/**
+ * Every named definition in the tree, including parameters and locals.
+ * `scope` is the nearest enclosing function or class node (null at file
+ * level); `member` marks class members, which are only reachable through a
+ * qualifier such as `this.` or `self.`.
+ */
+export function collectDefinitions(root, languageId) {
+  const types = new Set(DEFINITION_TYPES[languageId] || DECL_TYPES_BY_LANG[languageId] || []);
+  const out = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    for (let i = node.namedChildren.length - 1; i >= 0; i -= 1) stack.push(node.namedChildren[i]);
+
+    if (PARAMETER_LIST_TYPES.has(node.type) && node.parent && SCOPE_TYPES.has(node.parent.type)) {
+      for (const nameNode of parameterNameNodes(node)) {
+        out.push({
+          name: nameNode.text,
+          kind: 'parameter',
+          node: nameNode,
+          nameNode,
+          scope: node.parent,
+          container: null,
+          member: false,
+          exported: false
+        });
+      }
+      continue;
+    }
+    if (!types.has(node.type)) continue;
+    // Python `x = 1` inside an expression statement only; skip `a.b = 1`.
+    if (node.type === 'assignment' && node.parent?.type !== 'expression_statement') continue;
+
+    const scope = enclosing(node, SCOPE_TYPES);
+    const classNode = scope && CLASS_TYPES.has(scope.type) ? scope : null;
+    for (const nameNode of nameNodesOf(node)) {
+      const name = nameNode.text;
+      let kind = KIND_BY_TYPE[node.type] || 'definition';
+      if (kind === 'function' && classNode) kind = 'method';
+      if (languageId === 'go' && node.type === 'method_declaration') kind = 'method';
+      out.push({
+        name,
+        kind,
+        node,
+        nameNode,
+        scope,
+        container: classNode ? classNameOf(classNode) : goReceiverType(node),
+        member: Boolean(classNode) || node.type === 'method_declaration',
+        exported: !scope && isExported(node, name, languageId)
+      });
+    }
+  }
+  return out;
+}
+
+function goReceiverType(node) {
+  if (node.type !== 'method_declaration') return null;
+  const receiver = node.childForFieldName('receiver');
+  const match = receiver?.text.match(/([A-Za-z_]\w*)\s*(?:\[[^\]]*\])?\s*\)$/);
+  return match ? match[1] : null;
+}
+
+export function findIdentifierAt(root, { line, column, symbol }) {
+  const row = line - 1;
+  if (column) {
+    const node = root.namedDescendantForPosition({ row, column: column - 1 });
+    return node && IDENTIFIER.test(node.type) ? node : null;
+  }
+  const stack = [root];
+  const candidates = [];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.startPosition.row > row || node.endPosition.row < row) continue;
+    if (IDENTIFIER.test(node.type) && node.startPosition.row === row) candidates.push(node);
+    for (let i = node.namedChildren.length - 1; i >= 0; i -= 1) stack.push(node.namedChildren[i]);
+  }
+  candidates.sort((a, b) => a.startIndex - b.startIndex);
+  return symbol ? candidates.find((node) => node.text === symbol) || null : candidates[0] || null;
+}
+
+// `{ qualifier, member }` nodes of a qualified expression such as `a.b`, or null.
+export function splitQualified(node) {
+  const fields = QUALIFIED_FIELDS[node.type];
+  if (!fields) return null;
+  return { qualifier: node.childForFieldName(fields[0]), member: node.childForFieldName(fields[1]) };
+}
+
+// Splits `ns.member` into its parts; `qualifier` is null for bare names.
+export function describeReference(node) {
+  const parent = node.parent;
+  const fields = parent ? QUALIFIED_FIELDS[parent.type] : null;
+  if (fields && sameNode(parent.childForFieldName(fields[1]), node)) {
+    const qualifierNode = parent.childForFieldName(fields[0]);
+    const qualifier = qualifierNode ? qualifierNode.text.replace(/\s+/g, '') : null;
+    return {
+      name: node.text,
+      qualifier,
+      selfQualified: SELF_QUALIFIERS.has(qualifier),
+      enclosingClass: classNameOf(enclosing(node, CLASS_TYPES))
+    };
+  }
+  return { name: node.text, qualifier: null, selfQualified: false, enclosingClass: null };
+}
+
+// Picks the binding visible at `reference`: the innermost enclosing scope
+// wins, and within one scope the nearest preceding definition.
+export function resolveLocal(definitions, reference, name) {
+  const own = definitions.find((def) => sameNode(def.nameNode, reference));
+  if (own) return own;
+  const visible = definitions.filter((def) => def.name === name
+    && !def.member
+    && (!def.scope || contains(def.scope, reference)));
+  visible.sort((a, b) => {
+    const depth = (b.scope?.startIndex ?? -1) - (a.scope?.startIndex ?? -1);
+    if (depth !== 0) return depth;
+    const aBefore = a.nameNode.startIndex <= reference.startIndex;
+    const bBefore = b.nameNode.startIndex <= reference.startIndex;
+    if (aBefore !== bBefore) return aBefore ? -1 : 1;
+    return aBefore ? b.nameNode.startIndex - a.nameNode.startIndex : a.nameNode.startIndex - b.nameNode.startIndex;
+  });
+  return visible[0] || null;
+}
+
+function headerEnd(node) {
+  const body = node.childForFieldName('body');
+  if (body) return body.startIndex;
+  const value = node.childForFieldName('value');
+  const valueBody = value?.childForFieldName('body');
+  return valueBody ? valueBody.startIndex : node.endIndex;
+}
+
+// The declaration up to its body, on one line: `async function load(url)`,
+// `class UserRepo extends BaseRepo implements Repository`, `def f(a, b)`.
+export function signatureOf(def, source) {
+  const { node } = def;
+  if (def.kind === 'parameter') return node.parent?.text?.split('\n')[0].trim() || node.text;
+  const declaration = node.type === 'variable_declarator' && node.parent ? node.parent : node;
+  let start = declaration.parent?.type === 'export_statement' ? declaration.parent.startIndex : declaration.startIndex;
+  let end = headerEnd(node);
+  if (end === node.endIndex) {
+    const newline = source.indexOf('\n', start);
+    if (newline !== -1 && newline < end) end = newline;
+  }
+  const text = source.slice(start, end)
+    .replace(/\s+/g, ' ')
+    .replace(/\s*(\{|:|=>)\s*$/, '')
+    .trim();
+  return text.length > 300 ? `${text.slice(0, 300)}…` : text;
+}
+
+export function toLocation(def, filePath, source) {
+  const target = def.nameNode || def.node;
+  return {
+    file: filePath,
+    name: def.name,
+    kind: def.kind,
+    ...(def.container ? { container: def.container } : {}),
+    line: target.startPosition.row + 1,
+    column: target.startPosition.column + 1,
+    start_line: def.node.startPosition.row + 1,
+    end_line: def.node.endPosition.row + 1,
+    signature: signatureOf(def, source)
+  };
+}
+
+export function scopePathOf(def, languageId) {
+  return def.scope ? buildScopePath(def.scope, languageId) : def.container || '';
+}
+
+// Nodes that wrap a declaration without adding a scope of their own.
+const WRAPPER_TYPES = new Set(['export_statement', 'decorated_definition']);
+// Single-declaration statements such as `const a = 1` or Python `a = 1`.
+const DECLARATION_STATEMENT = /declaration$|^expression_statement$/;
+// Siblings that belong to the declaration that follows them.
+const LEADING_TYPES = /comment$|^decorator$|^attribute_item$|annotation$/;
+
+/**
+ * Line span of a definition as written in the file: the whole statement for
+ * `const f = ...`, any `export`/decorator wrapper, and the doc comments,
+ * decorators and attributes directly above it. Rows are zero-based.
+ */
+export function declarationRange(def) {
+  let node = def.node;
+  const statement = node.parent;
+  if (statement && DECLARATION_STATEMENT.test(statement.type)
+    && statement.namedChildren.filter((child) => !/comment$/.test(child.type)).length === 1) {
+    node = statement;
+  }
+  while (node.parent && WRAPPER_TYPES.has(node.parent.type)) node = node.parent;
+
+  let startRow = node.startPosition.row;
+  for (let prev = node.previousNamedSibling; prev && LEADING_TYPES.test(prev.type); prev = prev.previousNamedSibling) {
+    if (prev.endPosition.row < startRow - 1) break;
+    // A trailing comment on the previous statement's line is not documentation.
+    if (prev.previousSibling && prev.previousSibling.endPosition.row === prev.startPosition.row
+      && !LEADING_TYPES.test(prev.previousSibling.type)) break;
+    startRow = prev.startPosition.row;
+  }
+  return { startRow, endRow: node.endPosition.row };
+}
+
+// Lines of a class declaration up to the opening of its body.
+export function classHeaderRange(classDef) {
+  const { startRow } = declarationRange(classDef);
+  const body = classDef.node.childForFieldName('body');
+  if (!body) return { startRow, endRow: classDef.node.startPosition.row };
+  const opensBody = body.text.startsWith('{') || !body.previousSibling;
+  return { startRow, endRow: opensBody ? body.startPosition.row : body.previousSibling.endPosition.row };
+}
+
+export function isSymbolDefinition(def) {
+  return def.kind !== 'parameter' && (!def.scope || CLASS_TYPES.has(def.scope.type));
+}
+
+/**
+ * Declarations worth persisting in the symbol table: file-level definitions
+ * and class members, without parameters or function locals. `scope_path` is
+ * the enclosing class chain (`Outer > Inner`), or the receiver type for Go
+ * methods.
+ */
+export function collectSymbols(root, languageId, source, definitions = collectDefinitions(root, languageId)) {
+  return definitions
+    .filter(isSymbolDefinition)
+    .map((def) => {
+      const location = toLocation(def, null, source);
+      return {
+        name: def.name,
+        kind: def.kind,
+        scope_path: scopePathOf(def, languageId),
+        start_line: location.start_line,
+        end_line: location.end_line,
+        line: location.line,
+        column: location.column,
+        exported: def.exported,
+        signature: location.signature
+      };
+    });
+}
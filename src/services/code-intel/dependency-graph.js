@@ -0,0 +1,176 @@
+// Module-level dependency analysis over resolved imports: fan-in/fan-out,
+// import cycles (strongly connected components), orphans and external
+// packages, plus Mermaid and DOT renderings.
+
+const MAX_CYCLES = 50;
+
+// Package name an unresolved, non-relative specifier belongs to.
+export function externalPackageName(languageId, specifier) {
+  const spec = String(specifier || '');
+  if (languageId === 'javascript' || languageId === 'typescript' || languageId === 'tsx') {
+    if (spec.startsWith('node:')) return spec;
+    const parts = spec.split('/');
+    return spec.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  }
+  if (languageId === 'go') return spec;
+  if (languageId === 'rust') return spec.replace(/^::/, '').split('::')[0];
+  if (languageId === 'java' || languageId === 'kotlin' || languageId === 'scala') {
+    return spec.split('.').slice(0, -1).join('.') || spec;
+  }
+  if (languageId === 'dart') {
+    const match = spec.match(/^(package|dart):([^/]+)/);
+    return match ? (match[1] === 'dart' ? `dart:${match[2]}` : match[2]) : spec;
+  }
+  return spec.split(/[./]/)[0];
+}
+
+// Iterative Tarjan: components of size > 1, or single files importing themselves.
+function findCycles(ids, adjacency) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  for (const start of ids) {
+    if (index.has(start)) continue;
+    const work = [{ node: start, next: 0 }];
+    index.set(start, counter);
+    low.set(start, counter);
+    counter += 1;
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const targets = adjacency.get(frame.node);
+      if (frame.next < targets.length) {
+        const target = targets[frame.next];
+        frame.next += 1;
+        if (!index.has(target)) {
+          index.set(target, counter);
+          low.set(target, counter);
+          counter += 1;
+          stack.push(target);
+          onStack.add(target);
+          work.push({ node: target, next: 0 });
+        } else if (onStack.has(target)) {
+          low.set(frame.node, Math.min(low.get(frame.node), index.get(target)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.node)));
+      }
+      if (low.get(frame.node) !== index.get(frame.node)) continue;
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== frame.node);
+      if (component.length > 1 || targets.includes(frame.node)) cycles.push(component.sort());
+    }
+  }
+  return cycles.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+/**
+ * `modules` is `[{ id, language, targets: Set<id>, externals: Set<name>,
+ * unresolved: [specifier] }]` with ids unique per file. Orphans import and
+ * are imported by nothing inside the scope; entry points are imported by
+ * nothing but import something.
+ */
+export function analyzeDependencies(modules) {
+  const ids = modules.map((item) => item.id);
+  const known = new Set(ids);
+  const adjacency = new Map();
+  const fanIn = new Map(ids.map((id) => [id, 0]));
+  const edges = [];
+  const packages = new Map();
+
+  for (const item of modules) {
+    const targets = Array.from(item.targets).filter((target) => known.has(target)).sort();
+    adjacency.set(item.id, targets);
+    for (const target of targets) {
+      edges.push({ from: item.id, to: target });
+      fanIn.set(target, fanIn.get(target) + 1);
+    }
+    for (const name of item.externals) {
+      if (!packages.has(name)) packages.set(name, new Set());
+      packages.get(name).add(item.id);
+    }
+  }
+
+  const nodes = modules.map((item) => ({
+    file: item.id,
+    language: item.language,
+    fan_in: fanIn.get(item.id),
+    fan_out: adjacency.get(item.id).length,
+    ...(item.externals.size > 0 ? { external: Array.from(item.externals).sort() } : {})
+  }));
+  const cycles = findCycles(ids, adjacency);
+  return {
+    nodes: nodes.sort((a, b) => b.fan_in - a.fan_in || b.fan_out - a.fan_out || a.file.localeCompare(b.file)),
+    edges,
+    cycles: cycles.slice(0, MAX_CYCLES),
+    cycles_truncated: cycles.length > MAX_CYCLES,
+    orphans: nodes.filter((node) => node.fan_in === 0 && node.fan_out === 0).map((node) => node.file).sort(),
+    entry_points: nodes.filter((node) => node.fan_in === 0 && node.fan_out > 0).map((node) => node.file).sort(),
+    external_packages: Array.from(packages.entries())
+      .map(([name, importers]) => ({ name, importers: importers.size }))
+      .sort((a, b) => b.importers - a.importers || a.name.localeCompare(b.name)),
+    unresolved: modules.flatMap((item) => item.unresolved.map((specifier) => ({ file: item.id, specifier })))
+  };
+}
+
+function externalEdges(graph) {
+  return graph.nodes.flatMap((node) => (node.external || []).map((name) => ({ from: node.file, to: name })));
+}
+
+function quoteMermaid(text) {
+  return `"${String(text).replace(/"/g, '#quot;')}"`;
+}
+
+export function renderMermaid(graph, { includeExternal = false } = {}) {
+  const ids = new Map();
+  const lines = ['graph LR'];
+  const idFor = (key, label, external) => {
+    if (!ids.has(key)) {
+      const id = `n${ids.size}`;
+      ids.set(key, id);
+      lines.push(external ? `  ${id}([${quoteMermaid(label)}])` : `  ${id}[${quoteMermaid(label)}]`);
+    }
+    return ids.get(key);
+  };
+  for (const node of graph.nodes) idFor(`file:${node.file}`, node.file, false);
+  for (const edge of graph.edges) {
+    lines.push(`  ${idFor(`file:${edge.from}`)} --> ${idFor(`file:${edge.to}`)}`);
+  }
+  if (includeExternal) {
+    for (const edge of externalEdges(graph)) {
+      lines.push(`  ${idFor(`file:${edge.from}`)} -.-> ${idFor(`pkg:${edge.to}`, edge.to, true)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function quoteDot(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+export function renderDot(graph, { includeExternal = false } = {}) {
+  const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box];'];
+  for (const node of graph.nodes) lines.push(`  ${quoteDot(node.file)};`);
+  for (const edge of graph.edges) lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)};`);
+  if (includeExternal) {
+    for (const pkg of graph.external_packages) lines.push(`  ${quoteDot(`pkg:${pkg.name}`)} [label=${quoteDot(pkg.name)}, shape=ellipse, style=dashed];`);
+    for (const edge of externalEdges(graph)) lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(`pkg:${edge.to}`)} [style=dashed];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
@@ -0,0 +1,243 @@
+// Import bindings and re-exports per language. A binding maps a local name to
+// the module it came from:
+//   named     `import { a as b } from './y'`, `from pkg import a`
+//   default   `import a from './y'`
+//   namespace `import * as ns from './y'`, `const lib = require('./y')`, Go packages
+//   module    Python `import pkg.mod [as m]`
+// `effects` lists modules loaded without a binding: `import './polyfill'`,
+// a bare or dynamic `require('x')` / `import('x')`, Go `_` imports.
+
+function stringValue(node) {
+  if (!node) return null;
+  const fragment = node.namedChildren.find((child) => /fragment|content/.test(child.type));
+  return fragment ? fragment.text : node.text.replace(/^['"`]|['"`]$/g, '');
+}
+
+function jsRequireSource(node) {
+  if (node?.type !== 'call_expression') return null;
+  if (node.childForFieldName('function')?.text !== 'require') return null;
+  const first = node.childForFieldName('arguments')?.namedChildren[0];
+  return first?.type === 'string' ? stringValue(first) : null;
+}
+
+function jsDynamicSource(node) {
+  const target = node.childForFieldName('function');
+  if (target?.type !== 'import' && target?.text !== 'require') return null;
+  const first = node.childForFieldName('arguments')?.namedChildren[0];
+  return first?.type === 'string' ? stringValue(first) : null;
+}
+
+function collectJsImports(root) {
+  const bindings = [];
+  const effects = [];
+  const bound = new Set();
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.type === 'import_statement') {
+      const source = stringValue(node.childForFieldName('source'));
+      const clause = node.namedChildren.find((child) => child.type === 'import_clause');
+      if (!clause && source) effects.push(source);
+      for (const part of clause?.namedChildren || []) {
+        if (part.type === 'identifier') {
+          bindings.push({ local: part.text, imported: 'default', source, kind: 'default', node: part });
+        } else if (part.type === 'namespace_import') {
+          const id = part.namedChildren[0];
+          if (id) bindings.push({ local: id.text, imported: '*', source, kind: 'namespace', node: id });
+        } else if (part.type === 'named_imports') {
+          for (const spec of part.namedChildren.filter((child) => child.type === 'import_specifier')) {
+            const name = spec.childForFieldName('name');
+            const alias = spec.childForFieldName('alias') || name;
+            bindings.push({ local: alias.text, imported: name.text, source, kind: 'named', node: alias });
+          }
+        }
+      }
+      continue;
+    }
+    if (node.type === 'variable_declarator') {
+      const source = jsRequireSource(node.childForFieldName('value'));
+      const target = node.childForFieldName('name');
+      if (source) bound.add(node.childForFieldName('value').startIndex);
+      if (source && target?.type === 'identifier') {
+        bindings.push({ local: target.text, imported: '*', source, kind: 'namespace', node: target });
+      } else if (source && target?.type === 'object_pattern') {
+        for (const prop of target.namedChildren) {
+          if (prop.type === 'shorthand_property_identifier_pattern') {
+            bindings.push({ local: prop.text, imported: prop.text, source, kind: 'named', node: prop });
+          } else if (prop.type === 'pair_pattern') {
+            const key = prop.childForFieldName('key');
+            const value = prop.childForFieldName('value');
+            if (key && value?.type === 'identifier') {
+              bindings.push({ local: value.text, imported: key.text, source, kind: 'named', node: value });
+            }
+          }
+        }
+      }
+    }
+    if (node.type === 'call_expression' && !bound.has(node.startIndex)) {
+      const source = jsDynamicSource(node);
+      if (source) effects.push(source);
+    }
+    for (let i = node.namedChildren.length - 1; i >= 0; i -= 1) stack.push(node.namedChildren[i]);
+  }
+  return { bindings, effects };
+}
+
+function collectPythonImports(root) {
+  const bindings = [];
+  const stars = [];
+  for (const node of root.namedChildren) {
+    if (node.type === 'import_statement') {
+      for (const item of node.childrenForFieldName('name').filter((child) => child.isNamed)) {
+        if (item.type === 'aliased_import') {
+          const alias = item.childForFieldName('alias');
+          const name = item.childForFieldName('name');
+          bindings.push({ local: alias.text, imported: '*', source: name.text, kind: 'module', node: alias });
+        } else {
+          const first = item.namedChildren[0] || item;
+          bindings.push({ local: first.text, imported: '*', source: first.text, kind: 'module', node: first });
+        }
+      }
+    } else if (node.type === 'import_from_statement') {
+      const source = node.childForFieldName('module_name')?.text.replace(/\s+/g, '') || '';
+      if (node.namedChildren.some((child) => child.type === 'wildcard_import')) {
+        stars.push(source);
+        continue;
+      }
+      for (const item of node.childrenForFieldName('name').filter((child) => child.isNamed)) {
+        const name = item.type === 'aliased_import' ? item.childForFieldName('name') : item;
+        const alias = item.type === 'aliased_import' ? item.childForFieldName('alias') : item;
+        bindings.push({ local: alias.text, imported: name.text, source, kind: 'named', node: alias });
+      }
+    }
+  }
+  return { bindings, stars };
+}
+
+function collectGoImports(root) {
+  const bindings = [];
+  const effects = [];
+  const stack = root.namedChildren.filter((child) => child.type === 'import_declaration');
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.type !== 'import_spec') {
+      stack.push(...node.namedChildren);
+      continue;
+    }
+    const source = stringValue(node.childForFieldName('path'));
+    const alias = node.childForFieldName('name');
+    if (!source) continue;
+    if (alias?.text === '_') {
+      effects.push(source);
+      continue;
+    }
+    const local = alias && alias.text !== '.'
+      ? alias.text
+      : source.split('/').filter((part) => !/^v\d+$/.test(part)).pop();
+    bindings.push({
+      local: alias?.text === '.' ? '.' : local,
+      imported: '*',
+      source,
+      kind: 'namespace',
+      node: alias || node
+    });
+  }
+  return { bindings, effects };
+}
+
+export function collectImports(root, languageId) {
+  if (languageId === 'javascript' || languageId === 'typescript' || languageId === 'tsx') {
+    return { ...collectJsImports(root), stars: [] };
+  }
+  if (languageId === 'python') return { ...collectPythonImports(root), effects: [] };
+  if (languageId === 'go') return { ...collectGoImports(root), stars: [] };
+  return { bindings: [], stars: [], effects: [] };
+}
+
+/**
+ * JavaScript/TypeScript export surface beyond `export <declaration>`:
+ * `named` maps an exported name to its local name (and source module for
+ * `export { x } from`), `stars` lists `export * from` modules, and
+ * `defaultNode` is the `export default` declaration or expression.
+ */
+export function collectJsExports(root) {
+  const named = new Map();
+  const stars = [];
+  let defaultNode = null;
+  for (const node of root.namedChildren) {
+    if (node.type !== 'export_statement') continue;
+    const source = stringValue(node.childForFieldName('source'));
+    const isDefault = node.children.some((child) => child.type === 'default');
+    if (isDefault) {
+      defaultNode = node.childForFieldName('declaration') || node.childForFieldName('value');
+      continue;
+    }
+    const clause = node.namedChildren.find((child) => child.type === 'export_clause');
+    if (!clause) {
+      if (source && !node.childForFieldName('declaration')) {
+        const ns = node.namedChildren.find((child) => child.type === 'namespace_export');
+        if (ns) named.set(ns.namedChildren[0]?.text, { local: '*', source });
+        else stars.push(source);
+      }
+      continue;
+    }
+    for (const spec of clause.namedChildren.filter((child) => child.type === 'export_specifier')) {
+      const name = spec.childForFieldName('name');
+      const alias = spec.childForFieldName('alias') || name;
+      named.set(alias.text, { local: name.text, source });
+    }
+  }
+  return { named, stars, defaultNode };
+}
+
+// Languages whose imports are read from the source text rather than the
+// syntax tree. Patterns mirror the chunker's `summarizeImports`; `kind` is
+// `mod` for Rust `mod x;` declarations, which resolve relative to the file.
+const TEXT_IMPORT_PATTERNS = {
+  rust: [
+    [/^(?:pub(?:\([^)]*\))?\s+)?mod\s+(\w+)\s*;/, 'mod'],
+    [/^(?:pub(?:\([^)]*\))?\s+)?use\s+((?:::)?\w+(?:::\w+)*)/, 'import']
+  ],
+  java: [[/^import\s+(?:static\s+)?([\w.]+?)(?:\.\*)?\s*;/, 'import']],
+  kotlin: [[/^import\s+([\w.]+?)(?:\.\*)?(?:\s+as\s+\w+)?\s*$/, 'import']],
+  scala: [[/^import\s+([\w.]+?)(?:\.(?:_|\*|\{.*\}))?\s*$/, 'import']],
+  php: [[/^(?:require|include)(?:_once)?\s*\(?\s*(__DIR__\s*\.\s*)?['"]([^'"]+)['"]/, 'import']],
+  ruby: [
+    [/^require_relative\s*\(?\s*['"]([^'"]+)['"]/, 'relative'],
+    [/^require\s*\(?\s*['"]([^'"]+)['"]/, 'import']
+  ],
+  lua: [[/require\s*\(?\s*['"]([^'"]+)['"]/, 'import']],
+  dart: [[/^(?:import|export|part)\s+['"]([^'"]+)['"]/, 'import']],
+  c: [[/^#\s*include\s+"([^"]+)"/, 'relative']],
+  cpp: [[/^#\s*include\s+"([^"]+)"/, 'relative']]
+};
+
+export function supportsTextImports(languageId) {
+  return Object.hasOwn(TEXT_IMPORT_PATTERNS, languageId);
+}
+
+/**
+ * Import specifiers found line by line: `{ source, kind }`. Relative forms
+ * (`require_relative`, quoted `#include`, PHP `__DIR__ . '/x.php'`) are
+ * normalized to start with `./` so resolvers can tell them from packages.
+ */
+export function collectTextImports(text, languageId) {
+  const patterns = TEXT_IMPORT_PATTERNS[languageId];
+  if (!patterns) return [];
+  const out = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    for (const [pattern, kind] of patterns) {
+      const match = trimmed.match(pattern);
+      if (!match) continue;
+      const dirRelative = languageId === 'php' && Boolean(match[1]);
+      let source = languageId === 'php' ? match[2] : match[1];
+      if ((kind === 'relative' || dirRelative) && !source.startsWith('.')) {
+        source = `./${source.replace(/^\/+/, '')}`;
+      }
+      out.push({ source, kind: kind === 'mod' ? 'mod' : 'import' });
+      break;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,310 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const JS_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+// TypeScript ESM code imports `./x.js` while the file on disk is `./x.ts`.
+const JS_EXTENSION_ALIASES = {
+  '.js': ['.ts', '.tsx'],
+  '.jsx': ['.tsx'],
+  '.mjs': ['.mts'],
+  '.cjs': ['.cts']
+};
+
+// Extensions tried for languages whose imports are resolved from text.
+const TEXT_EXTENSIONS = {
+  rust: ['.rs'],
+  java: ['.java'],
+  kotlin: ['.kt', '.kts'],
+  scala: ['.scala'],
+  php: ['.php'],
+  ruby: ['.rb'],
+  lua: ['.lua'],
+  dart: ['.dart'],
+  c: ['.h', '.c'],
+  cpp: ['.h', '.hpp', '.hh', '.cpp', '.cc']
+};
+const RUST_MODULE_ROOTS = new Set(['mod.rs', 'lib.rs', 'main.rs']);
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function isDirectory(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// tsconfig.json allows comments and trailing commas.
+export function parseLooseJson(text) {
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (ch === '\\') {
+        out += text[i + 1] || '';
+        i += 1;
+      } else if (ch === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i += 1;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      out += ch;
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Turns an import specifier into a file (or, for Go, a package directory)
+ * inside the configured roots. External packages resolve to null. Project
+ * config lookups (tsconfig/jsconfig, go.mod) are cached per directory for a
+ * short while so edits to those files are picked up.
+ */
+export class ModuleResolver {
+  constructor({ workspace, cacheTtlMs = 10000, now = Date.now }) {
+    this.workspace = workspace;
+    this.cacheTtlMs = cacheTtlMs;
+    this.now = now;
+    this.configCache = new Map();
+  }
+
+  accept(filePath) {
+    if (!filePath || !this.workspace.isUnderRoots(filePath)) return null;
+    if (this.workspace.redaction?.isDenied(filePath)) return null;
+    return filePath;
+  }
+
+  resolve(languageId, specifier, fromFile) {
+    if (!specifier) return null;
+    if (languageId === 'python') return this.resolvePython(specifier, fromFile);
+    if (languageId === 'go') return this.resolveGo(specifier, fromFile);
+    if (TEXT_EXTENSIONS[languageId]) return this.resolveText(languageId, specifier, fromFile);
+    return this.resolveJs(specifier, fromFile);
+  }
+
+  tryWithExtensions(base, extensions) {
+    return [base, ...extensions.map((ext) => base + ext)].find(isFile) || null;
+  }
+
+  // Tries `relPaths` under every ancestor directory of `fromFile` inside the
+  // roots, nearest first; used for package-style imports with no manifest.
+  probeAncestors(fromFile, relPaths) {
+    for (let dir = path.dirname(fromFile); this.workspace.isUnderRoots(dir); dir = path.dirname(dir)) {
+      const hit = relPaths.map((rel) => path.join(dir, rel)).find(isFile);
+      if (hit) return this.accept(hit);
+      if (path.dirname(dir) === dir) break;
+    }
+    return null;
+  }
+
+  resolveText(languageId, specifier, fromFile) {
+    const extensions = TEXT_EXTENSIONS[languageId];
+    const dir = path.dirname(fromFile);
+    const relative = specifier.startsWith('.')
+      || (languageId === 'dart' && !/^\w+:/.test(specifier))
+      || languageId === 'php';
+    if (relative) return this.accept(this.tryWithExtensions(path.resolve(dir, specifier), extensions));
+
+    if (languageId === 'rust') return this.resolveRustUse(specifier, fromFile);
+    if (languageId === 'java' || languageId === 'kotlin' || languageId === 'scala') {
+      // `import a.b.C` or a member import `import static a.b.C.method`.
+      const parts = specifier.split('.');
+      for (let n = parts.length; n >= 2; n -= 1) {
+        const hit = this.probeAncestors(fromFile, extensions.map((ext) => `${path.join(...parts.slice(0, n))}${ext}`));
+        if (hit) return hit;
+      }
+      return null;
+    }
+    if (languageId === 'lua') {
+      const base = path.join(...specifier.split('.'));
+      return this.probeAncestors(fromFile, [`${base}.lua`, path.join(base, 'init.lua')]);
+    }
+    if (languageId === 'ruby') {
+      return this.probeAncestors(fromFile, [path.join('lib', `${specifier}.rb`), `${specifier}.rb`]);
+    }
+    return null;
+  }
+
+  rustModuleDir(fromFile) {
+    const name = path.basename(fromFile);
+    return RUST_MODULE_ROOTS.has(name) ? path.dirname(fromFile) : path.join(path.dirname(fromFile), path.basename(name, '.rs'));
+  }
+
+  // `mod name;` lives next to the declaring module: `name.rs` or `name/mod.rs`.
+  resolveRustMod(name, fromFile) {
+    const base = path.join(this.rustModuleDir(fromFile), name);
+    return this.accept([`${base}.rs`, path.join(base, 'mod.rs')].find(isFile) || null);
+  }
+
+  // `use crate::a::b::C` -> the longest prefix that names a module file.
+  resolveRustUse(specifier, fromFile) {
+    const parts = specifier.split('::').filter(Boolean);
+    const head = parts.shift();
+    let rootDir = null;
+    if (head === 'crate') {
+      const crate = this.findUp(path.dirname(fromFile), 'rust', (current) => (isFile(path.join(current, 'Cargo.toml')) ? current : undefined));
+      rootDir = crate ? path.join(crate, 'src') : null;
+    } else if (head === 'self') {
+      rootDir = this.rustModuleDir(fromFile);
+    } else if (head === 'super') {
+      rootDir = path.dirname(this.rustModuleDir(fromFile));
+    }
+    if (!rootDir) return null;
+    for (let n = parts.length; n >= 1; n -= 1) {
+      const base = path.join(rootDir, ...parts.slice(0, n));
+      const hit = [`${base}.rs`, path.join(base, 'mod.rs')].find(isFile);
+      if (hit) return this.accept(hit);
+    }
+    return null;
+  }
+
+  tryJsFile(base) {
+    const ext = path.extname(base);
+    const candidates = [
+      base,
+      ...(JS_EXTENSION_ALIASES[ext] || []).map((alias) => base.slice(0, -ext.length) + alias),
+      ...JS_EXTENSIONS.map((item) => base + item),
+      ...JS_EXTENSIONS.map((item) => path.join(base, `index${item}`))
+    ];
+    return candidates.find(isFile) || null;
+  }
+
+  resolveJs(specifier, fromFile) {
+    const dir = path.dirname(fromFile);
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+      return this.accept(this.tryJsFile(path.resolve(dir, specifier)));
+    }
+    const config = this.findJsConfig(dir);
+    if (!config) return null;
+    for (const [pattern, targets] of Object.entries(config.paths)) {
+      const star = pattern.indexOf('*');
+      let rest = null;
+      if (star === -1 && pattern === specifier) rest = '';
+      else if (star !== -1
+        && specifier.startsWith(pattern.slice(0, star))
+        && specifier.endsWith(pattern.slice(star + 1))
+        && specifier.length >= pattern.length - 1) {
+        rest = specifier.slice(star, specifier.length - (pattern.length - star - 1));
+      }
+      if (rest === null) continue;
+      for (const target of targets) {
+        const hit = this.tryJsFile(path.resolve(config.baseDir, target.replace('*', rest)));
+        if (hit) return this.accept(hit);
+      }
+    }
+    return config.baseUrlSet ? this.accept(this.tryJsFile(path.resolve(config.baseDir, specifier))) : null;
+  }
+
+  // Nearest tsconfig.json/jsconfig.json with `compilerOptions.paths` or
+  // `baseUrl`, following relative `extends`.
+  findJsConfig(dir) {
+    return this.findUp(dir, 'js', (current) => {
+      for (const name of ['tsconfig.json', 'jsconfig.json']) {
+        const file = path.join(current, name);
+        if (isFile(file)) return this.loadJsConfig(file, 0);
+      }
+      return undefined;
+    });
+  }
+
+  loadJsConfig(file, depth) {
+    let json;
+    try {
+      json = parseLooseJson(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+    const configDir = path.dirname(file);
+    let inherited = null;
+    if (typeof json.extends === 'string' && json.extends.startsWith('.') && depth < 3) {
+      const parent = path.resolve(configDir, json.extends);
+      inherited = this.loadJsConfig(parent.endsWith('.json') ? parent : `${parent}.json`, depth + 1);
+    }
+    const options = json.compilerOptions || {};
+    const baseUrlSet = typeof options.baseUrl === 'string';
+    return {
+      baseDir: baseUrlSet ? path.resolve(configDir, options.baseUrl) : inherited?.baseDir || configDir,
+      baseUrlSet: baseUrlSet || Boolean(inherited?.baseUrlSet),
+      paths: options.paths && typeof options.paths === 'object' ? options.paths : inherited?.paths || {}
+    };
+  }
+
+  resolvePython(specifier, fromFile) {
+    const dots = specifier.match(/^\.*/)[0].length;
+    const parts = specifier.slice(dots).split('.').filter(Boolean);
+    const tryModule = (baseDir) => {
+      const target = path.join(baseDir, ...parts);
+      if (parts.length > 0 && isFile(`${target}.py`)) return `${target}.py`;
+      if (isFile(path.join(target, '__init__.py'))) return path.join(target, '__init__.py');
+      return null;
+    };
+
+    if (dots > 0) {
+      let base = path.dirname(fromFile);
+      for (let i = 1; i < dots; i += 1) base = path.dirname(base);
+      return this.accept(tryModule(base));
+    }
+    // Absolute imports: every ancestor up to the root is a candidate sys.path entry.
+    for (let dir = path.dirname(fromFile); this.workspace.isUnderRoots(dir); dir = path.dirname(dir)) {
+      const hit = tryModule(dir) || tryModule(path.join(dir, 'src'));
+      if (hit) return this.accept(hit);
+      if (path.dirname(dir) === dir) break;
+    }
+    return null;
+  }
+
+  resolveGo(specifier, fromFile) {
+    const mod = this.findUp(path.dirname(fromFile), 'go', (current) => {
+      const file = path.join(current, 'go.mod');
+      if (!isFile(file)) return undefined;
+      const match = fs.readFileSync(file, 'utf8').match(/^\s*module\s+(\S+)/m);
+      return match ? { root: current, module: match[1] } : null;
+    });
+    if (!mod || (specifier !== mod.module && !specifier.startsWith(`${mod.module}/`))) return null;
+    const dir = path.join(mod.root, specifier.slice(mod.module.length));
+    return isDirectory(dir) ? this.accept(dir) : null;
+  }
+
+  // Walks from `dir` towards the root; `probe` returns undefined to keep going.
+  findUp(dir, kind, probe) {
+    const visited = [];
+    let found = null;
+    for (let current = dir; ; current = path.dirname(current)) {
+      const key = `${kind}:${current}`;
+      const hit = this.configCache.get(key);
+      if (hit && this.now() - hit.at < this.cacheTtlMs) {
+        found = hit.value;
+        break;
+      }
+      visited.push(key);
+      const value = probe(current);
+      if (value !== undefined) {
+        found = value;
+        break;
+      }
+      if (!this.workspace.isUnderRoots(path.dirname(current)) || path.dirname(current) === current) break;
+    }
+    const at = this.now();
+    for (const key of visited) this.configCache.set(key, { at, value: found });
+    return found;
+  }
+}
@@ -0,0 +1,200 @@
+// Nested declaration outlines: from the chunker's declaration node types when
+// a grammar is available, otherwise from keyword/indentation heuristics.
+import { DECL_TYPES_BY_LANG } from '../chunker/languages.js';
+import { getNodeName } from '../chunker/ast-utils.js';
+import { signatureOf } from './definitions.js';
+
+const KIND_BY_TYPE = {
+  function_declaration: 'function',
+  function_definition: 'function',
+  function_item: 'function',
+  function_signature: 'function',
+  method_definition: 'method',
+  method_declaration: 'method',
+  constructor_declaration: 'constructor',
+  method: 'method',
+  class_declaration: 'class',
+  class_definition: 'class',
+  class_specifier: 'class',
+  class: 'class',
+  interface_declaration: 'interface',
+  protocol_declaration: 'interface',
+  trait_item: 'trait',
+  trait_declaration: 'trait',
+  trait_definition: 'trait',
+  enum_declaration: 'enum',
+  enum_item: 'enum',
+  enum_type: 'enum',
+  struct_item: 'struct',
+  struct_specifier: 'struct',
+  struct_declaration: 'struct',
+  record_declaration: 'record',
+  type_alias_declaration: 'type',
+  type_declaration: 'type',
+  impl_item: 'impl',
+  mod_item: 'module',
+  module: 'module',
+  namespace_definition: 'namespace',
+  object_declaration: 'object',
+  object_definition: 'object'
+};
+const CONTAINER_KINDS = new Set(['class', 'interface', 'trait', 'struct', 'record', 'impl', 'object', 'enum']);
+// Declaration types the chunker slices on that are bodies, not declarations.
+const BODY_TYPES = new Set(['function_body', 'enum_class_body']);
+const FUNCTION_VALUES = new Set(['arrow_function', 'function_expression', 'function', 'generator_function']);
+// `const load = async () => {}` and class fields holding arrow functions.
+const FUNCTION_BINDING_TYPES = new Set(['variable_declarator', 'public_field_definition', 'field_definition']);
+const JS_LIKE = new Set(['javascript', 'typescript', 'tsx']);
+
+function innermostDeclarator(node) {
+  let current = node.childForFieldName('declarator');
+  while (current?.childForFieldName('declarator')) current = current.childForFieldName('declarator');
+  return current;
+}
+
+function outlineName(node) {
+  const named = node.childForFieldName('name') || node.childForFieldName('property');
+  if (named) return named.text;
+  if (node.type === 'impl_item') {
+    const trait = node.childForFieldName('trait');
+    const type = node.childForFieldName('type');
+    return trait && type ? `${trait.text} for ${type.text}` : type?.text || '';
+  }
+  const spec = node.namedChildren.find((child) => child.type === 'type_spec' || child.type === 'type_alias');
+  if (spec) return spec.childForFieldName('name')?.text || '';
+  const declarator = innermostDeclarator(node);
+  if (declarator) return declarator.text;
+  return getNodeName(node);
+}
+
+function outlineKind(node) {
+  if (FUNCTION_BINDING_TYPES.has(node.type)) return 'function';
+  if (node.type === 'type_declaration') {
+    const type = node.namedChildren.find((child) => child.type === 'type_spec')?.childForFieldName('type');
+    if (type?.type === 'struct_type') return 'struct';
+    if (type?.type === 'interface_type') return 'interface';
+  }
+  return KIND_BY_TYPE[node.type] || 'declaration';
+}
+
+function isOutlined(node, declTypes, languageId) {
+  if (BODY_TYPES.has(node.type)) return false;
+  if (declTypes.has(node.type)) return true;
+  if (!JS_LIKE.has(languageId) || !FUNCTION_BINDING_TYPES.has(node.type)) return false;
+  return FUNCTION_VALUES.has(node.childForFieldName('value')?.type);
+}
+
+/**
+ * Declarations of `DECL_TYPES_BY_LANG[languageId]` (plus JS/TS functions bound
+ * to variables and class fields) as `{ name, kind, start_line, end_line,
+ * signature, children? }`, nested by containment. Functions directly inside
+ * a class-like declaration are reported as methods.
+ */
+export function buildAstOutline(root, languageId, source) {
+  const declTypes = DECL_TYPES_BY_LANG[languageId] || new Set();
+  const outline = [];
+  const stack = [{ node: root, parent: null }];
+  while (stack.length > 0) {
+    const { node, parent } = stack.pop();
+    let owner = parent;
+    if (node !== root && isOutlined(node, declTypes, languageId)) {
+      const name = outlineName(node);
+      if (name) {
+        let kind = outlineKind(node);
+        if (kind === 'function' && parent && CONTAINER_KINDS.has(parent.kind)) kind = 'method';
+        const item = {
+          name,
+          kind,
+          start_line: node.startPosition.row + 1,
+          end_line: node.endPosition.row + 1,
+          signature: signatureOf({ node, kind }, source)
+        };
+        if (parent) {
+          if (!parent.children) parent.children = [];
+          parent.children.push(item);
+        } else {
+          outline.push(item);
+        }
+        owner = item;
+      }
+    }
+    for (let i = node.namedChildren.length - 1; i >= 0; i -= 1) stack.push({ node: node.namedChildren[i], parent: owner });
+  }
+  return outline;
+}
+
+const MODIFIERS = '(?:(?:export|default|public|private|protected|internal|abstract|final|sealed|static|data|open|override|async|pub(?:\\([^)]*\\))?)\\s+)*';
+const REGEX_DECLARATIONS = [
+  new RegExp(`^${MODIFIERS}(class|struct|interface|trait|enum|module|object|protocol|record|namespace|impl)\\s+([A-Za-z_$][\\w$:.<>]*)`),
+  new RegExp(`^${MODIFIERS}(function\\*?|def|defp|fn|func|fun|sub|proc)\\s+(?:\\([^)]*\\)\\s*)?([A-Za-z_$][\\w$.:!?]*)`),
+  /^()([A-Za-z_][\w-]*)\s*\(\)\s*\{/
+];
+const REGEX_KIND = { class: 'class', struct: 'struct', interface: 'interface', trait: 'trait', enum: 'enum', module: 'module', object: 'object', protocol: 'interface', record: 'record', namespace: 'namespace', impl: 'impl' };
+// Lines that close the block opened at the same indentation.
+const CLOSER = /^(\}|end\b|fi\b|done\b|esac\b|\)|\])/;
+const COMMENT = /^(\/\/|#|\/?\*|--|;|%)/;
+
+function indentOf(line) {
+  return line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * Keyword-based outline for files without a grammar. Nesting and end lines
+ * follow indentation, so they are approximate for unindented code.
+ */
+export function buildRegexOutline(source) {
+  const lines = String(source || '').split(/\r?\n/);
+  const outline = [];
+  const open = [];
+  let lastContent = 0;
+  const close = (endLine) => {
+    const { item } = open.pop();
+    item.end_line = Math.max(item.start_line, endLine);
+  };
+
+  lines.forEach((line, idx) => {
+    const lineNo = idx + 1;
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const indent = indentOf(line);
+    while (open.length > 0 && indent <= open[open.length - 1].indent) {
+      if (indent === open[open.length - 1].indent && CLOSER.test(trimmed)) {
+        close(lineNo);
+        lastContent = lineNo;
+        return;
+      }
+      close(lastContent);
+    }
+    lastContent = lineNo;
+    if (COMMENT.test(trimmed)) return;
+
+    for (const pattern of REGEX_DECLARATIONS) {
+      const match = trimmed.match(pattern);
+      if (!match) continue;
+      const parent = open[open.length - 1]?.item || null;
+      let kind = REGEX_KIND[match[1]] || 'function';
+      if (kind === 'function' && parent && CONTAINER_KINDS.has(parent.kind)) kind = 'method';
+      const item = {
+        name: match[2],
+        kind,
+        start_line: lineNo,
+        end_line: lineNo,
+        signature: trimmed.replace(/(?:\s+do|\s*[{:=])\s*$/, '').slice(0, 300)
+      };
+      if (parent) {
+        if (!parent.children) parent.children = [];
+        parent.children.push(item);
+      } else {
+        outline.push(item);
+      }
+      open.push({ indent, item });
+      break;
+    }
+  });
+  while (open.length > 0) close(lastContent);
+  return outline;
+}
+
+export function countOutline(items) {
+  return items.reduce((sum, item) => sum + 1 + countOutline(item.children || []), 0);
+}
@@ -0,0 +1,588 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  classHeaderRange,
+  collectDefinitions,
+  declarationRange,
+  describeReference,
+  findIdentifierAt,
+  isSymbolDefinition,
+  resolveLocal,
+  sameNode,
+  scopePathOf,
+  signatureOf,
+  toLocation
+} from './definitions.js';
+import { collectImports, collectJsExports, collectTextImports, supportsTextImports } from './imports.js';
+import { ModuleResolver } from './module-resolver.js';
+import { buildCallGraph, scopeMatches } from './call-graph.js';
+import { analyzeDependencies, externalPackageName, renderDot, renderMermaid } from './dependency-graph.js';
+import { buildAstOutline, buildRegexOutline, countOutline } from './outline.js';
+import { isStopRequested, describeStop } from '../core/cancellation.js';
+
+const JS_LIKE = new Set(['javascript', 'typescript', 'tsx']);
+const AST_IMPORT_LANGUAGES = new Set([...JS_LIKE, 'python', 'go']);
+const MAX_EXPORT_HOPS = 16;
+
+function isDirectory(target) {
+  try {
+    return fs.statSync(target).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function joinPythonModule(source, name) {
+  return source.endsWith('.') ? `${source}${name}` : `${source}.${name}`;
+}
+
+// `load` or `Store.load` (any qualifier narrows by enclosing class).
+function parseSymbolName(symbol) {
+  const match = String(symbol || '').trim().match(/^(?:(.+)\.)?([\w$]+)$/);
+  if (!match) throw new Error('symbol must be a name such as "load" or "Store.load"');
+  return { container: match[1] || null, name: match[2] };
+}
+
+function anonymousKind(node) {
+  if (/class/.test(node.type)) return 'class';
+  if (/function|arrow/.test(node.type)) return 'function';
+  return 'value';
+}
+
+/**
+ * Syntax-aware navigation on top of the chunker's tree-sitter grammars.
+ * Parsed files are cached by mtime and size; definitions, imports and exports
+ * are derived lazily per file.
+ */
+export class CodeIntelService {
+  constructor({ workspace, astChunker, vectorIndex = null, moduleResolver = null, maxCachedFiles = 200 }) {
+    this.workspace = workspace;
+    this.astChunker = astChunker;
+    this.vectorIndex = vectorIndex;
+    this.resolver = moduleResolver || new ModuleResolver({ workspace });
+    this.maxCachedFiles = maxCachedFiles;
+    this.fileCache = new Map();
+  }
+
+  async requireParser(feature) {
+    const parserModule = this.astChunker ? await this.astChunker.getParserModule() : null;
+    if (!parserModule) throw new Error(`${feature} needs tree-sitter, which is not available on this runtime`);
+  }
+
+  async loadFile(filePath) {
+    const languageId = this.astChunker.resolveLanguageId(filePath);
+    if (!languageId || this.workspace.redaction?.isDenied(filePath)) return null;
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch {
+      return null;
+    }
+    const cached = this.fileCache.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      this.fileCache.delete(filePath);
+      this.fileCache.set(filePath, cached);
+      return cached.file;
+    }
+
+    let source;
+    try {
+      source = this.workspace.safeReadText(filePath);
+    } catch {
+      return null;
+    }
+    const tree = await this.astChunker.parse(languageId, source);
+    if (!tree) return null;
+    const file = { path: filePath, languageId, source, tree, definitions: null, imports: null, exports: null };
+    this.fileCache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, file });
+    if (this.fileCache.size > this.maxCachedFiles) this.fileCache.delete(this.fileCache.keys().next().value);
+    return file;
+  }
+
+  definitionsOf(file) {
+    if (!file.definitions) file.definitions = collectDefinitions(file.tree.rootNode, file.languageId);
+    return file.definitions;
+  }
+
+  importsOf(file) {
+    if (!file.imports) file.imports = collectImports(file.tree.rootNode, file.languageId);
+    return file.imports;
+  }
+
+  exportsOf(file) {
+    if (!file.exports) {
+      file.exports = JS_LIKE.has(file.languageId)
+        ? collectJsExports(file.tree.rootNode)
+        : { named: new Map(), stars: [], defaultNode: null };
+    }
+    return file.exports;
+  }
+
+  // Nested declarations of one file. Files without a usable grammar get a
+  // keyword outline (`source: "regex"`) instead of an error.
+  async fileOutline({ path: targetPath }) {
+    const filePath = this.workspace.normalizeTarget(targetPath);
+    if (this.workspace.redaction?.isDenied(filePath)) throw new Error('path is denied by redaction policy');
+    if (!fs.statSync(filePath).isFile()) throw new Error('path is not a file');
+
+    const file = await this.loadFile(filePath);
+    const source = file ? file.source : this.workspace.safeReadText(filePath);
+    const outline = file ? buildAstOutline(file.tree.rootNode, file.languageId, source) : buildRegexOutline(source);
+    const redact = (items) => {
+      for (const item of items) {
+        if (this.workspace.redaction) item.signature = this.workspace.redaction.redactText(item.signature).text;
+        if (item.children) redact(item.children);
+      }
+    };
+    redact(outline);
+    return {
+      path: filePath,
+      language: this.astChunker.resolveLanguageId(filePath),
+      source: file ? 'ast' : 'regex',
+      total_lines: source.split(/\r?\n/).length,
+      count: countOutline(outline),
+      outline
+    };
+  }
+
+  // Numbered, redacted source lines for zero-based rows [startRow, endRow].
+  numberedLines(file, startRow, endRow) {
+    const text = file.source.split(/\r?\n/).slice(startRow, endRow + 1).join('\n');
+    const redacted = this.workspace.redaction ? this.workspace.redaction.redactText(text).text : text;
+    return redacted.split('\n').map((line, idx) => `${startRow + idx + 1}: ${line}`);
+  }
+
+  /**
+   * Full declarations named `symbol` (`name` or `Class.name`), with their doc
+   * comments and decorators. Searches one file when `path` is given and the
+   * symbol table of the scope otherwise. Each match carries its `scope_path`
+   * so same-named members of different classes can be told apart.
+   */
+  async readSymbol({ symbol, path: targetPath, projectPath, allRoots = false, includeClassHeader = false, maxMatches = 10, maxLines = 500 }) {
+    await this.requireParser('read_symbol');
+    const { container, name } = parseSymbolName(symbol);
+    let files;
+    let complete = true;
+    if (targetPath) {
+      const filePath = this.workspace.normalizeTarget(targetPath);
+      if (this.workspace.redaction?.isDenied(filePath)) throw new Error('path is denied by redaction policy');
+      files = [filePath];
+    } else {
+      if (typeof this.vectorIndex?.findSymbols !== 'function') {
+        throw new Error('read_symbol without a path needs the code index, which is not configured');
+      }
+      const lookup = this.findIndexedSymbols({ name, projectPath, allRoots });
+      complete = lookup.found.covered;
+      files = Array.from(new Set(lookup.found.symbols.map((item) => item.file)));
+    }
+
+    const matches = [];
+    for (const filePath of files.sort()) {
+      const file = await this.loadFile(filePath);
+      if (!file) {
+        if (targetPath) throw new Error(`no tree-sitter grammar for ${filePath}`);
+        continue;
+      }
+      for (const def of this.definitionsOf(file)) {
+        if (def.name !== name || !isSymbolDefinition(def)) continue;
+        const scopePath = scopePathOf(def, file.languageId);
+        if (container && !scopeMatches(scopePath, container)) continue;
+
+        const { startRow, endRow } = declarationRange(def);
+        const lastRow = Math.min(endRow, startRow + maxLines - 1);
+        const match = {
+          file: filePath,
+          name: def.name,
+          kind: def.kind,
+          ...(scopePath ? { scope_path: scopePath } : {}),
+          line: def.nameNode.startPosition.row + 1,
+          start_line: startRow + 1,
+          end_line: endRow + 1,
+          signature: this.workspace.redaction
+            ? this.workspace.redaction.redactText(signatureOf(def, file.source)).text
+            : signatureOf(def, file.source),
+          content: this.numberedLines(file, startRow, lastRow).join('\n'),
+          truncated: lastRow < endRow
+        };
+        if (includeClassHeader && def.member && def.scope) {
+          const header = classHeaderRange({ node: def.scope });
+          if (header.endRow < startRow) {
+            match.class_header = {
+              start_line: header.startRow + 1,
+              end_line: header.endRow + 1,
+              content: this.numberedLines(file, header.startRow, header.endRow).join('\n')
+            };
+          }
+        }
+        matches.push(match);
+      }
+    }
+    return {
+      symbol: String(symbol).trim(),
+      complete,
+      count: matches.length,
+      matches: matches.slice(0, maxMatches),
+      truncated: matches.length > maxMatches
+    };
+  }
+
+  async gotoDefinition({ path: targetPath, line, column, symbol }) {
+    await this.requireParser('goto_definition');
+    const filePath = this.workspace.normalizeTarget(targetPath);
+    if (this.workspace.redaction?.isDenied(filePath)) throw new Error('path is denied by redaction policy');
+    const file = await this.loadFile(filePath);
+    if (!file) throw new Error(`no tree-sitter grammar for ${filePath}`);
+
+    const node = findIdentifierAt(file.tree.rootNode, { line, column, symbol });
+    if (!node) {
+      throw new Error(`no identifier at ${filePath}:${line}${column ? `:${column}` : ''}${symbol ? ` matching "${symbol}"` : ''}`);
+    }
+    const ref = describeReference(node);
+    const resolved = await this.resolveReference(file, node, ref);
+    return {
+      symbol: ref.name,
+      ...(ref.qualifier ? { qualifier: ref.qualifier } : {}),
+      reference: {
+        file: filePath,
+        line: node.startPosition.row + 1,
+        column: node.startPosition.column + 1
+      },
+      ...this.present(resolved)
+    };
+  }
+
+  // Symbol-table lookup over the search bases of the scope. Never indexes:
+  // `found.covered` is false while files in scope are unanalyzed, and the
+  // callers report that as `complete: false`.
+  findIndexedSymbols({ name, projectPath, allRoots }) {
+    const bases = this.workspace.resolveSearchBases(projectPath, allRoots).map((p) => this.workspace.normalizeTarget(p));
+    return { bases, found: this.vectorIndex.findSymbols({ name, bases, caseSensitive: true }) };
+  }
+
+  // Answers from the call sites persisted by the code index. A scope that is
+  // not fully analyzed yet is answered from what is indexed, with
+  // `complete: false`; localnest_index_project brings it up to date.
+  async callGraph({ symbol, projectPath, allRoots = false, direction = 'both', depth = 2, maxEdges = 200 }) {
+    if (typeof this.vectorIndex?.findCalls !== 'function') {
+      throw new Error('call_graph needs the code index, which is not configured');
+    }
+    const { container, name } = parseSymbolName(symbol);
+    const { bases, found } = this.findIndexedSymbols({ name, projectPath, allRoots });
+
+    const redaction = this.workspace.redaction;
+    const definitions = found.symbols
+      .filter((item) => !container || scopeMatches(item.scope_path, container))
+      .map((item) => ({
+        file: item.file,
+        line: item.line,
+        kind: item.kind,
+        ...(item.scope_path ? { scope_path: item.scope_path } : {}),
+        signature: redaction ? redaction.redactText(item.signature).text : item.signature
+      }));
+    const graph = buildCallGraph({ index: this.vectorIndex, bases, name, container, direction, depth, maxEdges });
+    return {
+      symbol: String(symbol).trim(),
+      direction,
+      depth,
+      complete: found.covered,
+      definitions,
+      ...graph
+    };
+  }
+
+  // Import specifiers of one file as `{ source, kind, fallback? }`. Python
+  // `from pkg import mod` tries the submodule `pkg.mod` before `pkg`.
+  async importSpecifiersOf(filePath, languageId) {
+    if (!AST_IMPORT_LANGUAGES.has(languageId)) {
+      if (!supportsTextImports(languageId)) return [];
+      try {
+        return collectTextImports(this.workspace.safeReadText(filePath), languageId);
+      } catch {
+        return [];
+      }
+    }
+    const file = await this.loadFile(filePath);
+    if (!file) return [];
+    const { bindings, stars, effects } = this.importsOf(file);
+    const specs = new Map();
+    const add = (source, fallback = null) => {
+      if (source && !specs.has(source)) specs.set(source, { source, kind: 'import', ...(fallback ? { fallback } : {}) });
+    };
+    for (const binding of bindings) {
+      if (languageId === 'python' && binding.kind === 'named') add(joinPythonModule(binding.source, binding.imported), binding.source);
+      else add(binding.source);
+    }
+    for (const source of [...stars, ...effects]) add(source);
+    if (JS_LIKE.has(languageId)) {
+      const exports = this.exportsOf(file);
+      for (const source of exports.stars) add(source);
+      for (const entry of exports.named.values()) add(entry.source);
+    }
+    return Array.from(specs.values());
+  }
+
+  resolveSpecifier(languageId, spec, filePath) {
+    if (spec.kind === 'mod') return this.resolver.resolveRustMod(spec.source, filePath);
+    return this.resolver.resolve(languageId, spec.source, filePath)
+      || (spec.fallback ? this.resolver.resolve(languageId, spec.fallback, filePath) : null);
+  }
+
+  // Files in scope with their resolved imports, analyzed as a module graph.
+  // Go imports resolve to a package directory and link to each of its files.
+  async dependencyGraph({ projectPath, allRoots = false, format = 'json', includeExternal = false, maxFiles = 2000, budget }) {
+    await this.requireParser('dependency_graph');
+    const bases = this.workspace.resolveSearchBases(projectPath, allRoots).map((p) => this.workspace.normalizeTarget(p));
+    const files = [];
+    let truncated = false;
+    outer: for (const base of bases) {
+      for (const { files: batch } of this.workspace.walkDirectories(base)) {
+        for (const filePath of batch) {
+          const languageId = this.astChunker.resolveLanguageId(filePath);
+          if (!languageId || !this.workspace.isLikelyTextFile(filePath)) continue;
+          if (files.length >= maxFiles) {
+            truncated = true;
+            break outer;
+          }
+          files.push({ filePath, languageId, base });
+        }
+      }
+    }
+
+    const toId = (filePath, base) => (bases.length === 1 ? path.relative(base, filePath).split(path.sep).join('/') : filePath);
+    const idByPath = new Map(files.map((item) => [item.filePath, toId(item.filePath, item.base)]));
+    const filesByDir = new Map();
+    for (const item of files) {
+      const dir = path.dirname(item.filePath);
+      if (!filesByDir.has(dir)) filesByDir.set(dir, []);
+      filesByDir.get(dir).push(item.filePath);
+    }
+
+    const modules = [];
+    let stopped = false;
+    for (const item of files) {
+      if (isStopRequested(budget)) {
+        stopped = true;
+        break;
+      }
+      const module = { id: idByPath.get(item.filePath), language: item.languageId, targets: new Set(), externals: new Set(), unresolved: [] };
+      for (const spec of await this.importSpecifiersOf(item.filePath, item.languageId)) {
+        const resolved = this.resolveSpecifier(item.languageId, spec, item.filePath);
+        if (resolved && isDirectory(resolved)) {
+          for (const target of filesByDir.get(resolved) || []) {
+            if (!target.endsWith('_test.go')) module.targets.add(idByPath.get(target));
+          }
+        } else if (resolved) {
+          if (idByPath.has(resolved)) module.targets.add(idByPath.get(resolved));
+        } else if (spec.source.startsWith('.') || /^(crate|self|super)::/.test(spec.source) || spec.kind === 'mod') {
+          module.unresolved.push(spec.source);
+        } else {
+          module.externals.add(externalPackageName(item.languageId, spec.fallback || spec.source));
+        }
+      }
+      modules.push(module);
+    }
+
+    const graph = analyzeDependencies(modules);
+    const summary = {
+      ...(bases.length === 1 ? { base: bases[0] } : {}),
+      format,
+      file_count: graph.nodes.length,
+      edge_count: graph.edges.length,
+      cycle_count: graph.cycles.length,
+      truncated,
+      ...describeStop(budget, stopped)
+    };
+    if (format === 'mermaid' || format === 'dot') {
+      const render = format === 'mermaid' ? renderMermaid : renderDot;
+      return { ...summary, text: render(graph, { includeExternal }) };
+    }
+    return { ...summary, ...graph };
+  }
+
+  present(resolved) {
+    if (!resolved.target) {
+      const { reason, via, importInfo, candidates } = resolved;
+      return {
+        found: false,
+        reason,
+        ...(via ? { resolved_via: via } : {}),
+        ...(importInfo ? { import: importInfo } : {}),
+        ...(candidates?.length ? { candidates: candidates.map((item) => this.locate(item)) } : {})
+      };
+    }
+    return {
+      found: true,
+      resolved_via: resolved.via,
+      definition: this.locate(resolved.target),
+      ...(resolved.importInfo ? { import: resolved.importInfo } : {})
+    };
+  }
+
+  // A target is either { file, def } or a module/package location.
+  locate(target) {
+    if (target.module) {
+      return { file: target.module, name: target.name, kind: target.kind, line: 1, column: 1 };
+    }
+    const location = toLocation(target.def, target.file.path, target.file.source);
+    const redaction = this.workspace.redaction;
+    if (redaction) {
+      const out = redaction.redactText(location.signature);
+      location.signature = out.text;
+      if (out.count > 0) location.redacted = out.count;
+    }
+    return location;
+  }
+
+  async resolveReference(file, node, ref) {
+    const definitions = this.definitionsOf(file);
+    const { bindings, stars } = this.importsOf(file);
+
+    if (!ref.qualifier) {
+      const local = resolveLocal(definitions, node, ref.name);
+      if (local) return { via: 'local', target: { file, def: local } };
+      const binding = bindings.find((item) => item.local === ref.name);
+      if (binding) return this.followBinding(file, binding, null);
+      if (file.languageId === 'go') {
+        const sibling = await this.findInGoPackage(path.dirname(file.path), ref.name, file.path);
+        if (sibling) return { via: 'package', target: sibling };
+      }
+      const starSources = [...stars, ...bindings.filter((item) => item.local === '.').map((item) => item.source)];
+      for (const source of starSources) {
+        const next = this.resolver.resolve(file.languageId, source, file.path);
+        const target = await this.findExport(next, ref.name);
+        if (target) return { via: 'import', target, importInfo: { source, resolved_file: next } };
+      }
+      return { reason: `"${ref.name}" is not defined in this file or its imports` };
+    }
+
+    const members = definitions.filter((def) => def.member && def.name === ref.name);
+    if (ref.selfQualified) {
+      const own = members.find((def) => !ref.enclosingClass || def.container === ref.enclosingClass) || members[0];
+      if (own) return { via: 'member', target: { file, def: own } };
+    }
+
+    const [head, ...rest] = ref.qualifier.split('.');
+    const binding = bindings.find((item) => item.local === head);
+    if (binding) return this.followBinding(file, binding, { rest, name: ref.name });
+
+    const ofClass = members.find((def) => def.container === ref.qualifier);
+    if (ofClass) return { via: 'member', target: { file, def: ofClass } };
+    if (members.length === 1) return { via: 'member_name', target: { file, def: members[0] } };
+    return {
+      reason: `cannot infer the type of "${ref.qualifier}"`,
+      candidates: members.slice(0, 10).map((def) => ({ file, def }))
+    };
+  }
+
+  // `member` is set for qualified references such as `ns.helper` or
+  // `pkg.mod.fn`; `rest` holds the qualifier segments after the binding.
+  async followBinding(file, binding, member) {
+    const { languageId } = file;
+    let source = binding.source;
+    let name = member ? member.name : binding.imported;
+    let moduleOnly = !member && (binding.kind === 'namespace' || binding.kind === 'module');
+
+    if (languageId === 'python' && member) {
+      const base = binding.kind === 'named' ? joinPythonModule(source, binding.imported) : source;
+      source = [base, ...member.rest].reduce((acc, part) => joinPythonModule(acc, part));
+    } else if (member && binding.kind === 'named') {
+      // `import { api } from './x'; api.get()` -> `api` is an object, not a module.
+      name = binding.imported;
+    } else if (member && binding.kind === 'default' && JS_LIKE.has(languageId)) {
+      moduleOnly = false;
+    }
+
+    const resolvedFile = this.resolver.resolve(languageId, source, file.path);
+    const importInfo = { source, resolved_file: resolvedFile };
+    if (!resolvedFile) {
+      return { via: 'import', importInfo, reason: `"${source}" is an external module or could not be resolved` };
+    }
+    if (moduleOnly) {
+      return { via: 'import', importInfo, target: { module: resolvedFile, name: source, kind: isDirectory(resolvedFile) ? 'package' : 'module' } };
+    }
+    const target = await this.findExport(resolvedFile, name);
+    if (target) return { via: 'import', target, importInfo };
+
+    // `from pkg import mod` where `mod` is a submodule, not a name in pkg/__init__.py.
+    if (languageId === 'python' && !member && binding.kind === 'named') {
+      const submodule = this.resolver.resolve(languageId, joinPythonModule(source, name), file.path);
+      if (submodule) {
+        return { via: 'import', importInfo: { source, resolved_file: submodule }, target: { module: submodule, name, kind: 'module' } };
+      }
+    }
+    return { via: 'import', importInfo, reason: `"${name}" is not exported by ${resolvedFile}` };
+  }
+
+  async findInGoPackage(dir, name, skipFile = null) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir);
+    } catch {
+      return null;
+    }
+    for (const entry of entries.sort()) {
+      if (!entry.endsWith('.go') || entry.endsWith('_test.go')) continue;
+      const filePath = path.join(dir, entry);
+      if (filePath === skipFile) continue;
+      const file = await this.loadFile(filePath);
+      const def = file && this.definitionsOf(file).find((item) => !item.scope && !item.member && item.name === name);
+      if (def) return { file, def };
+    }
+    return null;
+  }
+
+  // Follows re-exports (`export { x } from`, `export *`, Python package
+  // `__init__` imports) until the defining file is found.
+  async findExport(target, name, seen = new Set()) {
+    const key = `${target}#${name}`;
+    if (!target || seen.has(key) || seen.size >= MAX_EXPORT_HOPS) return null;
+    seen.add(key);
+    if (isDirectory(target)) return this.findInGoPackage(target, name);
+
+    const file = await this.loadFile(target);
+    if (!file) return null;
+    const topLevel = this.definitionsOf(file).filter((def) => !def.scope);
+    const exports = this.exportsOf(file);
+    let localName = name;
+
+    if (name === 'default' && JS_LIKE.has(file.languageId)) {
+      const node = exports.defaultNode;
+      if (!node) return null;
+      if (node.type !== 'identifier') {
+        const def = topLevel.find((item) => sameNode(item.node, node));
+        return {
+          file,
+          def: def || { name: 'default', kind: anonymousKind(node), node, nameNode: null, container: null }
+        };
+      }
+      localName = node.text;
+    }
+
+    const entry = exports.named.get(name);
+    if (entry?.source) {
+      const next = this.resolver.resolve(file.languageId, entry.source, file.path);
+      if (entry.local === '*') return next ? { module: next, name: entry.source, kind: 'module' } : null;
+      return this.findExport(next, entry.local, seen);
+    }
+    if (entry) localName = entry.local;
+
+    const def = topLevel.find((item) => item.name === localName && item.exported)
+      || topLevel.find((item) => item.name === localName && !item.member);
+    if (def) return { file, def };
+
+    const { bindings, stars } = this.importsOf(file);
+    const binding = bindings.find((item) => item.local === localName);
+    if (binding) {
+      const next = this.resolver.resolve(file.languageId, binding.source, file.path);
+      if (binding.kind === 'namespace' || binding.kind === 'module') {
+        return next ? { module: next, name: binding.source, kind: 'module' } : null;
+      }
+      return this.findExport(next, binding.imported, seen);
+    }
+    for (const source of [...exports.stars, ...stars]) {
+      const found = await this.findExport(this.resolver.resolve(file.languageId, source, file.path), localName, seen);
+      if (found) return found;
+    }
+    return null;
+  }
+}
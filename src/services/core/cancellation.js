@@ -0,0 +1,35 @@
+// Long-running work (indexing, hybrid search, reranking) receives a plain
+// `{ signal, deadline }` budget: `signal` is the MCP request AbortSignal and
+// `deadline` an epoch-ms cutoff (0 = none). Synchronous loops cannot observe
+// timer-driven aborts, so the deadline is checked explicitly.
+
+export function createBudget({ signal = null, timeoutMs = 0 } = {}) {
+  const ms = Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 0;
+  return {
+    signal,
+    deadline: ms > 0 ? Date.now() + ms : 0
+  };
+}
+
+export function isStopRequested(budget) {
+  if (!budget) return false;
+  if (budget.signal?.aborted) return true;
+  return budget.deadline > 0 && Date.now() >= budget.deadline;
+}
+
+export function describeStop(budget, stopped = true) {
+  if (!stopped || !budget) {
+    return { cancelled: false, timed_out: false };
+  }
+  const cancelled = Boolean(budget.signal?.aborted);
+  return {
+    cancelled,
+    timed_out: !cancelled && budget.deadline > 0 && Date.now() >= budget.deadline
+  };
+}
+
+export function remainingMs(budget, fallbackMs) {
+  if (!budget?.deadline) return fallbackMs;
+  const left = Math.max(1, budget.deadline - Date.now());
+  return Number.isFinite(fallbackMs) && fallbackMs > 0 ? Math.min(fallbackMs, left) : left;
+}
@@ -0,0 +1,16 @@
+/**
+ * Runs async jobs strictly one after another, in call order. Index backends
+ * use one per index so watcher batches wait behind a running index_project
+ * instead of writing the same files concurrently. A failed job does not
+ * block the jobs queued behind it.
+ */
+export function createSerialQueue() {
+  let tail = Promise.resolve();
+  return {
+    run(job) {
+      const result = tail.then(() => job());
+      tail = result.catch(() => {});
+      return result;
+    }
+  };
+}
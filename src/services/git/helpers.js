@@ -0,0 +1,180 @@
+import { spawnSync } from 'node:child_process';
+
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+export const LOG_FORMAT = ['%H', '%h', '%an', '%ae', '%aI', '%P', '%s'].join('%x1f') + '%x1e';
+
+const STATUS_CODES = {
+  M: 'modified',
+  T: 'type_changed',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  U: 'unmerged',
+  '?': 'untracked',
+  '!': 'ignored'
+};
+
+export function defaultGitRunner(args, { cwd, timeoutMs = 15000 } = {}) {
+  return spawnSync('git', ['-c', 'core.quotePath=false', ...args], {
+    cwd,
+    encoding: 'utf8',
+    timeout: timeoutMs,
+    maxBuffer: 32 * 1024 * 1024
+  });
+}
+
+// Refs reach git as positional arguments; refusing a leading dash keeps them
+// from being read as options (`--output=...`).
+export function assertSafeRef(ref) {
+  const value = String(ref || '').trim();
+  if (!value || value.startsWith('-') || !/^[A-Za-z0-9._/@^~{}:+-]+$/.test(value)) {
+    throw new Error(`invalid git ref: ${ref}`);
+  }
+  return value;
+}
+
+function describeStatus(index, worktree) {
+  if (index === '?' && worktree === '?') return 'untracked';
+  if (index === 'U' || worktree === 'U' || (index === 'A' && worktree === 'A') || (index === 'D' && worktree === 'D')) {
+    return 'unmerged';
+  }
+  const code = index !== ' ' ? index : worktree;
+  return STATUS_CODES[code] || 'modified';
+}
+
+// `git status --porcelain=v1 -z --branch`
+export function parseStatusPorcelain(stdout) {
+  const entries = String(stdout || '').split('\0');
+  const out = { branch: null, upstream: null, ahead: 0, behind: 0, files: [] };
+
+  for (let i = 0; i < entries.length; i += 1) {
+    const entry = entries[i];
+    if (!entry) continue;
+    if (entry.startsWith('## ')) {
+      const header = entry.slice(3);
+      const match = header.match(/^(.+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/);
+      const name = match?.[1] || header;
+      out.branch = name.startsWith('No commits yet on ') ? name.slice('No commits yet on '.length) : name;
+      if (out.branch.startsWith('HEAD (no branch)')) out.branch = null;
+      out.upstream = match?.[2] || null;
+      const tracking = match?.[3] || '';
+      out.ahead = Number(tracking.match(/ahead (\d+)/)?.[1] || 0);
+      out.behind = Number(tracking.match(/behind (\d+)/)?.[1] || 0);
+      continue;
+    }
+    const index = entry[0];
+    const worktree = entry[1];
+    const file = {
+      path: entry.slice(3),
+      index,
+      worktree,
+      status: describeStatus(index, worktree),
+      staged: index !== ' ' && index !== '?' && index !== '!'
+    };
+    if (index === 'R' || index === 'C') {
+      file.orig_path = entries[i + 1] || null;
+      i += 1;
+    }
+    out.files.push(file);
+  }
+  return out;
+}
+
+export function parseLog(stdout) {
+  return String(stdout || '')
+    .split(RECORD)
+    .map((record) => record.replace(/^\n+/, ''))
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, shortHash, author, email, date, parents, ...subject] = record.split(FIELD);
+      return {
+        commit: hash,
+        short_commit: shortHash,
+        author,
+        author_email: email,
+        date,
+        parents: parents ? parents.split(' ') : [],
+        subject: subject.join(FIELD).trim()
+      };
+    });
+}
+
+// `git blame --porcelain`: commit metadata is only printed the first time a
+// commit appears, so it is cached and reattached to every later line.
+export function parseBlamePorcelain(stdout) {
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+
+  for (const raw of String(stdout || '').split('\n')) {
+    if (current === null) {
+      const header = raw.match(/^([0-9a-f]{40}) (\d+) (\d+)/);
+      if (!header) continue;
+      if (!commits.has(header[1])) commits.set(header[1], { commit: header[1] });
+      current = { info: commits.get(header[1]), line: Number(header[3]) };
+      continue;
+    }
+    if (raw.startsWith('\t')) {
+      const { info, line } = current;
+      lines.push({
+        line,
+        commit: info.commit,
+        short_commit: info.commit.slice(0, 7),
+        author: info.author || null,
+        author_email: info.author_email || null,
+        date: info.date || null,
+        summary: info.summary || null,
+        content: raw.slice(1)
+      });
+      current = null;
+      continue;
+    }
+    const space = raw.indexOf(' ');
+    const key = space === -1 ? raw : raw.slice(0, space);
+    const value = space === -1 ? '' : raw.slice(space + 1);
+    if (key === 'author') current.info.author = value;
+    else if (key === 'author-mail') current.info.author_email = value.replace(/^<|>$/g, '');
+    else if (key === 'author-time') current.info.date = new Date(Number(value) * 1000).toISOString();
+    else if (key === 'summary') current.info.summary = value;
+  }
+  return lines;
+}
+
+// `git diff --numstat -z`: renames use an empty path slot followed by old and new paths.
+export function parseNumstat(stdout) {
+  const parts = String(stdout || '').split('\0');
+  const files = [];
+  for (let i = 0; i < parts.length; i += 1) {
+    const entry = parts[i];
+    if (!entry) continue;
+    const [added, deleted, filePath] = entry.split('\t');
+    const file = {
+      path: filePath,
+      added: added === '-' ? null : Number(added),
+      deleted: deleted === '-' ? null : Number(deleted),
+      binary: added === '-'
+    };
+    if (!filePath) {
+      file.orig_path = parts[i + 1] || null;
+      file.path = parts[i + 2] || null;
+      i += 2;
+    }
+    files.push(file);
+  }
+  return files;
+}
+
+// Splits a unified diff into per-file sections keyed by the post-image path.
+export function splitDiffByFile(patch) {
+  const sections = [];
+  for (const chunk of String(patch || '').split(/^(?=diff --git )/m)) {
+    if (!chunk.startsWith('diff --git ')) continue;
+    const header = chunk.slice(0, chunk.indexOf('\n') === -1 ? chunk.length : chunk.indexOf('\n'));
+    const match = header.match(/^diff --git a\/(.+) b\/(.+)$/);
+    sections.push({ path: match ? match[2] : null, text: chunk });
+  }
+  return sections;
+}
@@ -0,0 +1,231 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  LOG_FORMAT,
+  defaultGitRunner,
+  assertSafeRef,
+  parseStatusPorcelain,
+  parseLog,
+  parseBlamePorcelain,
+  parseNumstat,
+  splitDiffByFile
+} from './helpers.js';
+
+export class GitService {
+  constructor({ workspace, timeoutMs = 15000, runner = defaultGitRunner }) {
+    this.workspace = workspace;
+    this.timeoutMs = timeoutMs;
+    this.runner = runner;
+  }
+
+  run(args, cwd) {
+    const result = this.runner(args, { cwd, timeoutMs: this.timeoutMs });
+    if (result.error?.code === 'ENOENT') {
+      throw new Error('git binary not found on PATH');
+    }
+    if (result.error) throw result.error;
+    if (result.status !== 0) {
+      const detail = String(result.stderr || '').trim().split('\n')[0];
+      throw new Error(`git ${args[0]} failed: ${detail || `exit code ${result.status}`}`);
+    }
+    return result.stdout || '';
+  }
+
+  // Resolves a workspace path to its repository; `pathspec` is repo-relative
+  // ('.' for the repository root itself).
+  resolve(targetPath) {
+    const absolute = this.workspace.normalizeTarget(targetPath);
+    let stat;
+    try {
+      stat = fs.statSync(absolute);
+    } catch {
+      stat = null;
+    }
+    const cwd = stat?.isDirectory() ? absolute : path.dirname(absolute);
+    if (!fs.existsSync(cwd)) throw new Error(`path not found: ${absolute}`);
+
+    let top;
+    try {
+      top = this.run(['rev-parse', '--show-toplevel'], cwd).trim();
+    } catch (error) {
+      if (/not a git repository/i.test(error.message)) {
+        throw new Error(`not a git repository: ${absolute}`, { cause: error });
+      }
+      throw error;
+    }
+    const repoRoot = fs.realpathSync(top);
+    const realTarget = stat
+      ? fs.realpathSync(absolute)
+      : path.join(fs.realpathSync(cwd), path.basename(absolute));
+    const rel = path.relative(repoRoot, realTarget).split(path.sep).join('/');
+    return { absolute, repoRoot, pathspec: rel || '.', isFile: Boolean(stat?.isFile()) };
+  }
+
+  toAbsolute(repoRoot, relPath) {
+    return relPath ? path.join(repoRoot, relPath) : null;
+  }
+
+  // null on a detached HEAD; unborn branches (no commits yet) still resolve.
+  currentBranch(targetPath) {
+    const { repoRoot } = this.resolve(targetPath);
+    try {
+      return this.run(['symbolic-ref', '--quiet', '--short', 'HEAD'], repoRoot).trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Branch names that still exist locally or on a remote, plus local branches
+  // already merged into HEAD.
+  listBranches(targetPath) {
+    const { repoRoot } = this.resolve(targetPath);
+    const current = this.currentBranch(repoRoot);
+    const refs = this.run(['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes'], repoRoot);
+    const branches = new Set();
+    for (const ref of refs.split('\n').map((line) => line.trim()).filter(Boolean)) {
+      if (ref.startsWith('refs/heads/')) branches.add(ref.slice('refs/heads/'.length));
+      else if (ref.startsWith('refs/remotes/') && !ref.endsWith('/HEAD')) branches.add(ref.split('/').slice(3).join('/'));
+    }
+    let merged = [];
+    try {
+      merged = this.run(['for-each-ref', '--merged=HEAD', '--format=%(refname:short)', 'refs/heads'], repoRoot)
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((name) => name && name !== current);
+    } catch {
+      // Unborn HEAD: nothing can be merged yet.
+    }
+    return { repo_root: repoRoot, current, branches: [...branches].sort(), merged };
+  }
+
+  status({ projectPath, includeUntracked = true, maxFiles = 500 }) {
+    const { repoRoot, pathspec } = this.resolve(projectPath);
+    const args = [
+      'status', '--porcelain=v1', '-z', '--branch',
+      `--untracked-files=${includeUntracked ? 'all' : 'no'}`,
+      '--', pathspec
+    ];
+    const parsed = parseStatusPorcelain(this.run(args, repoRoot));
+    const files = parsed.files.map((file) => ({
+      ...file,
+      path: this.toAbsolute(repoRoot, file.path),
+      ...(file.orig_path ? { orig_path: this.toAbsolute(repoRoot, file.orig_path) } : {})
+    }));
+    return {
+      repo_root: repoRoot,
+      branch: parsed.branch,
+      upstream: parsed.upstream,
+      ahead: parsed.ahead,
+      behind: parsed.behind,
+      clean: files.length === 0,
+      total_files: files.length,
+      truncated: files.length > maxFiles,
+      files: files.slice(0, maxFiles)
+    };
+  }
+
+  log({ path: targetPath, ref, maxCount = 20, since, follow = false }) {
+    const { absolute, repoRoot, pathspec, isFile } = this.resolve(targetPath);
+    const args = ['log', `--max-count=${maxCount}`, `--format=${LOG_FORMAT}`];
+    if (since) args.push(`--since=${since}`);
+    if (follow && isFile) args.push('--follow');
+    if (ref) args.push(assertSafeRef(ref));
+    args.push('--', pathspec);
+    const commits = parseLog(this.run(args, repoRoot));
+    return {
+      repo_root: repoRoot,
+      path: absolute,
+      ref: ref || 'HEAD',
+      count: commits.length,
+      commits
+    };
+  }
+
+  blame({ path: targetPath, startLine = 1, endLine, ref }) {
+    const { absolute, repoRoot, pathspec, isFile } = this.resolve(targetPath);
+    if (!isFile && !ref) throw new Error(`blame needs a file path: ${absolute}`);
+    if (this.workspace.redaction?.isDenied(absolute)) {
+      throw new Error('path is denied by redaction policy');
+    }
+    const last = endLine && endLine >= startLine ? endLine : startLine + 199;
+    const args = ['blame', '--porcelain', '-L', `${startLine},${last}`];
+    if (ref) args.push(assertSafeRef(ref));
+    args.push('--', pathspec);
+
+    const lines = parseBlamePorcelain(this.run(args, repoRoot));
+    let redacted = 0;
+    if (this.workspace.redaction) {
+      const out = this.workspace.redaction.redactLines(lines.map((line) => line.content));
+      redacted = out.count;
+      out.lines.forEach((content, i) => {
+        lines[i].content = content;
+      });
+    }
+
+    const commits = new Map();
+    for (const line of lines) {
+      const entry = commits.get(line.commit) || {
+        commit: line.commit,
+        author: line.author,
+        date: line.date,
+        summary: line.summary,
+        lines: 0
+      };
+      entry.lines += 1;
+      commits.set(line.commit, entry);
+    }
+    return {
+      repo_root: repoRoot,
+      path: absolute,
+      start_line: lines[0]?.line ?? startLine,
+      end_line: lines.at(-1)?.line ?? startLine,
+      commits: [...commits.values()],
+      lines,
+      ...(redacted > 0 ? { redacted } : {})
+    };
+  }
+
+  diff({ path: targetPath, from, to, staged = false, contextLines = 3, maxBytes = 200000 }) {
+    const { repoRoot, pathspec } = this.resolve(targetPath);
+    if (to && !from) throw new Error('diff `to` requires `from`');
+    if (staged && to) throw new Error('diff `staged` compares the index with a commit; drop `to`');
+    const refs = [from, to].filter(Boolean).map(assertSafeRef);
+    const base = ['diff', '--no-color', '--no-ext-diff', ...(staged ? ['--cached'] : []), ...refs];
+
+    const redaction = this.workspace.redaction;
+    const isDenied = (relPath) => Boolean(relPath && redaction?.isDenied(path.join(repoRoot, relPath)));
+    const stats = parseNumstat(this.run([...base, '--numstat', '-z', '--', pathspec], repoRoot));
+    const sections = splitDiffByFile(this.run([...base, `-U${contextLines}`, '--', pathspec], repoRoot));
+
+    const deniedFiles = [];
+    let patch = '';
+    let redacted = 0;
+    for (const section of sections) {
+      if (isDenied(section.path)) {
+        deniedFiles.push(this.toAbsolute(repoRoot, section.path));
+        continue;
+      }
+      const out = redaction ? redaction.redactText(section.text) : { text: section.text, count: 0 };
+      redacted += out.count;
+      patch += out.text;
+    }
+
+    const truncated = Buffer.byteLength(patch, 'utf8') > maxBytes;
+    if (truncated) patch = Buffer.from(patch, 'utf8').subarray(0, maxBytes).toString('utf8');
+
+    return {
+      repo_root: repoRoot,
+      from: from || (staged ? 'HEAD' : 'index'),
+      to: to || (staged ? 'index' : 'worktree'),
+      files: stats.map((file) => ({
+        ...file,
+        path: this.toAbsolute(repoRoot, file.path),
+        ...(file.orig_path ? { orig_path: this.toAbsolute(repoRoot, file.orig_path) } : {})
+      })),
+      patch,
+      truncated,
+      denied_files: deniedFiles,
+      ...(redacted > 0 ? { redacted } : {})
+    };
+  }
+}
@@ -0,0 +1,236 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+function unref(timer) {
+  if (timer && typeof timer.unref === 'function') timer.unref();
+  return timer;
+}
+
+/**
+ * Keeps the semantic index fresh between explicit index_project runs.
+ * Change events are queued per path, debounced, and handed to the index
+ * backend's `indexFiles` in batches so only touched files are re-chunked.
+ * Roots where recursive fs.watch is unavailable fall back to polling.
+ */
+export class IndexWatcherService {
+  constructor({
+    workspace,
+    vectorIndex,
+    debounceMs = 750,
+    maxWaitMs = 10000,
+    pollIntervalMs = 30000,
+    usePolling = false,
+    watchFn = fs.watch,
+    now = Date.now,
+    log = (line) => process.stderr.write(`${line}\n`)
+  }) {
+    this.workspace = workspace;
+    this.vectorIndex = vectorIndex;
+    this.debounceMs = debounceMs;
+    this.maxWaitMs = Math.max(maxWaitMs, debounceMs);
+    this.pollIntervalMs = pollIntervalMs;
+    this.usePolling = usePolling;
+    this.watchFn = watchFn;
+    this.now = now;
+    this.log = log;
+
+    this.running = false;
+    this.watchers = new Map();
+    this.pollers = new Map();
+    this.queue = new Map();
+    this.timer = null;
+    this.flushing = null;
+    this.lastFlushAt = null;
+    this.lastLagMs = null;
+    this.lastBatch = null;
+    this.lastError = null;
+    this.totals = { flushes: 0, indexed_files: 0, removed_files: 0, failed_files: 0 };
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    for (const root of this.workspace.roots) {
+      if (this.usePolling) this.startPolling(root.path);
+      else this.startWatching(root.path);
+    }
+  }
+
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const watcher of this.watchers.values()) watcher.close();
+    for (const poller of this.pollers.values()) clearInterval(poller.timer);
+    this.watchers.clear();
+    this.pollers.clear();
+    if (this.flushing) await this.flushing;
+  }
+
+  startWatching(rootPath) {
+    let watcher;
+    try {
+      watcher = this.watchFn(rootPath, { recursive: true, persistent: false }, (_event, filename) => {
+        if (filename) this.enqueue(path.join(rootPath, String(filename)));
+      });
+    } catch (error) {
+      this.fallBackToPolling(rootPath, error);
+      return;
+    }
+    watcher.on('error', (error) => {
+      watcher.close();
+      this.watchers.delete(rootPath);
+      this.fallBackToPolling(rootPath, error);
+    });
+    this.watchers.set(rootPath, watcher);
+  }
+
+  fallBackToPolling(rootPath, error) {
+    this.lastError = String(error?.message || error);
+    this.log(`[localnest-watch] fs.watch unavailable for ${rootPath} (${this.lastError}); polling every ${this.pollIntervalMs}ms`);
+    if (this.running) this.startPolling(rootPath);
+  }
+
+  startPolling(rootPath) {
+    const poller = { snapshot: this.snapshot(rootPath), timer: null };
+    poller.timer = unref(setInterval(() => this.poll(rootPath), this.pollIntervalMs));
+    this.pollers.set(rootPath, poller);
+  }
+
+  snapshot(rootPath) {
+    const signatures = new Map();
+    for (const { files } of this.workspace.walkDirectories(rootPath)) {
+      for (const filePath of files) {
+        if (!this.workspace.isLikelyTextFile(filePath)) continue;
+        try {
+          const st = fs.statSync(filePath);
+          signatures.set(filePath, `${st.mtimeMs}:${st.size}`);
+        } catch {
+          // Vanished between readdir and stat; the next poll sees it gone.
+        }
+      }
+    }
+    return signatures;
+  }
+
+  poll(rootPath) {
+    const poller = this.pollers.get(rootPath);
+    if (!poller) return;
+    const next = this.snapshot(rootPath);
+    for (const [filePath, signature] of next) {
+      if (poller.snapshot.get(filePath) !== signature) this.enqueue(filePath);
+    }
+    for (const filePath of poller.snapshot.keys()) {
+      if (!next.has(filePath)) this.enqueue(filePath);
+    }
+    poller.snapshot = next;
+  }
+
+  // Cheap pre-filter so editor swap files, .git churn and node_modules
+  // installs never reach the queue; the backend re-checks ignore rules.
+  isWatchedPath(filePath) {
+    const root = this.workspace.roots.find((item) => {
+      const rel = path.relative(item.path, filePath);
+      return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+    });
+    if (!root) return false;
+    const parts = path.relative(root.path, filePath).split(path.sep);
+    return !parts.some((part) => part.startsWith('.') || this.workspace.ignoreDirs.has(part));
+  }
+
+  enqueue(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!this.running || !this.isWatchedPath(resolved)) return;
+    if (!this.queue.has(resolved)) this.queue.set(resolved, this.now());
+    this.schedule();
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    if (this.flushing || this.queue.size === 0) return;
+    const oldest = Math.min(...this.queue.values());
+    const waitMs = Math.max(0, Math.min(this.debounceMs, oldest + this.maxWaitMs - this.now()));
+    this.timer = unref(setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, waitMs));
+  }
+
+  // New directories only produce one event, so expand them to their files.
+  expand(paths) {
+    const out = new Set();
+    for (const filePath of paths) {
+      let isDirectory = false;
+      try {
+        isDirectory = fs.statSync(filePath).isDirectory();
+      } catch {
+        // Deleted: pass through so the backend drops its rows.
+      }
+      if (!isDirectory) {
+        out.add(filePath);
+        continue;
+      }
+      for (const { files } of this.workspace.walkDirectories(filePath)) {
+        for (const file of files) out.add(file);
+      }
+    }
+    return [...out];
+  }
+
+  async flush() {
+    if (this.flushing) return this.flushing;
+    if (this.queue.size === 0) return null;
+
+    const batch = new Map(this.queue);
+    this.queue.clear();
+    const oldest = Math.min(...batch.values());
+
+    this.flushing = (async () => {
+      try {
+        const result = await this.vectorIndex.indexFiles({ paths: this.expand(batch.keys()) });
+        this.totals.indexed_files += result.indexed_files;
+        this.totals.removed_files += result.removed_files;
+        this.totals.failed_files += result.failed_files.length;
+        this.lastBatch = { paths: batch.size, ...result };
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = String(error?.message || error);
+        this.log(`[localnest-watch] incremental index failed: ${this.lastError}`);
+      } finally {
+        this.totals.flushes += 1;
+        this.lastFlushAt = new Date(this.now()).toISOString();
+        this.lastLagMs = this.now() - oldest;
+      }
+      return this.lastBatch;
+    })();
+
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+      if (this.running) this.schedule();
+    }
+  }
+
+  getStatus() {
+    const modes = new Set([
+      ...(this.watchers.size > 0 ? ['fs.watch'] : []),
+      ...(this.pollers.size > 0 ? ['polling'] : [])
+    ]);
+    return {
+      enabled: true,
+      running: this.running,
+      mode: modes.size === 0 ? 'stopped' : [...modes].join('+'),
+      debounce_ms: this.debounceMs,
+      poll_interval_ms: this.pollIntervalMs,
+      queue_depth: this.queue.size,
+      lag_ms: this.queue.size > 0 ? this.now() - Math.min(...this.queue.values()) : 0,
+      flushing: this.flushing !== null,
+      last_flush_at: this.lastFlushAt,
+      last_lag_ms: this.lastLagMs,
+      last_batch: this.lastBatch,
+      totals: { ...this.totals },
+      last_error: this.lastError
+    };
+  }
+}
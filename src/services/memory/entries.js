@@ -5,7 +5,7 @@ import {
   buildSearchTerms, deserializeEntry
 } from './utils.js';
 
-async function embedMemory(store, { title, summary, content }) {
+export async function embedMemory(store, { title, summary, content }) {
   if (!store.embeddingService?.isEnabled?.()) return null;
   const text = [
     String(title || '').trim(),
@@ -77,7 +77,8 @@ export async function listEntries(store, {
   const rows = await store.adapter.all(
     `SELECT id, kind, title, summary, status, importance, confidence,
             scope_root_path, scope_project_path, scope_branch_name, topic, feature,
-            tags_json, source_type, source_ref, created_at, updated_at, last_recalled_at, recall_count
+            tags_json, source_type, source_ref, created_at, updated_at, last_recalled_at, recall_count,
+            origin, origin_author, stale_reason
        FROM memory_entries
        ${where}
       ORDER BY importance DESC, updated_at DESC
@@ -104,7 +105,7 @@ export async function getEntry(store, id) {
   );
   if (!row) return null;
   const revisions = await store.adapter.all(
-    `SELECT revision, title, summary, content, tags_json, links_json, change_note, created_at
+    `SELECT revision, title, summary, content, tags_json, links_json, change_note, author, created_at
        FROM memory_revisions
       WHERE memory_id = ?
       ORDER BY revision DESC`,
@@ -120,6 +121,7 @@ export async function getEntry(store, id) {
       tags: JSON.parse(item.tags_json || '[]'),
       links: JSON.parse(item.links_json || '[]'),
       change_note: item.change_note,
+      author: item.author || '',
       created_at: item.created_at
     }))
   };
@@ -236,6 +238,10 @@ export async function updateEntry(store, id, patch = {}) {
     source_type: cleanString(patch.source_type, 60) || existing.source_type,
     source_ref: patch.source_ref === undefined ? existing.source_ref : cleanString(patch.source_ref, 1000)
   };
+  // A reason only explains a stale status; any other status clears it.
+  next.stale_reason = next.status !== 'stale'
+    ? ''
+    : (patch.stale_reason === undefined ? existing.stale_reason : cleanString(patch.stale_reason, 1000));
 
   const fingerprint = makeFingerprint({
     kind: next.kind, title: next.title, summary: next.summary,
@@ -255,14 +261,15 @@ export async function updateEntry(store, id, patch = {}) {
           SET kind = ?, title = ?, summary = ?, content = ?, status = ?,
               importance = ?, confidence = ?,
               scope_root_path = ?, scope_project_path = ?, scope_branch_name = ?, topic = ?, feature = ?,
-              tags_json = ?, search_terms_json = ?, links_json = ?, source_type = ?, source_ref = ?, fingerprint = ?, updated_at = ?
+              tags_json = ?, search_terms_json = ?, links_json = ?, source_type = ?, source_ref = ?, fingerprint = ?, updated_at = ?,
+              stale_reason = ?
         WHERE id = ?`,
       [
         next.kind, next.title, next.summary, next.content, next.status,
         next.importance, next.confidence,
         scope.root_path, scope.project_path, scope.branch_name, scope.topic, scope.feature,
         stableJson(next.tags), stableJson(searchTerms), stableJson(next.links),
-        next.source_type, next.source_ref, fingerprint, updatedAt, id
+        next.source_type, next.source_ref, fingerprint, updatedAt, next.stale_reason, id
       ]
     );
     await store.adapter.run(
@@ -301,6 +308,7 @@ export async function deleteEntry(store, id) {
   try {
     await store.adapter.run('DELETE FROM memory_relations WHERE source_id = ? OR target_id = ?', [id, id]);
     await store.adapter.run('DELETE FROM memory_revisions WHERE memory_id = ?', [id]);
+    await store.adapter.run('DELETE FROM memory_link_anchors WHERE memory_id = ?', [id]);
     await store.adapter.run('DELETE FROM memory_entries WHERE id = ?', [id]);
     await store.adapter.exec('COMMIT');
   } catch (error) {
@@ -310,3 +318,40 @@ export async function deleteEntry(store, id) {
 
   return { deleted: true, id };
 }
+
+const SCOPE_VALUE_COLUMNS = {
+  topic: 'topic',
+  feature: 'feature',
+  branch_name: 'scope_branch_name'
+};
+
+export async function listScopeValues(store, field, { prefix = '', projectPath, limit = 20 } = {}) {
+  const column = SCOPE_VALUE_COLUMNS[field];
+  if (!column) {
+    throw new Error(`unsupported scope field: ${field}`);
+  }
+  await store.init();
+
+  const filters = [`${column} != ''`];
+  const params = [];
+  const cleanedPrefix = cleanString(prefix, 200);
+  if (cleanedPrefix) {
+    filters.push(`${column} LIKE ? ESCAPE '\\'`);
+    params.push(`${cleanedPrefix.replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`);
+  }
+  if (projectPath) {
+    filters.push('scope_project_path = ?');
+    params.push(projectPath);
+  }
+
+  const rows = await store.adapter.all(
+    `SELECT ${column} AS value, COUNT(*) AS c
+       FROM memory_entries
+      WHERE ${filters.join(' AND ')}
+      GROUP BY ${column}
+      ORDER BY c DESC, value ASC
+      LIMIT ?`,
+    [...params, clampInt(limit, 20, 1, 100)]
+  );
+  return rows.map((row) => row.value);
+}
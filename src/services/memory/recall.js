@@ -8,6 +8,65 @@ import {
   scoreScopeMatch,
   deserializeEntry
 } from './utils.js';
+import { cosineSimilarity, cosineToUnitScore } from '../core/relevance.js';
+import { maybeApplyReranker } from '../search/hybrid-ranking.js';
+
+const RRF_K = 60;
+const RERANKER_MIN_CANDIDATES = 2;
+const RERANKER_TOP_N = 25;
+
+// Where a memory's branch stands relative to the caller's checkout. Without
+// git information only an exact match is known.
+function describeBranch(memoryBranch, branchName, branchState) {
+  if (!memoryBranch) return null;
+  if (branchName && memoryBranch === branchName) return 'current';
+  if (!branchState) return null;
+  if (branchState.merged.has(memoryBranch)) return 'merged';
+  if (!branchState.branches.has(memoryBranch)) return 'deleted';
+  return 'other';
+}
+
+async function embedQuery(embeddingService, query) {
+  if (!embeddingService?.isEnabled?.()) return null;
+  try {
+    return await embeddingService.embed(query);
+  } catch {
+    return null;
+  }
+}
+
+function semanticScoreOf(row, queryEmbedding) {
+  if (!queryEmbedding || !row.embedding_json) return null;
+  try {
+    const embedding = JSON.parse(row.embedding_json);
+    if (!Array.isArray(embedding) || embedding.length !== queryEmbedding.length) return null;
+    return cosineToUnitScore(cosineSimilarity(queryEmbedding, embedding));
+  } catch {
+    // Malformed embeddings leave the memory to lexical ranking only.
+    return null;
+  }
+}
+
+// Reciprocal-rank fusion of the lexical and semantic orderings, as in hybrid
+// code search. Memories only reachable through one list keep that list's share.
+function fuseRanks(scored) {
+  const assignRanks = (items, scoreKey, rankKey) => {
+    items
+      .filter((item) => item[scoreKey] !== null && item[scoreKey] > 0)
+      .sort((a, b) => b[scoreKey] - a[scoreKey])
+      .forEach((item, idx) => { item[rankKey] = idx + 1; });
+  };
+  assignRanks(scored, 'lexical_score', 'lexical_rank');
+  assignRanks(scored, 'semantic_score', 'semantic_rank');
+  return scored
+    .filter((item) => item.lexical_rank || item.semantic_rank)
+    .map((item) => {
+      const rrfScore = (item.lexical_rank ? 1 / (RRF_K + item.lexical_rank) : 0)
+        + (item.semantic_rank ? 1 / (RRF_K + item.semantic_rank) : 0);
+      return { ...item, rrf_score: rrfScore, final_score: rrfScore, reranker_score: null };
+    })
+    .sort((a, b) => b.rrf_score - a.rrf_score || b.lexical_score - a.lexical_score);
+}
 
 export async function recall(adapter, {
   query,
@@ -17,8 +76,10 @@ export async function recall(adapter, {
   branchName,
   rootPath,
   kind,
-  limit = 10
-}) {
+  branchState = null,
+  limit = 10,
+  useReranker = false
+}, { embeddingService = null, reranker = null } = {}) {
   const safeLimit = clampInt(limit, 10, 1, 50);
   const filters = ['status = ?'];
   const params = ['active'];
@@ -46,7 +107,8 @@ export async function recall(adapter, {
   );
 
   const terms = splitTerms(query);
-  const ranked = rows
+  const queryEmbedding = await embedQuery(embeddingService, query);
+  const scored = rows
     .map((row) => {
       const searchTerms = JSON.parse(row.search_terms_json || '[]');
       const haystack = [
@@ -77,14 +139,33 @@ export async function recall(adapter, {
       if (row.last_recalled_at) score += Math.min(row.recall_count || 0, 5) * 0.1;
       if (row.kind === 'preference') score += 0.25;
 
+      const branch = describeBranch(row.scope_branch_name, branchName, branchState);
+      if (branch === 'current') score += 2;
+      else if (branch === 'merged') score *= 0.75;
+      else if (branch === 'deleted') score *= 0.5;
+
+      const entry = deserializeEntry(row);
       return {
-        score,
-        entry: deserializeEntry(row)
+        lexical_score: score,
+        lexical_rank: null,
+        semantic_score: semanticScoreOf(row, queryEmbedding),
+        semantic_rank: null,
+        branch,
+        entry,
+        text: [entry.title, entry.summary, entry.content.slice(0, 500)].filter(Boolean).join('\n')
       };
-    })
-    .filter((item) => item.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, safeLimit);
+    });
+
+  const { fused, rerankerMeta } = await maybeApplyReranker({
+    fused: fuseRanks(scored),
+    query,
+    useReranker,
+    reranker,
+    rerankerMinCandidates: RERANKER_MIN_CANDIDATES,
+    rerankerTopN: RERANKER_TOP_N
+  });
+  const ranked = fused.slice(0, safeLimit);
+  const semanticHits = scored.filter((item) => item.semantic_rank).length;
 
   const recalledAt = nowIso();
   for (const item of ranked) {
@@ -101,9 +182,18 @@ export async function recall(adapter, {
   return {
     query,
     count: ranked.length,
+    ranking_mode: semanticHits > 0 ? 'hybrid' : 'lexical-only',
+    reranker: rerankerMeta,
     items: ranked.map((item) => ({
-      score: Number(normalizeRecallScore(item.score).toFixed(3)),
-      raw_score: Number(item.score.toFixed(3)),
+      score: Number(normalizeRecallScore(item.lexical_score).toFixed(3)),
+      raw_score: Number(item.lexical_score.toFixed(3)),
+      lexical_rank: item.lexical_rank,
+      semantic_score: item.semantic_score === null ? null : Number(item.semantic_score.toFixed(3)),
+      semantic_rank: item.semantic_rank,
+      rrf_score: Number(item.rrf_score.toFixed(5)),
+      reranker_score: item.reranker_score === null ? null : Number(item.reranker_score.toFixed(3)),
+      final_score: Number(item.final_score.toFixed(5)),
+      branch_state: item.branch,
       memory: item.entry
     }))
   };
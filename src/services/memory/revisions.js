@@ -0,0 +1,182 @@
+// Revision history of a memory: listing, field-level diffs between two
+// revisions and reverting to an earlier snapshot as a new revision.
+import { getEntry } from './entries.js';
+import { clampInt, truncateText } from './utils.js';
+
+const TEXT_FIELDS = ['title', 'summary', 'content'];
+// Beyond this many line pairs the diff falls back to remove-all/add-all.
+const MAX_DIFF_CELLS = 4000000;
+
+async function requireEntry(store, id, { sync = false } = {}) {
+  const entry = await getEntry(store, id);
+  if (!entry) throw new Error(`memory not found: ${id}`);
+  if (!sync || entry.origin !== 'shared') return entry;
+  // A revert appends to the shared history, which may have grown in the
+  // project file since the last sync.
+  await store.syncSharedMemories(entry.scope_project_path);
+  const synced = await getEntry(store, id);
+  if (!synced) throw new Error(`memory not found: ${id}`);
+  return synced;
+}
+
+function findRevision(entry, revision) {
+  const found = entry.revisions.find((item) => item.revision === revision);
+  if (!found) throw new Error(`revision ${revision} not found for memory ${entry.id}`);
+  return found;
+}
+
+function sameList(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function changedFields(previous, current) {
+  if (!previous) return [...TEXT_FIELDS, 'tags', 'links'];
+  return [
+    ...TEXT_FIELDS.filter((field) => previous[field] !== current[field]),
+    ...(sameList(previous.tags, current.tags) ? [] : ['tags']),
+    ...(sameList(previous.links, current.links) ? [] : ['links'])
+  ];
+}
+
+export async function listRevisions(store, id, { limit = 20, offset = 0 } = {}) {
+  await store.init();
+  const entry = await requireEntry(store, id);
+  const ascending = [...entry.revisions].sort((a, b) => a.revision - b.revision);
+  const described = ascending.map((revision, idx) => ({
+    revision: revision.revision,
+    change_note: revision.change_note,
+    author: revision.author,
+    created_at: revision.created_at,
+    title: revision.title,
+    summary: truncateText(revision.summary, 240),
+    changed_fields: changedFields(ascending[idx - 1], revision)
+  })).reverse();
+  const safeLimit = clampInt(limit, 20, 1, 200);
+  const safeOffset = clampInt(offset, 0, 0, 100000);
+  const items = described.slice(safeOffset, safeOffset + safeLimit);
+  return {
+    id: entry.id,
+    title: entry.title,
+    current_revision: ascending[ascending.length - 1]?.revision ?? null,
+    total_count: described.length,
+    count: items.length,
+    limit: safeLimit,
+    offset: safeOffset,
+    has_more: safeOffset + items.length < described.length,
+    next_offset: safeOffset + items.length < described.length ? safeOffset + items.length : null,
+    items
+  };
+}
+
+// Line diff from the longest common subsequence, as `{ op: ' '|'-'|'+', text }`.
+function diffLines(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map((text) => ({ op: '-', text })), ...b.map((text) => ({ op: '+', text }))];
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ op: ' ', text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: '-', text: a[i] });
+      i += 1;
+    } else {
+      out.push({ op: '+', text: b[j] });
+      j += 1;
+    }
+  }
+  while (i < a.length) out.push({ op: '-', text: a[i++] });
+  while (j < b.length) out.push({ op: '+', text: b[j++] });
+  return out;
+}
+
+function renderLineDiff(lines) {
+  return lines.map((line) => `${line.op}${line.text}`).join('\n');
+}
+
+function diffList(before, after, keyOf) {
+  const beforeKeys = new Map(before.map((item) => [keyOf(item), item]));
+  const afterKeys = new Map(after.map((item) => [keyOf(item), item]));
+  return {
+    added: after.filter((item) => !beforeKeys.has(keyOf(item))),
+    removed: before.filter((item) => !afterKeys.has(keyOf(item)))
+  };
+}
+
+/**
+ * Field-level diff between two revisions. `to` defaults to the latest
+ * revision and `from` to the one before it. Text fields carry a line diff
+ * (`-` removed, `+` added, ` ` unchanged); tags and links report added and
+ * removed items.
+ */
+export async function diffRevisions(store, id, { from, to } = {}) {
+  await store.init();
+  const entry = await requireEntry(store, id);
+  const latest = entry.revisions[0]?.revision;
+  const toRevision = findRevision(entry, to ?? latest);
+  const fromRevision = findRevision(entry, from ?? Math.max(1, toRevision.revision - 1));
+
+  const changes = {};
+  for (const field of TEXT_FIELDS) {
+    if (fromRevision[field] === toRevision[field]) continue;
+    const lines = diffLines(fromRevision[field], toRevision[field]);
+    changes[field] = {
+      before: fromRevision[field],
+      after: toRevision[field],
+      added_lines: lines.filter((line) => line.op === '+').length,
+      removed_lines: lines.filter((line) => line.op === '-').length,
+      diff: renderLineDiff(lines)
+    };
+  }
+  if (!sameList(fromRevision.tags, toRevision.tags)) {
+    changes.tags = diffList(fromRevision.tags, toRevision.tags, (tag) => tag);
+  }
+  if (!sameList(fromRevision.links, toRevision.links)) {
+    changes.links = diffList(fromRevision.links, toRevision.links, (link) => `${link.path}:${link.line ?? ''}:${link.label}`);
+  }
+
+  return {
+    id: entry.id,
+    from: { revision: fromRevision.revision, change_note: fromRevision.change_note, created_at: fromRevision.created_at },
+    to: { revision: toRevision.revision, change_note: toRevision.change_note, created_at: toRevision.created_at },
+    identical: Object.keys(changes).length === 0,
+    changed_fields: Object.keys(changes),
+    changes
+  };
+}
+
+/**
+ * Restore the title, summary, content, tags and links of `revision` by
+ * appending a new revision, so the reverted state stays in the history.
+ * Kind, status, importance and scope are not versioned and stay as they are.
+ */
+export async function revertEntry(store, id, { revision, changeNote } = {}) {
+  await store.init();
+  const entry = await requireEntry(store, id, { sync: true });
+  const target = findRevision(entry, revision);
+  const current = entry.revisions[0];
+  if (current && changedFields(target, current).length === 0) {
+    return { reverted: false, reason: 'already-at-revision', revision: target.revision, memory: entry };
+  }
+  const memory = await store.updateEntry(id, {
+    title: target.title,
+    summary: target.summary,
+    content: target.content,
+    tags: target.tags,
+    links: target.links,
+    change_note: changeNote || `Reverted to revision ${target.revision}`
+  });
+  return { reverted: true, revision: target.revision, new_revision: memory.revisions[0].revision, memory };
+}
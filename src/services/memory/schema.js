@@ -1,6 +1,6 @@
-import { buildSearchTerms, stableJson } from './utils.js';
+import { buildSearchTerms, stableJson, hashCodeLine, hashLineSequence } from './utils.js';
 
-export const SCHEMA_VERSION = 4;
+export const SCHEMA_VERSION = 7;
 
 export async function ensureSchema(adapter) {
   await adapter.exec(`
@@ -33,7 +33,10 @@ export async function ensureSchema(adapter) {
       updated_at TEXT NOT NULL,
       last_recalled_at TEXT,
       recall_count INTEGER NOT NULL DEFAULT 0,
-      embedding_json TEXT
+      embedding_json TEXT,
+      origin TEXT NOT NULL DEFAULT 'private',
+      origin_author TEXT NOT NULL DEFAULT '',
+      stale_reason TEXT NOT NULL DEFAULT ''
     );
 
     CREATE TABLE IF NOT EXISTS memory_revisions (
@@ -46,6 +49,7 @@ export async function ensureSchema(adapter) {
       tags_json TEXT NOT NULL DEFAULT '[]',
       links_json TEXT NOT NULL DEFAULT '[]',
       change_note TEXT NOT NULL DEFAULT '',
+      author TEXT NOT NULL DEFAULT '',
       created_at TEXT NOT NULL,
       FOREIGN KEY (memory_id) REFERENCES memory_entries(id) ON DELETE CASCADE
     );
@@ -89,6 +93,20 @@ export async function ensureSchema(adapter) {
 
     CREATE INDEX IF NOT EXISTS idx_memory_relations_source ON memory_relations(source_id);
     CREATE INDEX IF NOT EXISTS idx_memory_relations_target ON memory_relations(target_id);
+
+    CREATE TABLE IF NOT EXISTS memory_link_anchors (
+      memory_id TEXT NOT NULL,
+      path TEXT NOT NULL,
+      line INTEGER NOT NULL DEFAULT 0,
+      start_line INTEGER NOT NULL DEFAULT 0,
+      snippet_json TEXT NOT NULL DEFAULT '[]',
+      content_hash TEXT NOT NULL DEFAULT '',
+      file_size INTEGER,
+      file_mtime_ms REAL,
+      captured_at TEXT NOT NULL,
+      verified_at TEXT,
+      PRIMARY KEY (memory_id, path, line)
+    );
   `);
 }
 
@@ -143,5 +161,41 @@ export async function runMigrations({ adapter, getMeta, setMeta }) {
     }
   }
 
+  if (currentVersion < 5) {
+    for (const statement of [
+      `ALTER TABLE memory_entries ADD COLUMN origin TEXT NOT NULL DEFAULT 'private'`,
+      `ALTER TABLE memory_entries ADD COLUMN origin_author TEXT NOT NULL DEFAULT ''`,
+      `ALTER TABLE memory_revisions ADD COLUMN author TEXT NOT NULL DEFAULT ''`
+    ]) {
+      try {
+        await adapter.exec(statement);
+      } catch {
+        // Column already exists on fresh schema.
+      }
+    }
+  }
+
+  if (currentVersion < 6) {
+    try {
+      await adapter.exec(`ALTER TABLE memory_entries ADD COLUMN stale_reason TEXT NOT NULL DEFAULT ''`);
+    } catch {
+      // Column already exists on fresh schema.
+    }
+    // memory_link_anchors table created via CREATE TABLE IF NOT EXISTS in ensureSchema.
+  }
+
+  if (currentVersion < 7) {
+    // Anchors kept source lines verbatim; replace them with line hashes.
+    const anchors = await adapter.all('SELECT memory_id, path, line, snippet_json FROM memory_link_anchors');
+    for (const anchor of anchors) {
+      const snippet = JSON.parse(anchor.snippet_json || '[]').map(hashCodeLine);
+      await adapter.run(
+        `UPDATE memory_link_anchors SET snippet_json = ?, content_hash = ?
+          WHERE memory_id = ? AND path = ? AND line = ?`,
+        [JSON.stringify(snippet), snippet.length ? hashLineSequence(snippet) : '', anchor.memory_id, anchor.path, anchor.line]
+      );
+    }
+  }
+
   await setMeta('schema_version', String(SCHEMA_VERSION));
 }
@@ -0,0 +1,76 @@
+import path from 'node:path';
+
+function isWithin(parent, child) {
+  const rel = path.relative(parent, child);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/**
+ * Fills in the scope fields agents rarely pass by hand: given a project_path,
+ * the containing root and the repository's current branch are inferred.
+ * Explicit values always win. Git lookups are cached briefly per project so a
+ * burst of recalls does not spawn git for every call.
+ */
+export class MemoryScopeResolver {
+  constructor({ workspace, git = null, cacheTtlMs = 10000, now = Date.now }) {
+    this.workspace = workspace;
+    this.git = git;
+    this.cacheTtlMs = cacheTtlMs;
+    this.now = now;
+    this.cache = new Map();
+  }
+
+  cached(key, compute) {
+    const hit = this.cache.get(key);
+    if (hit && this.now() - hit.at < this.cacheTtlMs) return hit.value;
+    let value;
+    try {
+      value = compute();
+    } catch {
+      value = null;
+    }
+    this.cache.set(key, { at: this.now(), value });
+    return value;
+  }
+
+  findRoot(projectPath) {
+    const root = (this.workspace?.roots || []).find((item) => isWithin(item.path, projectPath));
+    return root ? root.path : '';
+  }
+
+  inferScope(scope = {}) {
+    const projectPath = scope.project_path || scope.projectPath || '';
+    const out = {
+      ...scope,
+      root_path: scope.root_path || scope.rootPath || '',
+      project_path: projectPath,
+      branch_name: scope.branch_name || scope.branchName || ''
+    };
+    delete out.rootPath;
+    delete out.projectPath;
+    delete out.branchName;
+    if (!projectPath) return out;
+
+    const resolved = path.resolve(projectPath);
+    if (!out.root_path) out.root_path = this.findRoot(resolved);
+    if (!out.branch_name && this.git) {
+      const state = this.getBranchState(resolved);
+      out.branch_name = state?.current || '';
+    }
+    return out;
+  }
+
+  // { current, branches: Set, merged: Set } or null outside a git repository.
+  getBranchState(projectPath) {
+    if (!projectPath || !this.git) return null;
+    const resolved = path.resolve(projectPath);
+    return this.cached(resolved, () => {
+      const listed = this.git.listBranches(resolved);
+      return {
+        current: listed.current,
+        branches: new Set(listed.branches),
+        merged: new Set(listed.merged)
+      };
+    });
+  }
+}
@@ -15,7 +15,10 @@ export class MemoryService {
     dbPath,
     autoCapture,
     consentDone,
-    embeddingService
+    embeddingService,
+    reranker = null,
+    shared = false,
+    scopeResolver = null
   }) {
     this.localnestHome = localnestHome;
     this.enabled = enabled;
@@ -23,11 +26,15 @@ export class MemoryService {
     this.dbPath = dbPath;
     this.autoCapture = autoCapture;
     this.consentDone = consentDone;
+    this.shared = shared;
     this.store = new MemoryStore({
       enabled,
       backend,
       dbPath,
-      embeddingService: embeddingService || null
+      embeddingService: embeddingService || null,
+      reranker,
+      sharedEnabled: shared,
+      scopeResolver
     });
   }
 
@@ -91,6 +98,7 @@ export class MemoryService {
       enabled: this.enabled,
       auto_capture: this.autoCapture,
       consent_done: this.consentDone,
+      shared: this.shared,
       requested_backend: this.backend,
       backend,
       db_path: this.dbPath,
@@ -126,6 +134,47 @@ export class MemoryService {
     return this.store.deleteEntry(id);
   }
 
+  async listRevisions(id, args = {}) {
+    this.assertEnabled();
+    return this.store.listRevisions(id, args);
+  }
+
+  async diffRevisions(id, args = {}) {
+    this.assertEnabled();
+    return this.store.diffRevisions(id, args);
+  }
+
+  async revertEntry(id, args = {}) {
+    this.assertEnabled();
+    return this.store.revertEntry(id, args);
+  }
+
+  async syncSharedMemories({ projectPath } = {}) {
+    this.assertEnabled();
+    if (!projectPath) throw new Error('project_path is required');
+    return this.store.syncSharedMemories(projectPath, { required: true });
+  }
+
+  async verifyLinks(args = {}) {
+    this.assertEnabled();
+    return this.store.verifyLinks(args);
+  }
+
+  async listScopeValues(field, args = {}) {
+    this.assertEnabled();
+    return this.store.listScopeValues(field, args);
+  }
+
+  async exportMemories(args = {}) {
+    this.assertEnabled();
+    return this.store.exportMemories(args);
+  }
+
+  async importMemories(content, options = {}) {
+    this.assertEnabled();
+    return this.store.importMemories(content, options);
+  }
+
   async recall(args = {}) {
     this.assertEnabled();
     return this.store.recall(args);
@@ -0,0 +1,381 @@
+// Project-shared memory tier: entries mirrored as one JSON file per memory in
+// `<project>/.localnest/memory/`, so they travel with the repository. Files
+// carry project-relative links and their full revision history; syncing
+// merges them into the local store and writes local edits back.
+import fs from 'node:fs';
+import path from 'node:path';
+import { embedMemory, getEntry } from './entries.js';
+import { listPortableAnchors, restoreLinkAnchors } from './staleness.js';
+import {
+  nowIso, cleanString, normalizeScope, ensureArray, normalizeLinks, stableJson,
+  makeFingerprint, buildSearchTerms
+} from './utils.js';
+
+export const SHARED_MEMORY_DIR = path.join('.localnest', 'memory');
+const SHARED_ID = /^[A-Za-z0-9_-]+$/;
+const MERGE_NOTE = 'Merged concurrent edits to shared memory';
+// Origin of a shared entry whose file is absent from the checkout, for
+// example on a branch that does not have it yet.
+export const SHARED_MISSING = 'shared_missing';
+
+export function sharedDirFor(projectPath) {
+  return path.join(path.resolve(projectPath), SHARED_MEMORY_DIR);
+}
+
+function sharedFileFor(projectPath, id) {
+  if (!SHARED_ID.test(id)) throw new Error(`invalid shared memory id: ${id}`);
+  return path.join(sharedDirFor(projectPath), `${id}.json`);
+}
+
+export function assertSharingEnabled(store) {
+  if (!store.sharedEnabled) {
+    throw new Error('Project-shared memory is disabled. Set memory.shared in config or LOCALNEST_MEMORY_SHARED=true.');
+  }
+}
+
+// "Name <email>" from the repository's git config, or '' outside git.
+function gitAuthor(store, projectPath) {
+  const git = store.scopeResolver?.git;
+  if (!git) return '';
+  const read = (key) => {
+    try {
+      return git.run(['config', key], path.resolve(projectPath)).trim();
+    } catch {
+      return '';
+    }
+  };
+  const name = read('user.name');
+  const email = read('user.email');
+  return [name, email ? `<${email}>` : ''].filter(Boolean).join(' ');
+}
+
+function relativePath(filePath, projectPath) {
+  const rel = path.isAbsolute(filePath) ? path.relative(path.resolve(projectPath), filePath) : filePath;
+  const inside = rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+  return inside ? rel.split(path.sep).join('/') : filePath;
+}
+
+function absolutePath(filePath, projectPath) {
+  return path.isAbsolute(filePath) ? filePath : path.join(path.resolve(projectPath), filePath);
+}
+
+function relativeLinks(links, projectPath) {
+  return normalizeLinks(links).map((link) => ({ ...link, path: relativePath(link.path, projectPath) }));
+}
+
+function absoluteLinks(links, projectPath) {
+  return normalizeLinks(links).map((link) => ({ ...link, path: absolutePath(link.path, projectPath) }));
+}
+
+// Fixed key order keeps the files stable under diff and merge.
+function toRecord(entry, projectPath) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    title: entry.title,
+    summary: entry.summary,
+    content: entry.content,
+    status: entry.status,
+    importance: entry.importance,
+    confidence: entry.confidence,
+    branch_name: entry.branch_name ?? entry.scope_branch_name ?? '',
+    topic: entry.topic || '',
+    feature: entry.feature || '',
+    tags: ensureArray(entry.tags),
+    links: relativeLinks(entry.links, projectPath),
+    source_type: entry.source_type || 'manual',
+    source_ref: entry.source_ref || '',
+    author: entry.author ?? entry.origin_author ?? '',
+    created_at: entry.created_at,
+    updated_at: entry.updated_at,
+    revisions: [...(entry.revisions || [])]
+      .sort((a, b) => a.revision - b.revision)
+      .map((revision) => ({
+        revision: revision.revision,
+        title: revision.title,
+        summary: revision.summary,
+        content: revision.content,
+        tags: ensureArray(revision.tags),
+        links: relativeLinks(revision.links, projectPath),
+        change_note: revision.change_note || '',
+        author: revision.author || '',
+        created_at: revision.created_at
+      })),
+    anchors: (entry.anchors || []).map((anchor) => ({ ...anchor, path: relativePath(anchor.path, projectPath) }))
+  };
+}
+
+function serializeRecord(record) {
+  return `${JSON.stringify(record, null, 2)}\n`;
+}
+
+function revisionKey(revision) {
+  return JSON.stringify([revision.created_at, revision.title, revision.summary, revision.content]);
+}
+
+/**
+ * Reconcile two versions of one shared memory. When one history contains the
+ * other it wins unchanged; otherwise both histories are kept as revisions,
+ * the most recently updated version becomes current and a merge revision is
+ * appended. The merge is deterministic, so teammates resolving the same
+ * conflict produce identical files.
+ */
+export function mergeSharedRecords(a, b) {
+  const aKeys = new Set(a.revisions.map(revisionKey));
+  const bKeys = new Set(b.revisions.map(revisionKey));
+  if (b.revisions.every((revision) => aKeys.has(revisionKey(revision)))) return a;
+  if (a.revisions.every((revision) => bKeys.has(revisionKey(revision)))) return b;
+
+  const winner = String(a.updated_at) >= String(b.updated_at) ? a : b;
+  const byKey = new Map();
+  for (const revision of [...a.revisions, ...b.revisions]) byKey.set(revisionKey(revision), revision);
+  const history = Array.from(byKey.values())
+    .sort((x, y) => String(x.created_at).localeCompare(String(y.created_at)) || x.revision - y.revision)
+    .map((revision, idx) => ({ ...revision, revision: idx + 1 }));
+  const mergedAt = [a.updated_at, b.updated_at].sort().pop();
+  history.push({
+    revision: history.length + 1,
+    title: winner.title,
+    summary: winner.summary,
+    content: winner.content,
+    tags: winner.tags,
+    links: winner.links,
+    change_note: MERGE_NOTE,
+    author: '',
+    created_at: mergedAt
+  });
+  return { ...winner, updated_at: mergedAt, revisions: history };
+}
+
+// The two sides of a file with git conflict markers, or null when clean.
+function conflictSides(text) {
+  if (!/^<{7}(?: |$)/m.test(text)) return null;
+  const ours = [];
+  const theirs = [];
+  let side = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (/^<{7}(?: |$)/.test(line)) side = 'ours';
+    else if (/^\|{7}(?: |$)/.test(line)) side = 'base';
+    else if (/^={7}$/.test(line)) side = 'theirs';
+    else if (/^>{7}(?: |$)/.test(line)) side = null;
+    else if (side === null) {
+      ours.push(line);
+      theirs.push(line);
+    } else if (side === 'ours') ours.push(line);
+    else if (side === 'theirs') theirs.push(line);
+  }
+  return [ours.join('\n'), theirs.join('\n')];
+}
+
+function readSharedFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const sides = conflictSides(text);
+  if (!sides) return { record: JSON.parse(text), conflicted: false };
+  const [ours, theirs] = sides.map((side) => JSON.parse(side));
+  return { record: mergeSharedRecords(ours, theirs), conflicted: true };
+}
+
+function writeSharedFile(projectPath, record) {
+  const filePath = sharedFileFor(projectPath, record.id);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, serializeRecord(record), 'utf8');
+}
+
+async function localRecord(store, id, projectPath) {
+  const entry = await getEntry(store, id);
+  if (!entry) return null;
+  const anchors = await listPortableAnchors(store, id);
+  return toRecord({ ...entry, author: entry.origin_author, anchors }, projectPath);
+}
+
+async function replaceLocalEntry(store, record, projectPath, existing) {
+  const scope = normalizeScope({
+    root_path: existing?.scope_root_path || store.scopeResolver?.findRoot?.(path.resolve(projectPath)) || '',
+    project_path: projectPath,
+    branch_name: record.branch_name,
+    topic: record.topic,
+    feature: record.feature
+  });
+  const entry = {
+    kind: cleanString(record.kind, 40) || 'knowledge',
+    title: cleanString(record.title, 400),
+    summary: cleanString(record.summary, 4000),
+    content: cleanString(record.content, 20000),
+    status: cleanString(record.status, 30) || 'active',
+    importance: Number.isFinite(record.importance) ? record.importance : 50,
+    confidence: Number.isFinite(record.confidence) ? record.confidence : 0.7,
+    scope,
+    tags: ensureArray(record.tags),
+    links: absoluteLinks(record.links, projectPath),
+    source_type: cleanString(record.source_type, 60) || 'manual',
+    source_ref: cleanString(record.source_ref, 1000)
+  };
+  if (!entry.title || !entry.content) throw new Error('shared memory is missing title or content');
+  const fingerprint = makeFingerprint(entry);
+  const searchTerms = buildSearchTerms({ ...entry, sourceRef: entry.source_ref });
+  const values = [
+    entry.kind, entry.title, entry.summary, entry.content, entry.status, entry.importance, entry.confidence,
+    scope.root_path, scope.project_path, scope.branch_name, scope.topic, scope.feature,
+    stableJson(entry.tags), stableJson(searchTerms), stableJson(entry.links),
+    entry.source_type, entry.source_ref, fingerprint, cleanString(record.author, 400),
+    record.created_at || nowIso(), record.updated_at || record.created_at || nowIso()
+  ];
+
+  await store.adapter.exec('BEGIN');
+  try {
+    if (existing) {
+      await store.adapter.run(
+        `UPDATE memory_entries
+            SET kind = ?, title = ?, summary = ?, content = ?, status = ?, importance = ?, confidence = ?,
+                scope_root_path = ?, scope_project_path = ?, scope_branch_name = ?, topic = ?, feature = ?,
+                tags_json = ?, search_terms_json = ?, links_json = ?, source_type = ?, source_ref = ?, fingerprint = ?,
+                origin = 'shared', origin_author = ?, created_at = ?, updated_at = ?
+          WHERE id = ?`,
+        [...values, record.id]
+      );
+      await store.adapter.run('DELETE FROM memory_revisions WHERE memory_id = ?', [record.id]);
+    } else {
+      await store.adapter.run(
+        `INSERT INTO memory_entries(
+          kind, title, summary, content, status, importance, confidence,
+          scope_root_path, scope_project_path, scope_branch_name, topic, feature,
+          tags_json, search_terms_json, links_json, source_type, source_ref, fingerprint,
+          origin_author, created_at, updated_at, id, origin, last_recalled_at, recall_count
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'shared', NULL, 0)`,
+        [...values, record.id]
+      );
+    }
+    for (const revision of record.revisions) {
+      await store.adapter.run(
+        `INSERT INTO memory_revisions(
+          memory_id, revision, title, summary, content, tags_json, links_json, change_note, author, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          record.id, revision.revision, cleanString(revision.title, 400), cleanString(revision.summary, 4000),
+          cleanString(revision.content, 20000), stableJson(ensureArray(revision.tags)),
+          stableJson(absoluteLinks(revision.links, projectPath)), cleanString(revision.change_note, 400),
+          cleanString(revision.author, 400), revision.created_at || nowIso()
+        ]
+      );
+    }
+    await store.adapter.exec('COMMIT');
+  } catch (error) {
+    await store.adapter.exec('ROLLBACK');
+    throw error;
+  }
+
+  if (!existing || existing.title !== entry.title || existing.summary !== entry.summary || existing.content !== entry.content) {
+    const embedding = await embedMemory(store, entry);
+    if (embedding) {
+      await store.adapter.run('UPDATE memory_entries SET embedding_json = ? WHERE id = ?', [JSON.stringify(embedding), record.id]);
+    }
+  }
+  // Anchors from the file keep drift measured against the code the author
+  // linked; links that arrive without one are anchored to the local checkout.
+  const anchors = (Array.isArray(record.anchors) ? record.anchors : [])
+    .filter((anchor) => typeof anchor?.path === 'string' && anchor.path)
+    .map((anchor) => ({ ...anchor, path: absolutePath(anchor.path, projectPath) }));
+  await restoreLinkAnchors(store, await getEntry(store, record.id), anchors);
+}
+
+/**
+ * Mark a stored memory as project-shared and write its file. Revisions
+ * without an author are attributed to the current git user.
+ */
+export async function publishSharedEntry(store, id) {
+  assertSharingEnabled(store);
+  const entry = await getEntry(store, id);
+  if (!entry) throw new Error(`memory not found: ${id}`);
+  if (!entry.scope_project_path) throw new Error('shared memories need a project_path scope');
+  const author = gitAuthor(store, entry.scope_project_path);
+  await store.adapter.run(
+    `UPDATE memory_entries
+        SET origin = 'shared', origin_author = CASE WHEN origin_author = '' THEN ? ELSE origin_author END
+      WHERE id = ?`,
+    [author, id]
+  );
+  await store.adapter.run('UPDATE memory_revisions SET author = ? WHERE memory_id = ? AND author = \'\'', [author, id]);
+  writeSharedFile(entry.scope_project_path, await localRecord(store, id, entry.scope_project_path));
+  store.sharedSyncState.delete(path.resolve(entry.scope_project_path));
+  return getEntry(store, id);
+}
+
+export async function removeSharedEntry(store, entry) {
+  if (entry?.origin !== 'shared' || !entry.scope_project_path) return;
+  fs.rmSync(sharedFileFor(entry.scope_project_path, entry.id), { force: true });
+  store.sharedSyncState.delete(path.resolve(entry.scope_project_path));
+}
+
+function directorySignature(dir) {
+  if (!fs.existsSync(dir)) return '';
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .sort()
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return `${name}:${stat.size}:${stat.mtimeMs}`;
+    })
+    .join('|');
+}
+
+/**
+ * Bring the local store in line with `<projectPath>/.localnest/memory/`:
+ * new files are imported, newer histories fast-forward the local copy, local
+ * edits are written back, diverged or conflict-marked files are merged, and
+ * shared entries whose file is gone are kept as `shared_missing`. Skipped
+ * when the folder has not changed since the last sync.
+ */
+export async function syncSharedMemories(store, projectPath) {
+  const report = { files: 0, imported: 0, updated: 0, written: 0, merged: 0, missing: 0, restored: 0, errors: [] };
+  if (!store.sharedEnabled || !projectPath) return report;
+  const dir = sharedDirFor(projectPath);
+  const cacheKey = path.resolve(projectPath);
+  const signature = directorySignature(dir);
+  if (store.sharedSyncState.get(cacheKey) === signature) return { ...report, skipped: true };
+
+  const seen = new Set();
+  const names = signature ? fs.readdirSync(dir).filter((name) => name.endsWith('.json')).sort() : [];
+  for (const name of names) {
+    const id = name.slice(0, -'.json'.length);
+    if (!SHARED_ID.test(id)) continue;
+    report.files += 1;
+    try {
+      const { record: fileRecord, conflicted } = readSharedFile(path.join(dir, name));
+      if (fileRecord.id !== id) throw new Error(`file declares id ${fileRecord.id}`);
+      seen.add(id);
+      const existing = await getEntry(store, id);
+      const current = existing ? await localRecord(store, id, projectPath) : null;
+      const merged = current ? mergeSharedRecords(current, fileRecord) : fileRecord;
+      if (conflicted || (current && merged !== current && merged !== fileRecord)) report.merged += 1;
+
+      if (!current || serializeRecord(merged) !== serializeRecord(current) || existing.origin !== 'shared') {
+        await replaceLocalEntry(store, merged, existing?.scope_project_path || projectPath, existing);
+        if (existing?.origin === SHARED_MISSING) report.restored += 1;
+        else if (current) report.updated += 1;
+        else report.imported += 1;
+      }
+      if (conflicted || serializeRecord(merged) !== serializeRecord(fileRecord)) {
+        writeSharedFile(projectPath, merged);
+        report.written += 1;
+      }
+    } catch (error) {
+      report.errors.push({ file: path.join(SHARED_MEMORY_DIR, name), error: error?.message || String(error) });
+      seen.add(id);
+    }
+  }
+
+  // A missing file is not proof of deletion (another branch may not have it
+  // yet), so the entry, its history and relations stay; the file coming back
+  // restores it. Deleting the memory is left to the user.
+  const absent = await store.adapter.all(
+    `SELECT id FROM memory_entries WHERE origin = 'shared' AND scope_project_path = ?`,
+    [projectPath]
+  );
+  for (const row of absent.filter((item) => !seen.has(item.id))) {
+    await store.adapter.run('UPDATE memory_entries SET origin = ? WHERE id = ?', [SHARED_MISSING, row.id]);
+    report.missing += 1;
+  }
+
+  store.sharedSyncState.set(cacheKey, directorySignature(dir));
+  return report;
+}
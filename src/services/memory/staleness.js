@@ -0,0 +1,507 @@
+// Staleness of memories that link into code. When a memory is stored, the
+// lines around each linked line are hashed one by one and kept as an anchor;
+// no source text is stored. Only files under the configured roots and off
+// the redaction deny-list are anchored. Verifying
+// a memory compares the anchors with the files as they are now: unchanged
+// links pass, moved code is re-anchored by content matching, and deleted or
+// heavily rewritten code marks the memory `stale` with a reason.
+import fs from 'node:fs';
+import path from 'node:path';
+import { RedactionService } from '../redaction/service.js';
+import { isUnderRoots } from '../workspace/helpers.js';
+import { getEntry } from './entries.js';
+import { nowIso, clampInt, hashCodeLine, hashLineSequence } from './utils.js';
+
+// Lines kept on each side of the linked line.
+const ANCHOR_CONTEXT = 3;
+// Extra lines a candidate window may span, so a few inserted lines inside
+// the anchored range do not hide it.
+const WINDOW_SLACK = 2;
+// Share of the score carried by the linked line itself (usually the symbol's
+// declaration); the rest comes from the surrounding lines.
+const LINKED_LINE_WEIGHT = 0.3;
+// Below this score the anchored code counts as rewritten rather than moved.
+const REANCHOR_MIN_SCORE = 0.6;
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const MAX_MOVE_CANDIDATES = 20;
+// Files of the same type read while looking for the linked line of a
+// deleted file.
+const MAX_MOVE_SCAN_FILES = 2000;
+// Used when the store has no workspace redaction to ask.
+const DEFAULT_REDACTION = new RedactionService({ enabled: false });
+
+function toPosix(relPath) {
+  return relPath.split(path.sep).join('/');
+}
+
+// Relative links resolve against the memory's project, then its root.
+function linkBase(entry) {
+  return entry.scope_project_path || entry.scope_root_path || '';
+}
+
+function resolveLinkPath(entry, linkPath) {
+  if (path.isAbsolute(linkPath)) return linkPath;
+  const base = linkBase(entry);
+  return base ? path.join(path.resolve(base), linkPath) : null;
+}
+
+// Keeps the link's own style: relative links stay relative to the same base.
+function displayPath(entry, original, absolute) {
+  if (path.isAbsolute(original)) return absolute;
+  return toPosix(path.relative(path.resolve(linkBase(entry)), absolute));
+}
+
+// Only files under a configured root and not on the deny-list are read.
+function isAnchorable(store, absolute) {
+  const workspace = store.scopeResolver?.workspace;
+  if (!Array.isArray(workspace?.roots)) return false;
+  if ((workspace.redaction || DEFAULT_REDACTION).isDenied(absolute)) return false;
+  return isUnderRoots(workspace, absolute);
+}
+
+function statFile(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return stat.isFile() ? stat : null;
+  } catch {
+    return null;
+  }
+}
+
+// Line hashes of a text file, or null when it is too large or binary.
+function readLines(filePath, stat) {
+  if (stat.size > MAX_FILE_BYTES) return null;
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+  if (text.includes('\0')) return null;
+  return text.split(/\r?\n/).map(hashCodeLine);
+}
+
+function anchorWindow(lines, line) {
+  const start = Math.max(1, line - ANCHOR_CONTEXT);
+  const end = Math.min(lines.length, line + ANCHOR_CONTEXT);
+  const snippet = line <= lines.length ? lines.slice(start - 1, end) : [];
+  return { start_line: start, snippet };
+}
+
+function linkedLineOf(anchor) {
+  return anchor.snippet[anchor.line - anchor.start_line] || '';
+}
+
+// How much of the anchored snippet survives in the window starting at
+// `start` (1-based): the share of its non-blank lines found there, plus a
+// bonus when the linked line sits at the same offset.
+function scoreWindow(lines, start, anchor) {
+  const wanted = anchor.snippet.filter(Boolean);
+  const window = lines.slice(start - 1, start - 1 + anchor.snippet.length + WINDOW_SLACK);
+  const available = new Map();
+  for (const line of window) {
+    if (line) available.set(line, (available.get(line) || 0) + 1);
+  }
+  let found = 0;
+  for (const line of wanted) {
+    const count = available.get(line) || 0;
+    if (count > 0) {
+      found += 1;
+      available.set(line, count - 1);
+    }
+  }
+  const overlap = found / wanted.length;
+  const linked = linkedLineOf(anchor);
+  if (!linked) return overlap;
+  const offset = anchor.line - anchor.start_line;
+  const aligned = lines[start - 1 + offset] === linked;
+  return overlap * (1 - LINKED_LINE_WEIGHT) + (aligned ? LINKED_LINE_WEIGHT : 0);
+}
+
+// Best-scoring position of the anchor in `lines`; ties go to the position
+// closest to where it was.
+function locateAnchor(lines, anchor) {
+  let best = null;
+  for (let start = 1; start <= lines.length; start += 1) {
+    const score = scoreWindow(lines, start, anchor);
+    const distance = Math.abs(start - anchor.start_line);
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { score, distance, line: start + (anchor.line - anchor.start_line) };
+    }
+  }
+  return best;
+}
+
+function gitLines(store, args, cwd) {
+  const git = store.scopeResolver?.git;
+  if (!git || !fs.existsSync(cwd)) return [];
+  try {
+    return git.run(args, cwd).split('\0').filter(Boolean);
+  } catch {
+    // Not a repository, or `git grep` without matches.
+    return [];
+  }
+}
+
+// Files a deleted link may have moved to: same file name, or a file of the
+// same type containing the linked line. Uses git so ignored and vendored
+// files stay out.
+function moveCandidates(store, entry, absolute, anchor) {
+  const base = linkBase(entry);
+  if (!base) return [];
+  const cwd = path.resolve(base);
+  const name = path.basename(absolute);
+  const files = gitLines(store, ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], cwd)
+    .map((file) => path.join(cwd, file))
+    .filter((file) => file !== absolute && isAnchorable(store, file));
+  const found = files.filter((file) => path.basename(file) === name && statFile(file));
+  const linked = anchor ? linkedLineOf(anchor) : '';
+  if (linked) {
+    const ext = path.extname(absolute);
+    const sameType = files.filter((file) => path.extname(file) === ext && path.basename(file) !== name);
+    for (const file of sameType.slice(0, MAX_MOVE_SCAN_FILES)) {
+      if (found.length >= MAX_MOVE_CANDIDATES) break;
+      const stat = statFile(file);
+      if (stat && readLines(file, stat)?.includes(linked)) found.push(file);
+    }
+  }
+  return found.slice(0, MAX_MOVE_CANDIDATES);
+}
+
+async function loadAnchors(store, memoryId) {
+  const rows = await store.adapter.all(
+    'SELECT * FROM memory_link_anchors WHERE memory_id = ?',
+    [memoryId]
+  );
+  return new Map(rows.map((row) => [`${row.path}\n${row.line}`, {
+    ...row,
+    snippet: JSON.parse(row.snippet_json || '[]')
+  }]));
+}
+
+function buildAnchor(entry, link, absolute, stat, lines) {
+  const line = link.line || 0;
+  const window = line && lines ? anchorWindow(lines, line) : { start_line: 0, snippet: [] };
+  return {
+    memory_id: entry.id,
+    path: link.path,
+    line,
+    start_line: window.start_line,
+    snippet: window.snippet,
+    content_hash: window.snippet.length ? hashLineSequence(window.snippet) : '',
+    file_size: stat?.size ?? null,
+    file_mtime_ms: stat?.mtimeMs ?? null
+  };
+}
+
+async function saveAnchor(store, anchor, { previous = null, verifiedAt = null } = {}) {
+  if (previous) {
+    await store.adapter.run(
+      'DELETE FROM memory_link_anchors WHERE memory_id = ? AND path = ? AND line = ?',
+      [anchor.memory_id, previous.path, previous.line]
+    );
+  }
+  await store.adapter.run(
+    `INSERT OR REPLACE INTO memory_link_anchors(
+      memory_id, path, line, start_line, snippet_json, content_hash, file_size, file_mtime_ms, captured_at, verified_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      anchor.memory_id, anchor.path, anchor.line, anchor.start_line, JSON.stringify(anchor.snippet),
+      anchor.content_hash, anchor.file_size, anchor.file_mtime_ms,
+      anchor.captured_at || nowIso(), verifiedAt
+    ]
+  );
+}
+
+/**
+ * Hash the linked line ranges of a memory. Links that already have an anchor
+ * keep it, so verification always compares against the code as it was when
+ * the link was made; anchors of links that were removed are dropped.
+ */
+export async function captureLinkAnchors(store, entry) {
+  const anchors = await loadAnchors(store, entry.id);
+  const keep = new Set();
+  for (const link of entry.links || []) {
+    const key = `${link.path}\n${link.line || 0}`;
+    keep.add(key);
+    if (anchors.has(key)) continue;
+    const absolute = resolveLinkPath(entry, link.path);
+    const stat = absolute && isAnchorable(store, absolute) ? statFile(absolute) : null;
+    if (!stat) continue;
+    await saveAnchor(store, buildAnchor(entry, link, absolute, stat, link.line ? readLines(absolute, stat) : null));
+  }
+  for (const [key, anchor] of anchors) {
+    if (!keep.has(key)) {
+      await store.adapter.run(
+        'DELETE FROM memory_link_anchors WHERE memory_id = ? AND path = ? AND line = ?',
+        [entry.id, anchor.path, anchor.line]
+      );
+    }
+  }
+}
+
+const LINE_HASH = /^(?:[0-9a-f]{16})?$/;
+
+/**
+ * Anchors of a memory without machine-specific file stats, for exports and
+ * shared memory files, so a copy keeps measuring drift from the code the
+ * memory was written about.
+ */
+export async function listPortableAnchors(store, memoryId) {
+  const anchors = await loadAnchors(store, memoryId);
+  return [...anchors.values()]
+    .sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line)
+    .map((anchor) => ({
+      path: anchor.path,
+      line: anchor.line,
+      start_line: anchor.start_line,
+      snippet: anchor.snippet,
+      content_hash: anchor.content_hash
+    }));
+}
+
+/**
+ * Store anchors carried by an import or a shared file for the links of
+ * `entry`, then capture anchors for links that came without one. Carried
+ * snippets must be line hashes; anything else is ignored.
+ */
+export async function restoreLinkAnchors(store, entry, anchors = []) {
+  const linked = new Set((entry.links || []).map((link) => `${link.path}\n${link.line || 0}`));
+  for (const anchor of Array.isArray(anchors) ? anchors : []) {
+    const line = Number.isInteger(anchor?.line) ? anchor.line : 0;
+    if (!linked.has(`${anchor?.path}\n${line}`)) continue;
+    if (!Array.isArray(anchor.snippet) || !anchor.snippet.every((hash) => typeof hash === 'string' && LINE_HASH.test(hash))) continue;
+    await saveAnchor(store, {
+      memory_id: entry.id,
+      path: anchor.path,
+      line,
+      start_line: Number.isInteger(anchor.start_line) ? anchor.start_line : 0,
+      snippet: anchor.snippet,
+      content_hash: anchor.snippet.length ? hashLineSequence(anchor.snippet) : '',
+      file_size: null,
+      file_mtime_ms: null
+    });
+  }
+  await captureLinkAnchors(store, entry);
+}
+
+function checkInFile(anchor, lines) {
+  if (!anchor.snippet.some(Boolean)) return { state: 'ok', line: anchor.line || null, score: 1 };
+  const startIndex = anchor.start_line - 1;
+  const current = lines.slice(startIndex, startIndex + anchor.snippet.length);
+  if (current.length === anchor.snippet.length && hashLineSequence(current) === anchor.content_hash) {
+    return { state: 'ok', line: anchor.line, score: 1 };
+  }
+  const best = locateAnchor(lines, anchor);
+  if (!best || best.score < REANCHOR_MIN_SCORE) {
+    return { state: 'rewritten', line: anchor.line, score: best ? best.score : 0 };
+  }
+  return { state: best.line === anchor.line ? 'ok' : 'moved', line: best.line, score: best.score };
+}
+
+// Outcome for one link: ok, moved (with its new place), missing, rewritten
+// or unverifiable. `anchor` is null for links never anchored yet.
+function checkLink(store, entry, link, anchor) {
+  const absolute = resolveLinkPath(entry, link.path);
+  if (!absolute) return { state: 'unverifiable', reason: 'relative link without a project scope' };
+  if (!isAnchorable(store, absolute)) {
+    return { state: 'unverifiable', reason: 'linked file is outside the configured roots or denied by redaction policy' };
+  }
+  const stat = statFile(absolute);
+
+  if (stat) {
+    if (!anchor) return { state: 'ok', absolute, stat };
+    if (anchor.file_size === stat.size && anchor.file_mtime_ms === stat.mtimeMs) {
+      return { state: 'ok', absolute, stat };
+    }
+    if (!link.line) return { state: 'ok', absolute, stat };
+    const lines = readLines(absolute, stat);
+    if (!lines) return { state: 'unverifiable', reason: 'file is binary or too large' };
+    const result = checkInFile(anchor, lines);
+    return { ...result, absolute, stat };
+  }
+  // Staleness is judged against captured code; a file never seen here (a
+  // link made on another machine, or to code not written yet) proves nothing.
+  if (!anchor) return { state: 'unverifiable', reason: 'linked file has not been seen on this machine' };
+
+  if (!link.line || !anchor.snippet.some(Boolean)) {
+    // Without anchored content only an unambiguous file name is trusted.
+    const sameName = moveCandidates(store, entry, absolute, null);
+    if (sameName.length === 1) {
+      return { state: 'moved', absolute: sameName[0], stat: statFile(sameName[0]), line: link.line || null, score: null };
+    }
+    return { state: 'missing' };
+  }
+  for (const candidate of moveCandidates(store, entry, absolute, anchor)) {
+    const candidateStat = statFile(candidate);
+    const lines = readLines(candidate, candidateStat);
+    if (!lines) continue;
+    const best = locateAnchor(lines, anchor);
+    if (best && best.score >= REANCHOR_MIN_SCORE) {
+      return { state: 'moved', absolute: candidate, stat: candidateStat, line: best.line, score: best.score };
+    }
+  }
+  return { state: 'missing' };
+}
+
+function describeLink(link) {
+  return link.line ? `${link.path}:${link.line}` : link.path;
+}
+
+function staleReasonFor(problems) {
+  return problems.map(({ link, result }) => (result.state === 'missing'
+    ? `${describeLink(link)} no longer exists`
+    : `${describeLink(link)} was rewritten (${Math.round(result.score * 100)}% of the linked code remains)`)).join('; ');
+}
+
+/**
+ * Re-verify the links of one memory against the working tree. Moved code is
+ * re-anchored (a new revision with the updated links); deleted or rewritten
+ * code marks an active memory `stale` with a reason; a memory this checker
+ * marked stale becomes active again once every link verifies. With `dryRun`
+ * nothing is written.
+ */
+export async function verifyEntryLinks(store, entry, { dryRun = false } = {}) {
+  const anchors = await loadAnchors(store, entry.id);
+  const verifiedAt = nowIso();
+  const links = [];
+  const moves = [];
+  const problems = [];
+
+  for (const link of entry.links || []) {
+    const anchor = anchors.get(`${link.path}\n${link.line || 0}`) || null;
+    const result = checkLink(store, entry, link, anchor);
+    const report = { path: link.path, line: link.line, state: result.state };
+    if (result.score !== undefined && result.score !== null) report.score = Number(result.score.toFixed(3));
+    if (result.reason) report.reason = result.reason;
+
+    if (result.state === 'moved') {
+      const moved = { ...link, path: displayPath(entry, link.path, result.absolute), line: result.line || link.line };
+      report.moved_to = { path: moved.path, line: moved.line };
+      moves.push({ link, moved, anchor, result });
+    } else if (result.state === 'missing' || result.state === 'rewritten') {
+      problems.push({ link, result });
+    } else if (result.state === 'ok' && !dryRun) {
+      const base = anchor || buildAnchor(entry, link, result.absolute, result.stat, link.line ? readLines(result.absolute, result.stat) : null);
+      await saveAnchor(store, { ...base, file_size: result.stat.size, file_mtime_ms: result.stat.mtimeMs }, { verifiedAt });
+    }
+    links.push(report);
+  }
+
+  const staleReason = staleReasonFor(problems);
+  let action = 'none';
+  if (problems.length > 0 && entry.status === 'active') action = 'marked-stale';
+  else if (problems.length === 0 && entry.status === 'stale' && entry.stale_reason) action = 'revived';
+  if (moves.length > 0 && action === 'none') action = 'reanchored';
+
+  let memory = entry;
+  if (!dryRun && (moves.length > 0 || action !== 'none')) {
+    for (const { link, moved, anchor, result } of moves) {
+      if (!anchor) continue;
+      // The anchor keeps its original snippet: later checks still measure
+      // drift from the code the memory was written about.
+      await saveAnchor(store, {
+        ...anchor,
+        path: moved.path,
+        line: moved.line || 0,
+        start_line: anchor.start_line + ((moved.line || 0) - (link.line || 0)),
+        file_size: result.stat?.size ?? null,
+        file_mtime_ms: result.stat?.mtimeMs ?? null
+      }, { previous: anchor, verifiedAt });
+    }
+    const movedLinks = new Map(moves.map(({ link, moved }) => [link, moved]));
+    const patch = {};
+    const notes = [];
+    if (moves.length > 0) {
+      patch.links = entry.links.map((link) => movedLinks.get(link) || link);
+      notes.push(`Re-anchored ${moves.map(({ link, moved }) => `${describeLink(link)} -> ${describeLink(moved)}`).join(', ')}`);
+    }
+    if (action === 'marked-stale') {
+      patch.status = 'stale';
+      patch.stale_reason = staleReason;
+      notes.push(`Marked stale: ${staleReason}`);
+    } else if (action === 'revived') {
+      patch.status = 'active';
+      notes.push('Linked code verified again');
+    }
+    patch.change_note = notes.join('; ').slice(0, 400);
+    memory = await store.updateEntry(entry.id, patch);
+  }
+
+  return {
+    id: entry.id,
+    title: entry.title,
+    status: action === 'marked-stale' ? 'stale' : (action === 'revived' ? 'active' : entry.status),
+    action,
+    stale_reason: action === 'marked-stale' ? staleReason : (action === 'revived' ? '' : entry.stale_reason),
+    links,
+    memory
+  };
+}
+
+/**
+ * Verify every linked memory (optionally one project's), including memories
+ * this checker marked stale earlier so they can recover.
+ */
+export async function sweepStaleMemories(store, { projectPath, dryRun = false, limit = 500 } = {}) {
+  await store.init();
+  const filters = [`links_json != '[]'`, `(status = 'active' OR (status = 'stale' AND stale_reason != ''))`];
+  const params = [];
+  if (projectPath) {
+    filters.push('scope_project_path = ?');
+    params.push(projectPath);
+  }
+  const rows = await store.adapter.all(
+    `SELECT id FROM memory_entries WHERE ${filters.join(' AND ')} ORDER BY updated_at DESC LIMIT ?`,
+    [...params, clampInt(limit, 500, 1, 5000)]
+  );
+
+  const counts = { checked: 0, unchanged: 0, reanchored: 0, marked_stale: 0, revived: 0 };
+  const items = [];
+  for (const row of rows) {
+    const entry = await getEntry(store, row.id);
+    if (!entry) continue;
+    const result = await verifyEntryLinks(store, entry, { dryRun });
+    counts.checked += 1;
+    if (result.action === 'none') {
+      counts.unchanged += 1;
+      continue;
+    }
+    if (result.action === 'marked-stale') counts.marked_stale += 1;
+    else if (result.action === 'revived') counts.revived += 1;
+    if (result.links.some((link) => link.state === 'moved')) counts.reanchored += 1;
+    items.push({
+      id: result.id,
+      title: result.title,
+      status: result.status,
+      action: result.action,
+      stale_reason: result.stale_reason,
+      links: result.links
+    });
+  }
+  return { dry_run: dryRun, project_path: projectPath || null, ...counts, items };
+}
+
+/**
+ * Check the linked memories of a recall result without writing: memories
+ * whose code is gone are dropped and listed under `stale_filtered`. Marking
+ * them stale and re-anchoring moved links is left to `sweepStaleMemories`,
+ * so recall stays read-only.
+ */
+export async function verifyRecalledLinks(store, result) {
+  const items = [];
+  const staleFiltered = [];
+  for (const item of result.items) {
+    if (!item.memory.links?.length) {
+      items.push(item);
+      continue;
+    }
+    const verified = await verifyEntryLinks(store, item.memory, { dryRun: true });
+    if (verified.action === 'marked-stale') {
+      staleFiltered.push({ id: verified.id, title: verified.title, stale_reason: verified.stale_reason });
+      continue;
+    }
+    items.push(item);
+  }
+  return { ...result, count: items.length, stale_filtered: staleFiltered, items };
+}
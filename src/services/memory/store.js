@@ -11,7 +11,8 @@ import {
   getEntry as getMemoryEntry,
   storeEntry as storeMemoryEntry,
   updateEntry as updateMemoryEntry,
-  deleteEntry as deleteMemoryEntry
+  deleteEntry as deleteMemoryEntry,
+  listScopeValues as listMemoryScopeValues
 } from './entries.js';
 import {
   recall as recallFn,
@@ -24,18 +25,46 @@ import {
   removeRelation as removeRelationFn,
   getRelated as getRelatedFn
 } from './relations.js';
+import {
+  assertSharingEnabled,
+  publishSharedEntry,
+  removeSharedEntry,
+  syncSharedMemories as syncSharedMemoriesFn
+} from './shared.js';
+import {
+  exportMemories as exportMemoriesFn,
+  importMemories as importMemoriesFn
+} from './transfer.js';
+import {
+  diffRevisions as diffRevisionsFn,
+  listRevisions as listRevisionsFn,
+  revertEntry as revertEntryFn
+} from './revisions.js';
+import {
+  captureLinkAnchors,
+  sweepStaleMemories,
+  verifyEntryLinks,
+  verifyRecalledLinks
+} from './staleness.js';
 
 export class MemoryStore {
   constructor({
     enabled,
     backend,
     dbPath,
-    embeddingService
+    embeddingService,
+    reranker = null,
+    sharedEnabled = false,
+    scopeResolver = null
   }) {
     this.enabled = enabled;
     this.requestedBackend = backend || 'auto';
     this.dbPath = dbPath;
     this.embeddingService = embeddingService || null;
+    this.reranker = reranker;
+    this.sharedEnabled = !!sharedEnabled;
+    this.sharedSyncState = new Map();
+    this.scopeResolver = scopeResolver;
     this.adapter = null;
     this.selectedBackend = null;
   }
@@ -118,6 +147,26 @@ export class MemoryStore {
     return row ? row.value : null;
   }
 
+  withInferredScope(input) {
+    if (!this.scopeResolver) return input;
+    return { ...input, scope: this.scopeResolver.inferScope(input.scope || {}) };
+  }
+
+  withInferredRecallScope(args) {
+    if (!this.scopeResolver || !args.projectPath) return args;
+    const scope = this.scopeResolver.inferScope({
+      root_path: args.rootPath,
+      project_path: args.projectPath,
+      branch_name: args.branchName
+    });
+    return {
+      ...args,
+      rootPath: scope.root_path || undefined,
+      branchName: scope.branch_name || undefined,
+      branchState: this.scopeResolver.getBranchState(args.projectPath)
+    };
+  }
+
   async getStatus() {
     return getStoreStatus(this);
   }
@@ -131,25 +180,87 @@ export class MemoryStore {
   }
 
   async storeEntry(input) {
-    return storeMemoryEntry(this, input);
+    const scoped = this.withInferredScope(input);
+    if (input.shared) {
+      assertSharingEnabled(this);
+      if (!scoped.scope?.project_path && !scoped.scope?.projectPath) throw new Error('shared memories need a project_path scope');
+    }
+    const result = await storeMemoryEntry(this, scoped);
+    await captureLinkAnchors(this, result.memory);
+    if (!input.shared || result.memory.origin === 'shared') return result;
+    return { ...result, memory: await publishSharedEntry(this, result.memory.id) };
   }
 
   async updateEntry(id, patch = {}) {
-    return updateMemoryEntry(this, id, patch);
+    const existing = await getMemoryEntry(this, id);
+    // Pick up teammates' edits from the shared file before appending ours.
+    if (existing?.origin === 'shared') await this.syncSharedMemories(existing.scope_project_path);
+    const updated = await updateMemoryEntry(this, id, patch);
+    await captureLinkAnchors(this, updated);
+    if (updated.origin !== 'shared' && !patch.shared) return updated;
+    return publishSharedEntry(this, id);
   }
 
   async deleteEntry(id) {
-    return deleteMemoryEntry(this, id);
+    const existing = await getMemoryEntry(this, id);
+    const result = await deleteMemoryEntry(this, id);
+    if (result.deleted) await removeSharedEntry(this, existing);
+    return result;
+  }
+
+  async listRevisions(id, args) {
+    return listRevisionsFn(this, id, args);
+  }
+
+  async diffRevisions(id, args) {
+    return diffRevisionsFn(this, id, args);
+  }
+
+  async revertEntry(id, args) {
+    return revertEntryFn(this, id, args);
+  }
+
+  async verifyLinks({ id, projectPath, dryRun = false, limit } = {}) {
+    await this.init();
+    if (!id) return sweepStaleMemories(this, { projectPath, dryRun, limit });
+    const entry = await getMemoryEntry(this, id);
+    if (!entry) throw new Error(`memory not found: ${id}`);
+    return { dry_run: dryRun, ...await verifyEntryLinks(this, entry, { dryRun }) };
+  }
+
+  // Reads never sync: list, recall and history show the local store, and
+  // files from the repository are merged by writes and explicit syncs.
+  async syncSharedMemories(projectPath, { required = false } = {}) {
+    if (required) assertSharingEnabled(this);
+    if (!this.sharedEnabled || !projectPath) return null;
+    await this.init();
+    return syncSharedMemoriesFn(this, projectPath);
+  }
+
+  async listScopeValues(field, args) {
+    return listMemoryScopeValues(this, field, args);
+  }
+
+  async exportMemories(args) {
+    return exportMemoriesFn(this, args);
+  }
+
+  async importMemories(content, options) {
+    return importMemoriesFn(this, content, options);
   }
 
   async recall(args) {
     await this.init();
-    return recallFn(this.adapter, args);
+    const result = await recallFn(this.adapter, this.withInferredRecallScope(args), {
+      embeddingService: this.embeddingService,
+      reranker: this.reranker
+    });
+    return verifyRecalledLinks(this, result);
   }
 
   async captureEvent(input) {
     await this.init();
-    return captureEventFn(this.adapter, input, {
+    return captureEventFn(this.adapter, this.withInferredScope(input), {
       storeEntry: (args) => this.storeEntry(args),
       updateEntry: (id, patch) => this.updateEntry(id, patch)
     });
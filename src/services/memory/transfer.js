@@ -0,0 +1,471 @@
+// Export and import of the memory store: versioned JSONL that round-trips
+// entries, revisions, link anchors, relations and events, plus a read-only
+// Markdown view.
+import { embedMemory, getEntry } from './entries.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { listPortableAnchors, restoreLinkAnchors } from './staleness.js';
+import {
+  nowIso, cleanString, normalizeScope, ensureArray, normalizeLinks, stableJson,
+  makeFingerprint, buildSearchTerms, deserializeEntry
+} from './utils.js';
+
+export const EXPORT_FORMAT = 'localnest-memory';
+export const EXPORT_VERSION = 1;
+
+function trimTrailingSeparator(value) {
+  const text = String(value || '');
+  return text.length > 1 ? text.replace(/[\\/]+$/, '') : text;
+}
+
+/**
+ * Accepts `[{ from, to }]` or `"FROM=TO"` strings. Longer prefixes win so a
+ * nested project can be moved independently of its root.
+ */
+export function normalizeScopeRewrites(rewrites) {
+  return (Array.isArray(rewrites) ? rewrites : [])
+    .map((item) => {
+      if (typeof item !== 'string') return item;
+      const split = item.indexOf('=');
+      if (split <= 0) throw new Error(`invalid scope rewrite "${item}", expected FROM=TO`);
+      return { from: item.slice(0, split), to: item.slice(split + 1) };
+    })
+    .map((item) => ({ from: trimTrailingSeparator(cleanString(item?.from)), to: trimTrailingSeparator(cleanString(item?.to)) }))
+    .filter((item) => item.from)
+    .sort((a, b) => b.from.length - a.from.length);
+}
+
+function rewritePath(value, rewrites) {
+  const text = String(value || '');
+  for (const { from, to } of rewrites) {
+    if (text === from) return to;
+    if (text.startsWith(from) && (text[from.length] === '/' || text[from.length] === '\\')) {
+      return `${to}${text.slice(from.length)}`;
+    }
+  }
+  return text;
+}
+
+function rewriteLinks(links, rewrites) {
+  return normalizeLinks(links).map((link) => ({ ...link, path: rewritePath(link.path, rewrites) }));
+}
+
+function buildWhere({ projectPath, topic }) {
+  const filters = [];
+  const params = [];
+  if (projectPath) { filters.push('scope_project_path = ?'); params.push(projectPath); }
+  if (topic) { filters.push('topic = ?'); params.push(topic); }
+  return { where: filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '', params };
+}
+
+async function collectExport(store, { projectPath, topic, includeEvents }) {
+  const { where, params } = buildWhere({ projectPath, topic });
+  const rows = await store.adapter.all(
+    `SELECT * FROM memory_entries ${where} ORDER BY created_at ASC, id ASC`,
+    params
+  );
+  const entries = rows.map((row) => ({ ...deserializeEntry(row), fingerprint: row.fingerprint }));
+  const ids = new Set(entries.map((entry) => entry.id));
+
+  const revisions = (await store.adapter.all(
+    `SELECT memory_id, revision, title, summary, content, tags_json, links_json, change_note, author, created_at
+       FROM memory_revisions
+      ORDER BY memory_id ASC, revision ASC`
+  ))
+    .filter((row) => ids.has(row.memory_id))
+    .map((row) => ({
+      memory_id: row.memory_id,
+      revision: row.revision,
+      title: row.title,
+      summary: row.summary,
+      content: row.content,
+      tags: JSON.parse(row.tags_json || '[]'),
+      links: JSON.parse(row.links_json || '[]'),
+      change_note: row.change_note,
+      author: row.author,
+      created_at: row.created_at
+    }));
+
+  const anchors = [];
+  for (const entry of entries) {
+    for (const anchor of await listPortableAnchors(store, entry.id)) anchors.push({ memory_id: entry.id, ...anchor });
+  }
+
+  const relations = (await store.adapter.all(
+    'SELECT source_id, target_id, relation_type, created_at FROM memory_relations ORDER BY created_at ASC'
+  )).filter((row) => ids.has(row.source_id) && ids.has(row.target_id));
+
+  const events = includeEvents
+    ? (await store.adapter.all(
+      `SELECT * FROM memory_events ${where} ORDER BY created_at ASC, id ASC`,
+      params
+    )).map((row) => ({
+      event_type: row.event_type,
+      title: row.title,
+      summary: row.summary,
+      content: row.content,
+      status: row.status,
+      signal_score: row.signal_score,
+      promoted_memory_id: row.promoted_memory_id,
+      scope_root_path: row.scope_root_path,
+      scope_project_path: row.scope_project_path,
+      scope_branch_name: row.scope_branch_name,
+      topic: row.topic,
+      feature: row.feature,
+      tags: JSON.parse(row.tags_json || '[]'),
+      links: JSON.parse(row.links_json || '[]'),
+      source_ref: row.source_ref,
+      created_at: row.created_at
+    }))
+    : [];
+
+  return { entries, revisions, anchors, relations, events };
+}
+
+function renderJsonl(data, header) {
+  const lines = [JSON.stringify(header)];
+  for (const entry of data.entries) lines.push(JSON.stringify({ type: 'entry', ...entry }));
+  for (const revision of data.revisions) lines.push(JSON.stringify({ type: 'revision', ...revision }));
+  for (const anchor of data.anchors) lines.push(JSON.stringify({ type: 'anchor', ...anchor }));
+  for (const relation of data.relations) lines.push(JSON.stringify({ type: 'relation', ...relation }));
+  for (const event of data.events) lines.push(JSON.stringify({ type: 'event', ...event }));
+  return `${lines.join('\n')}\n`;
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return Array.from(groups.entries()).sort(([a], [b]) => (a === '' ? 1 : b === '' ? -1 : a.localeCompare(b)));
+}
+
+function renderMarkdown(data, header) {
+  const titles = new Map(data.entries.map((entry) => [entry.id, entry.title]));
+  const lines = [
+    '# LocalNest memories',
+    '',
+    `Exported ${header.exported_at}: ${data.entries.length} memories, ${data.relations.length} relations.`
+  ];
+  for (const [project, inProject] of groupBy(data.entries, (entry) => entry.scope_project_path)) {
+    lines.push('', `## ${project || '(no project)'}`);
+    for (const [topic, inTopic] of groupBy(inProject, (entry) => entry.topic)) {
+      lines.push('', `### ${topic || '(no topic)'}`);
+      const sorted = [...inTopic].sort((a, b) => b.importance - a.importance || a.title.localeCompare(b.title));
+      for (const entry of sorted) {
+        const facts = [
+          `kind: ${entry.kind}`,
+          `status: ${entry.status}`,
+          `importance: ${entry.importance}`,
+          entry.feature ? `feature: ${entry.feature}` : '',
+          entry.scope_branch_name ? `branch: ${entry.scope_branch_name}` : '',
+          `updated: ${entry.updated_at}`
+        ].filter(Boolean);
+        lines.push('', `#### ${entry.title}`, '', `- ${facts.join(' · ')}`, `- id: \`${entry.id}\``);
+        if (entry.tags.length > 0) lines.push(`- tags: ${entry.tags.join(', ')}`);
+        for (const link of entry.links) lines.push(`- link: ${link.label ? `${link.label} ` : ''}\`${link.path}${link.line ? `:${link.line}` : ''}\``);
+        for (const relation of data.relations.filter((item) => item.source_id === entry.id)) {
+          lines.push(`- ${relation.relation_type}: ${titles.get(relation.target_id)}`);
+        }
+        if (entry.summary) lines.push('', entry.summary);
+        if (entry.content && entry.content !== entry.summary) lines.push('', entry.content);
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Export memories as `jsonl` (one header line, then entry, revision,
+ * anchor, relation and event records) or as `markdown` grouped by project and
+ * topic. Embeddings are not exported; import recomputes them.
+ */
+export async function exportMemories(store, { format = 'jsonl', projectPath, topic, includeEvents = true } = {}) {
+  await store.init();
+  if (format !== 'jsonl' && format !== 'markdown') throw new Error(`unsupported export format: ${format}`);
+  const data = await collectExport(store, { projectPath, topic, includeEvents });
+  const counts = {
+    entries: data.entries.length,
+    revisions: data.revisions.length,
+    anchors: data.anchors.length,
+    relations: data.relations.length,
+    events: data.events.length
+  };
+  const header = {
+    type: 'header',
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    schema_version: SCHEMA_VERSION,
+    exported_at: nowIso(),
+    filters: { project_path: projectPath || null, topic: topic || null },
+    counts
+  };
+  return {
+    format,
+    version: EXPORT_VERSION,
+    exported_at: header.exported_at,
+    counts,
+    content: format === 'markdown' ? renderMarkdown(data, header) : renderJsonl(data, header)
+  };
+}
+
+function parseExport(content) {
+  const records = { entries: [], revisions: [], anchors: [], relations: [], events: [] };
+  let header = null;
+  String(content || '').split(/\r?\n/).forEach((line, idx) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`line ${idx + 1}: invalid JSON`);
+    }
+    if (!header) {
+      if (record?.type !== 'header' || record.format !== EXPORT_FORMAT) {
+        throw new Error(`line ${idx + 1}: not a ${EXPORT_FORMAT} export (missing header)`);
+      }
+      if (!Number.isInteger(record.version) || record.version > EXPORT_VERSION) {
+        throw new Error(`unsupported export version ${record.version}; this build reads up to ${EXPORT_VERSION}`);
+      }
+      header = record;
+      return;
+    }
+    if (record?.type === 'entry') records.entries.push(record);
+    else if (record?.type === 'revision') records.revisions.push(record);
+    else if (record?.type === 'anchor') records.anchors.push(record);
+    else if (record?.type === 'relation') records.relations.push(record);
+    else if (record?.type === 'event') records.events.push(record);
+  });
+  if (!header) throw new Error('export is empty');
+  return { header, ...records };
+}
+
+function prepareEntry(record, rewrites) {
+  const scope = normalizeScope({
+    root_path: rewritePath(record.scope_root_path, rewrites),
+    project_path: rewritePath(record.scope_project_path, rewrites),
+    branch_name: record.scope_branch_name,
+    topic: record.topic,
+    feature: record.feature
+  });
+  const tags = ensureArray(record.tags);
+  const links = rewriteLinks(record.links, rewrites);
+  const entry = {
+    id: cleanString(record.id, 200),
+    kind: cleanString(record.kind, 40) || 'knowledge',
+    title: cleanString(record.title, 400),
+    summary: cleanString(record.summary, 4000),
+    content: cleanString(record.content, 20000),
+    status: cleanString(record.status, 30) || 'active',
+    importance: Number.isFinite(record.importance) ? record.importance : 50,
+    confidence: Number.isFinite(record.confidence) ? record.confidence : 0.7,
+    scope,
+    tags,
+    links,
+    source_type: cleanString(record.source_type, 60) || 'manual',
+    source_ref: cleanString(record.source_ref, 1000),
+    created_at: record.created_at || nowIso(),
+    updated_at: record.updated_at || record.created_at || nowIso()
+  };
+  if (!entry.id || !entry.title || !entry.content) throw new Error(`entry ${entry.id || '(no id)'} is missing id, title or content`);
+  entry.fingerprint = makeFingerprint(entry);
+  entry.search_terms = buildSearchTerms({ ...entry, sourceRef: entry.source_ref });
+  return entry;
+}
+
+async function insertEntry(adapter, entry, revisions) {
+  await adapter.run(
+    `INSERT INTO memory_entries(
+      id, kind, title, summary, content, status, importance, confidence,
+      scope_root_path, scope_project_path, scope_branch_name, topic, feature,
+      tags_json, search_terms_json, links_json, source_type, source_ref, fingerprint,
+      created_at, updated_at, last_recalled_at, recall_count
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, 0)`,
+    [
+      entry.id, entry.kind, entry.title, entry.summary, entry.content, entry.status, entry.importance, entry.confidence,
+      entry.scope.root_path, entry.scope.project_path, entry.scope.branch_name, entry.scope.topic, entry.scope.feature,
+      stableJson(entry.tags), stableJson(entry.search_terms), stableJson(entry.links),
+      entry.source_type, entry.source_ref, entry.fingerprint, entry.created_at, entry.updated_at
+    ]
+  );
+  const history = revisions.length > 0
+    ? revisions
+    : [{ revision: 1, title: entry.title, summary: entry.summary, content: entry.content, tags: entry.tags, links: entry.links, change_note: 'Imported memory', created_at: entry.created_at }];
+  for (const revision of history) {
+    await adapter.run(
+      `INSERT INTO memory_revisions(
+        memory_id, revision, title, summary, content, tags_json, links_json, change_note, author, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.id, revision.revision, cleanString(revision.title, 400), cleanString(revision.summary, 4000),
+        cleanString(revision.content, 20000), stableJson(ensureArray(revision.tags)), stableJson(revision.links),
+        cleanString(revision.change_note, 400), cleanString(revision.author, 400), revision.created_at || entry.created_at
+      ]
+    );
+  }
+}
+
+/**
+ * Import a JSONL export. Entries whose fingerprint (recomputed after scope
+ * rewriting) already exists in the same project are reported as duplicates
+ * and reuse the local id for relations and events; entries whose id is taken
+ * by a different memory are reported as conflicts and skipped. With dryRun
+ * nothing is written and the report describes what would happen.
+ */
+export async function importMemories(store, content, { dryRun = false, rewriteScope = [] } = {}) {
+  await store.init();
+  const rewrites = normalizeScopeRewrites(rewriteScope);
+  const parsed = parseExport(content);
+  const revisionsById = new Map();
+  for (const revision of parsed.revisions) {
+    if (!revisionsById.has(revision.memory_id)) revisionsById.set(revision.memory_id, []);
+    revisionsById.get(revision.memory_id).push(revision);
+  }
+  const anchorsById = new Map();
+  for (const anchor of parsed.anchors) {
+    if (typeof anchor.path !== 'string' || !anchor.path) continue;
+    if (!anchorsById.has(anchor.memory_id)) anchorsById.set(anchor.memory_id, []);
+    anchorsById.get(anchor.memory_id).push({ ...anchor, path: rewritePath(anchor.path, rewrites) });
+  }
+
+  const idMap = new Map();
+  const toCreate = [];
+  const items = [];
+  for (const record of parsed.entries) {
+    const entry = prepareEntry(record, rewrites);
+    const duplicate = await store.adapter.get(
+      'SELECT id FROM memory_entries WHERE fingerprint = ? AND scope_project_path = ? LIMIT 1',
+      [entry.fingerprint, entry.scope.project_path]
+    ) || toCreate.find((item) => item.fingerprint === entry.fingerprint && item.scope.project_path === entry.scope.project_path);
+    if (duplicate) {
+      idMap.set(entry.id, duplicate.id);
+      items.push({ id: entry.id, title: entry.title, action: 'duplicate', existing_id: duplicate.id });
+      continue;
+    }
+    const taken = await store.adapter.get('SELECT id FROM memory_entries WHERE id = ?', [entry.id])
+      || toCreate.some((item) => item.id === entry.id);
+    if (taken) {
+      items.push({ id: entry.id, title: entry.title, action: 'conflict', reason: 'id exists with different content' });
+      continue;
+    }
+    idMap.set(entry.id, entry.id);
+    toCreate.push(entry);
+    items.push({ id: entry.id, title: entry.title, action: 'create', project_path: entry.scope.project_path });
+  }
+
+  const relations = [];
+  let skippedRelations = 0;
+  for (const record of parsed.relations) {
+    const sourceId = idMap.get(record.source_id);
+    const targetId = idMap.get(record.target_id);
+    if (!sourceId || !targetId || sourceId === targetId) {
+      skippedRelations += 1;
+      continue;
+    }
+    const existing = await store.adapter.get(
+      'SELECT 1 AS found FROM memory_relations WHERE source_id = ? AND target_id = ?',
+      [sourceId, targetId]
+    );
+    if (existing || relations.some((item) => item.source_id === sourceId && item.target_id === targetId)) {
+      skippedRelations += 1;
+      continue;
+    }
+    relations.push({
+      source_id: sourceId,
+      target_id: targetId,
+      relation_type: cleanString(record.relation_type, 60) || 'related',
+      created_at: record.created_at || nowIso()
+    });
+  }
+
+  const events = [];
+  let duplicateEvents = 0;
+  for (const record of parsed.events) {
+    const event = {
+      ...record,
+      scope_root_path: rewritePath(record.scope_root_path, rewrites),
+      scope_project_path: rewritePath(record.scope_project_path, rewrites),
+      links: rewriteLinks(record.links, rewrites),
+      promoted_memory_id: record.promoted_memory_id ? idMap.get(record.promoted_memory_id) || null : null
+    };
+    const existing = await store.adapter.get(
+      `SELECT id FROM memory_events
+        WHERE event_type = ? AND title = ? AND created_at = ? AND scope_project_path = ?
+        LIMIT 1`,
+      [event.event_type, event.title, event.created_at, event.scope_project_path]
+    );
+    if (existing) {
+      duplicateEvents += 1;
+      continue;
+    }
+    events.push(event);
+  }
+
+  const report = {
+    dry_run: !!dryRun,
+    format_version: parsed.header.version,
+    exported_at: parsed.header.exported_at || null,
+    scope_rewrites: rewrites,
+    entries: {
+      total: parsed.entries.length,
+      created: toCreate.length,
+      duplicate: items.filter((item) => item.action === 'duplicate').length,
+      conflict: items.filter((item) => item.action === 'conflict').length
+    },
+    revisions: {
+      created: toCreate.reduce((sum, entry) => sum + Math.max(1, revisionsById.get(entry.id)?.length || 0), 0)
+    },
+    relations: { created: relations.length, skipped: skippedRelations },
+    events: { created: events.length, duplicate: duplicateEvents },
+    items
+  };
+  if (dryRun) return report;
+
+  await store.adapter.exec('BEGIN');
+  try {
+    for (const entry of toCreate) await insertEntry(store.adapter, entry, revisionsById.get(entry.id) || []);
+    for (const relation of relations) {
+      await store.adapter.run(
+        'INSERT INTO memory_relations(source_id, target_id, relation_type, created_at) VALUES (?, ?, ?, ?)',
+        [relation.source_id, relation.target_id, relation.relation_type, relation.created_at]
+      );
+    }
+    for (const event of events) {
+      await store.adapter.run(
+        `INSERT INTO memory_events(
+          event_type, title, summary, content, status, signal_score, promoted_memory_id,
+          scope_root_path, scope_project_path, scope_branch_name, topic, feature,
+          tags_json, links_json, source_ref, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          cleanString(event.event_type, 60), cleanString(event.title, 400), cleanString(event.summary, 4000),
+          cleanString(event.content, 20000), cleanString(event.status, 30) || 'processed',
+          Number.isFinite(event.signal_score) ? event.signal_score : 0, event.promoted_memory_id,
+          event.scope_root_path, event.scope_project_path, cleanString(event.scope_branch_name, 200),
+          cleanString(event.topic, 200), cleanString(event.feature, 200),
+          stableJson(ensureArray(event.tags)), stableJson(event.links), cleanString(event.source_ref, 1000),
+          event.created_at || nowIso()
+        ]
+      );
+    }
+    await store.adapter.exec('COMMIT');
+  } catch (error) {
+    await store.adapter.exec('ROLLBACK');
+    throw error;
+  }
+
+  for (const entry of toCreate) {
+    const embedding = await embedMemory(store, entry);
+    if (embedding) {
+      await store.adapter.run(
+        'UPDATE memory_entries SET embedding_json = ? WHERE id = ?',
+        [JSON.stringify(embedding), entry.id]
+      );
+    }
+    // Exports from before anchors existed carry none; those links are
+    // anchored to the code as it is now.
+    await restoreLinkAnchors(store, await getEntry(store, entry.id), anchorsById.get(entry.id) || []);
+  }
+  return report;
+}
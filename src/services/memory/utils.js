@@ -122,6 +122,18 @@ export function makeFingerprint({ kind, title, summary, content, scope, tags })
   return crypto.createHash('sha256').update(payload).digest('hex');
 }
 
+// Link anchors keep a short hash per source line instead of the line itself,
+// so memories never copy code (or secrets in it) into the store. Blank lines
+// hash to '' and whitespace differences are ignored.
+export function hashCodeLine(line) {
+  const normalized = String(line).trim().replace(/\s+/g, ' ');
+  return normalized ? crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16) : '';
+}
+
+export function hashLineSequence(lines) {
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+}
+
 export function generateMemoryId() {
   return `mem_${crypto.randomUUID().replace(/-/g, '')}`;
 }
@@ -219,6 +231,9 @@ export function deserializeEntry(row) {
     created_at: row.created_at,
     updated_at: row.updated_at,
     last_recalled_at: row.last_recalled_at,
-    recall_count: row.recall_count
+    recall_count: row.recall_count,
+    origin: row.origin || 'private',
+    origin_author: row.origin_author || '',
+    stale_reason: row.stale_reason || ''
   };
 }
@@ -51,13 +51,25 @@ function compactMemoryStatus(status) {
 }
 
 export class MemoryWorkflowService {
-  constructor({ memory, getRuntimeSummary = null }) {
+  constructor({ memory, getRuntimeSummary = null, scopeResolver = null }) {
     this.memory = memory;
     this.getRuntimeSummary = getRuntimeSummary;
+    this.scopeResolver = scopeResolver;
+  }
+
+  inferScope(scope) {
+    return this.scopeResolver ? this.scopeResolver.inferScope(scope) : scope;
   }
 
   async getTaskContext(input = {}) {
     const query = deriveQuery(input);
+    const scope = this.inferScope({
+      root_path: input.root_path || input.rootPath || '',
+      project_path: input.project_path || input.projectPath || '',
+      branch_name: input.branch_name || input.branchName || '',
+      topic: input.topic || '',
+      feature: input.feature || ''
+    });
     const memoryStatus = await this.memory.getStatus();
     const runtime = this.getRuntimeSummary ? await this.getRuntimeSummary() : null;
     const memorySummary = compactMemoryStatus(memoryStatus);
@@ -77,9 +89,9 @@ export class MemoryWorkflowService {
     } else {
       const recalled = await this.memory.recall({
         query,
-        rootPath: input.root_path || input.rootPath,
-        projectPath: input.project_path || input.projectPath,
-        branchName: input.branch_name || input.branchName,
+        rootPath: scope.root_path || undefined,
+        projectPath: scope.project_path || undefined,
+        branchName: scope.branch_name || undefined,
         topic: input.topic,
         feature: input.feature,
         kind: input.kind,
@@ -105,13 +117,7 @@ export class MemoryWorkflowService {
 
     return {
       query,
-      scope: {
-        root_path: input.root_path || input.rootPath || '',
-        project_path: input.project_path || input.projectPath || '',
-        branch_name: input.branch_name || input.branchName || '',
-        topic: input.topic || '',
-        feature: input.feature || ''
-      },
+      scope,
       runtime,
       memory: memorySummary,
       recall,
@@ -169,13 +175,13 @@ export class MemoryWorkflowService {
         input.feature
       ]),
       links: Array.isArray(input.links) ? input.links.slice(0, 50) : [],
-      scope: {
+      scope: this.inferScope({
         root_path: input.root_path || input.rootPath,
         project_path: input.project_path || input.projectPath,
         branch_name: input.branch_name || input.branchName,
         topic: input.topic,
         feature: input.feature
-      },
+      }),
       source_ref: cleanText(input.source_ref || input.sourceRef, 1000)
     };
 
@@ -0,0 +1,181 @@
+export const DEFAULT_DENY_GLOBS = [
+  '.env',
+  '.env.*',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  'id_rsa',
+  'id_dsa',
+  'id_ecdsa',
+  'id_ed25519',
+  '.netrc',
+  '.pgpass',
+  '.npmrc',
+  '.pypirc'
+];
+
+const TOKEN_PATTERNS = [
+  { kind: 'aws-access-key-id', regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16}\b/g },
+  { kind: 'github-token', regex: /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g },
+  { kind: 'github-token', regex: /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g },
+  { kind: 'slack-token', regex: /\bxox[aboprs]-[A-Za-z0-9-]{10,}\b/g },
+  { kind: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { kind: 'private-key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g }
+];
+
+// Secret keywords, lower-cased with separators removed (`api_key` and
+// `apiKey` are both `apikey`).
+const SECRET_KEYWORDS = new Set([
+  'password', 'passwd', 'pwd', 'secret', 'token', 'apikey', 'accesskey', 'accesstoken',
+  'refreshtoken', 'privatekey', 'clientsecret', 'authtoken'
+]);
+
+// `password = "..."`, `"apiKey": "..."`: keep the key, mask the quoted literal.
+const QUOTED_ASSIGNMENT = /((?<![A-Za-z0-9_.-])([A-Za-z0-9_.-]+)["']?\s*[:=]\s*)(["'`])([^"'`\s]{8,})\3/g;
+
+// `.env`-style lines (`export DB_PASSWORD=...`). Upper-case keys only, so
+// `password: process.env.X` in code is left alone.
+const ENV_ASSIGNMENT = /^(\s*(?:export\s+)?([A-Z0-9_]+)\s*=\s*)([^\s"'#]{8,})/;
+
+// `.properties`-style lines (`spring.datasource.password=...`): a dotted key
+// and a bare value running to the end of the line, which code statements
+// (`this.secret = load();`) never do.
+const PROPERTIES_ASSIGNMENT = /^(\s*([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)+)\s*[=:]\s*)([^\s"'#;(]{8,})\s*$/;
+
+// `Authorization: Bearer <token>` headers, quoted or not.
+const AUTHORIZATION_HEADER = /(\bauthorization["']?\s*[:=]\s*["']?(?:Bearer|Basic|Token)\s+)([A-Za-z0-9._~+/-]{8,}=*)/gi;
+
+// Subresource-integrity and lockfile checksums (`sha512-...`) are public.
+const INTEGRITY_HASH = /^sha(?:1|256|384|512)-/;
+
+const ENTROPY_CANDIDATE = /[A-Za-z0-9+/=_-]{24,}/g;
+const PEM_BEGIN = /-----BEGIN [A-Z ]*PRIVATE KEY-----/;
+const PEM_END = /-----END [A-Z ]*PRIVATE KEY-----/;
+
+export function mask(kind) {
+  return `[REDACTED:${kind}]`;
+}
+
+export function shannonEntropy(value) {
+  if (!value) return 0;
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function looksLikeSecretToken(token, minEntropy) {
+  if (!/[0-9]/.test(token) || !/[A-Za-z]/.test(token)) return false;
+  // Git object ids: SHA-1 (40) and SHA-256 (64) hex.
+  if (/^[0-9a-f]+$/i.test(token) && token.length <= 64) return false;
+  if (INTEGRITY_HASH.test(token)) return false;
+  return shannonEntropy(token) >= minEntropy;
+}
+
+// The secret keyword must be a whole part of the key: a `_`, `-` or `.`
+// separated part (`DB_PASSWORD`, `client-secret`, `myapp.secret`) or the
+// trailing camelCase word(s) of one (`dbPassword`, `githubToken`, `apiKey`).
+// `author`, `tokenizer` and `passwordField` are not secret keys.
+function isSecretKeyName(key) {
+  const parts = key.split(/[_.-]+/).filter(Boolean);
+  for (let i = 0; i < parts.length; i += 1) {
+    const part = parts[i].toLowerCase();
+    if (SECRET_KEYWORDS.has(part)) return true;
+    if (i > 0 && SECRET_KEYWORDS.has(`${parts[i - 1].toLowerCase()}${part}`)) return true;
+    const words = parts[i].match(/[A-Z]+(?![a-z])|[A-Z]?[a-z0-9]+/g) || [];
+    if (words.length < 2) continue;
+    const last = words[words.length - 1].toLowerCase();
+    if (SECRET_KEYWORDS.has(last) || SECRET_KEYWORDS.has(`${words[words.length - 2].toLowerCase()}${last}`)) return true;
+  }
+  return false;
+}
+
+export function redactLine(line, { minEntropy = 4.2 } = {}) {
+  let text = String(line ?? '');
+  let count = 0;
+
+  for (const { kind, regex } of TOKEN_PATTERNS) {
+    text = text.replace(regex, () => {
+      count += 1;
+      return mask(kind);
+    });
+  }
+
+  text = text.replace(AUTHORIZATION_HEADER, (match, prefix, value) => {
+    if (value.startsWith('[REDACTED:')) return match;
+    count += 1;
+    return `${prefix}${mask('credential')}`;
+  });
+  text = text.replace(QUOTED_ASSIGNMENT, (match, prefix, key, quote, value) => {
+    if (value.startsWith('[REDACTED:') || !isSecretKeyName(key)) return match;
+    count += 1;
+    return `${prefix}${quote}${mask('credential')}${quote}`;
+  });
+  for (const pattern of [ENV_ASSIGNMENT, PROPERTIES_ASSIGNMENT]) {
+    text = text.replace(pattern, (match, prefix, key, value) => {
+      if (value.startsWith('[REDACTED:') || value.startsWith('$') || !isSecretKeyName(key)) return match;
+      count += 1;
+      return `${prefix}${mask('credential')}`;
+    });
+  }
+
+  if (minEntropy > 0) {
+    text = text.replace(ENTROPY_CANDIDATE, (token) => {
+      if (!looksLikeSecretToken(token, minEntropy)) return token;
+      count += 1;
+      return mask('high-entropy');
+    });
+  }
+
+  return { text, count };
+}
+
+// Lines are redacted one by one so numbered output keeps its shape; PEM bodies
+// span lines, so a BEGIN/END pair masks everything between as one redaction.
+export function redactLines(lines, options = {}) {
+  const out = [];
+  let count = 0;
+  let insidePem = false;
+
+  for (const line of lines) {
+    if (insidePem) {
+      out.push(mask('private-key'));
+      if (PEM_END.test(line)) insidePem = false;
+      continue;
+    }
+    if (PEM_BEGIN.test(line) && !PEM_END.test(line)) {
+      insidePem = true;
+      count += 1;
+      out.push(mask('private-key'));
+      continue;
+    }
+    const redacted = redactLine(line, options);
+    count += redacted.count;
+    out.push(redacted.text);
+  }
+
+  return { lines: out, count };
+}
+
+export function compileDenyGlob(glob) {
+  const normalized = String(glob || '').trim().replace(/\\/g, '/');
+  if (!normalized) return null;
+  const anchored = normalized.startsWith('/');
+  const body = normalized
+    .replace(/^\/+/, '')
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`${anchored ? '^/' : '(?:^|/)'}${body}$`);
+}
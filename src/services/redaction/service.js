@@ -0,0 +1,63 @@
+import path from 'node:path';
+import {
+  DEFAULT_DENY_GLOBS,
+  compileDenyGlob,
+  redactLine as redactLineFn,
+  redactLines as redactLinesFn
+} from './helpers.js';
+
+export class RedactionService {
+  constructor({
+    enabled = true,
+    denyGlobs = DEFAULT_DENY_GLOBS,
+    minEntropy = 4.2
+  } = {}) {
+    this.enabled = enabled;
+    this.denyGlobs = denyGlobs;
+    this.minEntropy = minEntropy;
+    this.denyPatterns = denyGlobs.map(compileDenyGlob).filter(Boolean);
+  }
+
+  // The deny-list applies even when value redaction is switched off.
+  isDenied(filePath) {
+    if (!filePath || this.denyPatterns.length === 0) return false;
+    const normalized = path.resolve(String(filePath)).split(path.sep).join('/');
+    return this.denyPatterns.some((pattern) => pattern.test(normalized));
+  }
+
+  redactText(text) {
+    if (!this.enabled || !text) return { text, count: 0 };
+    const { lines, count } = redactLinesFn(String(text).split('\n'), { minEntropy: this.minEntropy });
+    return { text: lines.join('\n'), count };
+  }
+
+  redactLines(lines) {
+    if (!this.enabled) return { lines, count: 0 };
+    return redactLinesFn(lines, { minEntropy: this.minEntropy });
+  }
+
+  redactMatches(rows) {
+    if (!this.enabled) return rows;
+    return rows.map((row) => {
+      let count = 0;
+      const redact = (value) => {
+        const out = redactLineFn(value, { minEntropy: this.minEntropy });
+        count += out.count;
+        return out.text;
+      };
+      const next = { ...row };
+      if (typeof row.text === 'string') next.text = redact(row.text);
+      if (typeof row.snippet === 'string') {
+        const out = this.redactText(row.snippet);
+        count += out.count;
+        next.snippet = out.text;
+      }
+      if (Array.isArray(row.context_before)) next.context_before = row.context_before.map(redact);
+      if (Array.isArray(row.context_after)) next.context_after = row.context_after.map(redact);
+      count += row.redacted || 0;
+      if (count > 0) next.redacted = count;
+      else delete next.redacted;
+      return next;
+    });
+  }
+}
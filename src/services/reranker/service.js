@@ -1,3 +1,5 @@
+import { isStopRequested } from '../core/cancellation.js';
+
 const DEFAULT_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
 
 function extractScore(result) {
@@ -68,10 +70,11 @@ export class RerankerService {
     }
   }
 
-  async rerank(query, candidates) {
+  async rerank(query, candidates, { budget } = {}) {
     if (!this.isEnabled() || !Array.isArray(candidates) || candidates.length === 0) return [];
     const out = [];
     for (const candidate of candidates) {
+      if (isStopRequested(budget)) return out;
       const snippet = candidate.text || candidate.snippet || candidate.file || '';
       try {
         const score = await this.score(query, String(snippet));
@@ -8,7 +8,8 @@ export async function maybeBootstrapSemanticIndex({
   query,
   maxResults,
   minSemanticScore,
-  defaultAutoIndexMaxFiles
+  defaultAutoIndexMaxFiles,
+  budget
 }) {
   let semantic = vectorIndex
     ? await vectorIndex.semanticSearch({
@@ -38,13 +39,20 @@ export async function maybeBootstrapSemanticIndex({
   }
 
   autoIndexedScopes.add(scopeKey);
+  let stopped = false;
   try {
     const indexResult = await vectorIndex.indexProject({
       projectPath,
       allRoots,
       force: false,
-      maxFiles: defaultAutoIndexMaxFiles
+      maxFiles: defaultAutoIndexMaxFiles,
+      budget
     });
+    stopped = Boolean(indexResult?.cancelled || indexResult?.timed_out);
+    if (stopped) {
+      // Let a later call resume the interrupted bootstrap; finished files are skipped by signature.
+      autoIndexedScopes.delete(scopeKey);
+    }
     semantic = await vectorIndex.semanticSearch({
       query,
       projectPath,
@@ -57,7 +65,8 @@ export async function maybeBootstrapSemanticIndex({
       scope: scopeKey,
       success: true,
       indexed_files: indexResult?.indexed_files ?? null,
-      failed_files: Array.isArray(indexResult?.failed_files) ? indexResult.failed_files.length : null
+      failed_files: Array.isArray(indexResult?.failed_files) ? indexResult.failed_files.length : null,
+      interrupted: stopped
     };
   } catch (error) {
     autoIndexMeta = {
@@ -68,5 +77,5 @@ export async function maybeBootstrapSemanticIndex({
     };
   }
 
-  return { semantic, autoIndexMeta };
+  return { semantic, autoIndexMeta, stopped };
 }
@@ -1,4 +1,5 @@
 import { scorePathAffinity } from './query-utils.js';
+import { isStopRequested } from '../core/cancellation.js';
 
 function buildFusedBase({ lexical, semantic }) {
   const k = 60;
@@ -14,6 +15,7 @@ function buildFusedBase({ lexical, semantic }) {
       start_line: item.line,
       end_line: item.line,
       text: item.text,
+      ...(item.redacted ? { redacted: item.redacted } : {}),
       lexical_rank: idx + 1,
       lexical_score: 1 / (k + idx + 1),
       semantic_rank: null,
@@ -93,13 +95,14 @@ function applyRrfAdjustments({ rows, queryTerms, allRoots, genericShortQuery })
     .sort((a, b) => b.rrf_score - a.rrf_score);
 }
 
-async function maybeApplyReranker({
+export async function maybeApplyReranker({
   fused,
   query,
   useReranker,
   reranker,
   rerankerMinCandidates,
-  rerankerTopN
+  rerankerTopN,
+  budget
 }) {
   let rerankerMeta = {
     requested: !!useReranker,
@@ -119,8 +122,17 @@ async function maybeApplyReranker({
       return { fused, rerankerMeta };
     }
 
+    if (isStopRequested(budget)) {
+      rerankerMeta = {
+        requested: true,
+        applied: false,
+        reason: 'stopped'
+      };
+      return { fused, rerankerMeta };
+    }
+
     const rerankWindow = fused.slice(0, Math.min(fused.length, rerankerTopN));
-    const rerankScores = await reranker.rerank(query, rerankWindow);
+    const rerankScores = await reranker.rerank(query, rerankWindow, { budget });
     if (rerankScores.length === rerankWindow.length) {
       for (let i = 0; i < rerankWindow.length; i += 1) {
         const score = rerankScores[i];
@@ -141,7 +153,7 @@ async function maybeApplyReranker({
     rerankerMeta = {
       requested: true,
       applied: false,
-      reason: 'reranker-unavailable'
+      reason: isStopRequested(budget) ? 'stopped' : 'reranker-unavailable'
     };
     return { fused, rerankerMeta };
   }
@@ -174,7 +186,8 @@ export async function fuseRankAndRerank({
   reranker,
   rerankerMinCandidates,
   rerankerTopN,
-  maxResults
+  maxResults,
+  budget
 }) {
   const base = buildFusedBase({ lexical, semantic });
   let fused = applyRrfAdjustments({
@@ -190,7 +203,8 @@ export async function fuseRankAndRerank({
     useReranker,
     reranker,
     rerankerMinCandidates,
-    rerankerTopN
+    rerankerTopN,
+    budget
   });
   fused = reranked.fused.slice(0, maxResults);
 
@@ -7,6 +7,7 @@ import {
   buildLineMatcher,
   splitPendingContextByLine
 } from './query-utils.js';
+import { isStopRequested } from '../core/cancellation.js';
 
 function parseRipgrepPlainOutput(out, maxResults) {
   const matches = [];
@@ -72,6 +73,18 @@ function parseRipgrepJsonOutput(out, maxResults) {
   return matches;
 }
 
+// rg only honours .gitignore inside git repos by default; the JS walker
+// applies it everywhere, so keep the two in step.
+function ripgrepIgnoreArgs(useGitignore) {
+  return useGitignore ? ['--no-require-git'] : ['--no-ignore-vcs'];
+}
+
+function dropIgnoredPaths(workspace, rows) {
+  if (typeof workspace.createIgnoreMatcher !== 'function') return rows;
+  const matcher = workspace.createIgnoreMatcher();
+  return rows.filter((row) => !matcher.isPathIgnored(row.file));
+}
+
 export function fastSearchWithRipgrep({
   query,
   base,
@@ -82,9 +95,11 @@ export function fastSearchWithRipgrep({
   useRegex = false,
   maxFileBytes,
   ignoreDirs,
-  rgTimeoutMs
+  rgTimeoutMs,
+  useGitignore = true
 }) {
   const args = [
+    ...ripgrepIgnoreArgs(useGitignore),
     '--line-number',
     '--no-heading',
     '--color',
@@ -132,10 +147,12 @@ export function searchWithFilesystemWalk({
   wildcardPattern,
   maxResults,
   into,
-  contextLines = 0
+  contextLines = 0,
+  budget
 }) {
   for (const { files } of workspace.walkDirectories(base)) {
     for (const filePath of files) {
+      if (isStopRequested(budget)) return;
       if (!workspace.isLikelyTextFile(filePath)) continue;
 
       const rel = path.relative(base, filePath).split(path.sep).join('/');
@@ -175,6 +192,7 @@ export function searchCode({
   caseSensitive,
   contextLines = 0,
   useRegex = false,
+  budget,
   fastSearchWithRipgrepFn
 }) {
   const bases = workspace.resolveSearchBases(projectPath, allRoots);
@@ -194,9 +212,15 @@ export function searchCode({
 
   const lineMatcher = buildLineMatcher({ query, useRegex, caseSensitive });
   const wildcardPattern = globToRegExp(glob);
+  const redaction = workspace.redaction || null;
   const matches = [];
+  const finish = () => {
+    const rows = matches.slice(0, maxResults);
+    return redaction ? redaction.redactMatches(rows) : rows;
+  };
 
   for (const base of bases) {
+    if (isStopRequested(budget)) break;
     if (hasRipgrep) {
       try {
         const fastMatches = fastSearchWithRipgrepFn({
@@ -206,10 +230,12 @@ export function searchCode({
           caseSensitive,
           maxResults: maxResults - matches.length,
           contextLines,
-          useRegex
+          useRegex,
+          budget
         });
-        matches.push(...fastMatches);
-        if (matches.length >= maxResults) return matches.slice(0, maxResults);
+        const visible = dropIgnoredPaths(workspace, fastMatches);
+        matches.push(...(redaction ? visible.filter((m) => !redaction.isDenied(m.file)) : visible));
+        if (matches.length >= maxResults) return finish();
         continue;
       } catch {
         // Fallback to JS scanner.
@@ -223,13 +249,14 @@ export function searchCode({
       wildcardPattern,
       maxResults,
       into: matches,
-      contextLines
+      contextLines,
+      budget
     });
 
-    if (matches.length >= maxResults) return matches.slice(0, maxResults);
+    if (matches.length >= maxResults) return finish();
   }
 
-  return matches.slice(0, maxResults);
+  return finish();
 }
 
 export function searchFiles({
@@ -241,16 +268,18 @@ export function searchFiles({
   projectPath,
   allRoots,
   maxResults,
-  caseSensitive
+  caseSensitive,
+  useGitignore = true
 }) {
   const bases = workspace.resolveSearchBases(projectPath, allRoots);
   const regex = new RegExp(escapeRegex(query), caseSensitive ? '' : 'i');
+  const matcher = typeof workspace.createIgnoreMatcher === 'function' ? workspace.createIgnoreMatcher() : null;
   const results = [];
 
   for (const base of bases) {
     if (hasRipgrep) {
       try {
-        const args = ['--files', '--no-ignore-messages'];
+        const args = ['--files', '--no-ignore-messages', ...ripgrepIgnoreArgs(useGitignore)];
         for (const ignored of ignoreDirs) {
           args.push('--glob', `!**/${ignored}/**`);
         }
@@ -265,6 +294,7 @@ export function searchFiles({
         if (!run.error && run.stdout) {
           for (const filePath of run.stdout.split(/\r?\n/).filter(Boolean)) {
             if (!regex.test(filePath)) continue;
+            if (matcher?.isPathIgnored(filePath)) continue;
             const rel = path.relative(base, filePath).split(path.sep).join('/');
             results.push({ file: filePath, relative_path: rel, name: path.basename(filePath) });
             if (results.length >= maxResults) return results;
@@ -1,3 +1,5 @@
+import fs from 'node:fs';
+import path from 'node:path';
 import { tokenize } from '../core/tokenizer.js';
 import {
   normalizeSymbolInput,
@@ -10,9 +12,11 @@ import {
   fastSearchWithRipgrep as runFastSearchWithRipgrep,
   searchFiles as runSearchFiles
 } from './lexical-search.js';
-import { isGenericShortQuery } from './query-utils.js';
+import { searchStructural as runSearchStructural } from './structural-search.js';
+import { isGenericShortQuery, globToRegExp } from './query-utils.js';
 import { fuseRankAndRerank } from './hybrid-ranking.js';
 import { maybeBootstrapSemanticIndex } from './auto-index.js';
+import { isStopRequested, describeStop, remainingMs } from '../core/cancellation.js';
 
 export class SearchService {
   constructor({
@@ -22,6 +26,7 @@ export class SearchService {
     rgTimeoutMs,
     maxFileBytes,
     vectorIndex,
+    astChunker,
     reranker,
     rerankerMinCandidates = 15,
     rerankerTopN = 25
@@ -32,6 +37,7 @@ export class SearchService {
     this.rgTimeoutMs = rgTimeoutMs;
     this.maxFileBytes = maxFileBytes;
     this.vectorIndex = vectorIndex;
+    this.astChunker = astChunker || null;
     this.reranker = reranker || null;
     this.rerankerMinCandidates = Math.max(1, rerankerMinCandidates);
     this.rerankerTopN = Math.max(1, rerankerTopN);
@@ -39,7 +45,7 @@ export class SearchService {
     this.defaultAutoIndexMaxFiles = 20000;
   }
 
-  searchCode({ query, projectPath, allRoots, glob, maxResults, caseSensitive, contextLines = 0, useRegex = false }) {
+  searchCode({ query, projectPath, allRoots, glob, maxResults, caseSensitive, contextLines = 0, useRegex = false, budget }) {
     return runSearchCode({
       workspace: this.workspace,
       hasRipgrep: this.hasRipgrep,
@@ -51,11 +57,12 @@ export class SearchService {
       caseSensitive,
       contextLines,
       useRegex,
+      budget,
       fastSearchWithRipgrepFn: (args) => this.fastSearchWithRipgrep(args)
     });
   }
 
-  fastSearchWithRipgrep({ query, base, glob, caseSensitive, maxResults, contextLines = 0, useRegex = false }) {
+  fastSearchWithRipgrep({ query, base, glob, caseSensitive, maxResults, contextLines = 0, useRegex = false, budget }) {
     return runFastSearchWithRipgrep({
       query,
       base,
@@ -66,7 +73,8 @@ export class SearchService {
       useRegex,
       maxFileBytes: this.maxFileBytes,
       ignoreDirs: this.ignoreDirs,
-      rgTimeoutMs: this.rgTimeoutMs
+      rgTimeoutMs: remainingMs(budget, this.rgTimeoutMs),
+      useGitignore: this.workspace.useGitignore !== false
     });
   }
 
@@ -80,14 +88,34 @@ export class SearchService {
       projectPath,
       allRoots,
       maxResults,
-      caseSensitive
+      caseSensitive,
+      useGitignore: this.workspace.useGitignore !== false
     });
   }
 
-  getSymbol({ symbol, projectPath, allRoots, glob = '*', maxResults = 100, caseSensitive = false }) {
+  searchStructural({ query, projectPath, allRoots, glob = '*', language, maxResults = 100, budget }) {
+    return runSearchStructural({
+      workspace: this.workspace,
+      astChunker: this.astChunker,
+      query,
+      projectPath,
+      allRoots,
+      glob,
+      language,
+      maxResults,
+      budget
+    });
+  }
+
+  async getSymbol({ symbol, projectPath, allRoots, glob = '*', maxResults = 100, caseSensitive = false }) {
     const normalized = normalizeSymbolInput(symbol);
     if (!normalized) throw new Error('symbol is required');
 
+    // The table only knows files that were indexed, so an empty answer may
+    // just mean the definition lives in a file added since; let ripgrep decide.
+    const indexed = this.getIndexedSymbol({ symbol: normalized, projectPath, allRoots, glob, maxResults, caseSensitive });
+    if (indexed?.definitions.length > 0) return indexed;
+
     const rows = this.searchCode({
       query: buildDefinitionPattern(normalized),
       projectPath,
@@ -115,12 +143,55 @@ export class SearchService {
 
     return {
       symbol: normalized,
+      source: 'ripgrep',
       count: rows.length,
       definitions,
       exports
     };
   }
 
+  // Answers from the persistent symbol table when every file in scope was
+  // indexed with symbol extraction; returns null so the caller falls back to
+  // ripgrep otherwise.
+  getIndexedSymbol({ symbol, projectPath, allRoots, glob, maxResults, caseSensitive }) {
+    if (typeof this.vectorIndex?.findSymbols !== 'function' || !/^[\w$]+$/.test(symbol)) return null;
+    const bases = this.workspace.resolveSearchBases(projectPath, allRoots).map((p) => this.workspace.normalizeTarget(p));
+    const { covered, symbols } = this.vectorIndex.findSymbols({ name: symbol, bases, caseSensitive });
+    if (!covered) return null;
+
+    const wildcardPattern = globToRegExp(glob);
+    const redaction = this.workspace.redaction || null;
+    const definitions = [];
+    for (const item of symbols) {
+      if (definitions.length >= maxResults) break;
+      if (redaction?.isDenied(item.file) || !fs.existsSync(item.file)) continue;
+      const base = bases.find((candidate) => !path.relative(candidate, item.file).startsWith('..'));
+      const rel = path.relative(base || path.dirname(item.file), item.file).split(path.sep).join('/');
+      if (!wildcardPattern.test(rel)) continue;
+      const signature = redaction ? redaction.redactText(item.signature) : { text: item.signature, count: 0 };
+      definitions.push({
+        file: item.file,
+        start_line: item.start_line,
+        end_line: item.end_line,
+        line: item.line,
+        column: item.column,
+        kind: item.kind,
+        scope_path: item.scope_path,
+        exported: item.exported,
+        text: signature.text,
+        ...(signature.count > 0 ? { redacted: signature.count } : {})
+      });
+    }
+
+    return {
+      symbol,
+      source: 'symbol_index',
+      count: definitions.length,
+      definitions,
+      exports: definitions.filter((item) => item.exported)
+    };
+  }
+
   findUsages({ symbol, projectPath, allRoots, glob = '*', maxResults = 200, caseSensitive = false, contextLines = 0 }) {
     const normalized = normalizeSymbolInput(symbol);
     if (!normalized) throw new Error('symbol is required');
@@ -166,33 +237,47 @@ export class SearchService {
     caseSensitive,
     minSemanticScore,
     autoIndex = true,
-    useReranker = false
+    useReranker = false,
+    budget
   }) {
     const queryTerms = tokenize(query).slice(0, 12);
     const genericShortQuery = isGenericShortQuery(queryTerms);
+    const redaction = this.workspace.redaction || null;
     const lexical = this.searchCode({
       query,
       projectPath,
       allRoots,
       glob,
       maxResults: maxResults * 3,
-      caseSensitive
+      caseSensitive,
+      budget
     });
 
-    const bootstrapped = await maybeBootstrapSemanticIndex({
-      vectorIndex: this.vectorIndex,
-      autoIndex,
-      autoIndexedScopes: this.autoIndexedScopes,
-      getScopeKey: () => this.buildScopeKey(projectPath, allRoots),
-      projectPath,
-      allRoots,
-      query,
-      maxResults,
-      minSemanticScore,
-      defaultAutoIndexMaxFiles: this.defaultAutoIndexMaxFiles
-    });
-    const semantic = bootstrapped.semantic;
-    const autoIndexMeta = bootstrapped.autoIndexMeta;
+    // Each phase only starts while budget remains; whatever finished so far is
+    // still fused and returned with cancelled/timed_out flags.
+    let stopped = isStopRequested(budget);
+    let semantic = [];
+    let autoIndexMeta = null;
+    if (!stopped) {
+      const bootstrapped = await maybeBootstrapSemanticIndex({
+        vectorIndex: this.vectorIndex,
+        autoIndex,
+        autoIndexedScopes: this.autoIndexedScopes,
+        getScopeKey: () => this.buildScopeKey(projectPath, allRoots),
+        projectPath,
+        allRoots,
+        query,
+        maxResults,
+        minSemanticScore,
+        defaultAutoIndexMaxFiles: this.defaultAutoIndexMaxFiles,
+        budget
+      });
+      semantic = redaction
+        ? bootstrapped.semantic.filter((item) => !redaction.isDenied(item.file))
+        : bootstrapped.semantic;
+      autoIndexMeta = bootstrapped.autoIndexMeta;
+      stopped = bootstrapped.stopped || isStopRequested(budget);
+    }
 
     const ranked = await fuseRankAndRerank({
       query,
@@ -205,8 +290,11 @@ export class SearchService {
       reranker: this.reranker,
       rerankerMinCandidates: this.rerankerMinCandidates,
       rerankerTopN: this.rerankerTopN,
-      maxResults
+      maxResults,
+      budget
     });
+    stopped = stopped || ranked.reranker.reason === 'stopped';
+    const results = redaction ? redaction.redactMatches(ranked.results) : ranked.results;
 
     let indexStaleness = null;
     if (this.vectorIndex) {
@@ -226,7 +314,9 @@ export class SearchService {
       reranker: ranked.reranker,
       index_stale: indexStaleness?.stale ?? null,
       index_staleness: indexStaleness,
-      results: ranked.results
+      ...describeStop(budget, stopped),
+      redacted: results.reduce((sum, item) => sum + (item.redacted || 0), 0),
+      results
     };
   }
 
@@ -0,0 +1,215 @@
+// A small pattern language compiled to node predicates, for the common
+// structural questions that are awkward to phrase as grammar-specific
+// tree-sitter queries. Node type names cover the bundled grammars.
+
+const CALL_TYPES = new Set([
+  'call_expression', 'call', 'method_invocation', 'invocation_expression',
+  'function_call_expression', 'member_call_expression', 'scoped_call_expression', 'function_call'
+]);
+const FUNCTION_TYPES = new Set([
+  'function_declaration', 'function_expression', 'function', 'arrow_function', 'method_definition',
+  'generator_function_declaration', 'generator_function', 'function_definition', 'method_declaration',
+  'function_item', 'method', 'singleton_method', 'constructor_declaration', 'local_function_statement'
+]);
+const CLASS_TYPES = new Set([
+  'class_declaration', 'abstract_class_declaration', 'class_definition', 'class', 'class_specifier'
+]);
+const TRY_TYPES = new Set(['try_statement', 'try_expression', 'rescue']);
+const AWAIT_TYPES = new Set(['await_expression', 'await']);
+const BODY_TYPES = new Set([
+  'class_body', 'block', 'declaration_list', 'body_statement', 'field_declaration_list', 'statement_block'
+]);
+const EXTENDS_TYPES = new Set(['extends_clause', 'superclass', 'base_class_clause']);
+const IMPLEMENTS_TYPES = new Set(['implements_clause', 'super_interfaces']);
+// Grammars that list base classes and interfaces in one clause.
+const MIXED_HERITAGE_TYPES = new Set(['superclasses', 'base_list', 'delegation_specifiers']);
+
+const CALL_PATTERN = /^calls?\s+(?:to\s+)?([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)(?:\s+with\s+(\d+)\s+(?:args?|arguments?))?$/i;
+const FUNCTION_PATTERN = /^(async\s+)?(?:functions?|methods?)(?:\s+named\s+([A-Za-z_$][\w$]*))?(?:\s+without\s+(try(?:\s*\/\s*catch)?|try-catch|await))?$/i;
+const CLASS_PATTERN = /^class(?:es)?(?:\s+named\s+([A-Za-z_$][\w$]*))?(?:\s+extending\s+([A-Za-z_$][\w$.]*))?(?:\s+implementing\s+([A-Za-z_$][\w$.]*))?$/i;
+
+export const PATTERN_HELP = [
+  'call to <name> [with <n> args]',
+  '[async] functions [named <name>] [without try|await]',
+  'classes [named <name>] [extending <name>] [implementing <name>]'
+];
+
+// Anything that opens like an S-expression is handed to tree-sitter as-is.
+export function isTreeSitterQuery(text) {
+  return /^[([;]/.test(String(text || '').trim());
+}
+
+function normalizeName(text) {
+  return String(text || '').replace(/\s+/g, '').replace(/::|->|\?\./g, '.');
+}
+
+// `run` matches `run` and `job.run`; `job.run` must match the tail exactly.
+function nameMatches(actual, wanted) {
+  const name = normalizeName(actual);
+  return name === wanted || name.endsWith(`.${wanted}`);
+}
+
+function calleeOf(node) {
+  const fn = node.childForFieldName('function');
+  if (fn) return fn;
+  return node.childForFieldName('name') || node.childForFieldName('method') || node.firstNamedChild;
+}
+
+function calleeText(node, callee) {
+  if (node.childForFieldName('function')) return callee.text;
+  const receiver = node.childForFieldName('object') || node.childForFieldName('receiver') || node.childForFieldName('scope');
+  return receiver && callee ? `${receiver.text}.${callee.text}` : callee?.text || '';
+}
+
+function argumentsOf(node) {
+  return node.childForFieldName('arguments')
+    || node.namedChildren.find((child) => /argument/.test(child.type))
+    || null;
+}
+
+function countArguments(args) {
+  return args ? args.namedChildren.filter((child) => child.type !== 'comment').length : 0;
+}
+
+function functionNameNode(node) {
+  const own = node.childForFieldName('name');
+  if (own) return own;
+  const parent = node.parent;
+  if (!parent) return null;
+  if (parent.type === 'variable_declarator') return parent.childForFieldName('name');
+  if (parent.type === 'pair') return parent.childForFieldName('key');
+  if (parent.type === 'assignment_expression') return parent.childForFieldName('left');
+  if (parent.type === 'public_field_definition' || parent.type === 'field_definition') {
+    return parent.childForFieldName('name') || parent.childForFieldName('property');
+  }
+  return null;
+}
+
+function isAsync(node) {
+  return node.children.some((child) => child.type === 'async'
+    || (/modifiers$/.test(child.type) && /\basync\b/.test(child.text)));
+}
+
+// Nested functions are their own scope: a try inside a callback does not
+// protect the enclosing function.
+function containsType(node, types) {
+  const stack = [...node.namedChildren];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (types.has(current.type)) return true;
+    if (FUNCTION_TYPES.has(current.type)) continue;
+    stack.push(...current.namedChildren);
+  }
+  return false;
+}
+
+function collectHeritage(node, out) {
+  for (const child of node.namedChildren) {
+    if (BODY_TYPES.has(child.type)) continue;
+    if (EXTENDS_TYPES.has(child.type)) out.extends.push(child);
+    else if (IMPLEMENTS_TYPES.has(child.type)) out.implements.push(child);
+    else if (MIXED_HERITAGE_TYPES.has(child.type)) {
+      out.extends.push(child);
+      out.implements.push(child);
+    } else if (child.type === 'class_heritage') {
+      const before = out.extends.length + out.implements.length;
+      collectHeritage(child, out);
+      // JavaScript: `class A extends B` has no extends_clause wrapper.
+      if (out.extends.length + out.implements.length === before) out.extends.push(child);
+    }
+  }
+  return out;
+}
+
+function heritageMentions(nodes, wanted) {
+  return nodes.some((node) => node.text
+    .replace(/::/g, '.')
+    .split(/[^\w$.]+/)
+    .some((token) => token === wanted || token.endsWith(`.${wanted}`)));
+}
+
+function compileCall(match) {
+  const name = match[1];
+  const args = match[2] === undefined ? null : Number(match[2]);
+  return {
+    kind: 'call',
+    description: { kind: 'call', name, args },
+    match(node) {
+      if (!CALL_TYPES.has(node.type)) return null;
+      const callee = calleeOf(node);
+      const text = calleeText(node, callee);
+      if (!callee || !nameMatches(text, name)) return null;
+      const argsNode = argumentsOf(node);
+      if (args !== null && countArguments(argsNode) !== args) return null;
+      return {
+        name: normalizeName(text),
+        captures: [
+          { name: 'callee', node: callee },
+          ...(argsNode ? [{ name: 'arguments', node: argsNode }] : [])
+        ]
+      };
+    }
+  };
+}
+
+function compileFunction(match) {
+  const asyncOnly = Boolean(match[1]);
+  const name = match[2] || null;
+  const without = match[3] ? (/await/i.test(match[3]) ? 'await' : 'try') : null;
+  return {
+    kind: 'function',
+    description: { kind: 'function', async: asyncOnly, name, without },
+    match(node) {
+      if (!FUNCTION_TYPES.has(node.type)) return null;
+      if (asyncOnly && !isAsync(node)) return null;
+      const nameNode = functionNameNode(node);
+      if (name && nameNode?.text !== name) return null;
+      if (without === 'try' && containsType(node, TRY_TYPES)) return null;
+      if (without === 'await' && containsType(node, AWAIT_TYPES)) return null;
+      return {
+        name: nameNode?.text || null,
+        captures: nameNode ? [{ name: 'name', node: nameNode }] : []
+      };
+    }
+  };
+}
+
+function compileClass(match) {
+  const [, name = null, extendsName = null, implementsName = null] = match;
+  return {
+    kind: 'class',
+    description: { kind: 'class', name, extends: extendsName, implements: implementsName },
+    match(node) {
+      if (!CLASS_TYPES.has(node.type)) return null;
+      const nameNode = node.childForFieldName('name');
+      if (name && nameNode?.text !== name) return null;
+      const heritage = collectHeritage(node, { extends: [], implements: [] });
+      if (extendsName && !heritageMentions(heritage.extends, extendsName)) return null;
+      if (implementsName && !heritageMentions(heritage.implements, implementsName)) return null;
+      return {
+        name: nameNode?.text || null,
+        captures: [
+          ...(nameNode ? [{ name: 'name', node: nameNode }] : []),
+          ...heritage.extends.slice(0, 1).map((item) => ({ name: 'extends', node: item })),
+          ...heritage.implements.filter((item) => !heritage.extends.includes(item))
+            .slice(0, 1)
+            .map((item) => ({ name: 'implements', node: item }))
+        ]
+      };
+    }
+  };
+}
+
+export function compilePattern(text) {
+  const source = String(text || '').trim().replace(/\s+/g, ' ');
+  let match = source.match(CALL_PATTERN);
+  if (match) return compileCall(match);
+  match = source.match(FUNCTION_PATTERN);
+  if (match) return compileFunction(match);
+  match = source.match(CLASS_PATTERN);
+  if (match) return compileClass(match);
+  throw new Error(
+    `unrecognized structural pattern: "${source}". Pass a tree-sitter query such as ` +
+    `"(call_expression) @call" or one of: ${PATTERN_HELP.map((item) => `"${item}"`).join(', ')}`
+  );
+}
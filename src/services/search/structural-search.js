@@ -0,0 +1,182 @@
+import path from 'node:path';
+import { globToRegExp } from './query-utils.js';
+import { isTreeSitterQuery, compilePattern } from './structural-patterns.js';
+import { isStopRequested, describeStop } from '../core/cancellation.js';
+
+const MAX_CAPTURE_TEXT = 200;
+
+function toRange(node) {
+  return {
+    start_line: node.startPosition.row + 1,
+    start_column: node.startPosition.column + 1,
+    end_line: node.endPosition.row + 1,
+    end_column: node.endPosition.column + 1
+  };
+}
+
+function clip(text) {
+  const value = String(text || '');
+  return value.length > MAX_CAPTURE_TEXT ? `${value.slice(0, MAX_CAPTURE_TEXT)}…` : value;
+}
+
+function toCapture(name, node) {
+  return { name, node_kind: node.type, text: clip(node.text), ...toRange(node) };
+}
+
+// The widest capture stands for the whole match (`(call_expression ...) @call`
+// rather than the `@name` nested inside it).
+function outermost(captures) {
+  return captures.reduce((best, item) => {
+    if (!best) return item;
+    const wider = item.node.startIndex <= best.node.startIndex && item.node.endIndex >= best.node.endIndex;
+    return wider ? item : best;
+  }, null);
+}
+
+function* walkNamed(root) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    yield node;
+    for (let i = node.namedChildren.length - 1; i >= 0; i -= 1) stack.push(node.namedChildren[i]);
+  }
+}
+
+function* queryMatches(query, tree) {
+  for (const match of query.matches(tree.rootNode)) {
+    if (match.captures.length === 0) continue;
+    const main = outermost(match.captures);
+    yield {
+      node: main.node,
+      name: null,
+      captures: match.captures.map((item) => ({ name: item.name, node: item.node }))
+    };
+  }
+}
+
+function* patternMatches(pattern, tree) {
+  for (const node of walkNamed(tree.rootNode)) {
+    const hit = pattern.match(node);
+    if (hit) yield { node, ...hit };
+  }
+}
+
+function redactRow(redaction, row) {
+  if (!redaction) return row;
+  const [redacted] = redaction.redactMatches([row]);
+  let count = redacted.redacted || 0;
+  redacted.captures = row.captures.map((capture) => {
+    const out = redaction.redactText(capture.text);
+    count += out.count;
+    return { ...capture, text: out.text };
+  });
+  if (count > 0) redacted.redacted = count;
+  return redacted;
+}
+
+/**
+ * Runs a tree-sitter query (or a compiled pattern, see structural-patterns.js)
+ * over every parseable file in scope. S-expression queries are compiled per
+ * grammar, so a query that names JavaScript node types simply skips Python
+ * files; it is only an error when no grammar in scope accepts it.
+ */
+export async function searchStructural({
+  workspace,
+  astChunker,
+  query,
+  projectPath,
+  allRoots,
+  glob = '*',
+  language,
+  maxResults = 100,
+  budget
+}) {
+  const source = String(query || '').trim();
+  if (!source) throw new Error('query is required');
+  const parserModule = astChunker ? await astChunker.getParserModule() : null;
+  if (!parserModule) {
+    throw new Error('structural search needs tree-sitter, which is not available on this runtime');
+  }
+
+  const mode = isTreeSitterQuery(source) ? 'query' : 'pattern';
+  const pattern = mode === 'pattern' ? compilePattern(source) : null;
+  const wildcardPattern = globToRegExp(glob);
+  const redaction = workspace.redaction || null;
+  const queryErrors = new Map();
+  const parsedLanguages = new Set();
+  const results = [];
+  let scannedFiles = 0;
+  let truncated = false;
+  let stopped = false;
+
+  outer: for (const base of workspace.resolveSearchBases(projectPath, allRoots)) {
+    for (const { files } of workspace.walkDirectories(base)) {
+      for (const filePath of files) {
+        if (isStopRequested(budget)) {
+          stopped = true;
+          break outer;
+        }
+        const languageId = astChunker.resolveLanguageId(filePath);
+        if (!languageId || (language && languageId !== language)) continue;
+        if (queryErrors.has(languageId) || !workspace.isLikelyTextFile(filePath)) continue;
+        const rel = path.relative(base, filePath).split(path.sep).join('/');
+        if (!wildcardPattern.test(rel)) continue;
+
+        let compiled = pattern;
+        if (mode === 'query') {
+          try {
+            compiled = await astChunker.getQuery(languageId, source);
+          } catch (error) {
+            queryErrors.set(languageId, String(error?.message || error));
+            continue;
+          }
+          if (!compiled) continue;
+        }
+
+        let tree;
+        try {
+          tree = await astChunker.parse(languageId, workspace.safeReadText(filePath));
+        } catch {
+          continue;
+        }
+        if (!tree) continue;
+        scannedFiles += 1;
+        parsedLanguages.add(languageId);
+
+        const hits = mode === 'query' ? queryMatches(compiled, tree) : patternMatches(compiled, tree);
+        for (const hit of hits) {
+          if (results.length >= maxResults) {
+            truncated = true;
+            break outer;
+          }
+          results.push(redactRow(redaction, {
+            file: filePath,
+            language: languageId,
+            node_kind: hit.node.type,
+            ...(hit.name ? { name: hit.name } : {}),
+            ...toRange(hit.node),
+            text: clip(hit.node.text.split('\n')[0].trim()),
+            captures: hit.captures.map((item) => toCapture(item.name, item.node))
+          }));
+        }
+      }
+    }
+  }
+
+  if (mode === 'query' && parsedLanguages.size === 0 && queryErrors.size > 0) {
+    const [languageId, message] = queryErrors.entries().next().value;
+    throw new Error(`invalid structural query for ${languageId}: ${message}`);
+  }
+
+  return {
+    query: source,
+    mode,
+    ...(pattern ? { pattern: pattern.description } : {}),
+    scanned_files: scannedFiles,
+    count: results.length,
+    truncated,
+    ...(queryErrors.size > 0 ? { query_errors: Object.fromEntries(queryErrors) } : {}),
+    ...describeStop(budget, stopped),
+    results
+  };
+}
@@ -21,9 +21,10 @@ export async function chunkFile(filePath, text, { astChunker, embeddingService,
   const chunks = [];
   const chunkTexts = [];
 
-  const slices = astChunker
-    ? await astChunker.chunk({ filePath, text, chunkLines, chunkOverlap })
+  const analysis = astChunker
+    ? await astChunker.analyze({ filePath, text, chunkLines, chunkOverlap })
     : null;
+  const slices = analysis?.slices;
 
   const effectiveSlices = Array.isArray(slices) && slices.length > 0
     ? slices
@@ -71,5 +72,5 @@ export async function chunkFile(filePath, text, { astChunker, embeddingService,
     }
   }
 
-  return chunks;
+  return { chunks, symbols: analysis?.symbols ?? null, calls: analysis?.calls ?? null };
 }
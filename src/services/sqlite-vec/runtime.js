@@ -1,5 +1,5 @@
 import fs from 'node:fs';
-import { makeFileSignature } from './helpers.js';
+import { makeFileSignature, buildBaseScopeClause } from './helpers.js';
 
 export function tryLoadSqliteVec(service) {
   service.sqliteVecLoadAttempted = false;
@@ -74,6 +74,25 @@ export function getSqliteVecExtensionStatus(service) {
   };
 }
 
+export function describeScope(service, bases) {
+  service.ensureDb();
+  const scope = buildBaseScopeClause(bases, 'path');
+  const rows = service.db.prepare(`SELECT path, signature, updated_at FROM files WHERE ${scope.where}`).all(...scope.params);
+  let staleCount = 0;
+  let deletedCount = 0;
+  let lastIndexedAt = null;
+  for (const row of rows) {
+    if (row.updated_at && (!lastIndexedAt || row.updated_at > lastIndexedAt)) lastIndexedAt = row.updated_at;
+    try {
+      if (makeFileSignature(fs.statSync(row.path)) !== row.signature) staleCount += 1;
+    } catch {
+      deletedCount += 1;
+      staleCount += 1;
+    }
+  }
+  return { indexed_files: rows.length, stale_files: staleCount, deleted_files: deletedCount, last_indexed_at: lastIndexedAt };
+}
+
 export function checkStaleness(service) {
   service.ensureDb();
   const rows = service.db.prepare('SELECT path, signature FROM files').all();
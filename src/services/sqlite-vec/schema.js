@@ -1,4 +1,10 @@
-export const SCHEMA_VERSION = 3;
+export const SCHEMA_VERSION = 5;
+
+// files.symbols_state: whether a file's declarations and call sites are in
+// the symbols and calls tables.
+export const SYMBOLS_PENDING = 0;
+export const SYMBOLS_RECORDED = 1;
+export const SYMBOLS_UNSUPPORTED = 2;
 
 export const INDEX_SCHEMA_SQL = `
   CREATE TABLE IF NOT EXISTS index_meta (
@@ -9,7 +15,8 @@ export const INDEX_SCHEMA_SQL = `
   CREATE TABLE IF NOT EXISTS files (
     path TEXT PRIMARY KEY,
     signature TEXT NOT NULL,
-    updated_at TEXT NOT NULL
+    updated_at TEXT NOT NULL,
+    symbols_state INTEGER NOT NULL DEFAULT 0
   );
 
   CREATE TABLE IF NOT EXISTS chunks (
@@ -35,8 +42,37 @@ export const INDEX_SCHEMA_SQL = `
     PRIMARY KEY (term, chunk_id)
   ) WITHOUT ROWID;
 
+  CREATE TABLE IF NOT EXISTS symbols (
+    file_path TEXT NOT NULL,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    scope_path TEXT NOT NULL DEFAULT '',
+    start_line INTEGER NOT NULL,
+    end_line INTEGER NOT NULL,
+    line INTEGER NOT NULL,
+    column INTEGER NOT NULL,
+    exported INTEGER NOT NULL DEFAULT 0,
+    signature TEXT NOT NULL DEFAULT ''
+  );
+
+  CREATE TABLE IF NOT EXISTS calls (
+    file_path TEXT NOT NULL,
+    caller TEXT NOT NULL DEFAULT '',
+    caller_scope TEXT NOT NULL DEFAULT '',
+    callee TEXT NOT NULL,
+    qualifier TEXT NOT NULL DEFAULT '',
+    line INTEGER NOT NULL,
+    column INTEGER NOT NULL,
+    dynamic INTEGER NOT NULL DEFAULT 0
+  );
+
   CREATE INDEX IF NOT EXISTS idx_chunks_file ON chunks(file_path);
   CREATE INDEX IF NOT EXISTS idx_term_index_term ON term_index(term);
+  CREATE INDEX IF NOT EXISTS idx_symbols_name ON symbols(name COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_symbols_file ON symbols(file_path);
+  CREATE INDEX IF NOT EXISTS idx_calls_callee ON calls(callee);
+  CREATE INDEX IF NOT EXISTS idx_calls_caller ON calls(caller);
+  CREATE INDEX IF NOT EXISTS idx_calls_file ON calls(file_path);
 `;
 
 export function runInTransaction(db, work) {
@@ -66,6 +102,12 @@ export function runMigrations(db, runInTransactionFn) {
   if (!hasEmbeddingJson) {
     db.exec('ALTER TABLE chunks ADD COLUMN embedding_json TEXT');
   }
+  // v3 → v4: existing files start as SYMBOLS_PENDING, so the next index run
+  // re-analyzes them even though their signatures are unchanged.
+  const fileColumns = db.prepare('PRAGMA table_info(files)').all();
+  if (!fileColumns.some((c) => c.name === 'symbols_state')) {
+    db.exec('ALTER TABLE files ADD COLUMN symbols_state INTEGER NOT NULL DEFAULT 0');
+  }
 
   if (current >= SCHEMA_VERSION) return;
 
@@ -98,5 +140,10 @@ export function runMigrations(db, runInTransactionFn) {
     });
   }
 
+  if (current < 5) {
+    // v4 → v5: call sites are recorded alongside symbols; re-analyze every file.
+    db.exec(`UPDATE files SET symbols_state = ${SYMBOLS_PENDING}`);
+  }
+
   db.prepare('INSERT OR REPLACE INTO index_meta(key, value) VALUES (?, ?)').run('schema_version', String(SCHEMA_VERSION));
 }
@@ -2,19 +2,25 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { DatabaseSync } from 'node:sqlite';
 import { buildBaseScopeClause, makeFileSignature, isUnderBase } from './helpers.js';
-import { INDEX_SCHEMA_SQL, runInTransaction, runMigrations } from './schema.js';
+import {
+  INDEX_SCHEMA_SQL, runInTransaction, runMigrations,
+  SYMBOLS_PENDING, SYMBOLS_RECORDED, SYMBOLS_UNSUPPORTED
+} from './schema.js';
 import {
   applyDfDeltaFromTerms, applyDfDeltaFromTermsJson,
   computeNorm, applyDfDeltas, refreshChunkNorms
 } from './bm25.js';
 import { collectFiles, chunkFile as chunkFileFn } from './indexer.js';
 import { semanticSearch as semanticSearchFn } from './semantic-search.js';
+import { isStopRequested, describeStop } from '../core/cancellation.js';
+import { createSerialQueue } from '../core/serial-queue.js';
 import {
   tryLoadSqliteVec as tryLoadSqliteVecFn,
   ensureSqliteVecTable as ensureSqliteVecTableFn,
   syncSqliteVecRowsFromChunks as syncSqliteVecRowsFromChunksFn,
   getSqliteVecExtensionStatus as getSqliteVecExtensionStatusFn,
-  checkStaleness as checkStalenessFn
+  checkStaleness as checkStalenessFn,
+  describeScope as describeScopeFn
 } from './runtime.js';
 
 // Re-export for callers that import buildBaseScopeClause from this module.
@@ -53,6 +59,7 @@ export class SqliteVecIndexService {
     this.sqliteVecLoadError = '';
     this.sqliteVecTableReady = false;
     this.sqliteVecTableError = '';
+    this.writes = createSerialQueue();
   }
 
   ensureDb() {
@@ -146,7 +153,133 @@ export class SqliteVecIndexService {
     return checkStalenessFn(this);
   }
 
-  async indexProject({ projectPath, allRoots, force, maxFiles, onProgress }) {
+  describeScope(bases) {
+    return describeScopeFn(this, bases);
+  }
+
+  prepareWriteStatements() {
+    return {
+      selectSig: this.db.prepare('SELECT signature, symbols_state FROM files WHERE path = ?'),
+      selectChunkTermsByFile: this.db.prepare('SELECT id, terms_json FROM chunks WHERE file_path = ?'),
+      deleteTermIndexByFile: this.db.prepare('DELETE FROM term_index WHERE chunk_id IN (SELECT id FROM chunks WHERE file_path = ?)'),
+      deleteChunks: this.db.prepare('DELETE FROM chunks WHERE file_path = ?'),
+      deleteFile: this.db.prepare('DELETE FROM files WHERE path = ?'),
+      deleteSymbols: this.db.prepare('DELETE FROM symbols WHERE file_path = ?'),
+      deleteCalls: this.db.prepare('DELETE FROM calls WHERE file_path = ?'),
+      upsertFile: this.db.prepare('INSERT OR REPLACE INTO files(path, signature, updated_at, symbols_state) VALUES (?, ?, ?, ?)'),
+      insertChunk: this.db.prepare(
+        'INSERT OR REPLACE INTO chunks(id, file_path, start_line, end_line, preview, terms_json, term_count, embedding_json, norm) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+      ),
+      insertTermIndex: this.db.prepare('INSERT OR IGNORE INTO term_index(term, chunk_id) VALUES (?, ?)'),
+      insertSymbol: this.db.prepare(
+        'INSERT INTO symbols(file_path, name, kind, scope_path, start_line, end_line, line, column, exported, signature) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+      ),
+      insertCall: this.db.prepare(
+        'INSERT INTO calls(file_path, caller, caller_scope, callee, qualifier, line, column, dynamic) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+      )
+    };
+  }
+
+  // Drops a file's rows; returns the chunk-count delta. Call inside a transaction.
+  removeIndexedFile(stmts, filePath, deltaDf) {
+    const oldRows = stmts.selectChunkTermsByFile.all(filePath);
+    for (const oldRow of oldRows) {
+      applyDfDeltaFromTermsJson(oldRow.terms_json, -1, deltaDf);
+    }
+    stmts.deleteTermIndexByFile.run(filePath);
+    stmts.deleteChunks.run(filePath);
+    stmts.deleteSymbols.run(filePath);
+    stmts.deleteCalls.run(filePath);
+    stmts.deleteFile.run(filePath);
+    return -oldRows.length;
+  }
+
+  // Re-chunks one file when its signature changed or its symbols and calls
+  // were never recorded; returns { indexed, chunkDelta }.
+  async indexOneFile(stmts, filePath, force, deltaDf) {
+    const st = fs.statSync(filePath);
+    const signature = makeFileSignature(st);
+    const existing = stmts.selectSig.get(filePath);
+
+    if (!force && existing && existing.signature === signature && existing.symbols_state !== SYMBOLS_PENDING) {
+      return { indexed: false, chunkDelta: 0 };
+    }
+
+    const text = this.workspace.safeReadText(filePath);
+    const { chunks, symbols, calls } = await chunkFileFn(filePath, text, {
+      astChunker: this.astChunker,
+      embeddingService: this.embeddingService,
+      chunkLines: this.chunkLines,
+      chunkOverlap: this.chunkOverlap,
+      maxTermsPerChunk: this.maxTermsPerChunk
+    });
+    let chunkDelta = 0;
+
+    this.runInTransaction(() => {
+      if (existing) chunkDelta += this.removeIndexedFile(stmts, filePath, deltaDf);
+      stmts.upsertFile.run(
+        filePath, signature, new Date().toISOString(),
+        symbols && calls ? SYMBOLS_RECORDED : SYMBOLS_UNSUPPORTED
+      );
+      for (const symbol of symbols || []) {
+        stmts.insertSymbol.run(
+          filePath, symbol.name, symbol.kind, symbol.scope_path || '',
+          symbol.start_line, symbol.end_line, symbol.line, symbol.column,
+          symbol.exported ? 1 : 0, symbol.signature || ''
+        );
+      }
+      for (const call of calls || []) {
+        stmts.insertCall.run(
+          filePath, call.caller, call.caller_scope, call.callee, call.qualifier,
+          call.line, call.column, call.dynamic ? 1 : 0
+        );
+      }
+      for (const chunk of chunks) {
+        applyDfDeltaFromTerms(chunk.terms, 1, deltaDf);
+        stmts.insertChunk.run(
+          chunk.id, filePath, chunk.start_line, chunk.end_line, chunk.preview,
+          JSON.stringify(chunk.terms), chunk.term_count || 0,
+          chunk.embedding ? JSON.stringify(chunk.embedding) : null, chunk.norm
+        );
+        for (const [term] of chunk.terms) {
+          stmts.insertTermIndex.run(term, chunk.id);
+        }
+      }
+    });
+
+    chunkDelta += chunks.length;
+    return { indexed: true, chunkDelta };
+  }
+
+  finalizeIndexWrite(deltaDf, beforeChunkCount, deltaTotalChunks) {
+    const getDfFn = (term) => this.getDf(term);
+    const runTxn = (work) => this.runInTransaction(work);
+    const computeNormFn = (terms, totalChunks, dfFn) => computeNorm(terms, totalChunks, dfFn || getDfFn);
+
+    applyDfDeltas(this.db, runTxn, deltaDf, getDfFn);
+    const changedTerms = new Set(Array.from(deltaDf.entries()).filter(([, delta]) => delta !== 0).map(([term]) => term));
+    refreshChunkNorms(this.db, runTxn, {
+      changedTerms,
+      totalChunksChanged: deltaTotalChunks !== 0,
+      totalChunks: beforeChunkCount + deltaTotalChunks
+    }, computeNormFn);
+
+    if (this.sqliteVecTableReady) {
+      try {
+        this.syncSqliteVecRowsFromChunks();
+      } catch (error) {
+        this.sqliteVecTableReady = false;
+        this.sqliteVecTableError = String(error?.message || error || '');
+      }
+    }
+    this.setMeta('updated_at', new Date().toISOString());
+  }
+
+  async indexProject(args) {
+    return this.writes.run(() => this.indexProjectNow(args));
+  }
+
+  async indexProjectNow({ projectPath, allRoots, force, maxFiles, onProgress, budget }) {
     this.ensureDb();
     const bases = this.workspace.resolveSearchBases(projectPath, allRoots).map((p) => this.workspace.normalizeTarget(p));
     const files = collectFiles(this.workspace, bases, maxFiles, this.maxIndexedFiles);
@@ -157,18 +290,9 @@ export class SqliteVecIndexService {
     let skipped = 0;
     let removed = 0;
     const failedFiles = [];
+    let stopped = false;
 
-    const stmtSelectSig = this.db.prepare('SELECT signature FROM files WHERE path = ?');
-    const stmtSelectChunkTermsByFile = this.db.prepare('SELECT id, terms_json FROM chunks WHERE file_path = ?');
-    const stmtDeleteTermIndexByFile = this.db.prepare('DELETE FROM term_index WHERE chunk_id IN (SELECT id FROM chunks WHERE file_path = ?)');
-    const stmtDeleteChunks = this.db.prepare('DELETE FROM chunks WHERE file_path = ?');
-    const stmtDeleteFile = this.db.prepare('DELETE FROM files WHERE path = ?');
-    const stmtUpsertFile = this.db.prepare('INSERT OR REPLACE INTO files(path, signature, updated_at) VALUES (?, ?, ?)');
-    const stmtInsertChunk = this.db.prepare(
-      'INSERT OR REPLACE INTO chunks(id, file_path, start_line, end_line, preview, terms_json, term_count, embedding_json, norm) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
-    );
-    const stmtInsertTermIndex = this.db.prepare('INSERT OR IGNORE INTO term_index(term, chunk_id) VALUES (?, ?)');
-
+    const stmts = this.prepareWriteStatements();
     const existingRows = this.db.prepare('SELECT path FROM files').all();
     const beforeChunkCount = this.db.prepare('SELECT COUNT(*) AS c FROM chunks').get()?.c || 0;
     const deltaDf = new Map();
@@ -179,14 +303,7 @@ export class SqliteVecIndexService {
       for (const row of existingRows) {
         if (!isUnderBase(row.path, bases)) continue;
         if (!fileSet.has(row.path)) {
-          const oldRows = stmtSelectChunkTermsByFile.all(row.path);
-          for (const oldRow of oldRows) {
-            applyDfDeltaFromTermsJson(oldRow.terms_json, -1, deltaDf);
-          }
-          deltaTotalChunks -= oldRows.length;
-          stmtDeleteTermIndexByFile.run(row.path);
-          stmtDeleteChunks.run(row.path);
-          stmtDeleteFile.run(row.path);
+          deltaTotalChunks += this.removeIndexedFile(stmts, row.path, deltaDf);
           removed += 1;
         }
       }
@@ -194,52 +311,15 @@ export class SqliteVecIndexService {
 
     // Phase 2: process each file independently
     for (const filePath of files) {
+      if (isStopRequested(budget)) {
+        stopped = true;
+        break;
+      }
       try {
-        const st = fs.statSync(filePath);
-        const signature = makeFileSignature(st);
-        const existing = stmtSelectSig.get(filePath);
-
-        if (!force && existing && existing.signature === signature) {
-          skipped += 1;
-          continue;
-        }
-
-        const text = this.workspace.safeReadText(filePath);
-        const chunks = await chunkFileFn(filePath, text, {
-          astChunker: this.astChunker,
-          embeddingService: this.embeddingService,
-          chunkLines: this.chunkLines,
-          chunkOverlap: this.chunkOverlap,
-          maxTermsPerChunk: this.maxTermsPerChunk
-        });
-        const existingChunkRows = existing ? stmtSelectChunkTermsByFile.all(filePath) : [];
-
-        if (existingChunkRows.length > 0) {
-          for (const oldRow of existingChunkRows) {
-            applyDfDeltaFromTermsJson(oldRow.terms_json, -1, deltaDf);
-          }
-          deltaTotalChunks -= existingChunkRows.length;
-        }
-
-        this.runInTransaction(() => {
-          stmtDeleteTermIndexByFile.run(filePath);
-          stmtDeleteChunks.run(filePath);
-          stmtUpsertFile.run(filePath, signature, new Date().toISOString());
-          for (const chunk of chunks) {
-            applyDfDeltaFromTerms(chunk.terms, 1, deltaDf);
-            stmtInsertChunk.run(
-              chunk.id, filePath, chunk.start_line, chunk.end_line, chunk.preview,
-              JSON.stringify(chunk.terms), chunk.term_count || 0,
-              chunk.embedding ? JSON.stringify(chunk.embedding) : null, chunk.norm
-            );
-            for (const [term] of chunk.terms) {
-              stmtInsertTermIndex.run(term, chunk.id);
-            }
-          }
-        });
-
-        deltaTotalChunks += chunks.length;
-        processed += 1;
+        const result = await this.indexOneFile(stmts, filePath, force, deltaDf);
+        deltaTotalChunks += result.chunkDelta;
+        if (result.indexed) processed += 1;
+        else skipped += 1;
       } catch (err) {
         failedFiles.push({ path: filePath, error: String(err?.message || err) });
       } finally {
@@ -250,27 +330,10 @@ export class SqliteVecIndexService {
       }
     }
 
-    const getDfFn = (term) => this.getDf(term);
-    const runTxn = (work) => this.runInTransaction(work);
-    const computeNormFn = (terms, totalChunks, dfFn) => computeNorm(terms, totalChunks, dfFn || getDfFn);
-
-    applyDfDeltas(this.db, runTxn, deltaDf, getDfFn);
-    const changedTerms = new Set(Array.from(deltaDf.entries()).filter(([, delta]) => delta !== 0).map(([term]) => term));
-    refreshChunkNorms(this.db, runTxn, {
-      changedTerms,
-      totalChunksChanged: deltaTotalChunks !== 0,
-      totalChunks: beforeChunkCount + deltaTotalChunks
-    }, computeNormFn);
-
-    if (this.sqliteVecTableReady) {
-      try {
-        this.syncSqliteVecRowsFromChunks();
-      } catch (error) {
-        this.sqliteVecTableReady = false;
-        this.sqliteVecTableError = String(error?.message || error || '');
-      }
+    this.finalizeIndexWrite(deltaDf, beforeChunkCount, deltaTotalChunks);
+    if (!stopped) {
+      this.setMeta('indexed_bases', JSON.stringify([...new Set([...this.getIndexedBases(), ...bases])].sort()));
     }
-    this.setMeta('updated_at', new Date().toISOString());
     if (typeof onProgress === 'function') {
       await onProgress({ scanned: total, total, phase: 'finalizing_index' });
     }
@@ -284,6 +347,7 @@ export class SqliteVecIndexService {
       skipped_files: skipped,
       removed_files: removed,
       failed_files: failedFiles,
+      ...describeStop(budget, stopped),
       total_files: status.total_files,
       total_chunks: status.total_chunks,
       db_path: this.dbPath,
@@ -292,6 +356,136 @@ export class SqliteVecIndexService {
     };
   }
 
+  // Bases a complete index_project run has covered.
+  getIndexedBases() {
+    try {
+      const parsed = JSON.parse(this.getMeta('indexed_bases') || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Incremental update for an explicit set of paths (used by the watcher):
+  // changed files are re-chunked, vanished or no-longer-indexable ones dropped.
+  // New files are only added under bases a full index_project has covered, so
+  // edits in never-indexed projects do not leave a partial index behind.
+  async indexFiles(args) {
+    return this.writes.run(() => this.indexFilesNow(args));
+  }
+
+  async indexFilesNow({ paths }) {
+    this.ensureDb();
+    const indexedBases = this.getIndexedBases();
+    const isIndexedFile = this.db.prepare('SELECT 1 FROM files WHERE path = ?');
+    const stmts = this.prepareWriteStatements();
+    const beforeChunkCount = this.db.prepare('SELECT COUNT(*) AS c FROM chunks').get()?.c || 0;
+    const deltaDf = new Map();
+    let deltaTotalChunks = 0;
+    let processed = 0;
+    let skipped = 0;
+    let removed = 0;
+    const failedFiles = [];
+
+    for (const filePath of new Set(paths)) {
+      try {
+        if (!this.workspace.isIndexableFile(filePath)) {
+          // A deleted directory arrives as one path: drop everything under it.
+          const { where, params } = buildBaseScopeClause([filePath], 'path');
+          const stale = this.db.prepare(`SELECT path FROM files WHERE ${where}`).all(...params);
+          if (stale.length === 0) skipped += 1;
+          this.runInTransaction(() => {
+            for (const row of stale) {
+              deltaTotalChunks += this.removeIndexedFile(stmts, row.path, deltaDf);
+            }
+          });
+          removed += stale.length;
+          continue;
+        }
+        if (!isIndexedFile.get(filePath) && !isUnderBase(filePath, indexedBases)) {
+          skipped += 1;
+          continue;
+        }
+        const result = await this.indexOneFile(stmts, filePath, false, deltaDf);
+        deltaTotalChunks += result.chunkDelta;
+        if (result.indexed) processed += 1;
+        else skipped += 1;
+      } catch (err) {
+        failedFiles.push({ path: filePath, error: String(err?.message || err) });
+      }
+    }
+
+    if (processed > 0 || removed > 0) {
+      this.finalizeIndexWrite(deltaDf, beforeChunkCount, deltaTotalChunks);
+    }
+    return { indexed_files: processed, skipped_files: skipped, removed_files: removed, failed_files: failedFiles };
+  }
+
+  // Declarations named `name` under `bases`. `covered` is false when the scope
+  // has no indexed files or some were indexed without symbol extraction, in
+  // which case callers should not treat an empty result as authoritative.
+  findSymbols({ name, bases, caseSensitive = false }) {
+    this.ensureDb();
+    if (!this.isSymbolScopeCovered(bases)) return { covered: false, symbols: [] };
+
+    const symbolScope = buildBaseScopeClause(bases, 'file_path');
+    const rows = this.db.prepare(
+      `SELECT * FROM symbols WHERE name = ? COLLATE NOCASE${caseSensitive ? ' AND name = ?' : ''} AND (${symbolScope.where})
+       ORDER BY exported DESC, file_path, line`
+    ).all(...(caseSensitive ? [name, name] : [name]), ...symbolScope.params);
+    return {
+      covered: true,
+      symbols: rows.map((row) => ({
+        file: row.file_path,
+        name: row.name,
+        kind: row.kind,
+        scope_path: row.scope_path,
+        start_line: row.start_line,
+        end_line: row.end_line,
+        line: row.line,
+        column: row.column,
+        exported: row.exported === 1,
+        signature: row.signature
+      }))
+    };
+  }
+
+  isSymbolScopeCovered(bases) {
+    const fileScope = buildBaseScopeClause(bases, 'path');
+    const coverage = this.db.prepare(
+      `SELECT COUNT(*) AS total, SUM(CASE WHEN symbols_state = ? THEN 0 ELSE 1 END) AS missing FROM files WHERE ${fileScope.where}`
+    ).get(SYMBOLS_RECORDED, ...fileScope.params);
+    return (coverage?.total || 0) > 0 && !coverage.missing;
+  }
+
+  // Call sites under `bases` whose caller (`by: 'caller'`) or callee
+  // (`by: 'callee'`) is one of `names`. Same `covered` contract as findSymbols.
+  findCalls({ names, by, bases }) {
+    this.ensureDb();
+    const covered = this.isSymbolScopeCovered(bases);
+    const wanted = Array.from(new Set(names)).filter(Boolean);
+    if (wanted.length === 0) return { covered, calls: [] };
+    const column = by === 'caller' ? 'caller' : 'callee';
+    const scope = buildBaseScopeClause(bases, 'file_path');
+    const rows = this.db.prepare(
+      `SELECT * FROM calls WHERE ${column} IN (${wanted.map(() => '?').join(',')}) AND (${scope.where})
+       ORDER BY file_path, line, column`
+    ).all(...wanted, ...scope.params);
+    return {
+      covered,
+      calls: rows.map((row) => ({
+        file: row.file_path,
+        caller: row.caller,
+        caller_scope: row.caller_scope,
+        callee: row.callee,
+        qualifier: row.qualifier,
+        line: row.line,
+        column: row.column,
+        dynamic: row.dynamic === 1
+      }))
+    };
+  }
+
   async semanticSearch(opts) {
     this.ensureDb();
     return semanticSearchFn(this.db, this.embeddingService, this.workspace, {
@@ -1,3 +1,4 @@
+import fs from 'node:fs';
 import path from 'node:path';
 import { tokenize, toSparsePairs } from '../core/tokenizer.js';
 import { bm25Score, cosineSimilarity, cosineToUnitScore, normalizeBm25 } from '../core/relevance.js';
@@ -41,14 +42,15 @@ export async function chunkFile(service, filePath, text) {
   const chunks = [];
   const chunkTexts = [];
 
-  const slices = service.astChunker
-    ? await service.astChunker.chunk({
+  const analysis = service.astChunker
+    ? await service.astChunker.analyze({
       filePath,
       text,
       chunkLines: service.chunkLines,
       chunkOverlap: service.chunkOverlap
     })
     : null;
+  const slices = analysis?.slices;
 
   const effectiveSlices = Array.isArray(slices) && slices.length > 0
     ? slices
@@ -95,7 +97,7 @@ export async function chunkFile(service, filePath, text) {
     }
   }
 
-  return chunks;
+  return { chunks, symbols: analysis?.symbols ?? null, calls: analysis?.calls ?? null };
 }
 
 export function rebuildStats(service) {
@@ -184,3 +186,77 @@ export async function semanticSearch(service, { query, projectPath, allRoots, ma
   out.sort((a, b) => b.semantic_score - a.semantic_score);
   return out.slice(0, maxResults);
 }
+
+// Documents written before symbols and call sites were recorded lack these
+// keys and are re-analyzed on the next index run even when unchanged.
+export function isAnalyzed(doc) {
+  return doc.symbols !== undefined && doc.calls !== undefined;
+}
+
+// Both are null for files whose language had no grammar; such files, and
+// documents not yet analyzed, leave the scope uncovered.
+function isScopeCovered(service, bases) {
+  let total = 0;
+  for (const [filePath, doc] of Object.entries(service.data.documents)) {
+    if (!isUnderBase(filePath, bases)) continue;
+    total += 1;
+    if (!Array.isArray(doc.symbols) || !Array.isArray(doc.calls)) return false;
+  }
+  return total > 0;
+}
+
+// Same contract as the sqlite backend.
+export function findSymbols(service, { name, bases, caseSensitive }) {
+  service.ensureLoaded();
+  if (!isScopeCovered(service, bases)) return { covered: false, symbols: [] };
+  const wanted = caseSensitive ? name : name.toLowerCase();
+  const symbols = [];
+  for (const [filePath, doc] of Object.entries(service.data.documents)) {
+    if (!isUnderBase(filePath, bases)) continue;
+    for (const symbol of doc.symbols) {
+      if ((caseSensitive ? symbol.name : symbol.name.toLowerCase()) !== wanted) continue;
+      symbols.push({ file: filePath, ...symbol });
+    }
+  }
+  symbols.sort((a, b) => Number(b.exported) - Number(a.exported) || a.file.localeCompare(b.file) || a.line - b.line);
+  return { covered: true, symbols };
+}
+
+export function findCalls(service, { names, by, bases }) {
+  service.ensureLoaded();
+  const covered = isScopeCovered(service, bases);
+  const wanted = new Set(names);
+  const key = by === 'caller' ? 'caller' : 'callee';
+  const calls = [];
+  for (const [filePath, doc] of Object.entries(service.data.documents)) {
+    if (!isUnderBase(filePath, bases) || !Array.isArray(doc.calls)) continue;
+    for (const call of doc.calls) {
+      if (call[key] && wanted.has(call[key])) calls.push({ file: filePath, ...call });
+    }
+  }
+  calls.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+  return { covered, calls };
+}
+
+// Indexed, stale and deleted file counts under `bases`, and when the newest
+// file was indexed. Documents written before `indexed_at` existed fall back
+// to the index-wide timestamp.
+export function describeScope(service, bases) {
+  let total = 0;
+  let staleCount = 0;
+  let deletedCount = 0;
+  let lastIndexedAt = null;
+  for (const [filePath, doc] of Object.entries(service.data.documents)) {
+    if (!isUnderBase(filePath, bases)) continue;
+    total += 1;
+    const indexedAt = doc.indexed_at || service.data.updated_at;
+    if (indexedAt && (!lastIndexedAt || indexedAt > lastIndexedAt)) lastIndexedAt = indexedAt;
+    try {
+      if (makeFileSignature(fs.statSync(filePath)) !== doc.signature) staleCount += 1;
+    } catch {
+      deletedCount += 1;
+      staleCount += 1;
+    }
+  }
+  return { indexed_files: total, stale_files: staleCount, deleted_files: deletedCount, last_indexed_at: lastIndexedAt };
+}
@@ -6,8 +6,18 @@ import {
   collectFiles as collectFilesFn,
   chunkFile as chunkFileFn,
   rebuildStats as rebuildStatsFn,
-  semanticSearch as semanticSearchFn
+  semanticSearch as semanticSearchFn,
+  findSymbols as findSymbolsFn,
+  findCalls as findCallsFn,
+  describeScope as describeScopeFn,
+  isAnalyzed
 } from './helpers.js';
+import { isStopRequested, describeStop } from '../core/cancellation.js';
+import { createSerialQueue } from '../core/serial-queue.js';
+
+function mergeIndexedBases(current, bases) {
+  return [...new Set([...(current || []), ...bases])].sort();
+}
 
 export class VectorIndexService {
   constructor({
@@ -33,6 +43,7 @@ export class VectorIndexService {
     this.bm25K1 = bm25K1;
     this.bm25B = bm25B;
     this.data = null;
+    this.writes = createSerialQueue();
   }
 
   ensureLoaded() {
@@ -98,6 +109,11 @@ export class VectorIndexService {
     };
   }
 
+  describeScope(bases) {
+    this.ensureLoaded();
+    return describeScopeFn(this, bases);
+  }
+
   checkStaleness() {
     this.ensureLoaded();
     const docs = this.data?.documents || {};
@@ -116,7 +132,11 @@ export class VectorIndexService {
     return { stale: staleCount > 0, stale_count: staleCount, deleted_count: deletedCount, total_indexed: entries.length };
   }
 
-  async indexProject({ projectPath, allRoots, force, maxFiles, onProgress }) {
+  async indexProject(args) {
+    return this.writes.run(() => this.indexProjectNow(args));
+  }
+
+  async indexProjectNow({ projectPath, allRoots, force, maxFiles, onProgress, budget }) {
     this.ensureLoaded();
 
     const bases = this.workspace.resolveSearchBases(projectPath, allRoots).map((p) => this.workspace.normalizeTarget(p));
@@ -129,6 +149,7 @@ export class VectorIndexService {
     let skipped = 0;
     let removed = 0;
     const failedFiles = [];
+    let stopped = false;
 
     for (const filePath of Object.keys(this.data.documents)) {
       if (!isUnderBase(filePath, bases)) continue;
@@ -139,19 +160,23 @@ export class VectorIndexService {
     }
 
     for (const filePath of files) {
+      if (isStopRequested(budget)) {
+        stopped = true;
+        break;
+      }
       try {
         const st = fs.statSync(filePath);
         const signature = makeFileSignature(st);
         const existing = this.data.documents[filePath];
 
-        if (!force && existing && existing.signature === signature) {
+        if (!force && existing && existing.signature === signature && isAnalyzed(existing)) {
           skipped += 1;
           continue;
         }
 
         const text = this.workspace.safeReadText(filePath);
-        const chunks = await this.chunkFile(filePath, text);
-        this.data.documents[filePath] = { signature, chunks };
+        const { chunks, symbols, calls } = await this.chunkFile(filePath, text);
+        this.data.documents[filePath] = { signature, indexed_at: new Date().toISOString(), chunks, symbols, calls };
         processed += 1;
       } catch (err) {
         failedFiles.push({ path: filePath, error: String(err?.message || err) });
@@ -163,6 +188,7 @@ export class VectorIndexService {
       }
     }
 
+    if (!stopped) this.data.indexed_bases = mergeIndexedBases(this.data.indexed_bases, bases);
     this.rebuildStats();
     if (typeof onProgress === 'function') {
       await onProgress({ scanned: total, total, phase: 'rebuilding_stats' });
@@ -176,6 +202,7 @@ export class VectorIndexService {
       skipped_files: skipped,
       removed_files: removed,
       failed_files: failedFiles,
+      ...describeStop(budget, stopped),
       total_files: this.data.total_files,
       total_chunks: this.data.total_chunks,
       index_path: this.indexPath,
@@ -183,10 +210,70 @@ export class VectorIndexService {
     };
   }
 
+  // Incremental update for an explicit set of paths (used by the watcher):
+  // changed files are re-chunked, vanished or no-longer-indexable ones dropped.
+  // New files are only added under bases a full index_project has covered, so
+  // edits in never-indexed projects do not leave a partial index behind.
+  async indexFiles(args) {
+    return this.writes.run(() => this.indexFilesNow(args));
+  }
+
+  async indexFilesNow({ paths }) {
+    this.ensureLoaded();
+    const indexedBases = this.data.indexed_bases || [];
+    let processed = 0;
+    let skipped = 0;
+    let removed = 0;
+    const failedFiles = [];
+
+    for (const filePath of new Set(paths)) {
+      try {
+        if (!this.workspace.isIndexableFile(filePath)) {
+          // A deleted directory arrives as one path: drop everything under it.
+          const stale = Object.keys(this.data.documents).filter((docPath) => isUnderBase(docPath, [filePath]));
+          if (stale.length === 0) skipped += 1;
+          for (const docPath of stale) delete this.data.documents[docPath];
+          removed += stale.length;
+          continue;
+        }
+        const existing = this.data.documents[filePath];
+        if (!existing && !isUnderBase(filePath, indexedBases)) {
+          skipped += 1;
+          continue;
+        }
+        const signature = makeFileSignature(fs.statSync(filePath));
+        if (existing?.signature === signature && isAnalyzed(existing)) {
+          skipped += 1;
+          continue;
+        }
+        const text = this.workspace.safeReadText(filePath);
+        const { chunks, symbols, calls } = await this.chunkFile(filePath, text);
+        this.data.documents[filePath] = { signature, indexed_at: new Date().toISOString(), chunks, symbols, calls };
+        processed += 1;
+      } catch (err) {
+        failedFiles.push({ path: filePath, error: String(err?.message || err) });
+      }
+    }
+
+    if (processed > 0 || removed > 0) {
+      this.rebuildStats();
+      this.persist();
+    }
+    return { indexed_files: processed, skipped_files: skipped, removed_files: removed, failed_files: failedFiles };
+  }
+
   async semanticSearch({ query, projectPath, allRoots, maxResults, minScore }) {
     return semanticSearchFn(this, { query, projectPath, allRoots, maxResults, minScore });
   }
 
+  findSymbols({ name, bases, caseSensitive = false }) {
+    return findSymbolsFn(this, { name, bases, caseSensitive });
+  }
+
+  findCalls({ names, by, bases }) {
+    return findCallsFn(this, { names, by, bases });
+  }
+
   collectFiles(bases, maxFiles) {
     return collectFilesFn(this, bases, maxFiles);
   }
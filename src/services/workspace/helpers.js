@@ -2,6 +2,15 @@ import fs from 'node:fs';
 import path from 'node:path';
 import readline from 'node:readline';
 import { expandHome } from '../../config.js';
+import { createIgnoreMatcher } from './ignore-rules.js';
+import {
+  ENTRY_FILE_NAMES,
+  TEST_DIR_NAMES,
+  countLines,
+  detectFrameworks,
+  languageOf,
+  readManifest
+} from './project-profile.js';
 
 export function normalizeTarget(workspace, inputPath) {
   const maybeExpanded = expandHome(inputPath);
@@ -90,6 +99,10 @@ export function projectTree(workspace, projectPath, maxDepth, maxEntries) {
   return lines;
 }
 
+const MAX_MANIFESTS = 20;
+const MAX_LISTED = 20;
+const LARGEST_FILES = 10;
+
 export function summarizeProject(workspace, projectPath, maxFiles) {
   const root = normalizeTarget(workspace, projectPath);
   const st = fs.statSync(root);
@@ -98,18 +111,49 @@ export function summarizeProject(workspace, projectPath, maxFiles) {
   }
 
   const counts = new Map();
+  const languages = new Map();
+  const sizes = [];
+  const manifestPaths = [];
+  const conventionalEntries = [];
+  const testDirs = [];
   let totalFiles = 0;
   let totalDirs = 0;
 
-  for (const { dirs, files } of walkDirectories(workspace, root)) {
+  for (const { current, dirs, files } of walkDirectories(workspace, root)) {
     totalDirs += dirs.length;
+    const rel = path.relative(root, current);
+    if (TEST_DIR_NAMES.has(path.basename(current)) && !testDirs.some((dir) => rel.startsWith(`${dir}${path.sep}`))) {
+      testDirs.push(rel);
+    }
 
     for (const filePath of files) {
-      if (path.basename(filePath).startsWith('.')) continue;
+      const name = path.basename(filePath);
+      if (name.startsWith('.')) continue;
       totalFiles += 1;
 
       const ext = path.extname(filePath).toLowerCase() || '<none>';
       counts.set(ext, (counts.get(ext) || 0) + 1);
+      if (workspace.projectMarkerFiles?.has(name) && !workspace.redaction?.isDenied(filePath)) manifestPaths.push(filePath);
+      if (ENTRY_FILE_NAMES.has(name)) conventionalEntries.push(filePath);
+
+      let size = 0;
+      try {
+        size = fs.statSync(filePath).size;
+      } catch {
+        // vanished during the walk
+      }
+      sizes.push({ filePath, size });
+      const language = languageOf(filePath);
+      if (language && size <= workspace.maxFileBytes && !workspace.redaction?.isDenied(filePath)) {
+        const entry = languages.get(language) || { language, files: 0, lines: 0 };
+        entry.files += 1;
+        try {
+          entry.lines += countLines(filePath);
+        } catch {
+          // unreadable files still count as files
+        }
+        languages.set(language, entry);
+      }
 
       if (totalFiles >= maxFiles) break;
     }
@@ -122,11 +166,41 @@ export function summarizeProject(workspace, projectPath, maxFiles) {
     .slice(0, 15)
     .map(([ext, count]) => ({ ext, count }));
 
+  const depth = (filePath) => filePath.split(path.sep).length;
+  const manifests = manifestPaths
+    .sort((a, b) => depth(a) - depth(b) || a.localeCompare(b))
+    .slice(0, MAX_MANIFESTS)
+    .map((filePath) => readManifest(filePath, root));
+  const scripts = manifests.flatMap((manifest) => Object.entries(manifest.scripts || {})
+    .map(([name, command]) => ({
+      name,
+      command: workspace.redaction ? workspace.redaction.redactText(String(command)).text : String(command),
+      manifest: manifest.file
+    })));
+  const entryPoints = [
+    ...manifests.flatMap((manifest) => manifest.entry_points || []),
+    ...conventionalEntries.map((filePath) => ({ file: path.relative(root, filePath), source: 'convention' }))
+  ].filter((item, idx, all) => !item.file || all.findIndex((other) => other.file === item.file) === idx);
+  const languageList = Array.from(languages.values()).sort((a, b) => b.lines - a.lines || a.language.localeCompare(b.language));
+
   return {
     path: root,
     directories: totalDirs,
     files_counted: totalFiles,
     top_extensions: topExtensions,
+    languages: languageList,
+    total_lines: languageList.reduce((sum, item) => sum + item.lines, 0),
+    build_systems: Array.from(new Set(manifests.map((manifest) => manifest.build_system))).sort(),
+    frameworks: detectFrameworks(manifests),
+    manifests: manifests.map((manifest) => Object.fromEntries(Object.entries(manifest)
+      .filter(([key]) => key !== 'scripts' && key !== 'entry_points'))),
+    entry_points: entryPoints.slice(0, MAX_LISTED),
+    scripts: scripts.slice(0, 50),
+    test_directories: testDirs.slice(0, MAX_LISTED),
+    largest_files: sizes
+      .sort((a, b) => b.size - a.size)
+      .slice(0, LARGEST_FILES)
+      .map((item) => ({ file: path.relative(root, item.filePath), bytes: item.size })),
     truncated: totalFiles >= maxFiles
   };
 }
@@ -141,6 +215,9 @@ export async function readFileChunk(workspace, requestedPath, startLine, endLine
   }
 
   const target = normalizeTarget(workspace, requestedPath);
+  if (workspace.redaction?.isDenied(target)) {
+    throw new Error('path is denied by redaction policy');
+  }
   const st = fs.statSync(target);
   if (!st.isFile()) {
     throw new Error('path is not a file');
@@ -148,13 +225,15 @@ export async function readFileChunk(workspace, requestedPath, startLine, endLine
 
   if (st.size > workspace.maxFileBytes) {
     const { lines, totalLines } = await readLinesWindowStream(target, from, to);
-    const numbered = lines.map((line, idx) => `${from + idx}: ${line}`).join('\n');
+    const redacted = redactChunkLines(workspace, lines);
+    const numbered = redacted.lines.map((line, idx) => `${from + idx}: ${line}`).join('\n');
     return {
       path: target,
       start_line: from,
       end_line: Math.min(to, totalLines),
       total_lines: totalLines,
       content: numbered,
+      redacted: redacted.count,
       warning: `File exceeds cap (${st.size} bytes > ${workspace.maxFileBytes} bytes). Returned streamed line-window content only.`,
       file_size_bytes: st.size,
       cap_bytes: workspace.maxFileBytes
@@ -164,17 +243,23 @@ export async function readFileChunk(workspace, requestedPath, startLine, endLine
   const content = safeReadText(workspace, target);
   const allLines = content.split(/\r?\n/);
   const selected = allLines.slice(from - 1, to);
-  const numbered = selected.map((line, idx) => `${from + idx}: ${line}`).join('\n');
+  const redacted = redactChunkLines(workspace, selected);
+  const numbered = redacted.lines.map((line, idx) => `${from + idx}: ${line}`).join('\n');
 
   return {
     path: target,
     start_line: from,
     end_line: Math.min(to, allLines.length),
     total_lines: allLines.length,
-    content: numbered
+    content: numbered,
+    redacted: redacted.count
   };
 }
 
+function redactChunkLines(workspace, lines) {
+  return workspace.redaction ? workspace.redaction.redactLines(lines) : { lines, count: 0 };
+}
+
 export async function readLinesWindowStream(filePath, from, to) {
   const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
   const rl = readline.createInterface({
@@ -199,6 +284,7 @@ export async function readLinesWindowStream(filePath, from, to) {
 }
 
 export function *walkDirectories(workspace, base) {
+  const matcher = createIgnoreMatcher(workspace);
   const stack = [base];
 
   while (stack.length > 0) {
@@ -220,9 +306,9 @@ export function *walkDirectories(workspace, base) {
 
       const full = path.join(current, entry.name);
       if (entry.isDirectory()) {
-        if (!workspace.ignoreDirs.has(entry.name)) dirs.push(full);
+        if (!workspace.ignoreDirs.has(entry.name) && !matcher.isIgnored(full, true)) dirs.push(full);
       } else if (entry.isFile()) {
-        files.push(full);
+        if (!matcher.isIgnored(full, false)) files.push(full);
       }
     }
 
@@ -235,9 +321,33 @@ export function *walkDirectories(workspace, base) {
 }
 
 export function isLikelyTextFile(workspace, filePath) {
+  if (workspace.redaction?.isDenied(filePath)) return false;
   return workspace.textExtensions.has(path.extname(filePath).toLowerCase());
 }
 
+// Single-path counterpart of walkDirectories + isLikelyTextFile, for callers
+// (the index watcher) that learn about files one at a time.
+export function isIndexableFile(workspace, filePath) {
+  const resolved = path.resolve(filePath);
+  const root = workspace.roots.find((item) => {
+    const rel = path.relative(item.path, resolved);
+    return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+  });
+  if (!root) return false;
+
+  const parts = path.relative(root.path, resolved).split(path.sep);
+  if (parts.some((part) => part.startsWith('.'))) return false;
+  if (parts.slice(0, -1).some((part) => workspace.ignoreDirs.has(part))) return false;
+  if (!isLikelyTextFile(workspace, resolved)) return false;
+
+  try {
+    if (!fs.statSync(resolved).isFile()) return false;
+  } catch {
+    return false;
+  }
+  return !createIgnoreMatcher(workspace).isPathIgnored(resolved);
+}
+
 export function safeReadText(workspace, filePath) {
   const st = fs.statSync(filePath);
   if (st.size > workspace.maxFileBytes) {
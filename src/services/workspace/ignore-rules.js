@@ -0,0 +1,131 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import ignore from 'ignore';
+
+export const LOCALNEST_IGNORE_FILE = '.localnestignore';
+
+let cachedGlobalExcludesFile;
+
+function readRules(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// `core.excludesFile`, falling back to git's default `$XDG_CONFIG_HOME/git/ignore`.
+export function detectGlobalExcludesFile(env = process.env) {
+  if (cachedGlobalExcludesFile !== undefined) return cachedGlobalExcludesFile;
+  let configured = '';
+  try {
+    const run = spawnSync('git', ['config', '--global', '--get', 'core.excludesFile'], {
+      encoding: 'utf8',
+      timeout: 2000
+    });
+    if (run.status === 0) configured = String(run.stdout || '').trim();
+  } catch {
+    // git missing: use the default location.
+  }
+  if (configured.startsWith('~')) configured = path.join(os.homedir(), configured.slice(1));
+  const xdg = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  cachedGlobalExcludesFile = configured || path.join(xdg, 'git', 'ignore');
+  return cachedGlobalExcludesFile;
+}
+
+function toPosix(relPath) {
+  return relPath.split(path.sep).join('/');
+}
+
+/**
+ * Gitignore-style matcher for one walk or search call. Rules are read lazily
+ * per directory and cached for the matcher's lifetime, so create a fresh
+ * matcher per operation to pick up edited ignore files.
+ */
+export function createIgnoreMatcher(workspace) {
+  const useGitignore = workspace.useGitignore !== false;
+  const chains = new Map();
+  let globalRules;
+
+  function loadGlobalRules() {
+    if (globalRules !== undefined) return globalRules;
+    globalRules = null;
+    if (!useGitignore) return globalRules;
+    const filePath = workspace.globalExcludesFile === undefined
+      ? detectGlobalExcludesFile()
+      : workspace.globalExcludesFile;
+    const content = filePath ? readRules(filePath) : null;
+    if (content) globalRules = ignore().add(content);
+    return globalRules;
+  }
+
+  function findRoot(dir) {
+    for (const root of workspace.roots || []) {
+      const rel = path.relative(root.path, dir);
+      if (rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel))) return root.path;
+    }
+    return null;
+  }
+
+  function ownRules(dir) {
+    const chunks = [];
+    if (useGitignore) {
+      const gitignore = readRules(path.join(dir, '.gitignore'));
+      if (gitignore) chunks.push(gitignore);
+      const exclude = readRules(path.join(dir, '.git', 'info', 'exclude'));
+      if (exclude) chunks.push(exclude);
+    }
+    const localnest = readRules(path.join(dir, LOCALNEST_IGNORE_FILE));
+    if (localnest) chunks.push(localnest);
+    return chunks.length > 0 ? ignore().add(chunks.join('\n')) : null;
+  }
+
+  function chainFor(dir) {
+    if (chains.has(dir)) return chains.get(dir);
+    const root = findRoot(dir);
+    let chain;
+    if (!root || dir === root) {
+      const global = loadGlobalRules();
+      chain = global ? [{ base: dir, rules: global }] : [];
+    } else {
+      chain = chainFor(path.dirname(dir));
+    }
+    const own = ownRules(dir);
+    if (own) chain = [...chain, { base: dir, rules: own }];
+    chains.set(dir, chain);
+    return chain;
+  }
+
+  // Assumes the parent directories were already checked (as walkDirectories does).
+  function isIgnored(fullPath, isDirectory = false) {
+    let ignored = false;
+    for (const { base, rules } of chainFor(path.dirname(fullPath))) {
+      const rel = path.relative(base, fullPath);
+      if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) continue;
+      const result = rules.test(`${toPosix(rel)}${isDirectory ? '/' : ''}`);
+      if (result.ignored) ignored = true;
+      else if (result.unignored) ignored = false;
+    }
+    return ignored;
+  }
+
+  // Checks every directory between the containing root and the file, for
+  // paths that did not come from a walk (ripgrep output, single reads).
+  function isPathIgnored(fullPath) {
+    const resolved = path.resolve(fullPath);
+    const root = findRoot(path.dirname(resolved));
+    if (root) {
+      const parts = path.relative(root, path.dirname(resolved)).split(path.sep).filter(Boolean);
+      let current = root;
+      for (const part of parts) {
+        current = path.join(current, part);
+        if (isIgnored(current, true)) return true;
+      }
+    }
+    return isIgnored(resolved, false);
+  }
+
+  return { isIgnored, isPathIgnored };
+}
@@ -0,0 +1,382 @@
+// Project manifests: build system, declared dependencies, scripts and entry
+// points, read with small line-oriented parsers (no TOML/YAML dependency).
+import fs from 'node:fs';
+import path from 'node:path';
+import { LANG_BY_EXT } from '../chunker/languages.js';
+
+const MAX_DEPENDENCIES = 100;
+
+const OTHER_LANGUAGES = {
+  '.md': 'markdown',
+  '.mdx': 'markdown',
+  '.json': 'json',
+  '.yml': 'yaml',
+  '.yaml': 'yaml',
+  '.toml': 'toml',
+  '.xml': 'xml',
+  '.html': 'html',
+  '.css': 'css',
+  '.scss': 'scss',
+  '.sql': 'sql',
+  '.vue': 'vue',
+  '.svelte': 'svelte',
+  '.gradle': 'gradle'
+};
+
+export const TEST_DIR_NAMES = new Set(['test', 'tests', '__tests__', 'spec', 'specs', 'e2e', 'integration_test', 'testing']);
+
+// Files that start a program by convention, whatever the manifest says.
+export const ENTRY_FILE_NAMES = new Set([
+  'main.go', 'main.rs', '__main__.py', 'manage.py', 'main.dart', 'Program.cs', 'main.c', 'main.cpp',
+  'Main.java', 'Main.kt', 'main.swift'
+]);
+
+const BUILD_SYSTEM_BY_FILE = {
+  'package.json': 'npm',
+  'pnpm-workspace.yaml': 'pnpm',
+  'yarn.lock': 'yarn',
+  'pubspec.yaml': 'pub',
+  'requirements.txt': 'pip',
+  Pipfile: 'pipenv',
+  'poetry.lock': 'poetry',
+  'setup.py': 'setuptools',
+  'pom.xml': 'maven',
+  'build.gradle': 'gradle',
+  'build.gradle.kts': 'gradle',
+  'settings.gradle': 'gradle',
+  'settings.gradle.kts': 'gradle',
+  'gradle.properties': 'gradle',
+  'go.mod': 'go modules',
+  'Cargo.toml': 'cargo',
+  Gemfile: 'bundler',
+  'composer.json': 'composer',
+  'Package.swift': 'swiftpm',
+  'CMakeLists.txt': 'cmake',
+  Makefile: 'make',
+  'meson.build': 'meson'
+};
+
+const PYTHON_BACKENDS = [
+  ['poetry', 'poetry'], ['hatchling', 'hatch'], ['flit', 'flit'], ['pdm', 'pdm'], ['setuptools', 'setuptools'], ['maturin', 'maturin']
+];
+
+const FRAMEWORK_BY_DEPENDENCY = {
+  react: 'React',
+  'react-native': 'React Native',
+  next: 'Next.js',
+  vue: 'Vue',
+  nuxt: 'Nuxt',
+  svelte: 'Svelte',
+  '@sveltejs/kit': 'SvelteKit',
+  '@angular/core': 'Angular',
+  'solid-js': 'Solid',
+  express: 'Express',
+  fastify: 'Fastify',
+  koa: 'Koa',
+  hono: 'Hono',
+  '@nestjs/core': 'NestJS',
+  electron: 'Electron',
+  '@modelcontextprotocol/sdk': 'MCP SDK',
+  jest: 'Jest',
+  vitest: 'Vitest',
+  mocha: 'Mocha',
+  '@playwright/test': 'Playwright',
+  cypress: 'Cypress',
+  django: 'Django',
+  flask: 'Flask',
+  fastapi: 'FastAPI',
+  pytest: 'pytest',
+  torch: 'PyTorch',
+  tensorflow: 'TensorFlow',
+  'github.com/gin-gonic/gin': 'Gin',
+  'github.com/labstack/echo': 'Echo',
+  'github.com/gofiber/fiber': 'Fiber',
+  'github.com/spf13/cobra': 'Cobra',
+  'actix-web': 'Actix Web',
+  axum: 'Axum',
+  rocket: 'Rocket',
+  tokio: 'Tokio',
+  flutter: 'Flutter',
+  rails: 'Rails',
+  sinatra: 'Sinatra',
+  'laravel/framework': 'Laravel',
+  'symfony/framework-bundle': 'Symfony'
+};
+
+export function languageOf(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return LANG_BY_EXT[ext] || OTHER_LANGUAGES[ext] || null;
+}
+
+export function countLines(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.length === 0) return 0;
+  let lines = 0;
+  for (const byte of buffer) if (byte === 10) lines += 1;
+  return buffer[buffer.length - 1] === 10 ? lines : lines + 1;
+}
+
+function unquote(value) {
+  return String(value).trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+function capEntries(entries) {
+  return Object.fromEntries(entries.slice(0, MAX_DEPENDENCIES));
+}
+
+// Just enough TOML for manifests: `[table]`, `[[array]]`, `key = "v"`,
+// single- and multi-line string arrays; other values are kept raw.
+function readToml(text) {
+  const tables = new Map([['', {}]]);
+  const arrays = new Map();
+  let current = tables.get('');
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i].replace(/\s+#.*$/, '').trim();
+    if (!line || line.startsWith('#')) continue;
+    const header = line.match(/^(\[\[?)\s*([^\]]+?)\s*\]\]?$/);
+    if (header) {
+      current = {};
+      if (header[1] === '[[') {
+        if (!arrays.has(header[2])) arrays.set(header[2], []);
+        arrays.get(header[2]).push(current);
+      } else {
+        tables.set(header[2], current);
+      }
+      continue;
+    }
+    const pair = line.match(/^("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.*)$/);
+    if (!pair) continue;
+    let value = pair[2];
+    if (value.startsWith('[')) {
+      while (!/\]\s*$/.test(value) && i + 1 < lines.length) value += ` ${lines[++i].trim()}`;
+      value = Array.from(value.matchAll(/"([^"]*)"|'([^']*)'/g), (m) => m[1] ?? m[2]);
+    } else if (!value.startsWith('{')) {
+      value = unquote(value);
+    }
+    current[unquote(pair[1])] = value;
+  }
+  return { tables, arrays };
+}
+
+function tomlVersion(value) {
+  if (typeof value === 'string' && value.startsWith('{')) return value.match(/version\s*=\s*"([^"]*)"/)?.[1] || '*';
+  return typeof value === 'string' ? value : '*';
+}
+
+function tomlDependencies(tables, names) {
+  const out = [];
+  for (const name of names) {
+    for (const [key, value] of Object.entries(tables.get(name) || {})) out.push([key, tomlVersion(value)]);
+  }
+  // `[dependencies.serde]` style tables.
+  for (const [table, values] of tables) {
+    const owner = names.find((name) => table.startsWith(`${name}.`));
+    if (owner) out.push([table.slice(owner.length + 1), values.version || '*']);
+  }
+  return out;
+}
+
+// `requests>=2.0; python_version < "3.12"` → ['requests', '>=2.0'].
+function pythonRequirement(spec) {
+  const match = String(spec).trim().match(/^([A-Za-z0-9][\w.-]*)(?:\[[^\]]*\])?\s*([^;]*)/);
+  return match ? [match[1], match[2].trim() || '*'] : null;
+}
+
+// Indented `key: value` children of a top-level YAML block.
+function yamlBlock(lines, name) {
+  const out = [];
+  let inside = false;
+  for (const line of lines) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    if (/^\S/.test(line)) {
+      inside = line.startsWith(`${name}:`);
+      continue;
+    }
+    const child = inside && line.match(/^ {2}([\w-]+):\s*(.*)$/);
+    if (child) out.push([child[1], unquote(child[2]) || '*']);
+  }
+  return out;
+}
+
+function readPackageJson(filePath, base) {
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const dir = path.dirname(filePath);
+  const entries = [];
+  for (const field of ['main', 'module', 'browser']) {
+    if (typeof json[field] === 'string') entries.push({ file: json[field], source: `package.json ${field}` });
+  }
+  if (typeof json.bin === 'string') entries.push({ file: json.bin, source: 'package.json bin' });
+  for (const [name, file] of Object.entries(typeof json.bin === 'object' && json.bin ? json.bin : {})) {
+    entries.push({ file, source: `package.json bin ${name}` });
+  }
+  const rootExport = typeof json.exports === 'string' ? json.exports : json.exports?.['.'];
+  if (typeof rootExport === 'string') entries.push({ file: rootExport, source: 'package.json exports' });
+
+  let buildSystem = 'npm';
+  if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml'))) buildSystem = 'pnpm';
+  else if (fs.existsSync(path.join(dir, 'yarn.lock'))) buildSystem = 'yarn';
+  else if (fs.existsSync(path.join(dir, 'bun.lockb')) || fs.existsSync(path.join(dir, 'bun.lock'))) buildSystem = 'bun';
+  return {
+    name: json.name,
+    build_system: buildSystem,
+    dependencies: capEntries(Object.entries({ ...json.peerDependencies, ...json.dependencies })),
+    dev_dependencies: capEntries(Object.entries(json.devDependencies || {})),
+    scripts: json.scripts && typeof json.scripts === 'object' ? json.scripts : {},
+    entry_points: entries.map((item) => ({ ...item, file: path.relative(base, path.resolve(dir, item.file)) }))
+  };
+}
+
+function readPyproject(filePath) {
+  const { tables } = readToml(fs.readFileSync(filePath, 'utf8'));
+  const project = tables.get('project') || {};
+  const poetry = tables.get('tool.poetry') || {};
+  const backend = String(tables.get('build-system')?.['build-backend'] || '');
+  const buildSystem = PYTHON_BACKENDS.find(([needle]) => backend.includes(needle))?.[1]
+    || (tables.has('tool.poetry') ? 'poetry' : 'pyproject');
+  const dependencies = [
+    ...(Array.isArray(project.dependencies) ? project.dependencies.map(pythonRequirement).filter(Boolean) : []),
+    ...tomlDependencies(tables, ['tool.poetry.dependencies']).filter(([name]) => name !== 'python')
+  ];
+  const devDependencies = tomlDependencies(tables, ['tool.poetry.dev-dependencies', 'tool.poetry.group.dev.dependencies']);
+  for (const group of Object.values(tables.get('dependency-groups') || {})) {
+    if (Array.isArray(group)) devDependencies.push(...group.map(pythonRequirement).filter(Boolean));
+  }
+  const scripts = { ...tables.get('project.scripts'), ...tables.get('tool.poetry.scripts') };
+  return {
+    name: project.name || poetry.name,
+    build_system: buildSystem,
+    dependencies: capEntries(dependencies),
+    dev_dependencies: capEntries(devDependencies),
+    scripts,
+    entry_points: Object.entries(scripts).map(([name, target]) => ({ module: target, source: `pyproject script ${name}` }))
+  };
+}
+
+function readRequirements(filePath) {
+  const entries = fs.readFileSync(filePath, 'utf8').split(/\r?\n/)
+    .map((line) => line.replace(/\s+#.*$/, '').trim())
+    .filter((line) => line && !line.startsWith('#') && !line.startsWith('-'))
+    .map(pythonRequirement)
+    .filter(Boolean);
+  return { build_system: 'pip', dependencies: capEntries(entries) };
+}
+
+function readGoMod(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const entries = [];
+  let inBlock = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (/^require\s*\($/.test(line)) {
+      inBlock = true;
+      continue;
+    }
+    if (inBlock && line === ')') {
+      inBlock = false;
+      continue;
+    }
+    const spec = inBlock ? line : line.match(/^require\s+(.*)$/)?.[1];
+    if (!spec || spec.includes('// indirect')) continue;
+    const [name, version] = spec.split(/\s+/);
+    if (name && version) entries.push([name, version]);
+  }
+  return {
+    name: text.match(/^module\s+(\S+)/m)?.[1],
+    build_system: 'go modules',
+    dependencies: capEntries(entries)
+  };
+}
+
+function readCargo(filePath, base) {
+  const { tables, arrays } = readToml(fs.readFileSync(filePath, 'utf8'));
+  const dir = path.dirname(filePath);
+  const entries = (arrays.get('bin') || [])
+    .map((bin) => ({ file: bin.path || `src/bin/${bin.name}.rs`, source: `Cargo.toml bin ${bin.name || ''}`.trim() }));
+  if (fs.existsSync(path.join(dir, 'src', 'main.rs'))) entries.push({ file: 'src/main.rs', source: 'Cargo.toml' });
+  return {
+    name: tables.get('package')?.name,
+    build_system: 'cargo',
+    dependencies: capEntries(tomlDependencies(tables, ['dependencies'])),
+    dev_dependencies: capEntries(tomlDependencies(tables, ['dev-dependencies'])),
+    entry_points: entries.map((item) => ({ ...item, file: path.relative(base, path.join(dir, item.file)) }))
+  };
+}
+
+function readPubspec(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  return {
+    name: lines.map((line) => line.match(/^name:\s*(\S+)/)?.[1]).find(Boolean),
+    build_system: 'pub',
+    dependencies: capEntries(yamlBlock(lines, 'dependencies')),
+    dev_dependencies: capEntries(yamlBlock(lines, 'dev_dependencies'))
+  };
+}
+
+function readComposer(filePath) {
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    name: json.name,
+    build_system: 'composer',
+    dependencies: capEntries(Object.entries(json.require || {})),
+    dev_dependencies: capEntries(Object.entries(json['require-dev'] || {})),
+    scripts: Object.fromEntries(Object.entries(json.scripts || {}).map(([name, cmd]) => [name, [].concat(cmd).join(' && ')]))
+  };
+}
+
+function readGemfile(filePath) {
+  const entries = Array.from(fs.readFileSync(filePath, 'utf8').matchAll(/^\s*gem\s+['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/gm))
+    .map((match) => [match[1], match[2] || '*']);
+  return { build_system: 'bundler', dependencies: capEntries(entries) };
+}
+
+function readMakefile(filePath) {
+  const targets = Array.from(fs.readFileSync(filePath, 'utf8').matchAll(/^([A-Za-z][\w.-]*)\s*:(?!=)/gm), (match) => match[1]);
+  return { build_system: 'make', scripts: Object.fromEntries(targets.slice(0, 50).map((name) => [name, `make ${name}`])) };
+}
+
+const READERS = {
+  'package.json': readPackageJson,
+  'pyproject.toml': readPyproject,
+  'requirements.txt': readRequirements,
+  'go.mod': readGoMod,
+  'Cargo.toml': readCargo,
+  'pubspec.yaml': readPubspec,
+  'composer.json': readComposer,
+  Gemfile: readGemfile,
+  Makefile: readMakefile
+};
+
+/**
+ * One manifest as `{ file, build_system, name?, dependencies?,
+ * dev_dependencies?, scripts?, entry_points? }` with paths relative to
+ * `base`. Unreadable manifests keep their build system and an `error`.
+ */
+export function readManifest(filePath, base) {
+  const fileName = path.basename(filePath);
+  const file = path.relative(base, filePath);
+  const reader = READERS[fileName];
+  if (!reader) return { file, build_system: BUILD_SYSTEM_BY_FILE[fileName] || fileName };
+  try {
+    const info = reader(filePath, base);
+    return Object.fromEntries(Object.entries({ file, ...info })
+      .filter(([, value]) => value !== undefined && !(typeof value === 'object' && Object.keys(value).length === 0)));
+  } catch (error) {
+    return { file, build_system: BUILD_SYSTEM_BY_FILE[fileName] || fileName, error: error.message };
+  }
+}
+
+function normalizeDependency(name) {
+  return name.toLowerCase().replace(/_/g, '-').replace(/\/v\d+$/, '');
+}
+
+export function detectFrameworks(manifests) {
+  const found = new Set();
+  for (const manifest of manifests) {
+    for (const name of [...Object.keys(manifest.dependencies || {}), ...Object.keys(manifest.dev_dependencies || {})]) {
+      const framework = FRAMEWORK_BY_DEPENDENCY[normalizeDependency(name)];
+      if (framework) found.add(framework);
+    }
+  }
+  return Array.from(found).sort();
+}
@@ -8,12 +8,14 @@ import {
   readLinesWindowStream as readLinesWindowStreamFn,
   walkDirectories as walkDirectoriesFn,
   isLikelyTextFile as isLikelyTextFileFn,
+  isIndexableFile as isIndexableFileFn,
   safeReadText as safeReadTextFn,
   isUnderRoots as isUnderRootsFn,
   splitRootIntoProjects as splitRootIntoProjectsFn,
   looksLikeProjectDir as looksLikeProjectDirFn,
   detectProjectMarkers as detectProjectMarkersFn
 } from './helpers.js';
+import { createIgnoreMatcher as createIgnoreMatcherFn } from './ignore-rules.js';
 
 export class WorkspaceService {
   constructor({
@@ -26,7 +28,10 @@ export class WorkspaceService {
     maxFileBytes,
     autoProjectSplit,
     maxAutoProjects,
-    forceSplitChildren
+    forceSplitChildren,
+    redaction = null,
+    useGitignore = true,
+    globalExcludesFile = undefined
   }) {
     this.roots = roots;
     this.ignoreDirs = ignoreDirs;
@@ -38,6 +43,9 @@ export class WorkspaceService {
     this.autoProjectSplit = autoProjectSplit;
     this.maxAutoProjects = maxAutoProjects;
     this.forceSplitChildren = forceSplitChildren;
+    this.redaction = redaction;
+    this.useGitignore = useGitignore;
+    this.globalExcludesFile = globalExcludesFile;
   }
 
   listRoots() {
@@ -76,10 +84,18 @@ export class WorkspaceService {
     yield * walkDirectoriesFn(this, base);
   }
 
+  createIgnoreMatcher() {
+    return createIgnoreMatcherFn(this);
+  }
+
   isLikelyTextFile(filePath) {
     return isLikelyTextFileFn(this, filePath);
   }
 
+  isIndexableFile(filePath) {
+    return isIndexableFileFn(this, filePath);
+  }
+
   safeReadText(filePath) {
     return safeReadTextFn(this, filePath);
   }
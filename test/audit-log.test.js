@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { AuditLogService } from '../src/services/audit/service.js';
+import { normalizeAuditArgs } from '../src/services/audit/helpers.js';
+import { createJsonToolRegistrar } from '../src/server/common/tool-utils.js';
+
+function makeAudit(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-audit-'));
+  return {
+    dir,
+    audit: new AuditLogService({
+      enabled: true,
+      logPath: path.join(dir, 'audit.jsonl'),
+      maxBytes: 64 * 1024,
+      maxFiles: 2,
+      redactQueries: false,
+      ...overrides
+    })
+  };
+}
+
+test('normalizeAuditArgs sorts keys, truncates long values and optionally redacts queries', () => {
+  const args = { query: 'secret token', path: '/tmp/a', long: 'x'.repeat(400), list: Array.from({ length: 25 }, (_, i) => i) };
+  const plain = normalizeAuditArgs(args);
+  assert.deepEqual(Object.keys(plain), ['list', 'long', 'path', 'query']);
+  assert.equal(plain.query, 'secret token');
+  assert.match(plain.long, /… \[400 chars\]$/);
+  assert.equal(plain.list.length, 21);
+
+  const redacted = normalizeAuditArgs(args, { redactQueries: true });
+  assert.match(redacted.query, /^\[redacted len=12 sha256=[0-9a-f]{12}\]$/);
+  assert.equal(redacted.path, '/tmp/a');
+});
+
+test('AuditLogService rotates by size and keeps at most maxFiles rotated logs', () => {
+  const { dir, audit } = makeAudit({ maxBytes: 400 });
+  try {
+    for (let i = 0; i < 20; i += 1) {
+      audit.record({ tool: `tool_${i}`, args: { path: '/tmp/x', note: 'y'.repeat(100) }, durationMs: 1, resultBytes: 10 });
+    }
+    const files = fs.readdirSync(dir).sort();
+    assert.deepEqual(files, ['audit.jsonl', 'audit.jsonl.1', 'audit.jsonl.2']);
+    for (const file of files) {
+      assert.ok(fs.statSync(path.join(dir, file)).size <= 400);
+    }
+    const entries = audit.readEntries({ limit: 0 });
+    assert.equal(entries.at(-1).tool, 'tool_19');
+    assert.ok(entries.length < 20);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('AuditLogService readEntries filters by tool, time and errors', () => {
+  const { dir, audit } = makeAudit();
+  try {
+    audit.record({ tool: 'localnest_search_code', args: { query: 'a' }, durationMs: 3, resultBytes: 5 });
+    audit.record({ tool: 'localnest_read_file', args: { path: '/nope' }, error: new Error('ENOENT'), durationMs: 1 });
+    audit.record({ tool: 'localnest_search_hybrid', args: { query: 'b' }, durationMs: 7, resultBytes: 9 });
+
+    assert.deepEqual(audit.readEntries({ tool: 'search' }).map((e) => e.tool), [
+      'localnest_search_code',
+      'localnest_search_hybrid'
+    ]);
+    assert.deepEqual(audit.readEntries({ errorsOnly: true }).map((e) => e.error), ['ENOENT']);
+    assert.equal(audit.readEntries({ limit: 1 })[0].tool, 'localnest_search_hybrid');
+    assert.equal(audit.readEntries({ since: '2999-01-01' }).length, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('createJsonToolRegistrar records successful and failing calls to the audit log', async () => {
+  const { dir, audit } = makeAudit({ redactQueries: true });
+  const server = new McpServer({ name: 'localnest', version: 'test' });
+  const registerJsonTool = createJsonToolRegistrar(server, z.enum(['json', 'markdown']).default('json'), { audit });
+  registerJsonTool('demo_tool', {
+    title: 'Demo',
+    description: 'demo',
+    inputSchema: { project_path: z.string(), query: z.string() },
+    annotations: { readOnlyHint: true }
+  }, async ({ query }) => {
+    if (query === 'boom') throw new Error('demo failure');
+    return { ok: true };
+  });
+
+  const client = new Client({ name: 'audit-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  try {
+    await client.callTool({ name: 'demo_tool', arguments: { project_path: '/tmp/proj', query: 'find me' } });
+    const failed = await client.callTool({ name: 'demo_tool', arguments: { project_path: '/tmp/proj', query: 'boom' } });
+    assert.equal(failed.isError, true);
+
+    const [ok, bad] = audit.readEntries();
+    assert.equal(ok.tool, 'demo_tool');
+    assert.deepEqual(ok.paths, [path.resolve('/tmp/proj')]);
+    assert.equal(ok.error, null);
+    assert.ok(ok.result_bytes > 0);
+    assert.match(ok.args.query, /^\[redacted len=7 /);
+    assert.equal(ok.args.response_format, undefined);
+    assert.equal(bad.error, 'demo failure');
+    assert.equal(bad.result_bytes, 0);
+  } finally {
+    await client.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
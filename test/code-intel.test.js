@@ -0,0 +1,462 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { WorkspaceService } from '../src/services/workspace/service.js';
+import { AstChunker } from '../src/services/chunker/service.js';
+import { CodeIntelService } from '../src/services/code-intel/service.js';
+import { parseLooseJson } from '../src/services/code-intel/module-resolver.js';
+import { VectorIndexService } from '../src/services/vector-index/service.js';
+
+const FILES = {
+  'tsconfig.json': [
+    '{',
+    '  // path aliases',
+    '  "compilerOptions": { "baseUrl": ".", "paths": { "@util/*": ["src/util/*"], }, },',
+    '}'
+  ].join('\n'),
+  'src/util/math.ts': [
+    'export function add(a: number, b: number): number {',
+    '  return a + b;',
+    '}',
+    'export default class Calc {',
+    '  value(): number { return this.twice(1); }',
+    '  twice(n: number) { return n * 2; }',
+    '}'
+  ].join('\n'),
+  'src/util/strings.ts': 'export const shout = (s: string) => s.toUpperCase();\n',
+  'src/util/index.ts': "export { add as sum } from './math';\nexport * from './strings';\n",
+  'src/other/add.ts': 'export function add() { return 0; }\n',
+  'src/app.ts': [
+    "import Calc from './util/math';",
+    "import { sum, shout } from './util';",
+    "import * as m from '@util/math';",
+    "import fs from 'node:fs';",
+    'const local = 1;',
+    'function run(x: number) {',
+    '  const local = x;',
+    '  return sum(x, local) + m.add(1, 2) + shout("a").length + new Calc().value() + fs.constants;',
+    '}',
+    'run(local);'
+  ].join('\n'),
+  'py/pkg/__init__.py': 'from .core import Engine\n',
+  'py/pkg/core.py': 'class Engine:\n    def start(self):\n        return self.stop()\n\n    def stop(self):\n        return 1\n',
+  'py/app.py': 'from pkg import Engine\nimport pkg.core as pc\n\ne = Engine()\npc.Engine\n',
+  'go/go.mod': 'module example.com/m\n\ngo 1.22\n',
+  'go/util/util.go': 'package util\n\nfunc Do(n int) int { return n }\n',
+  'go/main.go': 'package main\n\nimport u "example.com/m/util"\n\nfunc main() {\n\tu.Do(1)\n\tlocal()\n}\n',
+  'go/local.go': 'package main\n\nfunc local() {}\n'
+};
+
+function makeFixture() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-code-intel-test-'));
+  for (const [rel, content] of Object.entries(FILES)) {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), content);
+  }
+  const workspace = new WorkspaceService({
+    roots: [{ label: 'root', path: root }],
+    ignoreDirs: new Set(['node_modules']),
+    textExtensions: new Set(['.js', '.ts', '.py', '.go', '.json', '.mod', '.rs', '.rb', '.java']),
+    projectMarkerFiles: new Set(['package.json']),
+    projectHintDirs: new Set(['src']),
+    extraProjectMarkers: new Set(),
+    maxFileBytes: 64 * 1024,
+    autoProjectSplit: false,
+    maxAutoProjects: 10,
+    forceSplitChildren: false,
+    useGitignore: false
+  });
+  const codeIntel = new CodeIntelService({ workspace, astChunker: new AstChunker() });
+  const at = (rel, needle, occurrence = 1) => {
+    const lines = FILES[rel].split('\n');
+    let seen = 0;
+    for (let i = 0; i < lines.length; i += 1) {
+      let index = lines[i].indexOf(needle);
+      while (index !== -1) {
+        seen += 1;
+        if (seen === occurrence) return { path: path.join(root, rel), line: i + 1, column: index + 1 };
+        index = lines[i].indexOf(needle, index + 1);
+      }
+    }
+    throw new Error(`${needle} not found in ${rel}`);
+  };
+  return { root, codeIntel, at, cleanup: () => fs.rmSync(root, { recursive: true, force: true }) };
+}
+
+test('parseLooseJson accepts comments and trailing commas', () => {
+  assert.deepEqual(parseLooseJson('{ /* a */ "a": "//x", // b\n "b": [1,], }'), { a: '//x', b: [1] });
+});
+
+test('gotoDefinition follows named, re-exported and star-exported imports', async () => {
+  const { root, codeIntel, at, cleanup } = makeFixture();
+  try {
+    const sum = await codeIntel.gotoDefinition(at('src/app.ts', 'sum(x'));
+    assert.equal(sum.found, true);
+    assert.equal(sum.resolved_via, 'import');
+    assert.equal(sum.definition.file, path.join(root, 'src/util/math.ts'));
+    assert.equal(sum.definition.name, 'add');
+    assert.equal(sum.definition.line, 1);
+    assert.equal(sum.definition.signature, 'export function add(a: number, b: number): number');
+    assert.equal(sum.import.source, './util');
+
+    const shout = await codeIntel.gotoDefinition(at('src/app.ts', 'shout(', 1));
+    assert.equal(shout.definition.file, path.join(root, 'src/util/strings.ts'));
+    assert.equal(shout.definition.kind, 'variable');
+    assert.equal(shout.definition.signature, 'export const shout = (s: string)');
+  } finally {
+    cleanup();
+  }
+});
+
+test('gotoDefinition resolves tsconfig path aliases, default imports and externals', async () => {
+  const { root, codeIntel, at, cleanup } = makeFixture();
+  try {
+    const add = await codeIntel.gotoDefinition(at('src/app.ts', 'add(1'));
+    assert.equal(add.qualifier, 'm');
+    assert.equal(add.definition.file, path.join(root, 'src/util/math.ts'));
+
+    const calc = await codeIntel.gotoDefinition({ ...at('src/app.ts', 'Calc()'), column: undefined, symbol: 'Calc' });
+    assert.equal(calc.definition.name, 'Calc');
+    assert.equal(calc.definition.kind, 'class');
+    assert.equal(calc.definition.line, 4);
+
+    const external = await codeIntel.gotoDefinition(at('src/app.ts', 'fs.constants'));
+    assert.equal(external.found, false);
+    assert.match(external.reason, /external module/);
+  } finally {
+    cleanup();
+  }
+});
+
+test('gotoDefinition prefers the innermost local binding and resolves this-members', async () => {
+  const { codeIntel, at, cleanup } = makeFixture();
+  try {
+    const inner = await codeIntel.gotoDefinition(at('src/app.ts', 'local)'));
+    assert.equal(inner.resolved_via, 'local');
+    assert.equal(inner.definition.line, 7);
+
+    const outer = await codeIntel.gotoDefinition(at('src/app.ts', 'local);'));
+    assert.equal(outer.definition.line, 5);
+
+    const param = await codeIntel.gotoDefinition(at('src/app.ts', 'x, local'));
+    assert.equal(param.definition.kind, 'parameter');
+    assert.equal(param.definition.line, 6);
+
+    const twice = await codeIntel.gotoDefinition(at('src/util/math.ts', 'twice(1'));
+    assert.equal(twice.resolved_via, 'member');
+    assert.equal(twice.definition.container, 'Calc');
+    assert.equal(twice.definition.line, 6);
+  } finally {
+    cleanup();
+  }
+});
+
+test('gotoDefinition follows Python package re-exports and module aliases', async () => {
+  const { root, codeIntel, at, cleanup } = makeFixture();
+  try {
+    const engine = await codeIntel.gotoDefinition(at('py/app.py', 'Engine()'));
+    assert.equal(engine.definition.file, path.join(root, 'py/pkg/core.py'));
+    assert.equal(engine.definition.signature, 'class Engine');
+
+    const viaAlias = await codeIntel.gotoDefinition(at('py/app.py', 'Engine', 3));
+    assert.equal(viaAlias.qualifier, 'pc');
+    assert.equal(viaAlias.definition.file, path.join(root, 'py/pkg/core.py'));
+
+    const stop = await codeIntel.gotoDefinition(at('py/pkg/core.py', 'stop()'));
+    assert.equal(stop.definition.kind, 'method');
+    assert.equal(stop.definition.signature, 'def stop(self)');
+  } finally {
+    cleanup();
+  }
+});
+
+test('gotoDefinition resolves Go module packages and same-package files', async () => {
+  const { root, codeIntel, at, cleanup } = makeFixture();
+  try {
+    const doCall = await codeIntel.gotoDefinition(at('go/main.go', 'Do('));
+    assert.equal(doCall.definition.file, path.join(root, 'go/util/util.go'));
+    assert.equal(doCall.definition.signature, 'func Do(n int) int');
+    assert.equal(doCall.import.source, 'example.com/m/util');
+
+    const local = await codeIntel.gotoDefinition(at('go/main.go', 'local()'));
+    assert.equal(local.resolved_via, 'package');
+    assert.equal(local.definition.file, path.join(root, 'go/local.go'));
+  } finally {
+    cleanup();
+  }
+});
+
+test('gotoDefinition rejects positions without an identifier', async () => {
+  const { codeIntel, at, cleanup } = makeFixture();
+  try {
+    await assert.rejects(
+      () => codeIntel.gotoDefinition({ ...at('src/app.ts', '+ m.add'), column: 24 }),
+      /no identifier at/
+    );
+  } finally {
+    cleanup();
+  }
+});
+
+test('callGraph walks persisted call sites in both directions', async () => {
+  const { root, codeIntel, cleanup } = makeFixture();
+  const graphRoot = path.join(root, 'graph');
+  fs.mkdirSync(graphRoot);
+  fs.writeFileSync(path.join(graphRoot, 'store.js'), [
+    'export class Store {',
+    '  load(id, cb) {',
+    '    const row = this.fetch(id);',
+    '    cb(row);',
+    '    handlers[id]();',
+    '    return parse(row);',
+    '  }',
+    '  fetch(id) { return query(id); }',
+    '}',
+    'function parse(row) { return row; }',
+    'export function main() { new Store().load(1, log); }'
+  ].join('\n'));
+  const vectorIndex = new VectorIndexService({
+    workspace: codeIntel.workspace,
+    indexPath: path.join(root, 'index.json'),
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 20,
+    maxIndexedFiles: 100,
+    astChunker: codeIntel.astChunker
+  });
+  codeIntel.vectorIndex = vectorIndex;
+  try {
+    await vectorIndex.indexProject({ projectPath: graphRoot, allRoots: false, force: false, maxFiles: 100 });
+    const first = await codeIntel.callGraph({ symbol: 'Store.load', projectPath: graphRoot, depth: 2 });
+    assert.equal(first.complete, true);
+    assert.equal(first.definitions[0].signature, 'load(id, cb)');
+
+    const outgoing = first.outgoing.filter((edge) => edge.depth === 1).map((edge) => [edge.callee, edge.dynamic, edge.resolved]);
+    assert.deepEqual(outgoing, [['fetch', false, true], ['cb', true, false], ['handlers[id]', true, false], ['parse', false, true]]);
+    const query = first.outgoing.find((edge) => edge.callee === 'query');
+    assert.equal(query.depth, 2);
+    assert.equal(query.caller, 'fetch');
+    assert.equal(query.resolved, false);
+    assert.equal(first.outgoing[0].line, 3);
+    assert.equal(first.outgoing[0].file, path.join(graphRoot, 'store.js'));
+
+    assert.deepEqual(first.incoming.map((edge) => [edge.caller, edge.line, edge.qualifier]), [['main', 11, 'new Store()']]);
+
+    const incoming = await codeIntel.callGraph({ symbol: 'parse', projectPath: graphRoot, direction: 'incoming', depth: 3 });
+    assert.equal(incoming.outgoing, undefined);
+    assert.deepEqual(incoming.incoming.map((edge) => [edge.depth, edge.caller]), [[1, 'load'], [2, 'main']]);
+  } finally {
+    cleanup();
+  }
+});
+
+test('dependencyGraph resolves imports into fan-in/out, cycles, orphans and packages', async () => {
+  const { root, codeIntel, cleanup } = makeFixture();
+  const deps = path.join(root, 'deps');
+  const write = (rel, content) => {
+    fs.mkdirSync(path.dirname(path.join(deps, rel)), { recursive: true });
+    fs.writeFileSync(path.join(deps, rel), content);
+  };
+  write('a.js', "import { b } from './b.js';\nimport lodash from 'lodash/fp';\nexport const a = 1;\n");
+  write('b.js', "import { a } from './a.js';\nimport fs from 'node:fs';\nexport * from './c.js';\n");
+  write('c.js', "import '@scope/pkg/sub';\nimport missing from './missing.js';\n");
+  write('main.js', "const { a } = require('./a');\n");
+  write('lonely.js', 'export default 1;\n');
+  write('crate/Cargo.toml', '[package]\nname = "x"\n');
+  write('crate/src/lib.rs', 'mod util;\nuse crate::util::helpers::run;\nuse serde::Serialize;\n');
+  write('crate/src/util/mod.rs', 'pub mod helpers;\n');
+  write('crate/src/util/helpers.rs', 'pub fn run() {}\n');
+  write('rb/app.rb', "require_relative 'lib/tool'\nrequire 'json'\n");
+  write('rb/lib/tool.rb', 'module Tool; end\n');
+  write('java/com/acme/App.java', 'package com.acme;\nimport com.acme.util.Strings;\nimport java.util.List;\n');
+  write('java/com/acme/util/Strings.java', 'package com.acme.util;\n');
+  try {
+    const graph = await codeIntel.dependencyGraph({ projectPath: deps });
+    assert.equal(graph.base, deps);
+    const edges = graph.edges.map((edge) => `${edge.from} -> ${edge.to}`);
+    for (const expected of [
+      'a.js -> b.js', 'b.js -> a.js', 'b.js -> c.js', 'main.js -> a.js',
+      'crate/src/lib.rs -> crate/src/util/mod.rs', 'crate/src/lib.rs -> crate/src/util/helpers.rs',
+      'crate/src/util/mod.rs -> crate/src/util/helpers.rs',
+      'rb/app.rb -> rb/lib/tool.rb', 'java/com/acme/App.java -> java/com/acme/util/Strings.java'
+    ]) {
+      assert.ok(edges.includes(expected), expected);
+    }
+    assert.deepEqual(graph.cycles, [['a.js', 'b.js']]);
+    assert.deepEqual(graph.orphans, ['lonely.js']);
+    assert.ok(graph.entry_points.includes('main.js'));
+    const a = graph.nodes.find((node) => node.file === 'a.js');
+    assert.deepEqual([a.fan_in, a.fan_out], [2, 1]);
+    assert.deepEqual(
+      graph.external_packages.map((pkg) => pkg.name).sort(),
+      ['@scope/pkg', 'java.util', 'json', 'lodash', 'node:fs', 'serde']
+    );
+    assert.deepEqual(graph.unresolved, [{ file: 'c.js', specifier: './missing.js' }]);
+
+    const mermaid = await codeIntel.dependencyGraph({ projectPath: deps, format: 'mermaid', includeExternal: true });
+    assert.equal(mermaid.edges, undefined);
+    assert.match(mermaid.text, /^graph LR\n/);
+    assert.match(mermaid.text, /\(\["lodash"\]\)/);
+    const dot = await codeIntel.dependencyGraph({ projectPath: deps, format: 'dot' });
+    assert.match(dot.text, /"a\.js" -> "b\.js";/);
+    assert.equal(dot.cycle_count, 1);
+  } finally {
+    cleanup();
+  }
+});
+
+test('fileOutline nests declarations from the grammar and falls back to a keyword outline', async () => {
+  const { root, codeIntel, cleanup } = makeFixture();
+  const write = (rel, content) => fs.writeFileSync(path.join(root, rel), content);
+  write('src/shapes.ts', [
+    'export interface Shape {',
+    '  area(): number;',
+    '}',
+    'export enum Color { Red, Blue }',
+    'export class Square implements Shape {',
+    '  constructor(private side: number) {}',
+    '  area(): number {',
+    '    return this.side ** 2;',
+    '  }',
+    '  scaled = (k: number) => new Square(this.side * k);',
+    '}',
+    'export const unit = async (): Promise<Square> => new Square(1);'
+  ].join('\n'));
+  write('py/pkg/shapes.py', 'class Circle:\n    def area(self):\n        return 3\n\ndef unit():\n    return Circle()\n');
+  write('build.gradle.kts.txt', [
+    'class Builder {',
+    '  def compile() {',
+    '    run()',
+    '  }',
+    '}',
+    'def undo() {',
+    '}'
+  ].join('\n'));
+  try {
+    const ts = await codeIntel.fileOutline({ path: path.join(root, 'src/shapes.ts') });
+    assert.equal(ts.source, 'ast');
+    assert.equal(ts.language, 'typescript');
+    assert.deepEqual(ts.outline.map((item) => [item.name, item.kind, item.start_line, item.end_line]), [
+      ['Shape', 'interface', 1, 3],
+      ['Color', 'enum', 4, 4],
+      ['Square', 'class', 5, 11],
+      ['unit', 'function', 12, 12]
+    ]);
+    const square = ts.outline[2];
+    assert.equal(square.signature, 'export class Square implements Shape');
+    assert.deepEqual(square.children.map((item) => [item.name, item.kind]), [
+      ['constructor', 'method'], ['area', 'method'], ['scaled', 'method']
+    ]);
+    assert.deepEqual([square.children[1].start_line, square.children[1].end_line], [7, 9]);
+    assert.equal(ts.outline[3].signature, 'export const unit = async (): Promise<Square>');
+    assert.equal(ts.count, 7);
+
+    const py = await codeIntel.fileOutline({ path: path.join(root, 'py/pkg/shapes.py') });
+    assert.deepEqual(py.outline.map((item) => [item.name, item.kind, item.signature]), [
+      ['Circle', 'class', 'class Circle'],
+      ['unit', 'function', 'def unit()']
+    ]);
+    assert.deepEqual(py.outline[0].children.map((item) => [item.name, item.kind, item.start_line, item.end_line]), [
+      ['area', 'method', 2, 3]
+    ]);
+
+    const plain = await codeIntel.fileOutline({ path: path.join(root, 'build.gradle.kts.txt') });
+    assert.equal(plain.source, 'regex');
+    assert.equal(plain.language, null);
+    assert.deepEqual(plain.outline.map((item) => [item.name, item.kind, item.start_line, item.end_line, item.signature]), [
+      ['Builder', 'class', 1, 5, 'class Builder'],
+      ['undo', 'function', 6, 7, 'def undo()']
+    ]);
+    assert.deepEqual(plain.outline[0].children.map((item) => [item.name, item.kind, item.start_line, item.end_line]), [
+      ['compile', 'method', 2, 4]
+    ]);
+  } finally {
+    cleanup();
+  }
+});
+
+test('readSymbol returns whole declarations with docs, decorators and class headers', async () => {
+  const { root, codeIntel, cleanup } = makeFixture();
+  const symbolsRoot = path.join(root, 'symbols');
+  fs.mkdirSync(symbolsRoot);
+  fs.writeFileSync(path.join(symbolsRoot, 'repo.ts'), [
+    'const ready = true; // not a doc comment',
+    '/**',
+    ' * Users backed by the primary store.',
+    ' */',
+    'export class UserRepo extends BaseRepo',
+    '  implements Repository {',
+    '  /** Loads one user. */',
+    '  @cached()',
+    '  async load(id: string) {',
+    '    return this.find(id);',
+    '  }',
+    '}',
+    'export class OrderRepo {',
+    '  load(id: string) { return null; }',
+    '}',
+    '// Shared helper.',
+    'export const load = (id: string) => {',
+    '  return id;',
+    '};'
+  ].join('\n'));
+  fs.writeFileSync(path.join(symbolsRoot, 'tasks.py'), [
+    'class Worker:',
+    '    @retry(3)',
+    '    def load(self):',
+    '        """Fetch the next task."""',
+    '        return 1'
+  ].join('\n'));
+  const vectorIndex = new VectorIndexService({
+    workspace: codeIntel.workspace,
+    indexPath: path.join(root, 'index.json'),
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 20,
+    maxIndexedFiles: 100,
+    astChunker: codeIntel.astChunker
+  });
+  codeIntel.vectorIndex = vectorIndex;
+  try {
+    const scoped = await codeIntel.readSymbol({
+      symbol: 'UserRepo.load',
+      path: path.join(symbolsRoot, 'repo.ts'),
+      includeClassHeader: true
+    });
+    assert.equal(scoped.count, 1);
+    const [member] = scoped.matches;
+    assert.deepEqual([member.kind, member.scope_path, member.start_line, member.end_line, member.line], ['method', 'UserRepo', 7, 11, 9]);
+    assert.equal(member.content.split('\n')[0], '7:   /** Loads one user. */');
+    assert.equal(member.content.split('\n').at(-1), '11:   }');
+    assert.deepEqual([member.class_header.start_line, member.class_header.end_line], [2, 6]);
+    assert.match(member.class_header.content, /^2: \/\*\*\n[\s\S]*6: {3}implements Repository \{$/);
+
+    const unindexed = await codeIntel.readSymbol({ symbol: 'load', projectPath: symbolsRoot });
+    assert.deepEqual([unindexed.complete, unindexed.count], [false, 0]);
+    assert.equal(vectorIndex.getStatus().total_files, 0);
+
+    await vectorIndex.indexProject({ projectPath: symbolsRoot, allRoots: false, force: false, maxFiles: 100 });
+    const all = await codeIntel.readSymbol({ symbol: 'load', projectPath: symbolsRoot });
+    assert.equal(all.complete, true);
+    assert.deepEqual(all.matches.map((item) => [path.basename(item.file), item.scope_path || '', item.start_line, item.end_line]), [
+      ['repo.ts', 'UserRepo', 7, 11],
+      ['repo.ts', 'OrderRepo', 14, 14],
+      ['repo.ts', '', 16, 19],
+      ['tasks.py', 'Worker', 2, 5]
+    ]);
+    assert.equal(all.matches[3].content.split('\n')[0], '2:     @retry(3)');
+    assert.equal(all.matches[0].class_header, undefined);
+
+    const limited = await codeIntel.readSymbol({ symbol: 'load', projectPath: symbolsRoot, maxMatches: 1, maxLines: 2 });
+    assert.equal(limited.count, 4);
+    assert.equal(limited.truncated, true);
+    assert.equal(limited.matches[0].truncated, true);
+    assert.equal(limited.matches[0].content.split('\n').length, 2);
+
+    await assert.rejects(() => codeIntel.readSymbol({ symbol: 'a b' }), /symbol must be a name/);
+  } finally {
+    cleanup();
+  }
+});
@@ -77,7 +77,8 @@ test('buildRuntimeConfig uses config file roots when PROJECT_ROOTS missing', ()
         backend: 'auto',
         dbPath: path.join(localnestHome, 'memory.db'),
         autoCapture: true,
-        askForConsentDone: true
+        askForConsentDone: true,
+        shared: true
       }
     }),
     'utf8'
@@ -94,6 +95,7 @@ test('buildRuntimeConfig uses config file roots when PROJECT_ROOTS missing', ()
   assert.equal(runtime.memoryBackend, 'auto');
   assert.equal(runtime.memoryAutoCapture, true);
   assert.equal(runtime.memoryConsentDone, true);
+  assert.equal(runtime.memoryShared, true);
 
   fs.rmSync(rootA, { recursive: true, force: true });
   fs.rmSync(localnestHome, { recursive: true, force: true });
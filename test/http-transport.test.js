@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createJsonToolRegistrar } from '../src/server/common/tool-utils.js';
+import { RESPONSE_FORMAT_SCHEMA } from '../src/server/common/schemas.js';
+import { registerCoreTools } from '../src/server/tools/core.js';
+import {
+  buildAllowedHosts,
+  isAuthorized,
+  startHttpTransport
+} from '../src/server/transports/http.js';
+
+const TOKEN = 'test-token-123';
+
+function createServer() {
+  const server = new McpServer({ name: 'localnest', version: 'test' });
+  registerCoreTools({
+    registerJsonTool: createJsonToolRegistrar(server, RESPONSE_FORMAT_SCHEMA),
+    buildServerStatus: async () => ({ name: 'localnest', version: 'test' }),
+    buildUsageGuide: () => ({ for_users: [], for_ai_agents: [] }),
+    updates: {
+      getStatus: async () => ({ is_outdated: false }),
+      selfUpdate: async () => ({ ok: true })
+    }
+  });
+  return server;
+}
+
+async function connectClient(url) {
+  const client = new Client({ name: 'http-test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(url), {
+    requestInit: { headers: { Authorization: `Bearer ${TOKEN}` } }
+  });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+test('isAuthorized and buildAllowedHosts', () => {
+  assert.equal(isAuthorized(`Bearer ${TOKEN}`, TOKEN), true);
+  assert.equal(isAuthorized(`bearer ${TOKEN}`, TOKEN), true);
+  assert.equal(isAuthorized('Bearer nope', TOKEN), false);
+  assert.equal(isAuthorized(undefined, TOKEN), false);
+  assert.equal(isAuthorized(`Bearer ${TOKEN}`, ''), false);
+  assert.deepEqual(buildAllowedHosts('127.0.0.1', 7878), ['127.0.0.1:7878', 'localhost:7878', '[::1]:7878']);
+  assert.deepEqual(buildAllowedHosts('0.0.0.0', 7878), []);
+});
+
+test('startHttpTransport refuses to start without a bearer token', async () => {
+  await assert.rejects(
+    () => startHttpTransport({ host: '127.0.0.1', port: 0, authToken: '', createServer }),
+    /requires a bearer token/
+  );
+});
+
+test('streamable HTTP transport serves shared tools to several authenticated clients', async () => {
+  const handle = await startHttpTransport({ host: '127.0.0.1', port: 0, authToken: TOKEN, createServer });
+  try {
+    const unauthorized = await fetch(handle.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.equal(unauthorized.status, 401);
+
+    const missingSession = await fetch(handle.url, {
+      method: 'POST',
+      headers: {
+        authorization: `Bearer ${TOKEN}`,
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream'
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.equal(missingSession.status, 400);
+
+    const first = await connectClient(handle.url);
+    const second = await connectClient(handle.url);
+    assert.equal(handle.sessions.size, 2);
+
+    const tools = await first.client.listTools();
+    assert.ok(tools.tools.some((tool) => tool.name === 'localnest_server_status'));
+
+    const status = await second.client.callTool({ name: 'localnest_server_status', arguments: {} });
+    assert.equal(status.structuredContent.data.name, 'localnest');
+
+    await first.transport.terminateSession();
+    await first.client.close();
+    await second.client.close();
+  } finally {
+    await handle.close();
+  }
+});
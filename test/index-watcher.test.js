@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+import { IndexWatcherService } from '../src/services/index-watcher/service.js';
+
+function makeFixture() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-watch-'));
+  const workspace = {
+    roots: [{ label: 'root', path: root }],
+    ignoreDirs: new Set(['node_modules']),
+    *walkDirectories(base) {
+      const files = fs.readdirSync(base).map((name) => path.join(base, name));
+      yield { current: base, dirs: [], files: files.filter((f) => fs.statSync(f).isFile()) };
+    },
+    isLikelyTextFile: (p) => p.endsWith('.js')
+  };
+  const batches = [];
+  const vectorIndex = {
+    async indexFiles({ paths }) {
+      batches.push([...paths].sort());
+      return { indexed_files: paths.length, skipped_files: 0, removed_files: 0, failed_files: [] };
+    }
+  };
+  return { root, workspace, vectorIndex, batches };
+}
+
+function fakeWatch() {
+  const calls = [];
+  const watchFn = (rootPath, options, listener) => {
+    const watcher = new EventEmitter();
+    watcher.close = () => {};
+    calls.push({ rootPath, options, listener, watcher });
+    return watcher;
+  };
+  return { calls, watchFn };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('IndexWatcherService debounces events into one batch and skips hidden or ignored paths', async () => {
+  const { root, workspace, vectorIndex, batches } = makeFixture();
+  const { calls, watchFn } = fakeWatch();
+  const watcher = new IndexWatcherService({ workspace, vectorIndex, debounceMs: 30, watchFn, log: () => {} });
+  try {
+    watcher.start();
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].options.recursive, true);
+    assert.equal(watcher.getStatus().mode, 'fs.watch');
+
+    const emit = calls[0].listener;
+    emit('change', 'a.js');
+    emit('change', 'a.js');
+    emit('rename', 'b.js');
+    emit('change', path.join('.git', 'index'));
+    emit('change', path.join('node_modules', 'x', 'index.js'));
+    emit('change', null);
+
+    const queued = watcher.getStatus();
+    assert.equal(queued.queue_depth, 2);
+    assert.ok(queued.lag_ms >= 0);
+
+    await sleep(80);
+    assert.deepEqual(batches, [[path.join(root, 'a.js'), path.join(root, 'b.js')]]);
+    const status = watcher.getStatus();
+    assert.equal(status.queue_depth, 0);
+    assert.equal(status.lag_ms, 0);
+    assert.equal(status.totals.flushes, 1);
+    assert.equal(status.totals.indexed_files, 2);
+    assert.ok(status.last_lag_ms >= 0);
+    assert.ok(status.last_flush_at);
+  } finally {
+    await watcher.stop();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('IndexWatcherService falls back to polling and detects changed and deleted files', async () => {
+  const { root, workspace, vectorIndex, batches } = makeFixture();
+  const keep = path.join(root, 'keep.js');
+  const gone = path.join(root, 'gone.js');
+  fs.writeFileSync(keep, 'one\n');
+  fs.writeFileSync(gone, 'two\n');
+  const logs = [];
+  const watcher = new IndexWatcherService({
+    workspace,
+    vectorIndex,
+    debounceMs: 10,
+    pollIntervalMs: 60 * 60 * 1000,
+    watchFn: () => {
+      throw new Error('recursive watch not supported');
+    },
+    log: (line) => logs.push(line)
+  });
+  try {
+    watcher.start();
+    assert.equal(watcher.getStatus().mode, 'polling');
+    assert.match(logs[0], /recursive watch not supported/);
+
+    fs.writeFileSync(keep, 'one plus more\n');
+    fs.rmSync(gone);
+    fs.writeFileSync(path.join(root, 'notes.md'), 'ignored\n');
+    watcher.poll(root);
+    assert.equal(watcher.getStatus().queue_depth, 2);
+
+    await watcher.flush();
+    assert.deepEqual(batches, [[gone, keep]]);
+  } finally {
+    await watcher.stop();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('IndexWatcherService switches a root to polling when the watcher errors', async () => {
+  const { root, workspace, vectorIndex } = makeFixture();
+  const { calls, watchFn } = fakeWatch();
+  const watcher = new IndexWatcherService({ workspace, vectorIndex, pollIntervalMs: 60 * 60 * 1000, watchFn, log: () => {} });
+  try {
+    watcher.start();
+    calls[0].watcher.emit('error', new Error('EMFILE'));
+    const status = watcher.getStatus();
+    assert.equal(status.mode, 'polling');
+    assert.equal(status.last_error, 'EMFILE');
+  } finally {
+    await watcher.stop();
+    assert.equal(watcher.getStatus().mode, 'stopped');
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,166 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { registerWorkflowPrompts } from '../src/server/prompts/workflows.js';
+import { registerResources } from '../src/server/resources/catalog.js';
+import { createScopeCompleters } from '../src/server/common/completion.js';
+
+function makeFixture() {
+  const calls = [];
+  return {
+    calls,
+    workspace: {
+      summarizeProject: (projectPath, maxFiles) => {
+        calls.push({ name: 'summarizeProject', projectPath, maxFiles });
+        return { path: projectPath, files_counted: 3, top_extensions: [{ ext: '.js', count: 3 }] };
+      }
+    },
+    memoryWorkflow: {
+      getTaskContext: async (input) => {
+        calls.push({ name: 'getTaskContext', input });
+        return { query: input.task, recall: { attempted: true, count: 1, items: [{ title: 'Prior fix' }] } };
+      }
+    }
+  };
+}
+
+async function connect(fixture, { toolEnabled } = {}) {
+  const server = new McpServer({ name: 'localnest', version: 'test' });
+  registerWorkflowPrompts({ server, workspace: fixture.workspace, memoryWorkflow: fixture.memoryWorkflow, toolEnabled });
+  const client = new Client({ name: 'prompts-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+test('workflow prompts are listed with their arguments', async () => {
+  const client = await connect(makeFixture());
+  try {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map((p) => p.name), ['investigate-bug', 'onboard-to-project', 'record-decision']);
+
+    const onboard = prompts.find((p) => p.name === 'onboard-to-project');
+    assert.deepEqual(
+      onboard.arguments.map((arg) => [arg.name, arg.required]),
+      [['project_path', true], ['query', false], ['branch', false], ['topic', false], ['feature', false]]
+    );
+    const bug = prompts.find((p) => p.name === 'investigate-bug');
+    assert.equal(bug.arguments.find((arg) => arg.name === 'query').required, true);
+  } finally {
+    await client.close();
+  }
+});
+
+test('investigate-bug expands into task context and project summary messages', async () => {
+  const fixture = makeFixture();
+  const client = await connect(fixture);
+  try {
+    const result = await client.getPrompt({
+      name: 'investigate-bug',
+      arguments: { project_path: '/tmp/root/app', query: 'TypeError in parser', branch: 'fix/parser' }
+    });
+
+    assert.equal(result.messages.length, 3);
+    const [header, context, summary] = result.messages.map((m) => m.content.text);
+    assert.match(header, /Investigate this bug: TypeError in parser/);
+    assert.match(header, /Branch: fix\/parser/);
+    assert.match(header, /localnest_capture_outcome with event_type "bugfix"/);
+    assert.match(context, /^localnest_task_context:/);
+    assert.match(context, /Prior fix/);
+    assert.match(summary, /^localnest_summarize_project:/);
+    assert.match(summary, /"files_counted": 3/);
+
+    assert.deepEqual(fixture.calls.find((c) => c.name === 'getTaskContext').input, {
+      task: 'TypeError in parser',
+      project_path: '/tmp/root/app',
+      branch_name: 'fix/parser',
+      topic: '',
+      feature: ''
+    });
+  } finally {
+    await client.close();
+  }
+});
+
+test('workflow prompts leave out prompts and steps that need disabled tools', async () => {
+  // What the readonly profile disables among the tools the prompts mention.
+  const disabled = new Set(['localnest_search_hybrid', 'localnest_capture_outcome', 'localnest_memory_add_relation']);
+  const client = await connect(makeFixture(), { toolEnabled: (name) => !disabled.has(name) });
+  try {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map((p) => p.name), ['investigate-bug', 'onboard-to-project']);
+
+    const result = await client.getPrompt({
+      name: 'investigate-bug',
+      arguments: { project_path: '/tmp/root/app', query: 'TypeError in parser' }
+    });
+    const header = result.messages[0].content.text;
+    assert.match(header, /1\. Check the recalled memories/);
+    assert.match(header, /3\. Open the top 1-3 hits with localnest_read_file\./);
+    assert.doesNotMatch(header, /localnest_search_hybrid|localnest_capture_outcome/);
+  } finally {
+    await client.close();
+  }
+});
+
+test('prompt and resource arguments complete from workspace projects and stored scopes', async () => {
+  const fixture = makeFixture();
+  const workspace = {
+    ...fixture.workspace,
+    listRoots: () => [{ label: 'root', path: '/tmp/root' }],
+    splitRootIntoProjects: () => ['/tmp/root/api', '/tmp/root/web'],
+    listProjects: () => [{ path: '/tmp/root/api' }, { path: '/tmp/root/docs' }]
+  };
+  const memory = {
+    enabled: true,
+    listScopeValues: async (field, { prefix, projectPath }) => {
+      fixture.calls.push({ name: 'listScopeValues', field, prefix, projectPath });
+      return field === 'topic' ? ['auth', 'audit'] : ['main'];
+    }
+  };
+  const completers = createScopeCompleters({ workspace, memory });
+
+  const server = new McpServer({ name: 'localnest', version: 'test' });
+  registerWorkflowPrompts({ server, workspace, memoryWorkflow: fixture.memoryWorkflow, completers });
+  registerResources({ server, workspace, memory, maxReadLines: 10, completers });
+  const client = new Client({ name: 'prompts-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+  try {
+    const projects = await client.complete({
+      ref: { type: 'ref/prompt', name: 'investigate-bug' },
+      argument: { name: 'project_path', value: 'we' }
+    });
+    assert.deepEqual(projects.completion.values, ['/tmp/root/web']);
+
+    const allProjects = await client.complete({
+      ref: { type: 'ref/resource', uri: 'localnest://project/{+path}/summary' },
+      argument: { name: 'path', value: '/tmp/root/' }
+    });
+    assert.deepEqual(allProjects.completion.values, ['/tmp/root/api', '/tmp/root/web', '/tmp/root/docs']);
+
+    const topics = await client.complete({
+      ref: { type: 'ref/prompt', name: 'record-decision' },
+      argument: { name: 'topic', value: 'au' },
+      context: { arguments: { project_path: '/tmp/root/api' } }
+    });
+    assert.deepEqual(topics.completion.values, ['auth', 'audit']);
+    assert.deepEqual(fixture.calls.find((c) => c.name === 'listScopeValues'), {
+      name: 'listScopeValues',
+      field: 'topic',
+      prefix: 'au',
+      projectPath: '/tmp/root/api'
+    });
+
+    const branches = await client.complete({
+      ref: { type: 'ref/prompt', name: 'onboard-to-project' },
+      argument: { name: 'branch', value: '' }
+    });
+    assert.deepEqual(branches.completion.values, ['main']);
+  } finally {
+    await client.close();
+  }
+});
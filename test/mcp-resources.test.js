@@ -0,0 +1,171 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { WorkspaceService } from '../src/services/workspace/service.js';
+import {
+  RESOURCE_PAGE_SIZE,
+  buildFileUri,
+  buildMemoryUri,
+  buildProjectSummaryUri,
+  decodeCursor,
+  encodeCursor,
+  registerResources
+} from '../src/server/resources/catalog.js';
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-resources-'));
+}
+
+function makeWorkspace(root) {
+  return new WorkspaceService({
+    roots: [{ label: 'root', path: root }],
+    ignoreDirs: new Set(['node_modules']),
+    textExtensions: new Set(['.js', '.md']),
+    projectMarkerFiles: new Set(['package.json']),
+    projectHintDirs: new Set(['src']),
+    extraProjectMarkers: new Set(),
+    maxFileBytes: 512 * 1024,
+    autoProjectSplit: false,
+    maxAutoProjects: 10,
+    forceSplitChildren: false
+  });
+}
+
+function makeMemory(count) {
+  const entries = Array.from({ length: count }, (_, i) => ({
+    id: `mem-${i}`,
+    kind: 'knowledge',
+    title: `Memory ${i}`,
+    summary: `summary ${i}`
+  }));
+  return {
+    enabled: true,
+    listEntries: async ({ limit, offset }) => {
+      const items = entries.slice(offset, offset + limit);
+      return { items, has_more: offset + items.length < entries.length };
+    },
+    getEntry: async (id) => entries.find((item) => item.id === id) || null
+  };
+}
+
+async function connect({ workspace, memory, maxReadLines = 800, toolEnabled }) {
+  const server = new McpServer({ name: 'localnest', version: 'test' });
+  registerResources({ server, workspace, memory, maxReadLines, toolEnabled });
+  const client = new Client({ name: 'resources-test', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+test('resource cursors round-trip and reject garbage', () => {
+  assert.equal(decodeCursor(encodeCursor(51)), 51);
+  assert.equal(decodeCursor(undefined), 0);
+  assert.throws(() => decodeCursor('not-a-number'), /Invalid resources\/list cursor/);
+});
+
+test('resources/list pages through roots and memory entries', async () => {
+  const root = makeTempDir();
+  const client = await connect({ workspace: makeWorkspace(root), memory: makeMemory(RESOURCE_PAGE_SIZE + 5) });
+  try {
+    const first = await client.listResources();
+    assert.equal(first.resources.length, RESOURCE_PAGE_SIZE);
+    assert.equal(first.resources[0].uri, buildProjectSummaryUri(root));
+    assert.equal(first.resources[1].uri, buildMemoryUri('mem-0'));
+    assert.ok(first.nextCursor);
+
+    const second = await client.listResources({ cursor: first.nextCursor });
+    assert.equal(second.resources.length, 6);
+    assert.equal(second.resources.at(-1).uri, buildMemoryUri(`mem-${RESOURCE_PAGE_SIZE + 4}`));
+    assert.equal(second.nextCursor, undefined);
+
+    const templates = await client.listResourceTemplates();
+    assert.deepEqual(
+      templates.resourceTemplates.map((item) => item.uriTemplate).sort(),
+      ['localnest://file/{+path}', 'localnest://memory/{id}', 'localnest://project/{+path}/summary']
+    );
+  } finally {
+    await client.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('resources/list continues to memories when roots exactly fill a page', async () => {
+  const roots = Array.from({ length: RESOURCE_PAGE_SIZE }, (_, i) => ({ label: `r${i}`, path: `/tmp/root-${i}` }));
+  const client = await connect({ workspace: { listRoots: () => roots }, memory: makeMemory(1) });
+  try {
+    const first = await client.listResources();
+    assert.equal(first.resources.length, RESOURCE_PAGE_SIZE);
+    assert.ok(first.nextCursor);
+
+    const second = await client.listResources({ cursor: first.nextCursor });
+    assert.deepEqual(second.resources.map((item) => item.uri), [buildMemoryUri('mem-0')]);
+    assert.equal(second.nextCursor, undefined);
+  } finally {
+    await client.close();
+  }
+
+  const rootsOnly = await connect({ workspace: { listRoots: () => roots }, memory: makeMemory(0) });
+  try {
+    assert.equal((await rootsOnly.listResources()).nextCursor, undefined);
+  } finally {
+    await rootsOnly.close();
+  }
+});
+
+test('resources/read serves files, memories and project summaries', async () => {
+  const root = makeTempDir();
+  const filePath = path.join(root, 'a.js');
+  fs.writeFileSync(filePath, 'const a = 1;\nconst b = 2;\nconst c = 3;\n', 'utf8');
+  const client = await connect({ workspace: makeWorkspace(root), memory: makeMemory(1), maxReadLines: 2 });
+  try {
+    const file = await client.readResource({ uri: buildFileUri(filePath) });
+    assert.match(file.contents[0].text, /^1: const a = 1;\n2: const b = 2;/);
+    assert.match(file.contents[0].text, /truncated at line 2 of 4/);
+
+    const memory = await client.readResource({ uri: buildMemoryUri('mem-0') });
+    assert.equal(JSON.parse(memory.contents[0].text).title, 'Memory 0');
+    await assert.rejects(() => client.readResource({ uri: buildMemoryUri('missing') }), /memory not found/);
+
+    const summary = await client.readResource({ uri: buildProjectSummaryUri(root) });
+    assert.equal(JSON.parse(summary.contents[0].text).files_counted, 1);
+
+    await assert.rejects(
+      () => client.readResource({ uri: buildFileUri(path.join(os.tmpdir(), 'elsewhere.js')) }),
+      /outside configured roots/
+    );
+  } finally {
+    await client.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('resource templates are withheld when the tools behind them are disabled', async () => {
+  const root = makeTempDir();
+  const filePath = path.join(root, 'a.js');
+  fs.writeFileSync(filePath, 'const a = 1;\n', 'utf8');
+  const disabled = new Set(['localnest_read_file', 'localnest_summarize_project']);
+  const client = await connect({
+    workspace: makeWorkspace(root),
+    memory: makeMemory(1),
+    toolEnabled: (name) => !disabled.has(name)
+  });
+  try {
+    const { resourceTemplates } = await client.listResourceTemplates();
+    assert.deepEqual(resourceTemplates.map((item) => item.uriTemplate), ['localnest://memory/{id}']);
+    await assert.rejects(() => client.readResource({ uri: buildFileUri(filePath) }), /not found/i);
+    await assert.rejects(() => client.readResource({ uri: buildProjectSummaryUri(root) }), /not found/i);
+
+    const { resources } = await client.listResources();
+    assert.deepEqual(resources.map((item) => item.uri), [buildMemoryUri('mem-0')]);
+    const memory = await client.readResource({ uri: buildMemoryUri('mem-0') });
+    assert.equal(JSON.parse(memory.contents[0].text).title, 'Memory 0');
+  } finally {
+    await client.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -1,10 +1,15 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { createJsonToolRegistrar, paginateItems } from '../src/server/common/tool-utils.js';
+import { resolveToolPolicy } from '../src/server/common/tool-policy.js';
 import { registerCoreTools } from '../src/server/tools/core.js';
 import { registerMemoryWorkflowTools } from '../src/server/tools/memory-workflow.js';
 import { registerMemoryStoreTools } from '../src/server/tools/memory-store.js';
 import { registerRetrievalTools } from '../src/server/tools/retrieval.js';
+import { registerGitTools } from '../src/server/tools/git.js';
+import { registerCodeIntelTools } from '../src/server/tools/code-intel.js';
+import { CodeIntelService } from '../src/services/code-intel/service.js';
+import { AstChunker } from '../src/services/chunker/service.js';
 import {
   RESPONSE_FORMAT_SCHEMA,
   MEMORY_KIND_SCHEMA,
@@ -36,11 +41,15 @@ function makeFixture() {
     listProjects: () => [{ path: '/tmp/root/p1' }, { path: '/tmp/root/p2' }],
     projectTree: (projectPath) => ({ project_path: projectPath, entries: [] }),
     readFileChunk: (filePath, start, end) => ({ path: filePath, start_line: start, end_line: end, lines: [] }),
-    summarizeProject: (projectPath) => ({ project_path: projectPath, summary: 'ok' })
+    summarizeProject: (projectPath) => ({ path: projectPath, summary: 'ok' })
   };
 
   const vectorIndex = {
     getStatus: () => ({ backend: 'sqlite-vec', total_files: 1, upgrade_recommended: false, upgrade_reason: null }),
+    describeScope: (bases) => {
+      mark('describeScope', bases);
+      return { indexed_files: 3, stale_files: 1, deleted_files: 0, last_indexed_at: '2020-01-01T00:00:00.000Z' };
+    },
     indexProject: async (args) => {
       mark('indexProject', args);
       return { indexed_files: 1, failed_files: [] };
@@ -56,6 +65,10 @@ function makeFixture() {
       mark('searchCode', args);
       return [{ file: '/tmp/root/a.js', line: 1, text: 'const a = 1;' }];
     },
+    searchStructural: async (args) => {
+      mark('searchStructural', args);
+      return { query: args.query, mode: 'pattern', count: 0, results: [] };
+    },
     searchHybrid: async (args) => {
       mark('searchHybrid', args);
       return { query: args.query, lexical_hits: 1, semantic_hits: 1, ranking_mode: 'hybrid', results: [] };
@@ -107,6 +120,34 @@ function makeFixture() {
       mark('memoryDelete', { id });
       return { id, deleted: true };
     },
+    listRevisions: async (id, args) => {
+      mark('memoryHistory', { id, args });
+      return { id, total_count: 2, items: [{ revision: 2 }, { revision: 1 }] };
+    },
+    diffRevisions: async (id, args) => {
+      mark('memoryDiff', { id, args });
+      return { id, changed_fields: ['content'] };
+    },
+    revertEntry: async (id, args) => {
+      mark('memoryRevert', { id, args });
+      return { reverted: true, revision: args.revision, new_revision: 3 };
+    },
+    verifyLinks: async (args) => {
+      mark('memoryVerifyLinks', args);
+      return { dry_run: args.dryRun, checked: 3, marked_stale: 1, items: [] };
+    },
+    syncSharedMemories: async (args) => {
+      mark('memorySyncShared', args);
+      return { files: 2, imported: 1, updated: 0, written: 0, merged: 0, missing: 0, restored: 0, errors: [] };
+    },
+    exportMemories: async (args) => {
+      mark('memoryExport', args);
+      return { format: args.format, counts: { entries: 1 }, content: '' };
+    },
+    importMemories: async (content, opts) => {
+      mark('memoryImport', { content, opts });
+      return { dry_run: opts.dryRun, entries: { created: 1 } };
+    },
     captureEvent: async (args) => {
       mark('memoryCaptureEvent', args);
       return { id: 'e1', status: 'promoted' };
@@ -144,6 +185,48 @@ function makeFixture() {
     }
   };
 
+  const git = {
+    status: (args) => {
+      mark('gitStatus', args);
+      return { branch: 'main', clean: true, files: [] };
+    },
+    log: (args) => {
+      mark('gitLog', args);
+      return { count: 1, commits: [{ commit: 'abc', subject: 'init' }] };
+    },
+    blame: (args) => {
+      mark('gitBlame', args);
+      return { commits: [], lines: [{ line: args.startLine, commit: 'abc' }] };
+    },
+    diff: (args) => {
+      mark('gitDiff', args);
+      return { files: [], patch: '', truncated: false, denied_files: [] };
+    }
+  };
+
+  const codeIntel = {
+    gotoDefinition: async (args) => {
+      mark('gotoDefinition', args);
+      return { symbol: 'helper', found: true, definition: { file: '/tmp/root/b.js', line: 3 } };
+    },
+    fileOutline: async (args) => {
+      mark('fileOutline', args);
+      return { path: args.path, source: 'ast', count: 1, outline: [{ name: 'run', kind: 'function', start_line: 1, end_line: 3 }] };
+    },
+    readSymbol: async (args) => {
+      mark('readSymbol', args);
+      return { symbol: args.symbol, complete: true, count: 1, matches: [{ name: 'load', start_line: 4, end_line: 9, content: '4: load() {' }], truncated: false };
+    },
+    callGraph: async (args) => {
+      mark('callGraph', args);
+      return { symbol: args.symbol, complete: true, incoming: [], outgoing: [{ depth: 1, callee: 'save', dynamic: false }], truncated: false };
+    },
+    dependencyGraph: async (args) => {
+      mark('dependencyGraph', args);
+      return { format: args.format, file_count: 2, edge_count: 1, cycle_count: 0, text: 'graph LR' };
+    }
+  };
+
   return {
     calls,
     workspace,
@@ -151,7 +234,9 @@ function makeFixture() {
     search,
     updates,
     memory,
-    memoryWorkflow
+    memoryWorkflow,
+    git,
+    codeIntel
   };
 }
 
@@ -195,6 +280,8 @@ test('MCP tools register and execute across all tool groups', async () => {
     defaultMaxReadLines: 400,
     defaultMaxResults: 100
   });
+  registerGitTools({ registerJsonTool, git: fixture.git });
+  registerCodeIntelTools({ registerJsonTool, codeIntel: fixture.codeIntel });
 
   const expected = [
     'localnest_server_status',
@@ -210,6 +297,13 @@ test('MCP tools register and execute across all tool groups', async () => {
     'localnest_memory_store',
     'localnest_memory_update',
     'localnest_memory_delete',
+    'localnest_memory_history',
+    'localnest_memory_diff',
+    'localnest_memory_revert',
+    'localnest_memory_verify_links',
+    'localnest_memory_sync_shared',
+    'localnest_memory_export',
+    'localnest_memory_import',
     'localnest_memory_capture_event',
     'localnest_memory_events',
     'localnest_memory_suggest_relations',
@@ -224,11 +318,21 @@ test('MCP tools register and execute across all tool groups', async () => {
     'localnest_index_project',
     'localnest_search_files',
     'localnest_search_code',
+    'localnest_search_structural',
     'localnest_search_hybrid',
     'localnest_get_symbol',
     'localnest_find_usages',
     'localnest_read_file',
-    'localnest_summarize_project'
+    'localnest_summarize_project',
+    'localnest_git_status',
+    'localnest_git_log',
+    'localnest_git_blame',
+    'localnest_git_diff',
+    'localnest_goto_definition',
+    'localnest_file_outline',
+    'localnest_read_symbol',
+    'localnest_call_graph',
+    'localnest_dependency_graph'
   ];
 
   const registered = Array.from(server.tools.keys());
@@ -253,7 +357,8 @@ test('MCP tools register and execute across all tool groups', async () => {
 
   assert.equal((await run('localnest_task_context', { query: 'q' })).structuredContent.data.status, 'ok');
   assert.equal((await run('localnest_memory_status')).structuredContent.data.enabled, true);
-  assert.equal((await run('localnest_memory_recall', { query: 'auth' })).structuredContent.data.count, 1);
+  assert.equal((await run('localnest_memory_recall', { query: 'auth', use_reranker: true })).structuredContent.data.count, 1);
+  assert.equal(fixture.calls.findLast((c) => c.name === 'memoryRecall').payload.useReranker, true);
   assert.equal((await run('localnest_capture_outcome', { event_type: 'task', title: 'x' })).structuredContent.data.captured, true);
   assert.equal((await run('localnest_memory_list', { limit: 10, offset: 0 })).structuredContent.data.count, 1);
   assert.equal((await run('localnest_memory_get', { id: 'm1' })).structuredContent.data.id, 'm1');
@@ -261,6 +366,25 @@ test('MCP tools register and execute across all tool groups', async () => {
   assert.equal((await run('localnest_memory_store', { kind: 'knowledge', title: 't', summary: '', content: 'c', status: 'active', importance: 50, confidence: 0.7, tags: [], links: [], scope: {}, source_type: 'manual', source_ref: '', change_note: 'init' })).structuredContent.data.created, true);
   assert.equal((await run('localnest_memory_update', { id: 'm1', change_note: 'u' })).structuredContent.data.updated, true);
   assert.equal((await run('localnest_memory_delete', { id: 'm1' })).structuredContent.data.deleted, true);
+  assert.equal((await run('localnest_memory_history', { id: 'm1', limit: 5, offset: 0 })).structuredContent.data.total_count, 2);
+  assert.deepEqual(fixture.calls.find((call) => call.name === 'memoryHistory').payload.args, { limit: 5, offset: 0 });
+  assert.deepEqual((await run('localnest_memory_diff', { id: 'm1', from_revision: 1 })).structuredContent.data.changed_fields, ['content']);
+  assert.deepEqual(fixture.calls.find((call) => call.name === 'memoryDiff').payload.args, { from: 1, to: undefined });
+  assert.equal((await run('localnest_memory_revert', { id: 'm1', revision: 1 })).structuredContent.data.new_revision, 3);
+  assert.deepEqual(fixture.calls.find((call) => call.name === 'memoryRevert').payload.args, { revision: 1, changeNote: undefined });
+  assert.equal((await run('localnest_memory_verify_links', { project_path: '/tmp/root', dry_run: true, limit: 50 })).structuredContent.data.marked_stale, 1);
+  assert.equal((await run('localnest_memory_sync_shared', { project_path: '/tmp/root/p1' })).structuredContent.data.imported, 1);
+  assert.deepEqual(fixture.calls.find((c) => c.name === 'memorySyncShared').payload, { projectPath: '/tmp/root/p1' });
+  assert.deepEqual(fixture.calls.find((call) => call.name === 'memoryVerifyLinks').payload, {
+    id: undefined,
+    projectPath: '/tmp/root',
+    dryRun: true,
+    limit: 50
+  });
+  assert.equal((await run('localnest_memory_export', { format: 'markdown', project_path: '/tmp/root', include_events: false })).structuredContent.data.format, 'markdown');
+  assert.deepEqual(fixture.calls.find((c) => c.name === 'memoryExport').payload, { format: 'markdown', projectPath: '/tmp/root', topic: undefined, includeEvents: false });
+  assert.equal((await run('localnest_memory_import', { content: '{}', dry_run: true, rewrite_scope: [{ from: '/a', to: '/b' }] })).structuredContent.data.dry_run, true);
+  assert.deepEqual(fixture.calls.find((c) => c.name === 'memoryImport').payload.opts, { dryRun: true, rewriteScope: [{ from: '/a', to: '/b' }] });
   assert.equal((await run('localnest_memory_capture_event', { event_type: 'task', status: 'completed', title: 'evt', summary: '', content: '', kind: 'knowledge', importance: 50, confidence: 0.7, files_changed: 0, has_tests: false, tags: [], links: [], scope: {}, source_ref: '' })).structuredContent.data.status, 'promoted');
   assert.equal((await run('localnest_memory_events', { limit: 10, offset: 0 })).structuredContent.data.count, 1);
   assert.equal((await run('localnest_memory_suggest_relations', { id: 'm1', threshold: 0.6, max_results: 5 })).structuredContent.data.count, 0);
@@ -276,11 +400,42 @@ test('MCP tools register and execute across all tool groups', async () => {
   assert.equal((await run('localnest_index_project', { project_path: '/tmp/root', all_roots: false, force: false, max_files: 10 }, makeExtra('token-1'))).structuredContent.data.indexed_files, 1);
   assert.equal((await run('localnest_search_files', { query: 'a', project_path: '/tmp/root', all_roots: false, max_results: 5, case_sensitive: false })).structuredContent.data[0].name, 'a.js');
   assert.equal((await run('localnest_search_code', { query: 'const', project_path: '/tmp/root', all_roots: false, glob: '*', max_results: 5, case_sensitive: false, context_lines: 0, use_regex: false })).structuredContent.data[0].line, 1);
+  assert.equal((await run('localnest_search_structural', { query: 'async functions without try', project_path: '/tmp/root', all_roots: false, glob: '*', max_results: 5 })).structuredContent.data.mode, 'pattern');
   assert.equal((await run('localnest_search_hybrid', { query: 'auth', project_path: '/tmp/root', all_roots: false, glob: '*', max_results: 5, case_sensitive: false, min_semantic_score: 0, auto_index: false })).structuredContent.data.ranking_mode, 'hybrid');
   assert.equal((await run('localnest_get_symbol', { symbol: 'AuthService', project_path: '/tmp/root', all_roots: false, glob: '*', max_results: 5, case_sensitive: false })).structuredContent.data.symbol, 'AuthService');
   assert.equal((await run('localnest_find_usages', { symbol: 'AuthService', project_path: '/tmp/root', all_roots: false, glob: '*', max_results: 5, case_sensitive: false, context_lines: 1 })).structuredContent.data.symbol, 'AuthService');
   assert.equal((await run('localnest_read_file', { path: '/tmp/root/a.js', start_line: 1, end_line: 5 })).structuredContent.data.path, '/tmp/root/a.js');
-  assert.equal((await run('localnest_summarize_project', { project_path: '/tmp/root', max_files: 100 })).structuredContent.data.summary, 'ok');
+  const projectSummary = (await run('localnest_summarize_project', { project_path: '/tmp/root', max_files: 100 })).structuredContent.data;
+  assert.equal(projectSummary.summary, 'ok');
+  assert.equal(projectSummary.semantic_index.status, 'stale');
+  assert.ok(projectSummary.semantic_index.age_seconds > 0);
+  assert.deepEqual(fixture.calls.find((c) => c.name === 'describeScope').payload, ['/tmp/root']);
+
+  assert.equal((await run('localnest_git_status', { project_path: '/tmp/root', include_untracked: true, max_files: 10 })).structuredContent.data.branch, 'main');
+  assert.equal((await run('localnest_git_log', { path: '/tmp/root/a.js', max_count: 5, follow: true })).structuredContent.data.count, 1);
+  assert.equal((await run('localnest_git_blame', { path: '/tmp/root/a.js', start_line: 3, end_line: 4 })).structuredContent.data.lines[0].line, 3);
+  assert.equal((await run('localnest_git_diff', { path: '/tmp/root', staged: true, context_lines: 3, max_bytes: 1000 })).structuredContent.data.truncated, false);
+  assert.deepEqual(fixture.calls.find((c) => c.name === 'gitLog').payload, { path: '/tmp/root/a.js', ref: undefined, maxCount: 5, since: undefined, follow: true });
+
+  assert.equal((await run('localnest_goto_definition', { path: '/tmp/root/a.js', line: 2, column: 5 })).structuredContent.data.definition.line, 3);
+  assert.deepEqual(fixture.calls.find((c) => c.name === 'gotoDefinition').payload, { path: '/tmp/root/a.js', line: 2, column: 5, symbol: undefined });
+  assert.equal((await run('localnest_file_outline', { path: '/tmp/root/a.js' })).structuredContent.data.outline[0].end_line, 3);
+  assert.equal(fixture.calls.find((c) => c.name === 'fileOutline').payload.path, '/tmp/root/a.js');
+  assert.equal((await run('localnest_read_symbol', { symbol: 'Store.load', include_class_header: true, max_matches: 5, max_lines: 100 })).structuredContent.data.matches[0].end_line, 9);
+  const readSymbolPayload = fixture.calls.find((c) => c.name === 'readSymbol').payload;
+  assert.equal(readSymbolPayload.includeClassHeader, true);
+  assert.equal(readSymbolPayload.maxMatches, 5);
+  assert.equal(readSymbolPayload.maxLines, 100);
+  assert.equal((await run('localnest_call_graph', { symbol: 'Store.load', direction: 'outgoing', depth: 3, max_edges: 50 })).structuredContent.data.outgoing[0].callee, 'save');
+  const callGraphPayload = fixture.calls.find((c) => c.name === 'callGraph').payload;
+  assert.equal(callGraphPayload.depth, 3);
+  assert.equal(callGraphPayload.direction, 'outgoing');
+  assert.equal(callGraphPayload.maxEdges, 50);
+  assert.equal((await run('localnest_dependency_graph', { format: 'mermaid', include_external: true, max_files: 500 })).structuredContent.data.text, 'graph LR');
+  const dependencyPayload = fixture.calls.find((c) => c.name === 'dependencyGraph').payload;
+  assert.equal(dependencyPayload.format, 'mermaid');
+  assert.equal(dependencyPayload.includeExternal, true);
+  assert.equal(dependencyPayload.maxFiles, 500);
 
   assert.ok(fixture.calls.some((c) => c.name === 'indexProject'));
   assert.ok(fixture.calls.some((c) => c.name === 'searchHybrid'));
@@ -292,3 +447,109 @@ test('MCP tools register and execute across all tool groups', async () => {
   assert.ok(fixture.calls.some((c) => c.name === 'memoryRelated'));
   assert.ok(notifications.some((n) => n.method === 'notifications/progress'));
 });
+
+function registerAllTools(registerJsonTool, fixture) {
+  const schemas = {
+    MEMORY_KIND_SCHEMA,
+    MEMORY_STATUS_SCHEMA,
+    MEMORY_SCOPE_SCHEMA,
+    MEMORY_LINK_SCHEMA,
+    MEMORY_EVENT_TYPE_SCHEMA,
+    MEMORY_EVENT_STATUS_SCHEMA
+  };
+  registerCoreTools({
+    registerJsonTool,
+    buildServerStatus: async () => ({ name: 'localnest', version: 'test' }),
+    buildUsageGuide: () => ({ for_users: [], for_ai_agents: [] }),
+    updates: fixture.updates
+  });
+  registerMemoryWorkflowTools({ registerJsonTool, schemas, memory: fixture.memory, memoryWorkflow: fixture.memoryWorkflow });
+  registerMemoryStoreTools({ registerJsonTool, schemas, memory: fixture.memory });
+  registerRetrievalTools({
+    registerJsonTool,
+    paginateItems,
+    workspace: fixture.workspace,
+    vectorIndex: fixture.vectorIndex,
+    search: fixture.search,
+    defaultMaxReadLines: 400,
+    defaultMaxResults: 100
+  });
+  registerGitTools({ registerJsonTool, git: fixture.git });
+  registerCodeIntelTools({ registerJsonTool, codeIntel: fixture.codeIntel });
+}
+
+function registeredUnder(policyInput) {
+  const server = makeFakeServer();
+  const registerJsonTool = createJsonToolRegistrar(server, RESPONSE_FORMAT_SCHEMA, {
+    policy: resolveToolPolicy(policyInput)
+  });
+  registerAllTools(registerJsonTool, makeFixture());
+  return { names: new Set(server.tools.keys()), disabled: registerJsonTool.disabledTools };
+}
+
+test('readonly profile registers only tools annotated readOnlyHint', () => {
+  const { names, disabled } = registeredUnder({ profile: 'readonly' });
+  for (const name of ['localnest_search_code', 'localnest_read_file', 'localnest_memory_recall', 'localnest_memory_history', 'localnest_update_status']) {
+    assert.ok(names.has(name), name);
+  }
+  for (const name of ['localnest_update_self', 'localnest_memory_delete', 'localnest_memory_store', 'localnest_memory_revert', 'localnest_memory_sync_shared', 'localnest_index_project']) {
+    assert.ok(!names.has(name), name);
+    assert.ok(disabled.includes(name), name);
+  }
+});
+
+test('readonly profile code-intel tools answer from the index without indexing', async () => {
+  const server = makeFakeServer();
+  const registerJsonTool = createJsonToolRegistrar(server, RESPONSE_FORMAT_SCHEMA, {
+    policy: resolveToolPolicy({ profile: 'readonly' })
+  });
+  const fixture = makeFixture();
+  const vectorIndex = {
+    ...fixture.vectorIndex,
+    findSymbols: () => ({ covered: false, symbols: [] }),
+    findCalls: () => ({ calls: [] })
+  };
+  fixture.codeIntel = new CodeIntelService({
+    workspace: { resolveSearchBases: () => ['/tmp/root/p1'], normalizeTarget: (p) => p },
+    astChunker: new AstChunker(),
+    vectorIndex
+  });
+  registerAllTools(registerJsonTool, fixture);
+  const run = async (name, args) => (await server.tools.get(name).handler(args, {})).structuredContent.data;
+
+  assert.equal((await run('localnest_call_graph', { symbol: 'load', all_roots: false, direction: 'both', depth: 2, max_edges: 10 })).complete, false);
+  assert.equal((await run('localnest_read_symbol', { symbol: 'load', all_roots: false, include_class_header: false, max_matches: 5, max_lines: 10 })).complete, false);
+  assert.ok(!server.tools.has('localnest_index_project'));
+  assert.ok(!fixture.calls.some((c) => c.name === 'indexProject'));
+});
+
+test('no-network profile and name rules filter tools before tools/list', () => {
+  const offline = registeredUnder({ profile: 'no-network' });
+  assert.ok(!offline.names.has('localnest_update_status'));
+  assert.ok(!offline.names.has('localnest_update_self'));
+  assert.ok(offline.names.has('localnest_memory_delete'));
+
+  const custom = registeredUnder({
+    profile: 'readonly',
+    allow: ['localnest_memory_store'],
+    deny: ['localnest_memory_l*'],
+    denyAnnotations: ['destructiveHint']
+  });
+  assert.ok(custom.names.has('localnest_memory_store'));
+  assert.ok(!custom.names.has('localnest_memory_list'));
+  assert.ok(custom.names.has('localnest_memory_get'));
+
+  const full = registeredUnder({ profile: 'full', deny: 'localnest_update_self' });
+  assert.deepEqual(full.disabled, ['localnest_update_self']);
+});
+
+test('resolveToolPolicy supports config-defined profiles and rejects unknown names', () => {
+  const policy = resolveToolPolicy({
+    profile: 'reviewer',
+    profiles: { reviewer: { readOnly: true, deny: ['localnest_memory_*'] } }
+  });
+  assert.equal(policy.readOnly, true);
+  assert.deepEqual(policy.deny, ['localnest_memory_*']);
+  assert.throws(() => resolveToolPolicy({ profile: 'nope' }), /unknown tool profile: nope/);
+  assert.throws(() => resolveToolPolicy({ denyAnnotations: ['scaryHint'] }), /unknown tool annotation/);
+});
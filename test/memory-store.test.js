@@ -3,7 +3,10 @@ import assert from 'node:assert/strict';
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
+import { spawnSync } from 'node:child_process';
 import { MemoryStore } from '../src/services/memory/store.js';
+import { MemoryScopeResolver } from '../src/services/memory/scope-resolver.js';
+import { GitService } from '../src/services/git/service.js';
 
 function makeTempDir() {
   return fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-memory-test-'));
@@ -69,6 +72,9 @@ test('memory store lifecycle: create, list, update, recall, delete', async (t) =
   assert.equal(recalled.items[0].memory.id, created.memory.id);
   assert.equal(recalled.items[0].score > 0 && recalled.items[0].score <= 1, true);
   assert.equal(recalled.items[0].raw_score >= recalled.items[0].score, true);
+  assert.equal(recalled.ranking_mode, 'lexical-only');
+  assert.equal(recalled.items[0].lexical_rank, 1);
+  assert.equal(recalled.items[0].semantic_score, null);
 
   const deleted = await store.deleteEntry(created.memory.id);
   assert.equal(deleted.deleted, true);
@@ -140,6 +146,65 @@ test('memory recall ranks scoped relevant memory ahead of weaker matches', async
   fs.rmSync(root, { recursive: true, force: true });
 });
 
+test('memory recall fuses embedding similarity with lexical rank and can rerank', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+
+  const root = makeTempDir();
+  const embeddingService = {
+    isEnabled: () => true,
+    embed: async (text) => {
+      if (/session|logged out/i.test(text)) return [1, 0, 0];
+      if (/postgres/i.test(text)) return [0, 1, 0];
+      if (/theme/i.test(text)) return [0.7, 0.7, 0];
+      return [0, 0, 1];
+    }
+  };
+  const reranker = {
+    isEnabled: () => true,
+    rerank: async (query, candidates) => candidates.map((item) => (item.text.includes('Postgres') ? 1 : 0))
+  };
+  const store = new MemoryStore({
+    enabled: true,
+    backend: 'auto',
+    dbPath: path.join(root, 'memory.db'),
+    embeddingService,
+    reranker
+  });
+  const save = (title, summary, content, importance) => store.storeEntry({
+    kind: 'knowledge',
+    title,
+    summary,
+    content,
+    importance,
+    scope: { project_path: '/repo/app' }
+  });
+
+  const session = await save('Session expiry handling', 'Idle sessions expire after fifteen minutes', 'Refresh the session cookie on activity.', 50);
+  const pool = await save('Postgres pool sizing', 'Connection pool capped at twenty', 'Raise the pool only with pgbouncer.', 90);
+  await save('Theme colors', 'Dark theme uses a slate palette', 'Tokens live in the design system.', 40);
+
+  const recalled = await store.recall({ query: 'users keep getting logged out', projectPath: '/repo/app' });
+  assert.equal(recalled.ranking_mode, 'hybrid');
+  assert.deepEqual(recalled.reranker, { requested: false, applied: false, reason: 'not-requested' });
+  assert.equal(recalled.items[0].memory.id, session.memory.id);
+  assert.equal(recalled.items[0].lexical_rank, 2);
+  assert.equal(recalled.items[0].semantic_rank, 1);
+  assert.equal(recalled.items[0].semantic_score, 1);
+  assert.equal(recalled.items[0].reranker_score, null);
+  assert.equal(recalled.items[0].rrf_score > recalled.items[1].rrf_score, true);
+
+  const reranked = await store.recall({ query: 'users keep getting logged out', projectPath: '/repo/app', useReranker: true });
+  assert.equal(reranked.reranker.applied, true);
+  assert.equal(reranked.items[0].memory.id, pool.memory.id);
+  assert.equal(reranked.items[0].reranker_score, 1);
+  assert.equal(reranked.items[0].final_score > reranked.items[0].rrf_score, true);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
 test('memory store dedupes identical scoped entries', async (t) => {
   if (!await hasSupportedBackend()) {
     t.skip('No supported sqlite backend available for memory store test');
@@ -329,3 +394,589 @@ test('captureEvent merges into an existing related memory instead of duplicating
 
   fs.rmSync(root, { recursive: true, force: true });
 });
+
+test('listScopeValues returns distinct stored topics, features and branches by prefix', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+
+  const root = makeTempDir();
+  const store = new MemoryStore({
+    enabled: true,
+    backend: 'auto',
+    dbPath: path.join(root, 'memory.db')
+  });
+
+  const scopes = [
+    { project_path: '/repo/app', topic: 'auth', feature: 'login', branch_name: 'main' },
+    { project_path: '/repo/app', topic: 'auth', feature: 'logout', branch_name: 'feat/sso' },
+    { project_path: '/repo/app', topic: 'billing', feature: 'invoices', branch_name: 'main' },
+    { project_path: '/repo/other', topic: 'audit_log', feature: '', branch_name: 'main' }
+  ];
+  for (const [idx, scope] of scopes.entries()) {
+    await store.storeEntry({
+      kind: 'knowledge',
+      title: `Scoped memory ${idx}`,
+      content: `Distinct content for scope ${idx}`,
+      scope
+    });
+  }
+
+  assert.deepEqual(await store.listScopeValues('topic'), ['auth', 'audit_log', 'billing']);
+  assert.deepEqual(await store.listScopeValues('topic', { prefix: 'au' }), ['auth', 'audit_log']);
+  assert.deepEqual(await store.listScopeValues('topic', { prefix: 'au', projectPath: '/repo/app' }), ['auth']);
+  assert.deepEqual(await store.listScopeValues('topic', { prefix: 'audit_' }), ['audit_log']);
+  assert.deepEqual(await store.listScopeValues('feature', { prefix: 'log' }), ['login', 'logout']);
+  assert.deepEqual(await store.listScopeValues('branch_name'), ['main', 'feat/sso']);
+  await assert.rejects(() => store.listScopeValues('kind'), /unsupported scope field/);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('memory store infers branch scope and ranks by branch state', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+
+  const root = makeTempDir();
+  const git = {
+    listBranches: () => ({
+      current: 'feature/live',
+      branches: ['main', 'feature/live', 'feature/merged', 'feature/other'],
+      merged: ['feature/merged']
+    })
+  };
+  const store = new MemoryStore({
+    enabled: true,
+    backend: 'auto',
+    dbPath: path.join(root, 'memory.db'),
+    scopeResolver: new MemoryScopeResolver({ workspace: { roots: [{ label: 'repo', path: '/repo' }] }, git })
+  });
+
+  const save = (title, branchName) => store.storeEntry({
+    kind: 'knowledge',
+    title,
+    summary: 'Cache invalidation rules for the billing service',
+    content: `Billing cache invalidation notes (${title}).`,
+    importance: 50,
+    scope: { project_path: '/repo/app', ...(branchName ? { branch_name: branchName } : {}) }
+  });
+
+  const inferred = await save('inferred branch', undefined);
+  assert.equal(inferred.memory.scope_branch_name, 'feature/live');
+  assert.equal(inferred.memory.scope_root_path, '/repo');
+  await save('merged branch', 'feature/merged');
+  await save('deleted branch', 'feature/gone');
+  await save('other branch', 'feature/other');
+
+  const recalled = await store.recall({ query: 'billing cache invalidation', projectPath: '/repo/app', limit: 10 });
+  assert.deepEqual(recalled.items.map((item) => [item.memory.title, item.branch_state]), [
+    ['inferred branch', 'current'],
+    ['other branch', 'other'],
+    ['merged branch', 'merged'],
+    ['deleted branch', 'deleted']
+  ]);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('memory history, diff and revert expose revisions without losing any', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+
+  const root = makeTempDir();
+  const store = new MemoryStore({ enabled: true, backend: 'auto', dbPath: path.join(root, 'memory.db') });
+
+  const created = await store.storeEntry({
+    kind: 'knowledge',
+    title: 'Deploy checklist',
+    summary: 'Steps before a production deploy',
+    content: 'Run migrations.\nWarm the cache.\nNotify on-call.',
+    tags: ['deploy'],
+    scope: { project_path: '/repo/app' }
+  });
+  const id = created.memory.id;
+  await store.updateEntry(id, {
+    content: 'Run migrations.\nSkip the cache warmup.\nNotify on-call.',
+    tags: ['deploy', 'ops'],
+    change_note: 'Cache warms itself now'
+  });
+
+  const history = await store.listRevisions(id);
+  assert.equal(history.current_revision, 2);
+  assert.deepEqual(history.items.map((item) => item.revision), [2, 1]);
+  assert.equal(history.items[0].change_note, 'Cache warms itself now');
+  assert.deepEqual(history.items[0].changed_fields, ['content', 'tags']);
+  assert.equal((await store.listRevisions(id, { limit: 1, offset: 1 })).items[0].revision, 1);
+
+  const diff = await store.diffRevisions(id);
+  assert.equal(diff.from.revision, 1);
+  assert.equal(diff.to.revision, 2);
+  assert.deepEqual(diff.changed_fields, ['content', 'tags']);
+  assert.equal(diff.changes.content.diff, ' Run migrations.\n-Warm the cache.\n+Skip the cache warmup.\n Notify on-call.');
+  assert.deepEqual(diff.changes.tags, { added: ['ops'], removed: [] });
+  assert.equal((await store.diffRevisions(id, { from: 2, to: 2 })).identical, true);
+
+  const reverted = await store.revertEntry(id, { revision: 1 });
+  assert.equal(reverted.reverted, true);
+  assert.equal(reverted.new_revision, 3);
+  assert.equal(reverted.memory.content, 'Run migrations.\nWarm the cache.\nNotify on-call.');
+  assert.deepEqual(reverted.memory.tags, ['deploy']);
+  assert.equal(reverted.memory.revisions[0].change_note, 'Reverted to revision 1');
+  assert.equal((await store.diffRevisions(id, { from: 1, to: 3 })).identical, true);
+  assert.equal((await store.revertEntry(id, { revision: 1 })).reverted, false);
+
+  await assert.rejects(store.diffRevisions(id, { from: 9 }), /revision 9 not found/);
+  await assert.rejects(store.listRevisions('missing'), /memory not found/);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('memory export round-trips through import with dedupe, dry run and scope rewriting', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+
+  const root = makeTempDir();
+  const source = new MemoryStore({ enabled: true, backend: 'auto', dbPath: path.join(root, 'source.db') });
+  const target = new MemoryStore({ enabled: true, backend: 'auto', dbPath: path.join(root, 'target.db') });
+
+  const decision = await source.storeEntry({
+    kind: 'decision',
+    title: 'Use sqlite for the cache',
+    summary: 'Cache lives in sqlite instead of JSON files',
+    content: 'Switch the cache to sqlite so concurrent writers do not corrupt it.',
+    tags: ['cache'],
+    links: [{ path: '/home/ana/work/app/src/cache.js', line: 12 }],
+    scope: { root_path: '/home/ana/work', project_path: '/home/ana/work/app', topic: 'cache' }
+  });
+  await source.updateEntry(decision.memory.id, { summary: 'Cache lives in sqlite, not JSON files', change_note: 'Tightened summary' });
+  const note = await source.storeEntry({
+    title: 'Cache keys include the schema version',
+    content: 'Bump the schema version when the cache layout changes.',
+    scope: { project_path: '/home/ana/work/app' }
+  });
+  await source.addRelation(decision.memory.id, note.memory.id, 'extends');
+  await source.captureEvent({
+    event_type: 'decision',
+    status: 'completed',
+    title: 'Decided cache storage format',
+    content: 'Chose sqlite for the cache.',
+    scope: { project_path: '/home/ana/work/app' }
+  });
+
+  const exported = await source.exportMemories({ format: 'jsonl' });
+  assert.equal(exported.counts.entries >= 2, true);
+  assert.equal(exported.counts.revisions >= 3, true);
+  assert.equal(exported.counts.relations, 1);
+  assert.equal(exported.counts.events, 1);
+  const header = JSON.parse(exported.content.split('\n')[0]);
+  assert.equal(header.format, 'localnest-memory');
+  assert.equal(header.version, 1);
+
+  const markdown = await source.exportMemories({ format: 'markdown' });
+  assert.match(markdown.content, /^## \/home\/ana\/work\/app$/m);
+  assert.match(markdown.content, /^### cache$/m);
+  assert.match(markdown.content, /^#### Use sqlite for the cache$/m);
+  assert.match(markdown.content, /^- extends: Cache keys include the schema version$/m);
+
+  const rewriteScope = ['/home/ana/work=/Users/bo/code'];
+  const dryRun = await target.importMemories(exported.content, { dryRun: true, rewriteScope });
+  assert.equal(dryRun.dry_run, true);
+  assert.equal(dryRun.entries.created, exported.counts.entries);
+  assert.equal(dryRun.relations.created, 1);
+  assert.equal((await target.getStatus()).total_entries, 0);
+
+  const imported = await target.importMemories(exported.content, { rewriteScope });
+  assert.equal(imported.entries.created, exported.counts.entries);
+  assert.equal(imported.events.created, 1);
+  const copy = await target.getEntry(decision.memory.id);
+  assert.equal(copy.scope_project_path, '/Users/bo/code/app');
+  assert.equal(copy.scope_root_path, '/Users/bo/code');
+  assert.equal(copy.links[0].path, '/Users/bo/code/app/src/cache.js');
+  assert.equal(copy.summary, 'Cache lives in sqlite, not JSON files');
+  assert.deepEqual(copy.revisions.map((item) => item.revision), [2, 1]);
+  assert.equal((await target.getRelated(decision.memory.id)).count, 1);
+  const recalled = await target.recall({ query: 'sqlite cache', projectPath: '/Users/bo/code/app' });
+  assert.equal(recalled.items[0].memory.id, decision.memory.id);
+
+  const again = await target.importMemories(exported.content, { rewriteScope });
+  assert.equal(again.entries.created, 0);
+  assert.equal(again.entries.duplicate, exported.counts.entries);
+  assert.equal(again.relations.created, 0);
+  assert.equal(again.events.duplicate, 1);
+
+  const unscoped = await target.importMemories(exported.content, { dryRun: true });
+  assert.equal(unscoped.entries.conflict, exported.counts.entries);
+
+  await assert.rejects(() => target.importMemories('{"type":"entry"}\n'), /missing header/);
+  await assert.rejects(
+    () => target.importMemories(`${JSON.stringify({ ...header, version: 99 })}\n`),
+    /unsupported export version 99/
+  );
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('project-shared memories sync through .localnest/memory files and merge conflicting edits', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+
+  const root = makeTempDir();
+  const project = path.join(root, 'app');
+  fs.mkdirSync(project);
+  const pause = () => new Promise((resolve) => setTimeout(resolve, 5));
+  const alice = new MemoryStore({ enabled: true, backend: 'auto', dbPath: path.join(root, 'alice.db'), sharedEnabled: true });
+  const bob = new MemoryStore({ enabled: true, backend: 'auto', dbPath: path.join(root, 'bob.db'), sharedEnabled: true });
+
+  const created = await alice.storeEntry({
+    kind: 'decision',
+    title: 'Retry webhooks with exponential backoff',
+    content: 'Webhook delivery retries five times with exponential backoff capped at ten minutes.',
+    links: [{ path: path.join(project, 'src/webhooks.js'), line: 40 }],
+    scope: { project_path: project, topic: 'webhooks' },
+    shared: true
+  });
+  const id = created.memory.id;
+  assert.equal(created.memory.origin, 'shared');
+  const filePath = path.join(project, '.localnest', 'memory', `${id}.json`);
+  const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(file.id, id);
+  assert.deepEqual(file.links, [{ path: 'src/webhooks.js', line: 40, label: '' }]);
+  assert.equal(file.revisions.length, 1);
+  assert.equal('project_path' in file, false);
+
+  await bob.storeEntry({
+    title: 'Webhook secrets rotate monthly',
+    content: 'Rotate webhook signing secrets monthly; old secrets stay valid for a day.',
+    scope: { project_path: project, topic: 'webhooks' }
+  });
+  assert.equal(await bob.getEntry(id), null);
+  const synced = await bob.syncSharedMemories(project);
+  assert.deepEqual([synced.files, synced.imported], [1, 1]);
+  const recalled = await bob.recall({ query: 'webhook retries backoff', projectPath: project });
+  assert.deepEqual(recalled.items.map((item) => item.memory.origin).sort(), ['private', 'shared']);
+  const copy = await bob.getEntry(id);
+  assert.equal(copy.origin, 'shared');
+  assert.equal(copy.links[0].path, path.join(project, 'src/webhooks.js'));
+
+  await pause();
+  await bob.updateEntry(id, { summary: 'Retries use exponential backoff', change_note: 'Add summary' });
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).revisions.length, 2);
+  await alice.syncSharedMemories(project);
+  assert.equal((await alice.getEntry(id)).summary, 'Retries use exponential backoff');
+
+  const baseSide = fs.readFileSync(filePath, 'utf8');
+  await pause();
+  await alice.updateEntry(id, { content: 'Webhook delivery retries eight times.', change_note: 'More retries' });
+  const aliceSide = fs.readFileSync(filePath, 'utf8');
+  // Bob edits his own checkout, which still has the common base.
+  fs.writeFileSync(filePath, baseSide, 'utf8');
+  await pause();
+  await bob.updateEntry(id, { content: 'Webhook delivery retries three times.', change_note: 'Fewer retries' });
+  const bobSide = fs.readFileSync(filePath, 'utf8');
+  fs.writeFileSync(filePath, `<<<<<<< HEAD\n${aliceSide}=======\n${bobSide}>>>>>>> bob/retries\n`, 'utf8');
+
+  const conflictedFile = fs.readFileSync(filePath, 'utf8');
+  // Reads leave the working tree and the local store alone.
+  await alice.recall({ query: 'webhook retries', projectPath: project });
+  await alice.listEntries({ projectPath: project });
+  await alice.listRevisions(id);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), conflictedFile);
+  assert.equal((await alice.getEntry(id)).revisions.length, 3);
+
+  await alice.syncSharedMemories(project);
+  const resolvedFile = fs.readFileSync(filePath, 'utf8');
+  assert.equal(resolvedFile.includes('<<<<<<<'), false);
+  const resolved = JSON.parse(resolvedFile);
+  assert.equal(resolved.content, 'Webhook delivery retries three times.');
+  assert.deepEqual(resolved.revisions.map((item) => item.change_note), [
+    'Initial memory creation',
+    'Add summary',
+    'More retries',
+    'Fewer retries',
+    'Merged concurrent edits to shared memory'
+  ]);
+  const merged = await alice.getEntry(id);
+  assert.equal(merged.content, 'Webhook delivery retries three times.');
+  assert.equal(merged.revisions.length, 5);
+
+  await bob.syncSharedMemories(project);
+  assert.equal((await bob.getEntry(id)).revisions.length, 5);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), resolvedFile);
+
+  // A branch without the file must not cost Bob the entry or its relations.
+  const bobNote = (await bob.listEntries({ projectPath: project })).items.find((item) => item.origin === 'private');
+  await bob.addRelation(bobNote.id, id, 'related');
+  fs.renameSync(filePath, `${filePath}.elsewhere`);
+  assert.equal((await bob.syncSharedMemories(project)).missing, 1);
+  const missing = await bob.getEntry(id);
+  assert.equal(missing.origin, 'shared_missing');
+  assert.equal(missing.revisions.length, 5);
+  assert.equal((await bob.getRelated(id)).count, 1);
+  fs.renameSync(`${filePath}.elsewhere`, filePath);
+  assert.equal((await bob.syncSharedMemories(project)).restored, 1);
+  assert.equal((await bob.getEntry(id)).origin, 'shared');
+  assert.equal((await bob.getRelated(id)).count, 1);
+
+  await alice.deleteEntry(id);
+  assert.equal(fs.existsSync(filePath), false);
+  await bob.syncSharedMemories(project);
+  assert.equal((await bob.getEntry(id)).origin, 'shared_missing');
+  await bob.deleteEntry(id);
+  assert.equal(await bob.getEntry(id), null);
+
+  const privateOnly = new MemoryStore({ enabled: true, backend: 'auto', dbPath: path.join(root, 'private.db') });
+  await assert.rejects(
+    () => privateOnly.storeEntry({ title: 'x title here', content: 'y', scope: { project_path: project }, shared: true }),
+    /Project-shared memory is disabled/
+  );
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('recall filters memories with broken links and the sweep re-anchors or marks them stale', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+  if (spawnSync('git', ['--version']).status !== 0) {
+    t.skip('git binary not available');
+    return;
+  }
+
+  const root = fs.realpathSync(makeTempDir());
+  const project = path.join(root, 'app');
+  const write = (rel, lines) => {
+    fs.mkdirSync(path.dirname(path.join(project, rel)), { recursive: true });
+    fs.writeFileSync(path.join(project, rel), `${lines.join('\n')}\n`, 'utf8');
+  };
+  const numbered = (prefix, count) => Array.from({ length: count }, (_, idx) => `const ${prefix}${idx} = ${idx};`);
+  write('src/billing.js', [
+    ...numbered('billingSetup', 8),
+    '',
+    'export function computeInvoice(order) {',
+    '  const subtotal = order.items.reduce((sum, item) => sum + item.price, 0);',
+    '  return subtotal + order.shipping;',
+    '}',
+    ...numbered('billingTail', 4)
+  ]);
+  write('src/legacy.js', numbered('legacy', 6));
+  write('src/tax.js', numbered('tax', 10));
+  write('src/pricing.js', [
+    'export function applyDiscount(total, code) {',
+    '  if (code === "WELCOME") return total * 0.9;',
+    '  return total;',
+    '}'
+  ]);
+  spawnSync('git', ['init', '-q', '-b', 'main'], { cwd: project });
+  spawnSync('git', ['add', '.'], { cwd: project });
+
+  const store = new MemoryStore({
+    enabled: true,
+    backend: 'auto',
+    dbPath: path.join(root, 'memory.db'),
+    scopeResolver: new MemoryScopeResolver({
+      workspace: { roots: [{ label: 'root', path: root }] },
+      git: new GitService({ workspace: { normalizeTarget: (p) => path.resolve(p) } })
+    })
+  });
+  const save = (title, links) => store.storeEntry({
+    kind: 'knowledge',
+    title,
+    content: `Notes: ${title.toLowerCase()}.`,
+    links,
+    scope: { project_path: project }
+  }).then((result) => result.memory.id);
+
+  const invoiceId = await save('Invoice totals include shipping', [{ path: 'src/billing.js', line: 10 }]);
+  const legacyId = await save('Legacy exporter quirks', [{ path: path.join(project, 'src/legacy.js'), line: 3 }]);
+  const taxId = await save('Tax rounding rules', [{ path: 'src/tax.js', line: 5 }]);
+  const discountId = await save('Welcome discount code', [{ path: 'src/pricing.js', line: 1 }]);
+  const futureId = await save('Planned refunds module', [{ path: 'src/refunds.js', line: 1 }]);
+
+  const clean = await store.verifyLinks({ projectPath: project });
+  assert.equal(clean.checked, 5);
+  assert.equal(clean.unchanged, 5);
+  assert.equal((await store.verifyLinks({ id: futureId })).links[0].state, 'unverifiable');
+
+  write('src/billing.js', [
+    '// Invoices are computed per order.',
+    "import { roundCents } from './money.js';",
+    '',
+    ...numbered('billingSetup', 8),
+    '',
+    'export function computeInvoice(order) {',
+    '  const subtotal = order.items.reduce((sum, item) => sum + item.price, 0);',
+    '  return subtotal + order.shipping;',
+    '}',
+    ...numbered('billingTail', 4)
+  ]);
+  fs.rmSync(path.join(project, 'src/legacy.js'));
+  write('src/tax.js', ['export const TAX_RATES = loadRates();', 'export function taxFor(total) {', '  return total * TAX_RATES.base;', '}']);
+  fs.mkdirSync(path.join(project, 'lib'));
+  fs.renameSync(path.join(project, 'src/pricing.js'), path.join(project, 'lib/discounts.js'));
+
+  const preview = await store.verifyLinks({ projectPath: project, dryRun: true });
+  assert.equal(preview.marked_stale, 2);
+  assert.equal(preview.reanchored, 2);
+  assert.equal((await store.getEntry(legacyId)).status, 'active');
+
+  const recalled = await store.recall({ query: 'legacy exporter quirks', projectPath: project });
+  assert.equal(recalled.items.some((item) => [legacyId, taxId].includes(item.memory.id)), false);
+  assert.deepEqual(recalled.stale_filtered.map((item) => item.id).sort(), [legacyId, taxId].sort());
+  // Recall only filters; statuses and links change when the sweep runs.
+  assert.equal((await store.getEntry(legacyId)).status, 'active');
+  const recalledDiscount = (recalled.items.find((item) => item.memory.id === discountId)).memory;
+  assert.deepEqual(recalledDiscount.links, [{ path: 'src/pricing.js', line: 1, label: '' }]);
+
+  const applied = await store.verifyLinks({ projectPath: project });
+  assert.equal(applied.marked_stale, 2);
+  assert.equal(applied.reanchored, 2);
+  const legacy = await store.getEntry(legacyId);
+  assert.equal(legacy.status, 'stale');
+  assert.match(legacy.stale_reason, /src\/legacy\.js:3 no longer exists/);
+  assert.match(legacy.revisions[0].change_note, /^Marked stale: /);
+  const tax = await store.getEntry(taxId);
+  assert.equal(tax.status, 'stale');
+  assert.match(tax.stale_reason, /src\/tax\.js:5 was rewritten/);
+
+  const invoice = await store.getEntry(invoiceId);
+  assert.equal(invoice.status, 'active');
+  assert.deepEqual(invoice.links, [{ path: 'src/billing.js', line: 13, label: '' }]);
+  assert.equal(invoice.revisions[0].change_note, 'Re-anchored src/billing.js:10 -> src/billing.js:13');
+  const discount = await store.getEntry(discountId);
+  assert.deepEqual(discount.links, [{ path: 'lib/discounts.js', line: 1, label: '' }]);
+
+  const sweep = await store.verifyLinks({ projectPath: project });
+  assert.equal(sweep.checked, 5);
+  assert.equal(sweep.unchanged, 5);
+
+  write('src/legacy.js', numbered('legacy', 6));
+  const revived = await store.verifyLinks({ id: legacyId });
+  assert.equal(revived.action, 'revived');
+  const restored = await store.getEntry(legacyId);
+  assert.equal(restored.status, 'active');
+  assert.equal(restored.stale_reason, '');
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('link anchors store line hashes and skip denied or out-of-root files', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+
+  const root = fs.realpathSync(makeTempDir());
+  const outside = fs.realpathSync(makeTempDir());
+  const project = path.join(root, 'app');
+  fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(project, 'src/auth.js'), 'export function login(user) {\n  return check(user);\n}\n', 'utf8');
+  fs.writeFileSync(path.join(project, '.env'), 'DB_PASSWORD=hunter2hunter2\n', 'utf8');
+  fs.writeFileSync(path.join(outside, 'notes.js'), 'const elsewhere = true;\n', 'utf8');
+
+  const store = new MemoryStore({
+    enabled: true,
+    backend: 'auto',
+    dbPath: path.join(root, 'memory.db'),
+    scopeResolver: new MemoryScopeResolver({ workspace: { roots: [{ label: 'root', path: root }] } })
+  });
+  const { memory } = await store.storeEntry({
+    kind: 'knowledge',
+    title: 'Login checks the user first',
+    content: 'Login validates the user before issuing a session.',
+    links: [
+      { path: 'src/auth.js', line: 1 },
+      { path: '.env', line: 1 },
+      { path: path.join(outside, 'notes.js'), line: 1 }
+    ],
+    scope: { project_path: project }
+  });
+
+  const anchors = await store.adapter.all('SELECT path, snippet_json FROM memory_link_anchors WHERE memory_id = ?', [memory.id]);
+  assert.deepEqual(anchors.map((row) => row.path), ['src/auth.js']);
+  const snippet = JSON.parse(anchors[0].snippet_json);
+  assert.equal(snippet.length, 4);
+  assert.ok(snippet.slice(0, 3).every((line) => /^[0-9a-f]{16}$/.test(line)));
+  assert.equal(anchors[0].snippet_json.includes('login'), false);
+
+  const verified = await store.verifyLinks({ id: memory.id });
+  assert.deepEqual(verified.links.map((link) => link.state), ['ok', 'unverifiable', 'unverifiable']);
+  assert.match(verified.links[1].reason, /denied by redaction policy/);
+  assert.equal((await store.adapter.all('SELECT path FROM memory_link_anchors WHERE memory_id = ?', [memory.id])).length, 1);
+
+  fs.rmSync(root, { recursive: true, force: true });
+  fs.rmSync(outside, { recursive: true, force: true });
+});
+
+test('link anchors travel with exports and shared memory files', async (t) => {
+  if (!await hasSupportedBackend()) {
+    t.skip('No supported sqlite backend available for memory store test');
+    return;
+  }
+
+  const root = fs.realpathSync(makeTempDir());
+  const project = path.join(root, 'app');
+  fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+  const source = path.join(project, 'src/auth.js');
+  fs.writeFileSync(source, 'export function login(user) {\n  return check(user);\n}\n', 'utf8');
+  const makeStore = (name) => new MemoryStore({
+    enabled: true,
+    backend: 'auto',
+    dbPath: path.join(root, `${name}.db`),
+    sharedEnabled: true,
+    scopeResolver: new MemoryScopeResolver({ workspace: { roots: [{ label: 'root', path: root }] } })
+  });
+  const snippetsOf = async (store, id) => (await store.adapter.all(
+    'SELECT snippet_json FROM memory_link_anchors WHERE memory_id = ?',
+    [id]
+  )).map((row) => row.snippet_json);
+
+  const alice = makeStore('alice');
+  const { memory } = await alice.storeEntry({
+    kind: 'knowledge',
+    title: 'Login checks the user first',
+    content: 'Login validates the user before issuing a session.',
+    links: [{ path: source, line: 2 }],
+    scope: { project_path: project },
+    shared: true
+  });
+  const original = await snippetsOf(alice, memory.id);
+  assert.equal(original.length, 1);
+  const file = JSON.parse(fs.readFileSync(path.join(project, '.localnest', 'memory', `${memory.id}.json`), 'utf8'));
+  assert.deepEqual(file.anchors.map((anchor) => anchor.path), ['src/auth.js']);
+  const exported = (await alice.exportMemories()).content;
+  assert.match(exported, /"type":"anchor"/);
+
+  // The code drifts before the copies are made; carried anchors still
+  // describe the code the memory was written about.
+  fs.writeFileSync(source, 'export function login(user) {\n  return checkSession(user);\n}\n', 'utf8');
+
+  const imported = makeStore('imported');
+  await imported.importMemories(exported);
+  assert.deepEqual(await snippetsOf(imported, memory.id), original);
+  assert.equal((await imported.verifyLinks({ id: memory.id })).links[0].state, 'rewritten');
+
+  const bob = makeStore('bob');
+  assert.equal((await bob.syncSharedMemories(project)).imported, 1);
+  assert.deepEqual(await snippetsOf(bob, memory.id), original);
+  assert.equal((await bob.verifyLinks({ id: memory.id })).links[0].state, 'rewritten');
+
+  // Exports without anchor records anchor the links to the code as it is now.
+  const legacy = makeStore('legacy');
+  await legacy.importMemories(exported.split('\n').filter((line) => !line.includes('"type":"anchor"')).join('\n'));
+  const captured = await snippetsOf(legacy, memory.id);
+  assert.equal(captured.length, 1);
+  assert.notDeepEqual(captured, original);
+  assert.equal((await legacy.verifyLinks({ id: memory.id })).links[0].state, 'ok');
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
@@ -142,3 +142,35 @@ test('captureOutcome skips cleanly when backend is unavailable', async () => {
   assert.equal(out.captured, false);
   assert.equal(out.skipped_reason, 'backend_unavailable');
 });
+
+test('getTaskContext and captureOutcome fill root and branch from project_path', async () => {
+  let recallInput = null;
+  let captured = null;
+  const memory = createMemoryStub();
+  memory.recall = async (input) => {
+    recallInput = input;
+    return { query: input.query, count: 0, items: [] };
+  };
+  memory.captureEvent = async (input) => {
+    captured = input;
+    return { event_id: 3, status: 'promoted', event_type: input.event_type };
+  };
+  const scopeResolver = {
+    inferScope: (scope) => ({
+      ...scope,
+      root_path: scope.root_path || '/repo',
+      branch_name: scope.branch_name || 'feature/auth'
+    })
+  };
+
+  const service = new MemoryWorkflowService({ memory, scopeResolver });
+  const context = await service.getTaskContext({ query: 'auth refresh', project_path: '/repo/app' });
+  assert.equal(context.scope.root_path, '/repo');
+  assert.equal(context.scope.branch_name, 'feature/auth');
+  assert.equal(recallInput.branchName, 'feature/auth');
+  assert.equal(recallInput.rootPath, '/repo');
+
+  await service.captureOutcome({ task: 'Fix refresh', project_path: '/repo/app', branch_name: 'hotfix' });
+  assert.equal(captured.scope.branch_name, 'hotfix');
+  assert.equal(captured.scope.root_path, '/repo');
+});
@@ -65,6 +65,30 @@ test('searchCode falls back to filesystem walk when rg path fails', () => {
   fs.rmSync(root, { recursive: true, force: true });
 });
 
+test('searchCode drops ripgrep hits under ignored paths', () => {
+  const ignoredFiles = new Set(['/repo/dist/a.js']);
+  const workspace = {
+    resolveSearchBases: () => ['/repo'],
+    normalizeTarget: (p) => p,
+    createIgnoreMatcher: () => ({ isPathIgnored: (p) => ignoredFiles.has(p) })
+  };
+  const service = new SearchService({
+    workspace,
+    ignoreDirs: new Set(),
+    hasRipgrep: true,
+    rgTimeoutMs: 1000,
+    maxFileBytes: 10_000,
+    vectorIndex: null
+  });
+  service.fastSearchWithRipgrep = () => ([
+    { file: '/repo/dist/a.js', line: 1, text: 'alpha' },
+    { file: '/repo/src/a.js', line: 2, text: 'alpha' }
+  ]);
+
+  const res = service.searchCode({ query: 'alpha', projectPath: '/repo', glob: '*', maxResults: 10 });
+  assert.deepEqual(res.map((r) => r.file), ['/repo/src/a.js']);
+});
+
 test('searchCode throws if normalizeTarget mismatch is detected', () => {
   const service = new SearchService({
     workspace: {
@@ -91,7 +115,7 @@ test('searchCode throws if normalizeTarget mismatch is detected', () => {
   );
 });
 
-test('symbol helpers find definitions, exports, imports, and calls', () => {
+test('symbol helpers find definitions, exports, imports, and calls', async () => {
   const root = makeTempDir();
   const defs = path.join(root, 'defs.js');
   const use = path.join(root, 'use.js');
@@ -134,7 +158,7 @@ test('symbol helpers find definitions, exports, imports, and calls', () => {
     vectorIndex: null
   });
 
-  const symbol = service.getSymbol({
+  const symbol = await service.getSymbol({
     symbol: 'AuthService',
     projectPath: root,
     allRoots: false,
@@ -142,6 +166,7 @@ test('symbol helpers find definitions, exports, imports, and calls', () => {
     maxResults: 20,
     caseSensitive: false
   });
+  assert.equal(symbol.source, 'ripgrep');
   assert.ok(symbol.count >= 1);
   assert.ok(symbol.definitions.some((d) => d.file.endsWith('defs.js')));
   assert.ok(symbol.exports.some((d) => d.file.endsWith('defs.js')));
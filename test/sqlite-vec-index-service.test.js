@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
+import { AstChunker } from '../src/services/chunker/service.js';
 
 const nodeMajor = parseInt(process.versions.node.split('.')[0], 10);
 const skipReason = nodeMajor < 22 ? `node:sqlite requires Node 22+ (current: ${process.versions.node})` : false;
@@ -158,3 +159,176 @@ test('sqlite index BM25 fallback returns lexical semantic hit without embeddings
 
   fs.rmSync(tempRoot, { recursive: true, force: true });
 });
+
+test('sqlite index commits files indexed before a timeout', { skip: skipReason }, async () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-sqlite-test-'));
+  const names = ['a.js', 'b.js', 'c.js'];
+  for (const name of names) {
+    fs.writeFileSync(path.join(tempRoot, name), `const ${name[0]}Value = 1;\n`, 'utf8');
+  }
+
+  const workspace = {
+    resolveSearchBases: () => [tempRoot],
+    normalizeTarget: (p) => p,
+    *walkDirectories(base) {
+      yield { files: names.map((name) => path.join(base, name)) };
+    },
+    isLikelyTextFile: () => true,
+    safeReadText: (p) => fs.readFileSync(p, 'utf8')
+  };
+  const service = new SqliteVecIndexService({
+    workspace,
+    dbPath: path.join(tempRoot, 'idx.db'),
+    sqliteVecExtensionPath: '',
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 40,
+    maxIndexedFiles: 100
+  });
+
+  const budget = { signal: null, deadline: 0 };
+  const out = await service.indexProject({
+    projectPath: tempRoot,
+    allRoots: false,
+    force: false,
+    maxFiles: 10,
+    budget,
+    onProgress: ({ scanned }) => {
+      if (scanned === 2) budget.deadline = Date.now() - 1;
+    }
+  });
+  assert.equal(out.indexed_files, 2);
+  assert.equal(out.timed_out, true);
+  assert.equal(out.cancelled, false);
+  assert.equal(out.total_files, 2);
+
+  const hits = await service.semanticSearch({
+    query: 'bValue',
+    projectPath: tempRoot,
+    allRoots: false,
+    maxResults: 5,
+    minScore: 0
+  });
+  assert.ok(hits.some((hit) => hit.file.endsWith('b.js')));
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+test('sqlite indexFiles updates touched files and drops rows under deleted directories', { skip: skipReason }, async () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-sqlite-test-'));
+  const srcDir = path.join(tempRoot, 'src');
+  fs.mkdirSync(srcDir);
+  const a = path.join(tempRoot, 'a.js');
+  const nested = path.join(srcDir, 'nested.js');
+  fs.writeFileSync(a, 'const foo = 1;\n', 'utf8');
+  fs.writeFileSync(nested, 'const nestedValue = 1;\n', 'utf8');
+
+  const workspace = {
+    resolveSearchBases: () => [tempRoot],
+    normalizeTarget: (p) => p,
+    *walkDirectories() {
+      yield { files: [a, nested] };
+    },
+    isLikelyTextFile: () => true,
+    isIndexableFile: (p) => fs.existsSync(p) && fs.statSync(p).isFile(),
+    safeReadText: (p) => fs.readFileSync(p, 'utf8')
+  };
+  const service = new SqliteVecIndexService({
+    workspace,
+    dbPath: path.join(tempRoot, 'idx.db'),
+    sqliteVecExtensionPath: '',
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 40,
+    maxIndexedFiles: 100
+  });
+  const beforeIndex = await service.indexFiles({ paths: [a] });
+  assert.equal(beforeIndex.indexed_files, 0);
+  assert.equal(service.getStatus().total_files, 0);
+  await service.indexProject({ projectPath: tempRoot, allRoots: false, force: false, maxFiles: 10 });
+
+  fs.writeFileSync(a, 'const bar = 2;\nbar();\n', 'utf8');
+  fs.rmSync(srcDir, { recursive: true, force: true });
+  const out = await service.indexFiles({ paths: [a, srcDir] });
+  assert.equal(out.indexed_files, 1);
+  assert.equal(out.removed_files, 1);
+  assert.equal(service.getStatus().total_files, 1);
+
+  const search = (query) => service.semanticSearch({ query, projectPath: tempRoot, allRoots: false, maxResults: 5, minScore: 0 });
+  assert.equal((await search('foo')).length, 0);
+  assert.ok((await search('bar')).length > 0);
+  assert.equal((await search('nestedValue')).length, 0);
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+test('sqlite index records declarations and call sites', { skip: skipReason }, async () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-sqlite-symbols-test-'));
+  const target = path.join(tempRoot, 'repo.py');
+  fs.writeFileSync(target, 'class Repo:\n    def save(self, item):\n        return item\n\ndef _save():\n    return Repo().save(1)\n', 'utf8');
+
+  const workspace = {
+    resolveSearchBases: () => [tempRoot],
+    normalizeTarget: (p) => p,
+    *walkDirectories(base) {
+      yield { files: [path.join(base, 'repo.py')] };
+    },
+    isLikelyTextFile: () => true,
+    isIndexableFile: (p) => fs.existsSync(p),
+    safeReadText: (p) => fs.readFileSync(p, 'utf8')
+  };
+  const options = {
+    workspace,
+    dbPath: path.join(tempRoot, 'idx.db'),
+    sqliteVecExtensionPath: '',
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 40,
+    maxIndexedFiles: 100
+  };
+
+  // Without a chunker the file is indexed but the scope stays uncovered.
+  const plain = new SqliteVecIndexService(options);
+  await plain.indexProject({ projectPath: tempRoot, allRoots: false, force: false, maxFiles: 10 });
+  assert.equal(plain.findSymbols({ name: 'save', bases: [tempRoot] }).covered, false);
+  plain.db.close();
+
+  const service = new SqliteVecIndexService({ ...options, astChunker: new AstChunker() });
+  service.ensureDb();
+  // Rows written before the symbols table existed migrate as pending.
+  service.db.exec('UPDATE files SET symbols_state = 0');
+  const reindexed = await service.indexProject({ projectPath: tempRoot, allRoots: false, force: false, maxFiles: 10 });
+  assert.equal(reindexed.indexed_files, 1);
+
+  const save = service.findSymbols({ name: 'save', bases: [tempRoot] });
+  assert.equal(save.covered, true);
+  assert.equal(save.symbols.length, 1);
+  assert.equal(save.symbols[0].kind, 'method');
+  assert.equal(save.symbols[0].scope_path, 'Repo');
+  assert.equal(save.symbols[0].signature, 'def save(self, item)');
+  assert.equal(save.symbols[0].line, 2);
+
+  const repo = service.findSymbols({ name: 'repo', bases: [tempRoot], caseSensitive: true });
+  assert.equal(repo.symbols.length, 0);
+  assert.equal(service.findSymbols({ name: '_save', bases: [tempRoot] }).symbols[0].exported, false);
+
+  const callers = service.findCalls({ names: ['save'], by: 'callee', bases: [tempRoot] });
+  assert.equal(callers.covered, true);
+  assert.deepEqual(callers.calls.map((c) => [c.caller, c.qualifier, c.line, c.dynamic]), [['_save', 'Repo()', 6, false]]);
+  assert.deepEqual(service.findCalls({ names: ['_save'], by: 'caller', bases: [tempRoot] }).calls.map((c) => c.callee).sort(), ['Repo', 'save']);
+
+  const skipped = await service.indexProject({ projectPath: tempRoot, allRoots: false, force: false, maxFiles: 10 });
+  assert.equal(skipped.skipped_files, 1);
+  assert.equal(service.describeScope([tempRoot]).stale_files, 0);
+  fs.appendFileSync(target, '\n# touched\n');
+  const touched = service.describeScope([tempRoot]);
+  assert.deepEqual([touched.indexed_files, touched.stale_files, touched.deleted_files], [1, 1, 0]);
+  assert.match(touched.last_indexed_at, /^\d{4}-\d{2}-\d{2}T/);
+
+  fs.rmSync(target);
+  await service.indexFiles({ paths: [target] });
+  assert.equal(service.db.prepare('SELECT COUNT(*) AS c FROM symbols').get().c, 0);
+  assert.equal(service.db.prepare('SELECT COUNT(*) AS c FROM calls').get().c, 0);
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
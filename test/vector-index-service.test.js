@@ -4,6 +4,8 @@ import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import { VectorIndexService } from '../src/services/vector-index/service.js';
+import { AstChunker } from '../src/services/chunker/service.js';
+import { SearchService } from '../src/services/search/service.js';
 
 function makeTempDir() {
   return fs.mkdtempSync(path.join(os.tmpdir(), 'localnest-vector-test-'));
@@ -156,3 +158,209 @@ test('vector index status recommends sqlite upgrade for large json index', () =>
 
   fs.rmSync(root, { recursive: true, force: true });
 });
+
+test('vector index stops on cancellation and keeps files indexed so far', async () => {
+  const root = makeTempDir();
+  for (const name of ['a.js', 'b.js', 'c.js']) {
+    fs.writeFileSync(path.join(root, name), `const ${name[0]}Value = 1;\n`, 'utf8');
+  }
+  const service = new VectorIndexService({
+    workspace: makeWorkspace(root),
+    indexPath: path.join(root, 'index.json'),
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 20,
+    maxIndexedFiles: 10
+  });
+
+  const controller = new AbortController();
+  const cancelled = await service.indexProject({
+    projectPath: root,
+    allRoots: false,
+    force: false,
+    maxFiles: 10,
+    budget: { signal: controller.signal, deadline: 0 },
+    onProgress: ({ scanned }) => {
+      if (scanned === 1) controller.abort();
+    }
+  });
+  assert.equal(cancelled.indexed_files, 1);
+  assert.equal(cancelled.cancelled, true);
+  assert.equal(cancelled.timed_out, false);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(root, 'index.json'), 'utf8')).total_files, 1);
+
+  const timedOut = await service.indexProject({
+    projectPath: root,
+    allRoots: false,
+    force: false,
+    maxFiles: 10,
+    budget: { signal: null, deadline: Date.now() - 1 }
+  });
+  assert.equal(timedOut.indexed_files, 0);
+  assert.equal(timedOut.timed_out, true);
+
+  const resumed = await service.indexProject({ projectPath: root, allRoots: false, force: false, maxFiles: 10 });
+  assert.equal(resumed.skipped_files, 1);
+  assert.equal(resumed.indexed_files, 2);
+  assert.equal(resumed.cancelled, false);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('vector indexFiles re-chunks touched files and drops deleted ones', async () => {
+  const root = makeTempDir();
+  const a = path.join(root, 'a.js');
+  const b = path.join(root, 'b.txt');
+  fs.writeFileSync(a, 'const alpha = 1;\n', 'utf8');
+  fs.writeFileSync(b, 'beta gamma\n', 'utf8');
+
+  const workspace = {
+    ...makeWorkspace(root),
+    isIndexableFile: (p) => fs.existsSync(p) && ['.js', '.txt'].includes(path.extname(p))
+  };
+  const service = new VectorIndexService({
+    workspace,
+    indexPath: path.join(root, 'index.json'),
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 20,
+    maxIndexedFiles: 10
+  });
+  await service.indexProject({ projectPath: root, allRoots: false, force: false, maxFiles: 10 });
+
+  fs.writeFileSync(a, 'const omega = 2;\nomega();\n', 'utf8');
+  fs.rmSync(b);
+  const out = await service.indexFiles({ paths: [a, b, path.join(root, 'never.js')] });
+  assert.equal(out.indexed_files, 1);
+  assert.equal(out.removed_files, 1);
+  assert.equal(out.skipped_files, 1);
+  assert.deepEqual(Object.keys(service.data.documents), [a]);
+
+  const hits = await service.semanticSearch({ query: 'omega', projectPath: root, allRoots: false, maxResults: 5, minScore: 0 });
+  assert.equal(hits[0].file, a);
+
+  const unchanged = await service.indexFiles({ paths: [a] });
+  assert.equal(unchanged.skipped_files, 1);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('vector indexFiles only adds files under indexed bases and waits for a running indexProject', async () => {
+  const root = makeTempDir();
+  const project = path.join(root, 'app');
+  const other = path.join(root, 'other');
+  fs.mkdirSync(project);
+  fs.mkdirSync(other);
+  const a = path.join(project, 'a.js');
+  fs.writeFileSync(a, 'const alpha = 1;\n', 'utf8');
+  const stray = path.join(other, 'stray.js');
+  fs.writeFileSync(stray, 'const stray = 1;\n', 'utf8');
+
+  const order = [];
+  const workspace = {
+    ...makeWorkspace(project),
+    isIndexableFile: (p) => fs.existsSync(p) && path.extname(p) === '.js',
+    safeReadText: (p) => {
+      order.push(path.basename(p));
+      return fs.readFileSync(p, 'utf8');
+    }
+  };
+  const service = new VectorIndexService({
+    workspace,
+    indexPath: path.join(root, 'index.json'),
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 20,
+    maxIndexedFiles: 10
+  });
+
+  const untouched = await service.indexFiles({ paths: [stray] });
+  assert.equal(untouched.indexed_files, 0);
+  assert.equal(untouched.skipped_files, 1);
+  assert.deepEqual(Object.keys(service.data.documents), []);
+
+  const b = path.join(project, 'b.js');
+  fs.writeFileSync(b, 'const beta = 2;\n', 'utf8');
+  const [indexed, batch] = await Promise.all([
+    service.indexProject({ projectPath: project, allRoots: false, force: false, maxFiles: 10 }),
+    service.indexFiles({ paths: [b, stray] })
+  ]);
+  assert.equal(indexed.indexed_files, 2);
+  assert.deepEqual(order, ['a.js', 'b.js']);
+  assert.equal(batch.indexed_files, 0);
+  assert.equal(batch.skipped_files, 2);
+  assert.deepEqual(service.data.indexed_bases, [project]);
+
+  const c = path.join(project, 'c.js');
+  fs.writeFileSync(c, 'const gamma = 3;\n', 'utf8');
+  assert.equal((await service.indexFiles({ paths: [c] })).indexed_files, 1);
+  assert.deepEqual(Object.keys(service.data.documents).sort(), [a, b, c]);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('vector index records declarations and get_symbol answers from them', async () => {
+  const root = makeTempDir();
+  const a = path.join(root, 'a.js');
+  const b = path.join(root, 'b.txt');
+  fs.writeFileSync(a, [
+    'export class Store {',
+    '  load(id) {',
+    '    const cached = id;',
+    '    return cached;',
+    '  }',
+    '}',
+    '// load is mentioned here too',
+    'function load() {}'
+  ].join('\n'), 'utf8');
+  fs.writeFileSync(b, 'load load\n', 'utf8');
+
+  const workspace = makeWorkspace(root);
+  const service = new VectorIndexService({
+    workspace,
+    indexPath: path.join(root, 'index.json'),
+    chunkLines: 20,
+    chunkOverlap: 5,
+    maxTermsPerChunk: 20,
+    maxIndexedFiles: 10,
+    astChunker: new AstChunker()
+  });
+  await service.indexProject({ projectPath: root, allRoots: false, force: false, maxFiles: 10 });
+  assert.deepEqual(service.data.documents[b].symbols, []);
+  const freshness = service.describeScope([root]);
+  assert.deepEqual([freshness.indexed_files, freshness.stale_files, freshness.deleted_files], [2, 0, 0]);
+  assert.equal(freshness.last_indexed_at, [service.data.documents[a].indexed_at, service.data.documents[b].indexed_at].sort()[1]);
+  assert.equal(service.describeScope([path.join(root, 'missing')]).indexed_files, 0);
+
+  const { covered, symbols } = service.findSymbols({ name: 'LOAD', bases: [root], caseSensitive: false });
+  assert.equal(covered, true);
+  assert.deepEqual(symbols.map((s) => [s.kind, s.scope_path, s.line]), [['method', 'Store', 2], ['function', '', 8]]);
+  assert.equal(service.findSymbols({ name: 'cached', bases: [root] }).symbols.length, 0);
+  assert.equal(service.findSymbols({ name: 'Store', bases: [root] }).symbols[0].exported, true);
+
+  const search = new SearchService({ workspace, ignoreDirs: new Set(), hasRipgrep: false, rgTimeoutMs: 1000, maxFileBytes: 10_000, vectorIndex: service });
+  const fromIndex = await search.getSymbol({ symbol: 'load', projectPath: root, allRoots: false });
+  assert.equal(fromIndex.source, 'symbol_index');
+  assert.equal(fromIndex.count, 2);
+  assert.equal(fromIndex.definitions[0].text, 'load(id)');
+  const filtered = await search.getSymbol({ symbol: 'load', projectPath: root, allRoots: false, glob: '*.ts' });
+  assert.equal(filtered.count, 0);
+
+  // A definition in a file added after indexing is not in the table yet.
+  fs.writeFileSync(path.join(root, 'fresh.js'), 'export class FreshlyAdded {}\n');
+  const fresh = await search.getSymbol({ symbol: 'FreshlyAdded', projectPath: root, allRoots: false });
+  assert.equal(fresh.source, 'ripgrep');
+  assert.equal(fresh.definitions.length, 1);
+  assert.equal(fresh.definitions[0].file, path.join(root, 'fresh.js'));
+  fs.rmSync(path.join(root, 'fresh.js'));
+
+  // Documents indexed before symbols existed are re-analyzed even when unchanged.
+  delete service.data.documents[a].symbols;
+  assert.equal(service.findSymbols({ name: 'load', bases: [root] }).covered, false);
+  assert.equal((await search.getSymbol({ symbol: 'load', projectPath: root, allRoots: false })).source, 'ripgrep');
+  const again = await service.indexProject({ projectPath: root, allRoots: false, force: false, maxFiles: 10 });
+  assert.equal(again.indexed_files, 1);
+  assert.equal(again.skipped_files, 1);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});